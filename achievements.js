@@ -0,0 +1,253 @@
+// HealthyMealTrack - Achievements
+// Declarative badge registry. Each achievement reads one metric computed from
+// the meal history, targets and streaks, and unlocks at a single goal or at
+// several tiers (bronze/silver/gold). Achievements tied to a condition only
+// count for users who have that condition.
+
+// A day counts as "on target" at this compliance percentage or above
+const COMPLIANT_DAY_THRESHOLD = 80;
+
+const ACHIEVEMENT_TIER_LABELS = {
+    bronze: 'Bronze',
+    silver: 'Silver',
+    gold: 'Gold'
+};
+
+const ACHIEVEMENTS = [
+    // Meal history
+    {
+        id: 'first_meal',
+        title: 'First Meal',
+        description: 'Log your first meal',
+        icon: 'fa-utensils',
+        metric: 'mealsLogged',
+        goal: 1,
+        points: 50
+    },
+    {
+        id: 'meal_logger',
+        title: 'Meal Logger',
+        description: 'Log {goal} meals',
+        icon: 'fa-camera',
+        metric: 'mealsLogged',
+        tiers: [
+            { level: 'bronze', goal: 10, points: 50 },
+            { level: 'silver', goal: 50, points: 150 },
+            { level: 'gold', goal: 200, points: 400 }
+        ]
+    },
+    {
+        id: 'healthy_meals',
+        title: 'Clean Plate',
+        description: '{goal} meals with no health warnings',
+        icon: 'fa-leaf',
+        metric: 'healthyMeals',
+        tiers: [
+            { level: 'bronze', goal: 5, points: 50 },
+            { level: 'silver', goal: 25, points: 150 },
+            { level: 'gold', goal: 100, points: 400 }
+        ]
+    },
+
+    // Streaks
+    {
+        id: 'week_streak',
+        title: 'Week Warrior',
+        description: '7-day meal logging streak',
+        icon: 'fa-fire',
+        metric: 'longestStreak',
+        goal: 7,
+        points: 200
+    },
+    {
+        id: 'streak_master',
+        title: 'Streak Master',
+        description: '{goal}-day meal logging streak',
+        icon: 'fa-fire-alt',
+        metric: 'longestStreak',
+        tiers: [
+            { level: 'bronze', goal: 14, points: 150 },
+            { level: 'silver', goal: 30, points: 300 },
+            { level: 'gold', goal: 100, points: 1000 }
+        ]
+    },
+
+    // Nutrition compliance
+    {
+        id: 'on_target',
+        title: 'On Target',
+        description: `{goal} days at ${COMPLIANT_DAY_THRESHOLD}%+ of your nutrient targets`,
+        icon: 'fa-bullseye',
+        metric: 'compliantDays',
+        tiers: [
+            { level: 'bronze', goal: 3, points: 100 },
+            { level: 'silver', goal: 10, points: 250 },
+            { level: 'gold', goal: 30, points: 600 }
+        ]
+    },
+
+    // Condition-specific goals
+    {
+        id: 'low_sodium_days',
+        conditions: ['bp', 'heart'],
+        title: 'Salt Sense',
+        description: '{goal} low-sodium days',
+        icon: 'fa-heartbeat',
+        metric: 'lowSodiumDays',
+        tiers: [
+            { level: 'bronze', goal: 5, points: 150 },
+            { level: 'silver', goal: 20, points: 300 },
+            { level: 'gold', goal: 60, points: 600 }
+        ]
+    },
+    {
+        id: 'carb_control_days',
+        conditions: ['diabetes'],
+        title: 'Carb Counter',
+        description: '{goal} days with every meal within your carb limit',
+        icon: 'fa-tint',
+        metric: 'carbControlledDays',
+        tiers: [
+            { level: 'bronze', goal: 5, points: 150 },
+            { level: 'silver', goal: 20, points: 300 },
+            { level: 'gold', goal: 60, points: 600 }
+        ]
+    },
+    {
+        id: 'low_sugar_days',
+        conditions: ['diabetes', 'pcos'],
+        title: 'Sugar Smart',
+        description: '{goal} days within your sugar limit',
+        icon: 'fa-candy-cane',
+        metric: 'lowSugarDays',
+        goal: 5,
+        points: 150
+    },
+    {
+        id: 'low_potassium_days',
+        conditions: ['kidney'],
+        title: 'Potassium Pro',
+        description: '{goal} days within your potassium limit',
+        icon: 'fa-seedling',
+        metric: 'lowPotassiumDays',
+        goal: 5,
+        points: 150
+    },
+    {
+        id: 'gluten_free_week',
+        conditions: ['gluten'],
+        title: 'Gluten-Free Week',
+        description: 'Your first gluten-free week ({goal} logged days in a row)',
+        icon: 'fa-bread-slice',
+        metric: 'glutenFreeDays',
+        goal: 7,
+        points: 200
+    }
+];
+
+function dayWithinLimit(day, nutrient) {
+    const entry = day.result.progress[nutrient];
+    return Boolean(entry && entry.max !== undefined && entry.value <= entry.max);
+}
+
+function dayHasRisk(day, ruleId) {
+    return day.meals.some(meal =>
+        ((meal.aiAnalysis && meal.aiAnalysis.healthRisks) || []).some(risk => risk.id === ruleId)
+    );
+}
+
+// Each metric maps the achievement context to a number compared with goals
+const ACHIEVEMENT_METRICS = {
+    mealsLogged: context => context.meals.length,
+    healthyMeals: context => context.meals.filter(meal => !mealHasWarnings(meal)).length,
+    longestStreak: context => context.longestStreak,
+    compliantDays: context => context.days
+        .filter(day => day.result.compliance !== null && day.result.compliance >= COMPLIANT_DAY_THRESHOLD)
+        .length,
+    lowSodiumDays: context => context.days.filter(day => dayWithinLimit(day, 'sodium')).length,
+    lowSugarDays: context => context.days.filter(day => dayWithinLimit(day, 'sugar')).length,
+    lowPotassiumDays: context => context.days.filter(day => dayWithinLimit(day, 'potassium')).length,
+    carbControlledDays: context => context.days.filter(day => {
+        const checks = day.result.checks.filter(check => check.perMeal && check.nutrient === 'carbs');
+        return checks.length > 0 && checks.every(check => check.passed);
+    }).length,
+    glutenFreeDays: context => longestConsecutiveDays(
+        // gluten-foods was the rule before allergens.js and may still be on
+        // older meals
+        context.days.filter(day => !['allergen-gluten', 'allergen-wheat', 'gluten-foods'].some(id => dayHasRisk(day, id))).map(day => day.key)
+    )
+};
+
+// Collects what the metrics need. Day-based goals only count finished days.
+function buildAchievementContext({ meals = [], profile = null, streaks = null, longestStreak = 0, now = new Date() }) {
+    const targets = computeDailyTargets(profile || {});
+    const byDay = groupMealsByDay(meals);
+    const today = localDateKey(now);
+
+    const days = Object.keys(byDay)
+        .filter(key => key < today)
+        .sort()
+        .map(key => ({
+            key,
+            meals: byDay[key],
+            result: measureDay(byDay[key], targets, { complete: true })
+        }));
+
+    return {
+        meals,
+        conditions: (profile && profile.conditions) || [],
+        targets,
+        days,
+        streaks,
+        longestStreak: Math.max(longestStreak, streaks ? streaks.longest : 0)
+    };
+}
+
+function formatAchievementText(template, tier) {
+    return template.replace('{goal}', tier.goal);
+}
+
+// Returns one progress entry per achievement:
+// { id, title, icon, value, goal, percent, complete, relevant, tiers, nextTier }
+// Tier unlock ids are "<id>:<level>"; single-goal achievements use the plain id.
+function evaluateAchievements(context, registry = ACHIEVEMENTS) {
+    return registry.map(achievement => {
+        const metric = ACHIEVEMENT_METRICS[achievement.metric];
+        const value = metric ? metric(context) : 0;
+        const tiers = (achievement.tiers || [{ goal: achievement.goal, points: achievement.points }])
+            .map(tier => ({
+                ...tier,
+                unlockId: tier.level ? `${achievement.id}:${tier.level}` : achievement.id,
+                title: tier.level ? `${achievement.title} (${ACHIEVEMENT_TIER_LABELS[tier.level] || tier.level})` : achievement.title,
+                description: formatAchievementText(achievement.description, tier),
+                complete: value >= tier.goal
+            }));
+        const nextTier = tiers.find(tier => !tier.complete) || null;
+        const shown = nextTier || tiers[tiers.length - 1];
+
+        return {
+            id: achievement.id,
+            title: achievement.title,
+            icon: achievement.icon,
+            description: shown.description,
+            value,
+            goal: shown.goal,
+            percent: Math.min(100, Math.round(value / shown.goal * 100)),
+            complete: !nextTier,
+            relevant: !achievement.conditions || achievement.conditions.some(condition => context.conditions.includes(condition)),
+            tiers,
+            nextTier
+        };
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACHIEVEMENTS,
+        ACHIEVEMENT_METRICS,
+        COMPLIANT_DAY_THRESHOLD,
+        buildAchievementContext,
+        evaluateAchievements
+    };
+}
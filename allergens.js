@@ -0,0 +1,338 @@
+// HealthyMealTrack - Allergens
+// The structured allergen profile (major allergens and custom ingredients,
+// each with how the user reacts) and ingredient-level detection: recognized
+// foods are expanded to their likely ingredients so hidden sources such as
+// whey in bread or wheat in soy sauce are caught. Matches become high-severity
+// healthRisks entries (condition 'allergen') alongside the rules in
+// health-rules.js.
+//
+// Profile shape:
+//   allergens: [{ allergen: 'peanuts', severity: 'anaphylaxis' },
+//               { ingredient: 'Mango', severity: 'allergy' }]
+
+const ALLERGEN_SEVERITIES = {
+    intolerance: {
+        label: 'Intolerance',
+        advice: 'You listed an intolerance, so expect symptoms.'
+    },
+    allergy: {
+        label: 'Allergy',
+        advice: 'You listed an allergy - check the ingredients before eating.'
+    },
+    anaphylaxis: {
+        label: 'Anaphylaxis',
+        advice: 'You listed a risk of anaphylaxis - do not eat this unless you are sure it is free of {allergen}.'
+    }
+};
+
+// Major allergens. tags are the food-database allergens that declare them,
+// keywords the food and ingredient names that contain them (whole words,
+// plurals included) and except the names that look like a match but aren't.
+const MAJOR_ALLERGENS = {
+    milk: {
+        label: 'Milk',
+        tags: ['milk', 'dairy'],
+        keywords: ['milk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'whey', 'casein', 'caseinate', 'ghee', 'paneer', 'curd', 'lactose', 'custard', 'latte'],
+        except: ['coconut milk', 'almond milk', 'soy milk', 'oat milk', 'rice milk', 'peanut butter', 'almond butter', 'nut butter', 'cocoa butter', 'cream of tartar', 'bean curd']
+    },
+    lactose: {
+        label: 'Lactose',
+        tags: ['lactose'],
+        keywords: ['milk', 'cream', 'yogurt', 'yoghurt', 'whey', 'lactose', 'custard', 'latte'],
+        except: ['coconut milk', 'almond milk', 'soy milk', 'oat milk', 'rice milk', 'cream of tartar']
+    },
+    egg: {
+        label: 'Egg',
+        tags: ['egg'],
+        keywords: ['egg', 'albumin', 'mayonnaise', 'mayo', 'meringue', 'omelette', 'omelet'],
+        except: ['eggplant']
+    },
+    peanuts: {
+        label: 'Peanuts',
+        tags: ['peanuts', 'peanut'],
+        keywords: ['peanut', 'groundnut', 'satay']
+    },
+    treeNuts: {
+        label: 'Tree nuts',
+        tags: ['tree nuts'],
+        keywords: ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'praline', 'marzipan', 'nuts'],
+        except: ['coconut']
+    },
+    soy: {
+        label: 'Soy',
+        tags: ['soy'],
+        keywords: ['soy', 'soya', 'soybean', 'tofu', 'edamame', 'tempeh', 'miso']
+    },
+    wheat: {
+        label: 'Wheat',
+        tags: ['wheat'],
+        keywords: ['wheat', 'flour', 'semolina', 'durum', 'spelt', 'couscous', 'seitan', 'bulgur'],
+        except: ['buckwheat', 'rice flour', 'corn flour', 'almond flour', 'chickpea flour', 'coconut flour']
+    },
+    gluten: {
+        label: 'Gluten',
+        tags: ['gluten'],
+        keywords: ['wheat', 'flour', 'semolina', 'durum', 'spelt', 'couscous', 'seitan', 'bulgur', 'barley', 'rye', 'malt'],
+        except: ['buckwheat', 'rice flour', 'corn flour', 'almond flour', 'chickpea flour', 'coconut flour']
+    },
+    fish: {
+        label: 'Fish',
+        tags: ['fish'],
+        keywords: ['fish', 'salmon', 'tuna', 'cod', 'haddock', 'tilapia', 'trout', 'sardine', 'mackerel', 'anchovy', 'anchovies'],
+        except: ['shellfish']
+    },
+    shellfish: {
+        label: 'Shellfish',
+        tags: ['shellfish'],
+        keywords: ['shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'oyster', 'mussel', 'clam', 'scallop', 'squid', 'calamari']
+    },
+    sesame: {
+        label: 'Sesame',
+        tags: ['sesame'],
+        keywords: ['sesame', 'tahini']
+    },
+    mustard: {
+        label: 'Mustard',
+        tags: ['mustard'],
+        keywords: ['mustard'],
+        except: ['mustard green']
+    },
+    sulfites: {
+        label: 'Sulfites',
+        tags: ['sulfites'],
+        keywords: ['sulfite', 'sulphite', 'wine', 'dried apricot']
+    }
+};
+
+// Likely ingredients of prepared foods, matched against food names. Recipes
+// vary: these are the usual hidden sources of allergens, not full recipes.
+const FOOD_INGREDIENTS = [
+    { keywords: ['bread', 'toast', 'bun', 'roll', 'bagel', 'sandwich', 'burger', 'hamburger', 'cheeseburger', 'sub'], ingredients: ['wheat flour', 'whey', 'soy flour'] },
+    { keywords: ['bagel', 'burger', 'hamburger', 'cheeseburger', 'bun'], ingredients: ['sesame seeds'] },
+    { keywords: ['sandwich', 'sub', 'wrap'], ingredients: ['mayonnaise', 'butter'] },
+    { keywords: ['naan'], ingredients: ['wheat flour', 'yogurt', 'ghee'] },
+    { keywords: ['roti', 'chapati', 'chapatti', 'paratha'], ingredients: ['whole wheat flour', 'ghee'] },
+    { keywords: ['pasta', 'spaghetti', 'penne', 'macaroni', 'noodle', 'lasagna', 'lasagne'], ingredients: ['durum wheat semolina', 'egg'] },
+    { keywords: ['pizza'], ingredients: ['wheat flour', 'mozzarella cheese'] },
+    { keywords: ['cake', 'cupcake', 'muffin', 'brownie', 'pancake', 'waffle', 'crepe'], ingredients: ['wheat flour', 'egg', 'butter', 'milk'] },
+    { keywords: ['cookie', 'biscuit'], ingredients: ['wheat flour', 'butter', 'egg', 'soy lecithin'] },
+    { keywords: ['croissant', 'pastry', 'pie', 'danish'], ingredients: ['wheat flour', 'butter', 'egg'] },
+    { keywords: ['chocolate'], ingredients: ['milk powder', 'soy lecithin', 'hazelnuts'] },
+    { keywords: ['granola', 'muesli'], ingredients: ['oats', 'almonds', 'hazelnuts', 'wheat flakes', 'milk powder'] },
+    { keywords: ['cereal', 'cornflakes', 'corn flakes'], ingredients: ['barley malt extract'] },
+    { keywords: ['soy sauce', 'teriyaki', 'hoisin'], ingredients: ['soybeans', 'wheat'] },
+    { keywords: ['fried rice', 'stir fry', 'chow mein', 'lo mein'], ingredients: ['egg', 'soy sauce (soybeans, wheat)', 'sesame oil'] },
+    { keywords: ['pad thai'], ingredients: ['peanuts', 'fish sauce', 'egg', 'shrimp'] },
+    { keywords: ['satay'], ingredients: ['peanut sauce', 'soy sauce (soybeans, wheat)'] },
+    { keywords: ['curry', 'korma', 'tikka masala', 'butter chicken'], ingredients: ['cream', 'ghee', 'cashews'] },
+    { keywords: ['pesto'], ingredients: ['pine nuts', 'parmesan cheese'] },
+    { keywords: ['hummus', 'houmous'], ingredients: ['tahini'] },
+    { keywords: ['caesar'], ingredients: ['anchovies', 'parmesan cheese', 'egg'] },
+    { keywords: ['worcestershire'], ingredients: ['anchovies'] },
+    { keywords: ['dressing', 'vinaigrette'], ingredients: ['mustard', 'egg'] },
+    { keywords: ['mayonnaise', 'mayo', 'aioli'], ingredients: ['egg'] },
+    { keywords: ['sausage', 'hot dog'], ingredients: ['wheat rusk', 'milk powder', 'mustard'] },
+    { keywords: ['nugget', 'breaded', 'battered', 'schnitzel', 'tempura', 'fish and chips', 'fried chicken'], ingredients: ['wheat flour batter', 'egg'] },
+    { keywords: ['ice cream', 'gelato'], ingredients: ['cream', 'milk', 'egg yolk'] },
+    { keywords: ['latte', 'cappuccino', 'flat white', 'milkshake', 'smoothie'], ingredients: ['milk'] },
+    { keywords: ['chowder', 'cream soup', 'bisque'], ingredients: ['cream', 'wheat flour'] },
+    { keywords: ['beer', 'ale', 'lager'], ingredients: ['barley malt'] },
+    { keywords: ['wine'], ingredients: ['sulfites'] }
+];
+
+// Whole words, plurals included. Keywords may be user-entered ingredients,
+// so they are matched literally.
+function allergenKeywordPattern(keyword) {
+    const literal = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${literal}(?:e?s)?\\b`);
+}
+
+function textMentions(text, keywords, except = []) {
+    const cleaned = except.reduce((rest, phrase) => rest.split(phrase).join(' '), String(text || '').toLowerCase());
+    return keywords.some(keyword => allergenKeywordPattern(keyword).test(cleaned));
+}
+
+// The ingredients a food likely contains: the ones the analysis reported, or
+// otherwise those of the prepared foods its name matches
+function expandFoodIngredients(food) {
+    if (Array.isArray(food.ingredients) && food.ingredients.length) {
+        return food.ingredients.map(String);
+    }
+    const name = String(food.name || '').toLowerCase();
+    const ingredients = FOOD_INGREDIENTS
+        .filter(entry => entry.keywords.some(keyword => allergenKeywordPattern(keyword).test(name)))
+        .flatMap(entry => entry.ingredients);
+    return [...new Set(ingredients)];
+}
+
+// What to look for for one profile entry: { key, label, tags, keywords, except }
+function allergenMatcher(entry) {
+    if (entry.allergen) {
+        return { key: entry.allergen, ...MAJOR_ALLERGENS[entry.allergen] };
+    }
+    const name = String(entry.ingredient).trim();
+    return { key: `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, label: name, tags: [], keywords: [name.toLowerCase()] };
+}
+
+// How a food contains an allergen: { food, ingredient } where ingredient is
+// the likely hidden source (undefined when the food itself declares or names
+// it), or null when it doesn't
+function findAllergenInFood(food, matcher) {
+    const declared = [...(food.allergens || []), ...(food.tags || [])].map(item => String(item).toLowerCase());
+    if (matcher.tags.some(tag => declared.includes(tag)) || textMentions(food.name, matcher.keywords, matcher.except)) {
+        return { food: food.name };
+    }
+
+    const ingredient = expandFoodIngredients(food).find(item => textMentions(item, matcher.keywords, matcher.except));
+    return ingredient ? { food: food.name, ingredient } : null;
+}
+
+// Checks a list of wizard entries: { allergens, errors }. Unknown allergens,
+// empty custom ingredients and unknown severities are dropped with an error;
+// later entries for the same allergen replace earlier ones.
+function validateAllergens(entries) {
+    const errors = [];
+    const found = new Map();
+    (Array.isArray(entries) ? entries : []).forEach(entry => {
+        if (!entry || !ALLERGEN_SEVERITIES[entry.severity]) {
+            errors.push(`Unknown reaction for ${(entry && (entry.allergen || entry.ingredient)) || 'an allergen'}`);
+            return;
+        }
+        if (entry.allergen) {
+            if (!MAJOR_ALLERGENS[entry.allergen]) {
+                errors.push(`Unknown allergen "${entry.allergen}"`);
+                return;
+            }
+            found.set(entry.allergen, { allergen: entry.allergen, severity: entry.severity });
+            return;
+        }
+        const ingredient = String(entry.ingredient || '').trim();
+        if (!ingredient) {
+            errors.push('Please name the ingredient');
+            return;
+        }
+        found.set(allergenMatcher({ ingredient }).key, { ingredient, severity: entry.severity });
+    });
+    return { allergens: [...found.values()], errors };
+}
+
+// Profiles saved before the structured list had free-text allergies and the
+// lactose/gluten conditions: major allergens named in the text become
+// allergies, anything else a custom ingredient, and the conditions
+// intolerances
+function parseAllergyText(text) {
+    return String(text || '')
+        .split(/[\n,;]+|\band\b/)
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const allergen = Object.keys(MAJOR_ALLERGENS).find(id => {
+                const { label, keywords, except } = MAJOR_ALLERGENS[id];
+                return textMentions(item, [label.toLowerCase(), ...keywords], except);
+            });
+            return allergen ? { allergen, severity: 'allergy' } : { ingredient: item, severity: 'allergy' };
+        });
+}
+
+function profileAllergens(profile) {
+    if (!profile) return [];
+    if (Array.isArray(profile.allergens)) return profile.allergens;
+
+    const conditions = (profile.conditions || [])
+        .filter(condition => condition === 'lactose' || condition === 'gluten')
+        .map(allergen => ({ allergen, severity: 'intolerance' }));
+    return validateAllergens([...conditions, ...parseAllergyText(profile.allergies)]).allergens;
+}
+
+// "Peanuts (anaphylaxis), Mango (allergy)"
+function formatAllergens(allergens) {
+    return allergens
+        .map(entry => `${allergenMatcher(entry).label} (${ALLERGEN_SEVERITIES[entry.severity].label.toLowerCase()})`)
+        .join(', ');
+}
+
+// Returns the meal's allergen matches as healthRisks, one per allergen
+function evaluateAllergenRisks(meal, profile) {
+    const allergens = profileAllergens(profile);
+    if (!meal || allergens.length === 0) return [];
+
+    const foods = getMealFoods(meal);
+    return allergens.map(entry => {
+        const matcher = allergenMatcher(entry);
+        const matches = foods.map(food => findAllergenInFood(food, matcher)).filter(Boolean);
+        if (matches.length === 0) return null;
+
+        const hidden = matches.every(match => match.ingredient);
+        const foodsText = matches
+            .map(match => (match.ingredient ? `${match.food}: likely ${match.ingredient}` : match.food))
+            .join('; ');
+        const advice = formatRuleMessage(ALLERGEN_SEVERITIES[entry.severity].advice, { allergen: matcher.label.toLowerCase() });
+        return {
+            id: `allergen-${matcher.key}`,
+            condition: 'allergen',
+            severity: 'high',
+            allergen: matcher.key,
+            reaction: entry.severity,
+            foods: matches.map(match => match.food),
+            ingredients: matches.map(match => match.ingredient).filter(Boolean),
+            message: `${hidden ? 'May contain' : 'Contains'} ${matcher.label.toLowerCase()} (${foodsText}). ${advice}`
+        };
+    }).filter(Boolean);
+}
+
+// Allergen risks the user hasn't yet answered for this meal. The answers are
+// kept on the meal: allergenReview = { contains: [keys], cleared: [keys] }.
+function pendingAllergenRisks(meal) {
+    const review = meal.allergenReview || {};
+    const answered = [...(review.contains || []), ...(review.cleared || [])];
+    return ((meal.aiAnalysis && meal.aiAnalysis.healthRisks) || [])
+        .filter(risk => risk.condition === 'allergen' && !answered.includes(risk.allergen));
+}
+
+// Records the user's answer for the meal's pending allergens: it contained
+// them, or it was free of them (e.g. a lactose-free version)
+function reviewAllergens(meal, cleared, reviewedAt = new Date().toISOString()) {
+    const review = meal.allergenReview || {};
+    const keys = pendingAllergenRisks(meal).map(risk => risk.allergen);
+    return {
+        ...meal,
+        allergenReview: {
+            contains: [...(review.contains || []), ...(cleared ? [] : keys)],
+            cleared: [...(review.cleared || []), ...(cleared ? keys : [])],
+            reviewedAt
+        }
+    };
+}
+
+// An allergen match the user said the meal was free of
+function isClearedAllergenRisk(meal, risk) {
+    return risk.condition === 'allergen' &&
+        ((meal.allergenReview && meal.allergenReview.cleared) || []).includes(risk.allergen);
+}
+
+// A meal counts as healthy when it has no health risks apart from allergens
+// the user confirmed it was free of; unanswered allergen matches count
+// against it
+function isHealthyMeal(meal) {
+    const risks = meal.aiAnalysis && meal.aiAnalysis.healthRisks;
+    return Array.isArray(risks) && risks.every(risk => isClearedAllergenRisk(meal, risk));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ALLERGEN_SEVERITIES,
+        MAJOR_ALLERGENS,
+        FOOD_INGREDIENTS,
+        expandFoodIngredients,
+        validateAllergens,
+        parseAllergyText,
+        profileAllergens,
+        formatAllergens,
+        evaluateAllergenRisks,
+        pendingAllergenRisks,
+        reviewAllergens,
+        isClearedAllergenRisk,
+        isHealthyMeal
+    };
+}
@@ -0,0 +1,299 @@
+// HealthyMealTrack - Analysis Watcher
+// Waits for a meal's remote analysis to finish. Results arrive over one shared
+// Server-Sent Events stream when the server offers it (so many uploads share a
+// single connection), otherwise by polling with exponential backoff and
+// jitter. Everything is cancellable through an AbortSignal.
+
+// Labels for the aiAnalysis.stage values the server reports while processing
+const ANALYSIS_STAGES = {
+    queued: 'Waiting for analysis',
+    recognizing: 'Recognizing foods',
+    nutrition: 'Computing nutrition',
+    health: 'Checking health rules'
+};
+
+const POLL_BACKOFF = { initialMs: 1000, maxMs: 8000, factor: 1.6, jitter: 0.3 };
+const ANALYSIS_TIMEOUT_MS = 90 * 1000;
+// Consecutive network/5xx/429 failures tolerated before giving up
+const MAX_TRANSIENT_ERRORS = 5;
+
+function abortError(message = 'Analysis cancelled') {
+    return new DOMException(message, 'AbortError');
+}
+
+// Delay before poll number `attempt` (0-based), randomized by +/- jitter so
+// parallel uploads don't poll in lockstep
+function backoffDelay(attempt, { initialMs, maxMs, factor, jitter } = POLL_BACKOFF, random = Math.random) {
+    const base = initialMs * Math.pow(factor, attempt);
+    return Math.round(Math.min(maxMs, base) * (1 - jitter + random() * jitter * 2));
+}
+
+// Network failures (fetch rejects with a TypeError), timeouts, rate limits and
+// server errors are worth retrying; 4xx responses such as 404 are not
+function isTransientError(error) {
+    if (!error || error.name === 'AbortError') return false;
+    if (error.status === undefined) return error instanceof TypeError;
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Maps a server meal onto { done, meal, stage }, throwing for failed analyses
+function analysisState(meal) {
+    const analysis = (meal && meal.aiAnalysis) || {};
+    if (analysis.analysisStatus === 'failed') {
+        throw new Error(analysis.analysisError || 'Analysis failed');
+    }
+    return {
+        done: analysis.analysisStatus === 'completed',
+        meal,
+        stage: analysis.stage || 'queued'
+    };
+}
+
+// fetchMeal: (mealId, { signal }) => Promise<meal>
+async function pollAnalysis(mealId, { fetchMeal, signal, onStage = () => {}, deadline, backoff = POLL_BACKOFF }) {
+    let transientErrors = 0;
+
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) throw abortError();
+        if (Date.now() > deadline) throw new Error('Analysis timeout');
+
+        try {
+            const state = analysisState(await fetchMeal(mealId, { signal }));
+            transientErrors = 0;
+            if (state.done) return state.meal;
+            onStage(state.stage);
+        } catch (error) {
+            if (!isTransientError(error) || ++transientErrors > MAX_TRANSIENT_ERRORS) throw error;
+            console.warn(`Analysis poll failed (${transientErrors}/${MAX_TRANSIENT_ERRORS}), retrying:`, error.message);
+        }
+
+        await sleep(backoffDelay(attempt, backoff), signal);
+    }
+}
+
+// One text/event-stream connection shared by every meal being watched. It is
+// read through fetch rather than EventSource so it can send the Authorization
+// header, and closes itself once nobody is subscribed.
+class AnalysisEventStream {
+    // url:     the server's analysis events endpoint
+    // headers: () => request headers, called on each (re)connect
+    constructor({ url, headers = () => ({}) }) {
+        this.url = url;
+        this.headers = headers;
+        this.listeners = new Map();
+        this.controller = null;
+        this.connected = null;
+    }
+
+    static isSupported() {
+        return typeof fetch === 'function' && typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+
+    // listener: ({ type: 'event', data } | { type: 'error', error }) => void.
+    // Resolves to an unsubscribe function once the stream is open.
+    async subscribe(mealId, listener) {
+        const listeners = this.listeners.get(mealId) || new Set();
+        listeners.add(listener);
+        this.listeners.set(mealId, listeners);
+
+        try {
+            await this.connect();
+        } catch (error) {
+            this.unsubscribe(mealId, listener);
+            throw error;
+        }
+        return () => this.unsubscribe(mealId, listener);
+    }
+
+    unsubscribe(mealId, listener) {
+        const listeners = this.listeners.get(mealId);
+        if (!listeners) return;
+
+        listeners.delete(listener);
+        if (listeners.size === 0) this.listeners.delete(mealId);
+        if (this.listeners.size === 0) this.close();
+    }
+
+    connect() {
+        if (this.connected) return this.connected;
+
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+        this.connected = fetch(this.url, {
+            headers: { Accept: 'text/event-stream', ...this.headers() },
+            signal
+        }).then(response => {
+            if (!response.ok || !response.body) {
+                const error = new Error(`Analysis stream unavailable (${response.status})`);
+                error.status = response.status;
+                throw error;
+            }
+            this.read(response.body.getReader(), signal);
+        }).catch(error => {
+            this.connected = null;
+            throw error;
+        });
+        return this.connected;
+    }
+
+    async read(reader, signal) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const messages = buffer.split(/\r?\n\r?\n/);
+                buffer = messages.pop();
+                messages.forEach(message => this.dispatch(message));
+            }
+            if (!signal.aborted) this.fail(new Error('Analysis stream closed'));
+        } catch (error) {
+            if (!signal.aborted) this.fail(error);
+        }
+    }
+
+    // Only "data:" lines matter; comments (": ping") keep the connection alive
+    dispatch(message) {
+        const data = message.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+        if (!data) return;
+
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        (this.listeners.get(event.mealId) || []).forEach(listener => listener({ type: 'event', data: event }));
+    }
+
+    // Subscribers fall back to polling; the next subscribe reconnects
+    fail(error) {
+        this.connected = null;
+        this.controller = null;
+        this.listeners.forEach(listeners => listeners.forEach(listener => listener({ type: 'error', error })));
+    }
+
+    close() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.connected = null;
+    }
+}
+
+// Resolves with the stream's completed meal. Rejects with { fallback: true }
+// when the stream can't be used, so the caller can poll instead.
+function waitOnStream(mealId, { stream, fetchMeal, signal, onStage, deadline }) {
+    return new Promise((resolve, reject) => {
+        let unsubscribe = () => {};
+        let timer = null;
+        let settled = false;
+
+        const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            unsubscribe();
+            if (signal) signal.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+        const fallback = error => settle(reject, Object.assign(error, { fallback: true }));
+        const onAbort = () => settle(reject, abortError());
+        const handle = meal => {
+            try {
+                const state = analysisState(meal);
+                if (state.done) settle(resolve, state.meal);
+                else onStage(state.stage);
+            } catch (error) {
+                settle(reject, error);
+            }
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        timer = setTimeout(() => settle(reject, new Error('Analysis timeout')), Math.max(0, deadline - Date.now()));
+
+        stream.subscribe(mealId, message => {
+            if (message.type === 'error') fallback(message.error);
+            else handle(message.data.meal);
+        }).then(off => {
+            unsubscribe = off;
+            if (settled) {
+                off();
+                return;
+            }
+            // The analysis may have finished before the stream opened
+            return fetchMeal(mealId, { signal }).then(meal => {
+                if (!settled) handle(meal);
+            });
+        }).catch(error => {
+            if (error.name === 'AbortError') onAbort();
+            else fallback(error);
+        });
+    });
+}
+
+// Resolves with the server's meal once its analysis completes.
+//   fetchMeal: (mealId, { signal }) => Promise<meal>
+//   stream:    an AnalysisEventStream, or null to poll
+//   onStage:   (stageId, label) => void while the analysis runs
+async function watchAnalysis(mealId, { fetchMeal, stream = null, signal, onStage = () => {}, timeoutMs = ANALYSIS_TIMEOUT_MS, backoff = POLL_BACKOFF }) {
+    const deadline = Date.now() + timeoutMs;
+    let lastStage = null;
+    const reportStage = stage => {
+        if (stage === lastStage) return;
+        lastStage = stage;
+        onStage(stage, ANALYSIS_STAGES[stage] || 'Analyzing');
+    };
+
+    if (stream) {
+        try {
+            return await waitOnStream(mealId, { stream, fetchMeal, signal, onStage: reportStage, deadline });
+        } catch (error) {
+            if (!error.fallback) throw error;
+            console.warn('Analysis stream unavailable, polling instead:', error.message);
+        }
+    }
+    return pollAnalysis(mealId, { fetchMeal, signal, onStage: reportStage, deadline, backoff });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANALYSIS_STAGES,
+        POLL_BACKOFF,
+        AnalysisEventStream,
+        backoffDelay,
+        isTransientError,
+        watchAnalysis
+    };
+}
@@ -0,0 +1,304 @@
+// HealthyMealTrack - Health Assistant
+// Answers chat questions offline from the health profile, the logged meals,
+// the daily targets (nutrition-targets.js), the health rules and the bundled
+// food database. Every reply lists the sources it was based on: the rule,
+// target, food entry or meals behind the advice. Questions it doesn't
+// understand return null so the caller can hand them to the remote assistant.
+
+// Words people use for each tracked nutrient, longest first when matching
+const ASSISTANT_NUTRIENT_WORDS = {
+    'saturated fat': 'saturatedFat',
+    'sat fat': 'saturatedFat',
+    carbohydrates: 'carbs',
+    carbohydrate: 'carbs',
+    carbs: 'carbs',
+    carb: 'carbs',
+    calories: 'calories',
+    calorie: 'calories',
+    kcal: 'calories',
+    sodium: 'sodium',
+    salt: 'sodium',
+    sugars: 'sugar',
+    sugar: 'sugar',
+    protein: 'protein',
+    fat: 'fat',
+    fibre: 'fiber',
+    fiber: 'fiber',
+    potassium: 'potassium'
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const ASSISTANT_HELP = 'I can answer questions like "Can I eat pizza?", "How much sodium is left today?", ' +
+    '"What did I eat yesterday?", "How much sugar is in a banana?" or "What are my daily limits?".';
+
+function formatAmount(value, nutrient) {
+    const unit = (TARGET_LABELS[nutrient] || {}).unit || '';
+    const amount = Math.round(value).toLocaleString('en-US');
+    return unit === 'kcal' ? `${amount} kcal` : `${amount}${unit === 'mg' ? ' mg' : unit}`;
+}
+
+// "1,220 mg of sodium", but just "450 kcal" for calories
+function amountOf(value, nutrient) {
+    return nutrient === 'calories' ? formatAmount(value, nutrient) : `${formatAmount(value, nutrient)} of ${nutrientLabel(nutrient)}`;
+}
+
+function nutrientLabel(nutrient) {
+    return ((TARGET_LABELS[nutrient] || {}).label || nutrient).toLowerCase();
+}
+
+function conditionLabel(condition) {
+    return PROFILE_CONDITION_LABELS[condition] || condition;
+}
+
+function findNutrient(text) {
+    const lower = text.toLowerCase();
+    const word = Object.keys(ASSISTANT_NUTRIENT_WORDS)
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => new RegExp(`\\b${candidate}\\b`).test(lower));
+    return word ? ASSISTANT_NUTRIENT_WORDS[word] : null;
+}
+
+function mealsOnDay(meals, dayKey) {
+    return meals
+        .filter(meal => localDateKey(meal.loggedAt || meal.createdAt) === dayKey)
+        .filter(meal => (meal.aiAnalysis || {}).analysisStatus !== 'processing')
+        .sort((a, b) => new Date(a.loggedAt || a.createdAt) - new Date(b.loggedAt || b.createdAt));
+}
+
+function describeMeal(meal) {
+    const foods = ((meal.aiAnalysis || {}).recognizedFoods || []).map(food => food.name).filter(Boolean);
+    return meal.description || foods.join(', ') || 'a meal';
+}
+
+function targetSource(nutrient, target) {
+    const limit = target.max !== undefined ? target.max : target.goal;
+    const kind = target.max !== undefined ? 'limit' : 'goal';
+    return { type: 'target', label: `Daily ${nutrientLabel(nutrient)} ${kind}: ${formatAmount(limit, nutrient)} (${target.reason})` };
+}
+
+function ruleSource(risk) {
+    return { type: 'rule', label: `Rule ${risk.id} (${conditionLabel(risk.condition)})` };
+}
+
+function needsProfile() {
+    return {
+        text: 'I need your health profile to work out your limits. You can set it up from Settings.',
+        sources: []
+    };
+}
+
+// "can I eat pizza?" - checks a portion against the health rules and what
+// is left of today's budget
+function answerCanEat(context, match) {
+    const parsed = parseMealDescription(match[1]);
+    if (parsed.foods.length === 0) return null;
+
+    const portion = { aiAnalysis: { nutrition: parsed.nutrition, recognizedFoods: parsed.foods } };
+    const names = parsed.foods.map(food => `${food.name} (${food.grams}g)`).join(', ');
+    const sources = parsed.foods.map(food => ({ type: 'food', label: `Food database: ${food.name}, ${food.grams}g portion` }));
+
+    if (!context.profile || !context.targets) {
+        return {
+            text: `${names} has about ${formatAmount(parsed.nutrition.calories, 'calories')}. ` +
+                'Add your health profile and I can check it against your conditions and daily limits.',
+            sources
+        };
+    }
+
+    const risks = evaluateHealthRisks(portion, context.profile);
+    const today = measureDay(mealsOnDay(context.meals, localDateKey(context.now)), context.targets);
+    const overBudget = Object.values(today.progress)
+        .filter(entry => entry.max !== undefined && (parsed.nutrition[entry.nutrient] || 0) > Math.max(0, entry.max - entry.value));
+
+    const lines = [];
+    if (risks.some(risk => risk.severity === 'high')) {
+        lines.push(`I'd avoid ${names} for now.`);
+    } else if (risks.length > 0 || overBudget.length > 0) {
+        lines.push(`${names} is fine in a smaller portion.`);
+    } else {
+        lines.push(`Yes, ${names} fits your profile and what's left of today's budget.`);
+    }
+
+    risks.forEach(risk => {
+        lines.push(risk.message);
+        sources.push(ruleSource(risk));
+    });
+    overBudget.forEach(entry => {
+        const left = Math.max(0, entry.max - entry.value);
+        lines.push(`It has ${amountOf(parsed.nutrition[entry.nutrient], entry.nutrient)}, ` +
+            `but only ${formatAmount(left, entry.nutrient)} is left of today's limit.`);
+        sources.push(targetSource(entry.nutrient, context.targets.daily[entry.nutrient]));
+    });
+
+    return { text: lines.join(' '), sources };
+}
+
+// "how much sodium is left today?" - one nutrient, or every capped one
+function answerRemaining(context, match) {
+    if (!context.targets) return needsProfile();
+
+    const todayMeals = mealsOnDay(context.meals, localDateKey(context.now));
+    const today = measureDay(todayMeals, context.targets);
+    const nutrient = findNutrient(match.input);
+    const sources = [{ type: 'meal', label: `${todayMeals.length} meal${todayMeals.length === 1 ? '' : 's'} logged today` }];
+
+    if (nutrient) {
+        const entry = today.progress[nutrient];
+        const target = context.targets.daily[nutrient];
+        if (!entry || (target.max === undefined && target.goal === undefined)) {
+            return {
+                text: `You've had ${amountOf((today.totals[nutrient] || 0), nutrient)} today. ` +
+                    `There's no daily limit for it in your targets${target && target.min ? `, just a minimum of ${formatAmount(target.min, nutrient)}` : ''}.`,
+                sources
+            };
+        }
+
+        const limit = target.max !== undefined ? target.max : target.goal;
+        const left = limit - entry.value;
+        const text = left >= 0
+            ? `You've had ${amountOf(entry.value, nutrient)} today, so ${formatAmount(left, nutrient)} is left of your ${formatAmount(limit, nutrient)} ${target.max !== undefined ? 'limit' : 'goal'}.`
+            : `You've had ${amountOf(entry.value, nutrient)} today, ${formatAmount(-left, nutrient)} over your ${formatAmount(limit, nutrient)} ${target.max !== undefined ? 'limit' : 'goal'}.`;
+        return { text, sources: [targetSource(nutrient, target), ...sources] };
+    }
+
+    const capped = Object.values(today.progress).filter(entry => entry.max !== undefined);
+    const parts = capped.map(entry => `${nutrientLabel(entry.nutrient)} ${formatAmount(Math.max(0, entry.max - entry.value), entry.nutrient)}`);
+    return {
+        text: `Left for today: ${parts.join(', ')}.`,
+        sources: [...capped.map(entry => targetSource(entry.nutrient, context.targets.daily[entry.nutrient])), ...sources]
+    };
+}
+
+// Resolves "today", "yesterday", "3 days ago" or a weekday to a date
+function resolveDay(text, now) {
+    const lower = (text || 'today').toLowerCase();
+    const date = new Date(now);
+    const ago = /(\d+)\s+days?\s+ago/.exec(lower);
+
+    if (lower.includes('yesterday') || lower.includes('last night')) {
+        date.setDate(date.getDate() - 1);
+    } else if (ago) {
+        date.setDate(date.getDate() - Number(ago[1]));
+    } else {
+        const weekday = WEEKDAYS.findIndex(day => lower.includes(day));
+        if (weekday !== -1) {
+            date.setDate(date.getDate() - (((date.getDay() - weekday) + 7) % 7 || 7));
+        }
+    }
+    return date;
+}
+
+// "what did I eat yesterday?"
+function answerMealHistory(context, match) {
+    const date = resolveDay(match[1], context.now);
+    const dayKey = localDateKey(date);
+    const meals = mealsOnDay(context.meals, dayKey);
+    const isToday = dayKey === localDateKey(context.now);
+    const dayLabel = isToday ? 'today'
+        : dayKey === localDateKey(resolveDay('yesterday', context.now)) ? 'yesterday'
+            : `on ${date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}`;
+
+    if (meals.length === 0) {
+        return { text: `You haven't logged any meals ${dayLabel}.`, sources: [] };
+    }
+
+    const list = meals.map(meal => {
+        const time = new Date(meal.loggedAt || meal.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return `${meal.mealType || 'meal'} at ${time}: ${describeMeal(meal)} (${formatAmount(meal.totalCalories || 0, 'calories')})`;
+    });
+    const totals = sumMealNutrition(meals);
+
+    return {
+        text: `${isToday ? 'Today' : dayLabel[0].toUpperCase() + dayLabel.slice(1)} you logged ${list.join('; ')}. ` +
+            `Total: ${formatAmount(totals.calories || 0, 'calories')}, ${formatAmount(totals.sodium || 0, 'sodium')} sodium, ${formatAmount(totals.sugar || 0, 'sugar')} sugar.`,
+        sources: [{ type: 'meal', label: `${meals.length} logged meal${meals.length === 1 ? '' : 's'} from ${dayKey}` }]
+    };
+}
+
+// "how much sugar is in a banana?"
+function answerFoodNutrient(context, match) {
+    const nutrient = findNutrient(match[1]);
+    const parsed = parseMealDescription(match[2]);
+    if (!nutrient || parsed.foods.length === 0) return null;
+
+    const names = parsed.foods.map(food => `${food.name} (${food.grams}g)`).join(', ');
+    const sources = parsed.foods.map(food => ({ type: 'food', label: `Food database: ${food.name}, ${food.grams}g portion` }));
+    let text = `${names} has about ${amountOf(parsed.nutrition[nutrient] || 0, nutrient)}.`;
+
+    const target = context.targets && context.targets.daily[nutrient];
+    if (target && target.max !== undefined) {
+        text += ` That's ${Math.round((parsed.nutrition[nutrient] || 0) / target.max * 100)}% of your daily limit.`;
+        sources.push(targetSource(nutrient, target));
+    }
+    return { text, sources };
+}
+
+// "what are my daily limits?"
+function answerTargets(context) {
+    if (!context.targets) return needsProfile();
+
+    const entries = Object.entries(context.targets.daily);
+    const parts = entries.map(([nutrient, target]) => {
+        if (target.max !== undefined && target.goal === undefined) return `${nutrientLabel(nutrient)} under ${formatAmount(target.max, nutrient)}`;
+        if (target.goal !== undefined) return `${nutrientLabel(nutrient)} about ${formatAmount(target.goal, nutrient)}`;
+        return `${nutrientLabel(nutrient)} at least ${formatAmount(target.min, nutrient)}`;
+    });
+    const conditions = ((context.profile && context.profile.conditions) || []).map(conditionLabel);
+
+    return {
+        text: `Your daily targets: ${parts.join(', ')}.`,
+        sources: [
+            ...entries.map(([nutrient, target]) => ({ type: 'target', label: `${(TARGET_LABELS[nutrient] || {}).label || nutrient}: ${target.reason}` })),
+            ...(conditions.length ? [{ type: 'profile', label: `Health profile: ${conditions.join(', ')}` }] : [])
+        ]
+    };
+}
+
+function answerHelp() {
+    return { text: ASSISTANT_HELP, sources: [] };
+}
+
+// Tried in order; the first pattern that matches and yields an answer wins
+const ASSISTANT_INTENTS = [
+    { id: 'help', patterns: [/^\s*(?:hi|hello|hey|help|what can you do)\b/i], answer: answerHelp },
+    { id: 'meal-history', patterns: [/\bwhat did i (?:eat|have)\b(.*)/i, /\b(?:my\s+)?meals?\s+(today|yesterday|on \w+|\d+ days? ago)/i], answer: answerMealHistory },
+    { id: 'remaining', patterns: [/\b(?:left|remaining)\b.*/i, /\bhow much more\b.*/i], answer: answerRemaining },
+    { id: 'targets', patterns: [/\b(?:my|daily)\s+(?:targets?|limits?|goals?|budget)\b/i], answer: answerTargets },
+    { id: 'food-nutrient', patterns: [/\bhow (?:much|many)\s+([a-z ]+?)\s+(?:is |are )?in\s+(.+?)\??$/i, /\b([a-z ]+?)\s+in\s+(.+?)\??$/i], answer: answerFoodNutrient },
+    {
+        id: 'can-eat',
+        patterns: [
+            /\b(?:can|could|may|should)\s+i\s+(?:eat|have|drink)\s+(?:some\s+)?(.+?)\??$/i,
+            /\bis\s+(.+?)\s+(?:ok|okay|safe|good|bad|healthy|allowed)\b/i
+        ],
+        answer: answerCanEat
+    }
+];
+
+// context: { profile, meals, targets, now }. Returns { intent, text, sources }
+// or null when no local intent can answer the question.
+function answerHealthQuestion(question, context) {
+    const text = String(question || '').trim();
+    if (!text) return null;
+
+    for (const intent of ASSISTANT_INTENTS) {
+        for (const pattern of intent.patterns) {
+            const match = pattern.exec(text);
+            if (!match) continue;
+
+            const reply = intent.answer(context, match);
+            if (reply) return { intent: intent.id, ...reply };
+        }
+    }
+    return null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ASSISTANT_INTENTS,
+        ASSISTANT_HELP,
+        answerHealthQuestion
+    };
+}
@@ -0,0 +1,305 @@
+// HealthyMealTrack - Clinician Report
+// Summarizes a date range for a dietitian or doctor: profile, conditions and
+// medications, average daily intake against the personal targets, the foods
+// behind warnings, health risks by severity and the lab values entered in the
+// profile wizard. report.html renders it as a print-optimized page.
+
+const REPORT_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'saturatedFat', 'fiber', 'sugar', 'sodium', 'potassium'];
+const REPORT_SEVERITIES = ['high', 'medium', 'low'];
+const REPORT_TOP_FOODS = 10;
+const REPORT_DEFAULT_DAYS = 30;
+
+// Default range: the last REPORT_DEFAULT_DAYS days up to today
+function defaultReportRange(now = new Date()) {
+    const from = new Date(now);
+    from.setDate(from.getDate() - (REPORT_DEFAULT_DAYS - 1));
+    return { from: localDateKey(from), to: localDateKey(now) };
+}
+
+function countReportDays(from, to) {
+    const start = new Date(`${from}T00:00:00`);
+    const end = new Date(`${to}T00:00:00`);
+    return Math.max(0, Math.round((end - start) / 86400000) + 1);
+}
+
+// Average per logged day, with how many days went over a cap or under a
+// minimum
+function summarizeIntake(days, targets) {
+    return REPORT_NUTRIENTS
+        .filter(nutrient => targets.daily[nutrient] || days.some(day => typeof day.totals[nutrient] === 'number'))
+        .map(nutrient => {
+            const target = targets.daily[nutrient] || {};
+            const values = days.map(day => day.totals[nutrient] || 0);
+            const average = values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+            let status = 'ok';
+            if (target.max !== undefined && average > target.max) status = 'over';
+            else if (target.min !== undefined && average < target.min) status = 'under';
+
+            return {
+                nutrient,
+                ...TARGET_LABELS[nutrient],
+                average,
+                goal: target.goal,
+                min: target.min,
+                max: target.max,
+                reason: target.reason,
+                status,
+                daysOver: target.max !== undefined ? values.filter(value => value > target.max).length : null,
+                daysUnder: target.min !== undefined ? values.filter(value => value < target.min).length : null
+            };
+        });
+}
+
+// Which foods a risk is about: the foods a food rule matched, otherwise the
+// food that contributed most of the nutrient, otherwise all of the meal's foods
+function riskFoods(risk, meal) {
+    if (Array.isArray(risk.foods) && risk.foods.length) return risk.foods;
+
+    const foods = (meal.aiAnalysis && meal.aiAnalysis.recognizedFoods) || [];
+    if (risk.nutrient) {
+        const top = foods
+            .filter(food => food.nutrition && typeof food.nutrition[risk.nutrient] === 'number')
+            .sort((a, b) => b.nutrition[risk.nutrient] - a.nutrition[risk.nutrient])[0];
+        if (top) return [top.name];
+    }
+    return foods.map(food => food.name).filter(Boolean);
+}
+
+function summarizeRisks(meals) {
+    const bySeverity = { high: 0, medium: 0, low: 0 };
+    const byCondition = {};
+    const foods = {};
+
+    meals.forEach(meal => {
+        ((meal.aiAnalysis && meal.aiAnalysis.healthRisks) || []).forEach(risk => {
+            const severity = REPORT_SEVERITIES.includes(risk.severity) ? risk.severity : 'low';
+            bySeverity[severity]++;
+
+            const condition = risk.condition || 'other';
+            byCondition[condition] = byCondition[condition] || { condition, high: 0, medium: 0, low: 0 };
+            byCondition[condition][severity]++;
+
+            riskFoods(risk, meal).forEach(name => {
+                const key = name.toLowerCase();
+                foods[key] = foods[key] || { name, count: 0, high: 0, conditions: new Set() };
+                foods[key].count++;
+                if (severity === 'high') foods[key].high++;
+                foods[key].conditions.add(condition);
+            });
+        });
+    });
+
+    return {
+        bySeverity,
+        total: bySeverity.high + bySeverity.medium + bySeverity.low,
+        byCondition: Object.values(byCondition)
+            .sort((a, b) => (b.high - a.high) || ((b.high + b.medium + b.low) - (a.high + a.medium + a.low))),
+        triggerFoods: Object.values(foods)
+            .sort((a, b) => (b.count - a.count) || (b.high - a.high))
+            .slice(0, REPORT_TOP_FOODS)
+            .map(food => ({ ...food, conditions: [...food.conditions] }))
+    };
+}
+
+// The conditionDetails answers with the readings parsed from each
+function summarizeLabs(profile) {
+    return Object.entries(profile.conditionDetails || {}).map(([condition, text]) => {
+        const { labValues } = parseLabValues({ [condition]: text });
+        const readings = Object.entries(labValues).map(([key, value]) => {
+            const range = PROFILE_RANGES[key];
+            return {
+                key,
+                label: range ? range.label : key,
+                value,
+                unit: range && range.unit ? range.unit : ''
+            };
+        });
+        return { condition, text, readings };
+    });
+}
+
+// Everything the report shows for meals logged from `from` to `to`
+// (inclusive local dates, "2024-05-01")
+function buildClinicianReport({ meals, profile, from, to, now = new Date() }) {
+    profile = profile || {};
+    const targets = computeDailyTargets(profile);
+    const inRange = meals.filter(meal => {
+        const day = localDateKey(meal.loggedAt || meal.createdAt);
+        return day >= from && day <= to;
+    });
+    const byDay = groupMealsByDay(inRange);
+    const today = localDateKey(now);
+    const days = Object.keys(byDay).sort().map(day => {
+        const measured = measureDay(byDay[day], targets, { complete: day !== today });
+        return { day, meals: byDay[day].length, totals: measured.totals, compliance: measured.compliance };
+    });
+    const scored = days.filter(day => day.compliance !== null);
+
+    return {
+        generatedAt: now.toISOString(),
+        from,
+        to,
+        dayCount: countReportDays(from, to),
+        loggedDays: days.length,
+        mealCount: inRange.length,
+        profile,
+        targets,
+        intake: summarizeIntake(days, targets),
+        compliance: scored.length
+            ? Math.round(scored.reduce((sum, day) => sum + day.compliance, 0) / scored.length)
+            : null,
+        risks: summarizeRisks(inRange),
+        labs: summarizeLabs(profile)
+    };
+}
+
+function formatReportDate(key) {
+    return new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderReportProfile(profile) {
+    const conditions = (profile.conditions || []).map(condition => PROFILE_CONDITION_LABELS[condition] || condition);
+    if (profile.customCondition) conditions.push(profile.customCondition);
+
+    const rows = [
+        ['Name', profile.name],
+        ['Age', profile.age],
+        ['Gender', profile.gender],
+        ['Weight', profile.weight && `${profile.weight} kg`],
+        ['Height', profile.height && `${profile.height} cm`],
+        ['BMI', profile.bmi && `${profile.bmi}${profile.bmiCategory ? ` (${profile.bmiCategory})` : ''}`],
+        ['Activity', profile.activityLevel],
+        ['Conditions', conditions.join(', ') || 'None reported'],
+        ['Medications', profile.medications || 'None reported'],
+        ['Allergies', formatAllergens(profileAllergens(profile)) || 'None reported']
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+    return html`<dl class="report-profile">${rows.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}</dl>`;
+}
+
+function renderReportIntake(report) {
+    if (report.loggedDays === 0) return html`<p class="report-empty">No meals were logged in this period.</p>`;
+
+    const targetText = entry => {
+        if (entry.max !== undefined && entry.goal !== undefined) return `${entry.goal} (max ${entry.max})`;
+        if (entry.max !== undefined) return `max ${entry.max}`;
+        if (entry.min !== undefined) return `min ${entry.min}`;
+        return entry.goal !== undefined ? entry.goal : '—';
+    };
+    const daysText = entry => {
+        if (entry.daysOver !== null) return `${entry.daysOver} over`;
+        if (entry.daysUnder !== null) return `${entry.daysUnder} under`;
+        return '—';
+    };
+
+    return html`
+        <table class="report-table">
+            <thead><tr><th>Nutrient</th><th>Average / day</th><th>Target</th><th>Days off target</th><th>Basis</th></tr></thead>
+            <tbody>
+                ${report.intake.map(entry => html`
+                    <tr class="${entry.status}">
+                        <td>${entry.label}</td>
+                        <td>${entry.average} ${entry.unit}</td>
+                        <td>${targetText(entry)} ${entry.goal !== undefined || entry.min !== undefined || entry.max !== undefined ? entry.unit : ''}</td>
+                        <td>${daysText(entry)} of ${report.loggedDays}</td>
+                        <td>${entry.reason || ''}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderReportRisks(risks) {
+    if (risks.total === 0) return html`<p class="report-empty">No health warnings in this period.</p>`;
+
+    return html`
+        <p class="report-severity">
+            ${REPORT_SEVERITIES.map((severity, index) => html`${index ? ' ' : ''}<span class="severity ${severity}">${risks.bySeverity[severity]} ${severity}</span>`)}
+        </p>
+        <table class="report-table">
+            <thead><tr><th>Condition</th><th>High</th><th>Medium</th><th>Low</th></tr></thead>
+            <tbody>
+                ${risks.byCondition.map(row => html`
+                    <tr>
+                        <td>${PROFILE_CONDITION_LABELS[row.condition] || row.condition}</td>
+                        <td>${row.high}</td><td>${row.medium}</td><td>${row.low}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+        <h3>Foods behind warnings</h3>
+        <table class="report-table">
+            <thead><tr><th>Food</th><th>Warnings</th><th>High</th><th>Conditions</th></tr></thead>
+            <tbody>
+                ${risks.triggerFoods.map(food => html`
+                    <tr>
+                        <td>${food.name}</td>
+                        <td>${food.count}</td>
+                        <td>${food.high}</td>
+                        <td>${food.conditions.map(condition => PROFILE_CONDITION_LABELS[condition] || condition).join(', ')}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderReportLabs(labs) {
+    if (labs.length === 0) return html`<p class="report-empty">No lab values entered.</p>`;
+
+    return html`
+        <table class="report-table">
+            <thead><tr><th>Condition</th><th>Reported</th><th>Reading</th></tr></thead>
+            <tbody>
+                ${labs.map(lab => html`
+                    <tr>
+                        <td>${PROFILE_CONDITION_LABELS[lab.condition] || lab.condition}</td>
+                        <td>${lab.text}</td>
+                        <td>${lab.readings.length
+                            ? lab.readings.map((reading, index) => html`${index ? html`<br>` : ''}${reading.label}: ${reading.value}${reading.unit ? ` ${reading.unit}` : ''}`)
+                            : '—'}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+// The report body as html`` markup, so every value in it is escaped
+function renderClinicianReport(report) {
+    return html`
+        <header class="report-header">
+            <h1>Nutrition Summary</h1>
+            <p>${formatReportDate(report.from)} – ${formatReportDate(report.to)}
+                · ${report.mealCount} meals on ${report.loggedDays} of ${report.dayCount} days
+                ${report.compliance !== null ? `· ${report.compliance}% target compliance` : ''}</p>
+            <p class="report-generated">Generated ${new Date(report.generatedAt).toLocaleString()} by HealthyMealTrack from self-logged meals. Nutrition values are estimates.</p>
+        </header>
+        <section class="report-section">
+            <h2>Patient Profile</h2>
+            ${renderReportProfile(report.profile)}
+        </section>
+        <section class="report-section">
+            <h2>Average Daily Intake</h2>
+            ${renderReportIntake(report)}
+        </section>
+        <section class="report-section">
+            <h2>Health Warnings</h2>
+            ${renderReportRisks(report.risks)}
+        </section>
+        <section class="report-section">
+            <h2>Lab Values</h2>
+            ${renderReportLabs(report.labs)}
+        </section>
+    `;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        defaultReportRange,
+        buildClinicianReport,
+        renderClinicianReport
+    };
+}
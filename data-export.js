@@ -0,0 +1,431 @@
+// HealthyMealTrack - Data Export and Import
+// Exports the meal log and health profile as CSV, as versioned JSON and as a
+// FHIR-style bundle (nutrition intake and lab values as Observations) for a
+// doctor or another app. JSON exports can be imported again: the file is
+// validated, duplicates are previewed and the meals merged into the store.
+
+const EXPORT_FORMAT = 'healthymealtrack';
+// Bump when the JSON layout changes; imports accept this version or older
+const EXPORT_VERSION = 1;
+
+const EXPORT_MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const EXPORT_NUTRIENTS = [
+    { key: 'calories', label: 'Calories', unit: 'kcal' },
+    { key: 'protein', label: 'Protein', unit: 'g' },
+    { key: 'carbs', label: 'Carbohydrates', unit: 'g' },
+    { key: 'fat', label: 'Fat', unit: 'g' },
+    { key: 'saturatedFat', label: 'Saturated fat', unit: 'g' },
+    { key: 'fiber', label: 'Fiber', unit: 'g' },
+    { key: 'sugar', label: 'Sugar', unit: 'g' },
+    { key: 'sodium', label: 'Sodium', unit: 'mg' },
+    { key: 'potassium', label: 'Potassium', unit: 'mg' }
+];
+
+const FHIR_UCUM = 'http://unitsofmeasure.org';
+const FHIR_LOINC = 'http://loinc.org';
+const FHIR_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+// Nutrients have no LOINC codes in common use, so they get a local system
+const FHIR_NUTRIENT_SYSTEM = 'urn:healthymealtrack:nutrient';
+
+// Profile measurements and labValues -> LOINC observations
+const FHIR_MEASUREMENTS = [
+    { key: 'weight', loinc: '29463-7', display: 'Body weight', unit: 'kg', ucum: 'kg', category: 'vital-signs' },
+    { key: 'height', loinc: '8302-2', display: 'Body height', unit: 'cm', ucum: 'cm', category: 'vital-signs' },
+    { key: 'bmi', loinc: '39156-5', display: 'Body mass index', unit: 'kg/m2', ucum: 'kg/m2', category: 'vital-signs' }
+];
+const FHIR_LABS = [
+    { key: 'bloodSugar', loinc: '2339-0', display: 'Glucose [Mass/volume] in Blood', unit: 'mg/dL', ucum: 'mg/dL' },
+    { key: 'cholesterol', loinc: '2093-3', display: 'Cholesterol [Mass/volume] in Serum or Plasma', unit: 'mg/dL', ucum: 'mg/dL' },
+    { key: 'potassium', loinc: '2823-3', display: 'Potassium [Moles/volume] in Serum or Plasma', unit: 'mmol/L', ucum: 'mmol/L' },
+    { key: 'creatinine', loinc: '2160-0', display: 'Creatinine [Mass/volume] in Serum or Plasma', unit: 'mg/dL', ucum: 'mg/dL' },
+    { key: 'tsh', loinc: '3016-3', display: 'Thyrotropin [Units/volume] in Serum or Plasma', unit: 'µIU/mL', ucum: 'u[IU]/mL' },
+    { key: 'hemoglobin', loinc: '718-7', display: 'Hemoglobin [Mass/volume] in Blood', unit: 'g/dL', ucum: 'g/dL' }
+];
+
+function mealTime(meal) {
+    return meal.loggedAt || meal.createdAt;
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+// CSV
+
+// Quotes values containing separators, and defuses values a spreadsheet
+// would run as a formula
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// One row per meal, oldest first, with nutrition and health risks
+function mealsToCsv(meals) {
+    const header = [
+        'Date', 'Time', 'Meal type', 'Description', 'Foods',
+        ...EXPORT_NUTRIENTS.map(nutrient => `${nutrient.label} (${nutrient.unit})`),
+        'Health risks'
+    ];
+    const rows = [...meals]
+        .sort((a, b) => new Date(mealTime(a)) - new Date(mealTime(b)))
+        .map(meal => {
+            const date = new Date(mealTime(meal));
+            const nutrition = mealNutrition(meal);
+            const analysis = meal.aiAnalysis || {};
+            return [
+                localDateKey(date),
+                `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`,
+                meal.mealType,
+                meal.description,
+                (analysis.recognizedFoods || []).map(food => food.name).join('; '),
+                ...EXPORT_NUTRIENTS.map(({ key }) => nutrition[key]),
+                (analysis.healthRisks || []).map(risk => `${risk.severity}: ${risk.message}`).join('; ')
+            ];
+        });
+    return toCsv([header, ...rows]);
+}
+
+// Field/value rows for the health profile
+function profileToCsv(profile = {}) {
+    const labValues = profile.labValues || {};
+    const conditionDetails = profile.conditionDetails || {};
+    const rows = [
+        ['Name', profile.name],
+        ['Age', profile.age],
+        ['Gender', profile.gender],
+        ['Weight (kg)', profile.weight],
+        ['Height (cm)', profile.height],
+        ['BMI', profile.bmi],
+        ['Activity level', profile.activityLevel],
+        ['Conditions', (profile.conditions || []).map(condition => PROFILE_CONDITION_LABELS[condition] || condition).join('; ')],
+        ...Object.entries(conditionDetails).map(([condition, text]) => [`Details: ${PROFILE_CONDITION_LABELS[condition] || condition}`, text]),
+        ...Object.entries(labValues).map(([key, value]) => {
+            const range = PROFILE_RANGES[key];
+            return [`Lab: ${range ? range.label : key}${range && range.unit ? ` (${range.unit})` : ''}`, value];
+        }),
+        ['Other condition', profile.customCondition],
+        ['Medications', profile.medications],
+        ['Allergies', formatAllergens(profileAllergens(profile))],
+        ['Updated', profile.updatedAt]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return toCsv([['Field', 'Value'], ...rows]);
+}
+
+// JSON
+
+function buildExport({ meals, profile, exportedAt = new Date().toISOString() }) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt,
+        profile: profile || null,
+        meals: meals.map(meal => ({ ...meal }))
+    };
+}
+
+// FHIR
+
+function fhirQuantity(value, unit, ucum = unit) {
+    return { value, unit, system: FHIR_UCUM, code: ucum };
+}
+
+function fhirCategory(code) {
+    return [{ coding: [{ system: FHIR_CATEGORY, code }] }];
+}
+
+function fhirLoincObservation({ id, loinc, display, category, value, unit, ucum, effective }) {
+    return {
+        resourceType: 'Observation',
+        id,
+        status: 'final',
+        category: fhirCategory(category),
+        code: { coding: [{ system: FHIR_LOINC, code: loinc, display }], text: display },
+        subject: { reference: 'Patient/patient' },
+        effectiveDateTime: effective,
+        valueQuantity: fhirQuantity(value, unit, ucum)
+    };
+}
+
+// Meal -> Observation with one component per nutrient; foods and health
+// risks go in the notes
+function mealObservation(meal) {
+    const nutrition = mealNutrition(meal);
+    const analysis = meal.aiAnalysis || {};
+    const foods = (analysis.recognizedFoods || []).map(food => food.name).filter(Boolean);
+    const notes = [
+        meal.description && { text: meal.description },
+        foods.length && { text: `Foods: ${foods.join(', ')}` },
+        ...(analysis.healthRisks || []).map(risk => ({ text: `Health risk (${risk.severity}): ${risk.message}` }))
+    ].filter(Boolean);
+
+    return {
+        resourceType: 'Observation',
+        id: `meal-${String(meal.id).replace(/[^A-Za-z0-9.-]/g, '-')}`.slice(0, 64),
+        status: 'final',
+        code: { coding: [{ system: FHIR_NUTRIENT_SYSTEM, code: 'meal-intake', display: 'Meal nutrition intake' }], text: `${meal.mealType || 'meal'} nutrition intake` },
+        subject: { reference: 'Patient/patient' },
+        effectiveDateTime: mealTime(meal),
+        component: EXPORT_NUTRIENTS
+            .filter(({ key }) => typeof nutrition[key] === 'number')
+            .map(({ key, label, unit }) => ({
+                code: { coding: [{ system: FHIR_NUTRIENT_SYSTEM, code: key, display: label }], text: label },
+                valueQuantity: fhirQuantity(nutrition[key], unit)
+            })),
+        ...(notes.length && { note: notes })
+    };
+}
+
+// A collection Bundle with the Patient, their conditions and allergies, body
+// measurements, lab values and one Observation per meal
+function buildFhirBundle({ meals, profile, exportedAt = new Date().toISOString() }) {
+    const resources = [];
+    profile = profile || {};
+    const effective = profile.updatedAt || exportedAt;
+
+    resources.push({
+        resourceType: 'Patient',
+        id: 'patient',
+        ...(profile.name && { name: [{ text: profile.name }] }),
+        ...(PROFILE_GENDERS.includes(profile.gender) && { gender: profile.gender })
+    });
+
+    (profile.conditions || []).forEach(condition => {
+        resources.push({
+            resourceType: 'Condition',
+            id: `condition-${condition}`,
+            subject: { reference: 'Patient/patient' },
+            code: { text: PROFILE_CONDITION_LABELS[condition] || condition },
+            ...(profile.conditionDetails && profile.conditionDetails[condition] && {
+                note: [{ text: profile.conditionDetails[condition] }]
+            })
+        });
+    });
+
+    profileAllergens(profile).forEach(entry => {
+        const label = entry.allergen ? MAJOR_ALLERGENS[entry.allergen].label : entry.ingredient;
+        resources.push({
+            resourceType: 'AllergyIntolerance',
+            id: `allergy-${String(entry.allergen || entry.ingredient).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            patient: { reference: 'Patient/patient' },
+            type: entry.severity === 'intolerance' ? 'intolerance' : 'allergy',
+            category: ['food'],
+            criticality: entry.severity === 'anaphylaxis' ? 'high' : 'low',
+            code: { text: label }
+        });
+    });
+
+    FHIR_MEASUREMENTS
+        .filter(({ key }) => typeof profile[key] === 'number')
+        .forEach(measurement => resources.push(fhirLoincObservation({
+            ...measurement,
+            id: measurement.key,
+            value: profile[measurement.key],
+            effective
+        })));
+
+    const labValues = profile.labValues || {};
+    if (typeof labValues.systolic === 'number' && typeof labValues.diastolic === 'number') {
+        resources.push({
+            resourceType: 'Observation',
+            id: 'blood-pressure',
+            status: 'final',
+            category: fhirCategory('vital-signs'),
+            code: { coding: [{ system: FHIR_LOINC, code: '85354-9', display: 'Blood pressure panel' }], text: 'Blood pressure' },
+            subject: { reference: 'Patient/patient' },
+            effectiveDateTime: effective,
+            component: [
+                { key: 'systolic', loinc: '8480-6', display: 'Systolic blood pressure' },
+                { key: 'diastolic', loinc: '8462-4', display: 'Diastolic blood pressure' }
+            ].map(({ key, loinc, display }) => ({
+                code: { coding: [{ system: FHIR_LOINC, code: loinc, display }] },
+                valueQuantity: fhirQuantity(labValues[key], 'mmHg', 'mm[Hg]')
+            }))
+        });
+    }
+    FHIR_LABS
+        .filter(({ key }) => typeof labValues[key] === 'number')
+        .forEach(lab => resources.push(fhirLoincObservation({
+            ...lab,
+            id: lab.key,
+            category: 'laboratory',
+            value: labValues[lab.key],
+            effective
+        })));
+
+    meals.forEach(meal => resources.push(mealObservation(meal)));
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: exportedAt,
+        entry: resources.map(resource => ({ resource }))
+    };
+}
+
+// Import
+
+function importedList(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function isImportableRisk(risk) {
+    return Boolean(risk) && typeof risk === 'object' && typeof risk.severity === 'string' && typeof risk.message === 'string';
+}
+
+// Returns the meal in canonical form, or a reason it can't be imported
+function validateImportedMeal(meal) {
+    if (!meal || typeof meal !== 'object') return { error: 'not a meal record' };
+    if (typeof meal.id !== 'string' || !meal.id.trim()) return { error: 'missing id' };
+    if (!isValidDate(meal.loggedAt || meal.createdAt)) return { error: 'missing or invalid date' };
+    if (!EXPORT_MEAL_TYPES.includes(meal.mealType)) return { error: `unknown meal type "${meal.mealType}"` };
+    if (typeof meal.totalCalories !== 'number' || !Number.isFinite(meal.totalCalories) || meal.totalCalories < 0) {
+        return { error: 'invalid calories' };
+    }
+
+    const analysis = meal.aiAnalysis;
+    if (!analysis || typeof analysis !== 'object') return { error: 'missing analysis' };
+    const nutrition = analysis.nutrition || {};
+    const badNutrient = Object.keys(nutrition).find(key => typeof nutrition[key] !== 'number' || nutrition[key] < 0);
+    if (badNutrient) return { error: `invalid ${badNutrient}` };
+    if (analysis.recognizedFoods !== undefined && !Array.isArray(analysis.recognizedFoods)) return { error: 'invalid foods' };
+
+    return {
+        meal: {
+            id: meal.id,
+            mealType: meal.mealType,
+            description: typeof meal.description === 'string' ? meal.description : '',
+            ...(isValidDate(meal.loggedAt) && { loggedAt: meal.loggedAt }),
+            createdAt: isValidDate(meal.createdAt) ? meal.createdAt : meal.loggedAt,
+            ...(typeof meal.imageUrl === 'string' && /^https?:\/\//.test(meal.imageUrl) && { imageUrl: meal.imageUrl }),
+            ...(isValidDate(meal.editedAt) && { editedAt: meal.editedAt }),
+            totalCalories: Math.round(meal.totalCalories),
+            // Only the fields the app reads, each in the shape it expects
+            aiAnalysis: {
+                analysisStatus: 'completed',
+                ...(typeof analysis.source === 'string' && { source: analysis.source }),
+                recognizedFoods: (analysis.recognizedFoods || []).filter(food => food && typeof food.name === 'string'),
+                nutrition,
+                healthRisks: importedList(analysis.healthRisks).filter(isImportableRisk),
+                warnings: importedList(analysis.warnings).filter(warning => typeof warning === 'string'),
+                recommendations: importedList(analysis.recommendations).filter(item => typeof item === 'string')
+            }
+        }
+    };
+}
+
+// Parses an exported JSON file. Returns { meals, profile, skipped, errors }:
+// errors means nothing can be imported; skipped lists meals that were left
+// out and why. The profile goes through the same checks as form.html.
+function parseImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { errors: ['The file is not valid JSON.'] };
+    }
+    if (!data || data.format !== EXPORT_FORMAT) {
+        return { errors: ['This is not a HealthyMealTrack export.'] };
+    }
+    if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+        return { errors: [`Export version ${data.version} is not supported by this version of the app.`] };
+    }
+    if (!Array.isArray(data.meals)) {
+        return { errors: ['The export has no meal list.'] };
+    }
+
+    const meals = [];
+    const skipped = [];
+    const seen = new Set();
+    data.meals.forEach((entry, index) => {
+        const { meal, error } = validateImportedMeal(entry);
+        if (error) {
+            skipped.push(`Meal ${index + 1}: ${error}`);
+        } else if (seen.has(meal.id)) {
+            skipped.push(`Meal ${index + 1}: repeats id ${meal.id}`);
+        } else {
+            seen.add(meal.id);
+            meals.push(meal);
+        }
+    });
+
+    let profile = null;
+    if (data.profile) {
+        const { profile: checked, errors } = buildHealthProfile(profileToFormValues(data.profile));
+        if (Object.keys(errors).length) {
+            skipped.push(`Profile: ${Object.values(errors).join('; ')}`);
+        } else {
+            profile = { ...checked, updatedAt: isValidDate(data.profile.updatedAt) ? data.profile.updatedAt : checked.updatedAt };
+        }
+    }
+
+    return { meals, profile, skipped, errors: [] };
+}
+
+// Meals exported from another device get new ids, so a meal also counts as
+// a duplicate when its type, minute and calories match
+function mealFingerprint(meal) {
+    const time = new Date(mealTime(meal));
+    time.setSeconds(0, 0);
+    return `${meal.mealType}|${time.toISOString()}|${Math.round(meal.totalCalories || 0)}`;
+}
+
+function sameMealContent(a, b) {
+    const content = meal => JSON.stringify([
+        meal.mealType,
+        mealTime(meal),
+        meal.totalCalories,
+        ((meal.aiAnalysis && meal.aiAnalysis.recognizedFoods) || []).map(food => [food.name, food.grams || food.quantity])
+    ]);
+    return content(a) === content(b);
+}
+
+// Splits imported meals into { added, duplicates: [{ incoming, existing, identical }] }
+function previewImport(incoming, existingMeals) {
+    const byId = new Map(existingMeals.map(meal => [meal.id, meal]));
+    const byFingerprint = new Map(existingMeals.map(meal => [mealFingerprint(meal), meal]));
+    const added = [];
+    const duplicates = [];
+
+    incoming.forEach(meal => {
+        const existing = byId.get(meal.id) || byFingerprint.get(mealFingerprint(meal));
+        if (existing) {
+            duplicates.push({ incoming: meal, existing, identical: sameMealContent(meal, existing) });
+        } else {
+            added.push(meal);
+        }
+    });
+    return { added, duplicates };
+}
+
+// Meals to save for a previewed import. Duplicates are skipped unless
+// replaceDuplicates is set; a replacement keeps the existing meal's id.
+function mealsToMerge({ added, duplicates }, { replaceDuplicates = false } = {}) {
+    const replacements = replaceDuplicates
+        ? duplicates
+            .filter(duplicate => !duplicate.identical)
+            .map(({ incoming, existing }) => ({ ...incoming, id: existing.id }))
+        : [];
+    return [...added, ...replacements];
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_FORMAT,
+        EXPORT_VERSION,
+        mealsToCsv,
+        profileToCsv,
+        buildExport,
+        buildFhirBundle,
+        parseImport,
+        previewImport,
+        mealsToMerge
+    };
+}
@@ -0,0 +1,69 @@
+// HealthyMealTrack - Demo Meals
+// Optional sample meals for trying the dashboard before logging anything.
+// They are only added on request: the empty meal list's "Try demo meals"
+// button, or opening dashboard.html?demo with no meals logged.
+
+const DEMO_MEALS = [
+    {
+        mealType: 'breakfast',
+        time: [8, 15],
+        description: 'Oatmeal with banana and a glass of milk',
+        imageUrl: 'https://images.unsplash.com/photo-1517673132405-a56a62b18caf?ixlib=rb-4.0.3&auto=format&fit=crop&w=400&q=80',
+        foods: ['Oatmeal', 'Banana', 'Milk'],
+        nutrition: { calories: 390, protein: 15, carbs: 66, fat: 8, saturatedFat: 3, fiber: 7, sugar: 26, sodium: 120, potassium: 820 }
+    },
+    {
+        mealType: 'lunch',
+        time: [12, 30],
+        description: 'Grilled Chicken Salad',
+        imageUrl: 'https://images.unsplash.com/photo-1546069901-ba9599a7e63c?ixlib=rb-4.0.3&auto=format&fit=crop&w=400&q=80',
+        foods: ['Grilled chicken breast', 'Mixed salad', 'Olive oil'],
+        nutrition: { calories: 320, protein: 28, carbs: 15, fat: 16, saturatedFat: 3, fiber: 5, sugar: 6, sodium: 380, potassium: 650 }
+    },
+    {
+        mealType: 'dinner',
+        time: [19, 45],
+        description: 'Pasta with Tomato Sauce',
+        imageUrl: 'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?ixlib=rb-4.0.3&auto=format&fit=crop&w=400&q=80',
+        foods: ['Spaghetti', 'Tomato sauce', 'Parmesan'],
+        nutrition: { calories: 450, protein: 12, carbs: 65, fat: 14, saturatedFat: 5, fiber: 4, sugar: 9, sodium: 720, potassium: 540 }
+    }
+];
+
+// Canonical meal records for today, skipping meal times still in the future
+function buildDemoMeals(now = new Date()) {
+    return DEMO_MEALS
+        .map((demo, index) => {
+            const loggedAt = new Date(now);
+            loggedAt.setHours(demo.time[0], demo.time[1], 0, 0);
+            return { demo, index, loggedAt };
+        })
+        .filter(({ loggedAt, index }) => index === 0 || loggedAt <= now)
+        .map(({ demo, index, loggedAt }) => ({
+            id: `demo-${localDateKey(now)}-${index}`,
+            demo: true,
+            mealType: demo.mealType,
+            description: demo.description,
+            imageUrl: demo.imageUrl,
+            totalCalories: demo.nutrition.calories,
+            createdAt: loggedAt.toISOString(),
+            loggedAt: loggedAt.toISOString(),
+            aiAnalysis: {
+                analysisStatus: 'completed',
+                source: 'demo',
+                recognizedFoods: demo.foods.map(name => ({ name })),
+                nutrition: { ...demo.nutrition },
+                healthRisks: [],
+                warnings: [],
+                recommendations: []
+            }
+        }));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEMO_MEALS,
+        buildDemoMeals
+    };
+}
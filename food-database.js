@@ -0,0 +1,364 @@
+// HealthyMealTrack - Offline Food Database
+// Bundled food composition table (values per 100g, approximate USDA figures)
+// and a parser that turns free-text meal descriptions such as
+// "2 eggs, a slice of whole wheat toast and 200ml milk" into recognized foods
+// with portions and summed nutrition.
+
+const FOOD_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'saturatedFat', 'fiber', 'sugar', 'sodium', 'potassium'];
+
+// n: [calories, protein g, carbs g, fat g, saturated fat g, fiber g, sugar g, sodium mg, potassium mg] per 100g
+// serving: grams for one unspecified portion ("an apple", "some rice")
+// units: grams per named unit (slice, piece, cup, ...); ml is converted with density
+const FOOD_DATA = [
+    // Eggs, dairy
+    { id: 'egg', name: 'Egg', aliases: ['eggs', 'boiled egg', 'fried egg', 'scrambled eggs', 'omelette', 'omelet'], n: [143, 12.6, 0.7, 9.5, 3.1, 0, 0.4, 142, 138], serving: 50, units: { piece: 50 }, allergens: ['egg'] },
+    { id: 'milk', name: 'Milk', aliases: ['whole milk', 'cow milk'], n: [61, 3.2, 4.8, 3.3, 1.9, 0, 5.1, 43, 132], serving: 244, units: { cup: 244, glass: 250 }, density: 1.03, allergens: ['milk', 'lactose'] },
+    { id: 'skim-milk', name: 'Skim Milk', aliases: ['skimmed milk', 'low fat milk', 'nonfat milk'], n: [34, 3.4, 5, 0.1, 0.1, 0, 5, 42, 156], serving: 245, units: { cup: 245, glass: 250 }, density: 1.03, allergens: ['milk', 'lactose'] },
+    { id: 'soy-milk', name: 'Soy Milk', aliases: ['soymilk'], n: [43, 2.9, 4.9, 1.5, 0.2, 0.2, 3.7, 47, 122], serving: 243, units: { cup: 243, glass: 250 }, density: 1.01, allergens: ['soy'] },
+    { id: 'yogurt', name: 'Yogurt', aliases: ['plain yogurt', 'yoghurt', 'curd', 'dahi'], n: [61, 3.5, 4.7, 3.3, 2.1, 0, 4.7, 46, 155], serving: 170, units: { cup: 245, bowl: 200 }, allergens: ['milk', 'lactose'] },
+    { id: 'greek-yogurt', name: 'Greek Yogurt', aliases: ['greek yoghurt'], n: [59, 10.2, 3.6, 0.4, 0.1, 0, 3.2, 36, 141], serving: 170, units: { cup: 245 }, allergens: ['milk', 'lactose'] },
+    { id: 'cheddar', name: 'Cheddar Cheese', aliases: ['cheese', 'cheddar'], n: [403, 24.9, 1.3, 33.1, 21.1, 0, 0.5, 621, 98], serving: 28, units: { slice: 28, cup: 113 }, allergens: ['milk'] },
+    { id: 'paneer', name: 'Paneer', aliases: ['cottage cheese'], n: [265, 18.3, 1.2, 20.8, 13, 0, 1.2, 18, 130], serving: 100, units: { cup: 150, piece: 20 }, allergens: ['milk'] },
+    { id: 'butter', name: 'Butter', aliases: [], n: [717, 0.9, 0.1, 81.1, 51.4, 0, 0.1, 11, 24], serving: 10, units: { tbsp: 14, tsp: 5 }, allergens: ['milk'] },
+    { id: 'ice-cream', name: 'Ice Cream', aliases: ['icecream', 'gelato'], n: [207, 3.5, 23.6, 11, 6.8, 0.7, 21.2, 80, 199], serving: 66, units: { scoop: 66, cup: 132 }, allergens: ['milk', 'lactose'] },
+
+    // Breads, grains, cereals
+    { id: 'whole-wheat-bread', name: 'Whole Wheat Bread', aliases: ['whole wheat toast', 'wholemeal bread', 'brown bread', 'whole grain bread', 'wheat toast'], n: [247, 13, 41, 3.4, 0.7, 7, 5.6, 450, 250], serving: 32, units: { slice: 32, piece: 32 }, allergens: ['gluten', 'wheat'] },
+    { id: 'white-bread', name: 'White Bread', aliases: ['bread', 'toast', 'white toast'], n: [265, 9, 49, 3.2, 0.7, 2.7, 5, 491, 115], serving: 28, units: { slice: 28, piece: 28 }, allergens: ['gluten', 'wheat'] },
+    { id: 'bagel', name: 'Bagel', aliases: ['bagels'], n: [257, 10, 50.5, 1.6, 0.5, 2.1, 5.1, 443, 101], serving: 105, units: { piece: 105 }, allergens: ['gluten', 'wheat'] },
+    { id: 'roti', name: 'Roti', aliases: ['chapati', 'chapatti', 'phulka'], n: [297, 11, 46, 7.5, 1.5, 4.9, 2, 409, 210], serving: 40, units: { piece: 40 }, allergens: ['gluten', 'wheat'] },
+    { id: 'naan', name: 'Naan', aliases: ['nan bread'], n: [291, 9.6, 50.7, 5.7, 1.3, 2.2, 3.6, 465, 124], serving: 90, units: { piece: 90 }, allergens: ['gluten', 'wheat', 'milk'] },
+    { id: 'white-rice', name: 'White Rice', aliases: ['rice', 'steamed rice', 'cooked rice'], n: [130, 2.7, 28.2, 0.3, 0.1, 0.4, 0.1, 1, 35], serving: 158, units: { cup: 158, bowl: 200 }, allergens: [] },
+    { id: 'brown-rice', name: 'Brown Rice', aliases: [], n: [123, 2.7, 25.6, 1, 0.3, 1.6, 0.2, 4, 86], serving: 195, units: { cup: 195, bowl: 200 }, allergens: [] },
+    { id: 'oatmeal', name: 'Oatmeal', aliases: ['oats', 'porridge', 'rolled oats'], n: [71, 2.5, 12, 1.5, 0.3, 1.7, 0.5, 4, 70], serving: 234, units: { cup: 234, bowl: 250 }, allergens: [] },
+    { id: 'cereal', name: 'Breakfast Cereal', aliases: ['cornflakes', 'corn flakes', 'cereal'], n: [357, 7.5, 84, 0.4, 0.1, 3.3, 9.5, 729, 168], serving: 30, units: { cup: 28, bowl: 40 }, allergens: ['gluten'] },
+    { id: 'granola', name: 'Granola', aliases: ['muesli'], n: [471, 10, 64, 20, 3.7, 7, 24, 26, 375], serving: 60, units: { cup: 120 }, allergens: ['gluten', 'tree nuts'] },
+    { id: 'pasta', name: 'Pasta', aliases: ['spaghetti', 'penne', 'macaroni', 'noodles'], n: [158, 5.8, 30.9, 0.9, 0.2, 1.8, 0.6, 1, 44], serving: 140, units: { cup: 140, bowl: 220, plate: 250 }, allergens: ['gluten', 'wheat'] },
+    { id: 'mac-and-cheese', name: 'Macaroni and Cheese', aliases: ['mac and cheese', 'mac n cheese', 'macaroni cheese'], n: [164, 6.4, 20, 6.5, 3, 1, 2.5, 330, 100], serving: 200, units: { cup: 200, bowl: 250, plate: 300 }, allergens: ['gluten', 'wheat', 'milk', 'lactose'] },
+    { id: 'pasta-tomato', name: 'Pasta with Tomato Sauce', aliases: ['spaghetti with tomato sauce', 'pasta marinara', 'spaghetti bolognese'], n: [140, 4.8, 25, 2.5, 0.5, 2, 3.6, 260, 200], serving: 300, units: { plate: 300, bowl: 300 }, allergens: ['gluten', 'wheat'] },
+
+    // Meat, fish, plant protein
+    { id: 'chicken-breast', name: 'Chicken Breast', aliases: ['grilled chicken', 'chicken', 'roast chicken'], n: [165, 31, 0, 3.6, 1, 0, 0, 74, 256], serving: 120, units: { piece: 120 }, allergens: [] },
+    { id: 'beef', name: 'Beef', aliases: ['steak', 'ground beef', 'minced beef'], n: [250, 26, 0, 15, 6, 0, 0, 72, 318], serving: 150, units: { piece: 150 }, allergens: [] },
+    { id: 'bacon', name: 'Bacon', aliases: [], n: [541, 37, 1.4, 42, 14, 0, 0, 1717, 565], serving: 16, units: { slice: 8, piece: 8, strip: 8 }, allergens: [] },
+    { id: 'sausage', name: 'Sausage', aliases: ['sausages', 'hot dog'], n: [301, 12, 2, 27, 9.6, 0, 1, 749, 228], serving: 75, units: { piece: 75 }, allergens: [] },
+    { id: 'ham', name: 'Ham', aliases: [], n: [145, 21, 1.5, 5.5, 1.8, 0, 0, 1203, 287], serving: 56, units: { slice: 28 }, allergens: [] },
+    { id: 'salmon', name: 'Salmon', aliases: ['salmon fillet', 'grilled salmon'], n: [208, 20, 0, 13, 3.1, 0, 0, 59, 363], serving: 150, units: { piece: 150 }, allergens: ['fish'] },
+    { id: 'tuna', name: 'Tuna', aliases: ['canned tuna', 'tuna fish'], n: [116, 25.5, 0, 0.8, 0.2, 0, 0, 338, 237], serving: 100, units: { can: 142 }, allergens: ['fish'] },
+    { id: 'shrimp', name: 'Shrimp', aliases: ['prawns', 'prawn'], n: [99, 24, 0.2, 0.3, 0.1, 0, 0, 111, 259], serving: 100, units: { piece: 6 }, allergens: ['shellfish'] },
+    { id: 'tofu', name: 'Tofu', aliases: ['bean curd'], n: [76, 8, 1.9, 4.8, 0.7, 0.3, 0.6, 7, 121], serving: 126, units: { cup: 248, piece: 80 }, allergens: ['soy'] },
+    { id: 'lentils', name: 'Lentils', aliases: ['dal', 'daal', 'dhal', 'lentil curry'], n: [116, 9, 20, 0.4, 0.1, 7.9, 1.8, 2, 369], serving: 198, units: { cup: 198, bowl: 200 }, allergens: [] },
+    { id: 'chickpeas', name: 'Chickpeas', aliases: ['garbanzo beans', 'chana', 'chole'], n: [164, 8.9, 27.4, 2.6, 0.3, 7.6, 4.8, 7, 291], serving: 164, units: { cup: 164, bowl: 200 }, allergens: [] },
+    { id: 'black-beans', name: 'Black Beans', aliases: ['beans', 'kidney beans', 'rajma'], n: [132, 8.9, 23.7, 0.5, 0.1, 8.7, 0.3, 1, 355], serving: 172, units: { cup: 172, bowl: 200 }, allergens: [] },
+    { id: 'hummus', name: 'Hummus', aliases: ['houmous'], n: [166, 7.9, 14.3, 9.6, 1.4, 6, 0.3, 379, 228], serving: 30, units: { tbsp: 15, cup: 246 }, allergens: ['sesame'] },
+
+    // Vegetables
+    { id: 'salad', name: 'Green Salad', aliases: ['salad', 'mixed salad', 'green salad', 'lettuce'], n: [15, 1.2, 2.9, 0.2, 0, 1.3, 1.2, 28, 194], serving: 100, units: { bowl: 150, cup: 47 }, allergens: [] },
+    { id: 'broccoli', name: 'Broccoli', aliases: [], n: [35, 2.4, 7.2, 0.4, 0.1, 3.3, 1.4, 41, 293], serving: 90, units: { cup: 91 }, allergens: [] },
+    { id: 'spinach', name: 'Spinach', aliases: ['palak'], n: [23, 2.9, 3.6, 0.4, 0.1, 2.2, 0.4, 79, 558], serving: 90, units: { cup: 30 }, allergens: [] },
+    { id: 'kale', name: 'Kale', aliases: [], n: [49, 4.3, 8.8, 0.9, 0.1, 3.6, 2.3, 38, 491], serving: 67, units: { cup: 67 }, allergens: [] },
+    { id: 'tomato', name: 'Tomato', aliases: ['tomatoes'], n: [18, 0.9, 3.9, 0.2, 0, 1.2, 2.6, 5, 237], serving: 123, units: { piece: 123, cup: 180 }, allergens: [] },
+    { id: 'potato', name: 'Potato', aliases: ['potatoes', 'boiled potato', 'baked potato', 'mashed potatoes'], n: [87, 1.9, 20.1, 0.1, 0, 1.8, 0.9, 4, 379], serving: 173, units: { piece: 173, cup: 156 }, allergens: [] },
+    { id: 'sweet-potato', name: 'Sweet Potato', aliases: ['sweet potatoes', 'yam'], n: [90, 2, 20.7, 0.2, 0.1, 3.3, 6.5, 36, 475], serving: 150, units: { piece: 150, cup: 200 }, allergens: [] },
+    { id: 'french-fries', name: 'French Fries', aliases: ['fries', 'chips'], n: [312, 3.4, 41, 15, 2.3, 3.8, 0.3, 210, 579], serving: 117, units: { serving: 117 }, allergens: [] },
+    { id: 'avocado', name: 'Avocado', aliases: ['guacamole'], n: [160, 2, 8.5, 14.7, 2.1, 6.7, 0.7, 7, 485], serving: 150, units: { piece: 150, cup: 230 }, allergens: [] },
+    { id: 'mixed-vegetables', name: 'Mixed Vegetables', aliases: ['vegetables', 'veggies', 'stir fry vegetables', 'sabzi'], n: [65, 2.9, 13, 0.2, 0, 4, 3, 43, 169], serving: 150, units: { cup: 182, bowl: 200 }, allergens: [] },
+
+    // Fruit
+    { id: 'banana', name: 'Banana', aliases: ['bananas'], n: [89, 1.1, 22.8, 0.3, 0.1, 2.6, 12.2, 1, 358], serving: 118, units: { piece: 118 }, allergens: [] },
+    { id: 'apple', name: 'Apple', aliases: ['apples'], n: [52, 0.3, 13.8, 0.2, 0, 2.4, 10.4, 1, 107], serving: 182, units: { piece: 182 }, allergens: [] },
+    { id: 'orange', name: 'Orange', aliases: ['oranges'], n: [47, 0.9, 11.8, 0.1, 0, 2.4, 9.4, 0, 181], serving: 131, units: { piece: 131 }, allergens: [] },
+    { id: 'grapefruit', name: 'Grapefruit', aliases: [], n: [42, 0.8, 10.7, 0.1, 0, 1.6, 6.9, 0, 135], serving: 123, units: { piece: 246 }, allergens: [] },
+    { id: 'berries', name: 'Berries', aliases: ['strawberries', 'blueberries', 'raspberries'], n: [43, 0.9, 10.4, 0.4, 0, 2.7, 6.1, 1, 117], serving: 150, units: { cup: 150 }, allergens: [] },
+
+    // Nuts, spreads, condiments
+    { id: 'almonds', name: 'Almonds', aliases: ['nuts', 'mixed nuts'], n: [579, 21.2, 21.6, 49.9, 3.8, 12.5, 4.4, 1, 733], serving: 28, units: { cup: 143, handful: 28 }, allergens: ['tree nuts'] },
+    { id: 'peanut-butter', name: 'Peanut Butter', aliases: [], n: [588, 25, 20, 50, 10, 6, 9, 459, 649], serving: 32, units: { tbsp: 16, tsp: 5 }, allergens: ['peanuts'] },
+    { id: 'honey', name: 'Honey', aliases: [], n: [304, 0.3, 82.4, 0, 0, 0.2, 82.1, 4, 52], serving: 21, units: { tbsp: 21, tsp: 7 }, allergens: [] },
+    { id: 'sugar', name: 'Sugar', aliases: ['white sugar'], n: [387, 0, 100, 0, 0, 0, 100, 1, 2], serving: 4, units: { tbsp: 12.5, tsp: 4 }, allergens: [] },
+    { id: 'soy-sauce', name: 'Soy Sauce', aliases: [], n: [53, 8.1, 4.9, 0.6, 0.1, 0.8, 0.4, 5493, 435], serving: 16, units: { tbsp: 16, tsp: 5 }, density: 1.2, allergens: ['soy', 'gluten', 'wheat'] },
+    { id: 'ketchup', name: 'Ketchup', aliases: ['tomato ketchup'], n: [101, 1, 27.4, 0.1, 0, 0.3, 22.8, 907, 281], serving: 17, units: { tbsp: 17, tsp: 6 }, allergens: [] },
+
+    // Prepared dishes and fast food
+    { id: 'pizza', name: 'Pizza', aliases: ['cheese pizza', 'pepperoni pizza', 'margherita'], n: [266, 11.4, 33.3, 9.7, 4.5, 2.3, 3.6, 598, 172], serving: 214, units: { slice: 107, piece: 107 }, allergens: ['gluten', 'wheat', 'milk'] },
+    { id: 'burger', name: 'Hamburger', aliases: ['burger', 'cheeseburger'], n: [254, 13, 24, 12, 4.6, 1.3, 5.2, 497, 225], serving: 220, units: { piece: 220 }, allergens: ['gluten', 'wheat'] },
+    { id: 'sandwich', name: 'Sandwich', aliases: ['sub', 'wrap'], n: [230, 11, 27, 8.5, 2.8, 2.4, 3.7, 550, 200], serving: 200, units: { piece: 200 }, allergens: ['gluten', 'wheat'] },
+    { id: 'fried-rice', name: 'Fried Rice', aliases: ['biryani', 'pulao'], n: [174, 6.3, 21, 7.4, 1.2, 0.8, 0.6, 397, 113], serving: 250, units: { cup: 137, plate: 300, bowl: 250 }, allergens: ['soy'] },
+    { id: 'soup', name: 'Vegetable Soup', aliases: ['soup'], n: [28, 1.2, 4.7, 0.6, 0.1, 0.8, 1.6, 331, 128], serving: 245, units: { cup: 245, bowl: 300 }, density: 1, allergens: [] },
+    { id: 'cake', name: 'Cake', aliases: ['chocolate cake', 'cupcake'], n: [371, 5, 53.4, 15.6, 4.5, 1.8, 36, 299, 177], serving: 95, units: { slice: 95, piece: 95 }, allergens: ['gluten', 'wheat', 'egg', 'milk'] },
+    { id: 'cookie', name: 'Cookie', aliases: ['cookies', 'biscuit', 'biscuits'], n: [488, 5.6, 64, 24, 8, 2, 32, 340, 140], serving: 15, units: { piece: 15 }, allergens: ['gluten', 'wheat', 'milk'] },
+    { id: 'chocolate', name: 'Chocolate', aliases: ['dark chocolate', 'milk chocolate'], n: [546, 4.9, 61, 31, 19, 7, 48, 24, 559], serving: 40, units: { piece: 10, bar: 40 }, allergens: ['milk'] },
+
+    // Drinks (grams == ml for water-like drinks)
+    { id: 'coffee', name: 'Coffee', aliases: ['black coffee', 'espresso', 'americano'], n: [1, 0.1, 0, 0, 0, 0, 0, 2, 49], serving: 240, units: { cup: 240, mug: 300 }, density: 1, allergens: [] },
+    { id: 'latte', name: 'Latte', aliases: ['cappuccino', 'flat white'], n: [54, 3.4, 4.7, 2.3, 1.4, 0, 4.7, 41, 145], serving: 350, units: { cup: 240, mug: 350 }, density: 1, allergens: ['milk', 'lactose'] },
+    { id: 'tea', name: 'Tea', aliases: ['green tea', 'black tea', 'chai'], n: [1, 0, 0.3, 0, 0, 0, 0, 3, 37], serving: 240, units: { cup: 240, mug: 300 }, density: 1, allergens: [] },
+    { id: 'orange-juice', name: 'Orange Juice', aliases: ['oj', 'juice'], n: [45, 0.7, 10.4, 0.2, 0, 0.2, 8.4, 1, 200], serving: 248, units: { cup: 248, glass: 250 }, density: 1.04, allergens: [] },
+    { id: 'soda', name: 'Soda', aliases: ['cola', 'coke', 'soft drink', 'pop'], n: [42, 0, 10.6, 0, 0, 0, 10.6, 4, 2], serving: 355, units: { can: 355, glass: 250, bottle: 500 }, density: 1.04, allergens: [] },
+    { id: 'beer', name: 'Beer', aliases: [], n: [43, 0.5, 3.6, 0, 0, 0, 0, 4, 27], serving: 355, units: { can: 355, bottle: 330, pint: 473, glass: 300 }, density: 1, allergens: ['gluten'] },
+    { id: 'wine', name: 'Wine', aliases: ['red wine', 'white wine'], n: [83, 0.1, 2.6, 0, 0, 0, 0.6, 4, 127], serving: 150, units: { glass: 150 }, density: 0.99, allergens: ['sulfites'] }
+];
+
+// Expands the compact rows above into named nutrient objects
+const FOOD_DATABASE = FOOD_DATA.map(({ n, ...food }) => ({
+    ...food,
+    per100g: FOOD_NUTRIENTS.reduce((values, key, index) => ({ ...values, [key]: n[index] }), {})
+}));
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, single: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, half: 0.5, couple: 2, few: 3, some: 1
+};
+
+// Unit spellings -> canonical unit
+const UNIT_ALIASES = {
+    g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+    kg: 'kg', kilogram: 'kg', kilograms: 'kg',
+    oz: 'oz', ounce: 'oz', ounces: 'oz',
+    ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+    l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+    cup: 'cup', cups: 'cup',
+    glass: 'glass', glasses: 'glass',
+    mug: 'mug', mugs: 'mug',
+    slice: 'slice', slices: 'slice',
+    piece: 'piece', pieces: 'piece', pc: 'piece', pcs: 'piece',
+    bowl: 'bowl', bowls: 'bowl',
+    plate: 'plate', plates: 'plate',
+    serving: 'serving', servings: 'serving', portion: 'serving', portions: 'serving',
+    tbsp: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+    tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+    can: 'can', cans: 'can', bottle: 'bottle', bottles: 'bottle', pint: 'pint', pints: 'pint',
+    scoop: 'scoop', scoops: 'scoop', strip: 'strip', strips: 'strip',
+    bar: 'bar', bars: 'bar', handful: 'handful', handfuls: 'handful'
+};
+
+// Fallback sizes when a food has no specific value for a unit
+const DEFAULT_UNIT_GRAMS = { cup: 240, glass: 250, mug: 300, bowl: 250, plate: 300, tbsp: 15, tsp: 5, can: 355, bottle: 500, pint: 473, scoop: 66, handful: 28 };
+
+// Every alias (lower case) -> food, longest first so "whole wheat toast" wins over "toast"
+const FOOD_ALIAS_INDEX = FOOD_DATABASE
+    .flatMap(food => [food.name, ...food.aliases].map(alias => ({ alias: alias.toLowerCase(), food })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+// Lower case with punctuation as spaces, the form aliases are matched in
+function normalizeFoodText(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9\s-]/g, ' ');
+}
+
+function findFood(text) {
+    const normalized = ` ${normalizeFoodText(text)} `;
+    const match = FOOD_ALIAS_INDEX.find(({ alias }) => normalized.includes(` ${alias} `));
+    return match ? match.food : null;
+}
+
+function findFoodById(id) {
+    return FOOD_DATABASE.find(food => food.id === id) || null;
+}
+
+function parseQuantity(token) {
+    if (!token) return null;
+    if (/^\d+\/\d+$/.test(token)) {
+        const [numerator, denominator] = token.split('/').map(Number);
+        return denominator ? numerator / denominator : null;
+    }
+    if (/^\d*\.?\d+$/.test(token)) return parseFloat(token);
+    return NUMBER_WORDS[token] !== undefined ? NUMBER_WORDS[token] : null;
+}
+
+// Grams for quantity x unit of a food
+function portionGrams(food, quantity, unit) {
+    const density = food.density || 1;
+
+    switch (unit) {
+        case 'g': return quantity;
+        case 'kg': return quantity * 1000;
+        case 'oz': return quantity * 28.35;
+        case 'ml': return quantity * density;
+        case 'l': return quantity * 1000 * density;
+        case 'serving':
+        case null:
+            return quantity * (food.units.piece || food.serving);
+        default:
+            return quantity * (food.units[unit] || DEFAULT_UNIT_GRAMS[unit] || food.serving);
+    }
+}
+
+function scaleNutrition(per100g, grams) {
+    return FOOD_NUTRIENTS.reduce((values, key) => ({
+        ...values,
+        [key]: Math.round(per100g[key] * grams / 10) / 10
+    }), {});
+}
+
+function sumFoodNutrition(foods) {
+    return FOOD_NUTRIENTS.reduce((totals, key) => ({
+        ...totals,
+        [key]: Math.round(foods.reduce((sum, food) => sum + (food.nutrition[key] || 0), 0) * 10) / 10
+    }), {});
+}
+
+// Builds a recognized food entry for a database food and portion
+function createFoodPortion(food, quantity = 1, unit = null) {
+    const grams = Math.round(portionGrams(food, quantity, unit));
+    return {
+        foodId: food.id,
+        name: food.name,
+        quantity,
+        unit: unit || (food.units.piece ? 'piece' : 'serving'),
+        grams,
+        calories: Math.round(food.per100g.calories * grams / 100),
+        nutrition: scaleNutrition(food.per100g, grams),
+        allergens: food.allergens,
+        source: 'food-database'
+    };
+}
+
+function splitFoodTokens(text) {
+    return text.toLowerCase()
+        .replace(/(\d)([a-z])/g, '$1 $2')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// Reads a portion such as "2", "half a cup of" or "a slice of" starting at
+// tokens[index]: { quantity, unit, index } with index after the portion
+function readPortion(tokens, index) {
+    let quantity = parseQuantity(tokens[index]);
+    if (quantity === null) {
+        quantity = 1;
+    } else {
+        index++;
+    }
+
+    // "half a cup", "a couple of eggs"
+    if (quantity === 0.5 && ['a', 'an'].includes(tokens[index])) index++;
+    if (tokens[index] === 'of') index++;
+
+    const unit = UNIT_ALIASES[tokens[index]] || null;
+    if (unit) index++;
+    if (tokens[index] === 'of') index++;
+
+    return { quantity, unit, index };
+}
+
+// Parses one item such as "2 eggs", "200ml milk", "a slice of toast",
+// "1/2 cup rice" or "chicken"
+function parseFoodItem(text) {
+    const tokens = splitFoodTokens(text);
+    const { quantity, unit, index } = readPortion(tokens, 0);
+
+    const food = findFood(tokens.slice(index).join(' ')) || findFood(text);
+    return food ? createFoodPortion(food, quantity, unit) : null;
+}
+
+// Words that don't name a food and are left out of unrecognized
+const DESCRIPTION_FILLER_WORDS = new Set(['a', 'an', 'the', 'of', 'some', 'i', 'had', 'ate', 'my', 'for', 'also', 'then', 'side', 'bit']);
+
+// Splits a description into items at commas and conjunctions, except inside
+// a food name that contains one ("pasta with tomato sauce", "mac and cheese")
+const DESCRIPTION_SEPARATOR = /,|;|\n|&|\+|\band\b|\bwith\b|\bplus\b/gi;
+
+function splitDescription(text) {
+    const lower = text.toLowerCase();
+    const protectedSpans = [];
+    FOOD_ALIAS_INDEX
+        .filter(({ alias }) => new RegExp(DESCRIPTION_SEPARATOR.source, 'i').test(alias))
+        .forEach(({ alias }) => {
+            const pattern = new RegExp(`(^|[^a-z0-9])(${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})(?![a-z0-9])`, 'g');
+            let match;
+            while ((match = pattern.exec(lower))) {
+                const start = match.index + match[1].length;
+                const end = start + match[2].length;
+                if (!protectedSpans.some(span => start < span.end && end > span.start)) {
+                    protectedSpans.push({ start, end });
+                }
+            }
+        });
+
+    const items = [];
+    let itemStart = 0;
+    let match;
+    DESCRIPTION_SEPARATOR.lastIndex = 0;
+    while ((match = DESCRIPTION_SEPARATOR.exec(text))) {
+        const at = match.index;
+        if (protectedSpans.some(span => at >= span.start && at < span.end)) continue;
+        items.push(text.slice(itemStart, at));
+        itemStart = at + match[0].length;
+    }
+    items.push(text.slice(itemStart));
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+// Every food in one item, left to right: "2 eggs bacon" is two eggs and
+// bacon. Words that are neither a portion nor a food name are returned as
+// phrases in unrecognized.
+function scanFoodItem(item) {
+    // Keeps "1/2" and "1.5" whole; a sentence's final period is dropped
+    const tokens = splitFoodTokens(item
+        .replace(/^(i (had|ate)|had|ate)\s+/i, '')
+        .replace(/[^a-z0-9\s/.-]/gi, ' '))
+        .map(token => token.replace(/^\.+|\.+$/g, ''))
+        .filter(Boolean);
+    const foods = [];
+    const unrecognized = [];
+    let leftover = [];
+    const flushLeftover = () => {
+        if (leftover.some(word => !DESCRIPTION_FILLER_WORDS.has(word) && parseQuantity(word) === null && !UNIT_ALIASES[word])) {
+            unrecognized.push(leftover.join(' '));
+        }
+        leftover = [];
+    };
+
+    let index = 0;
+    while (index < tokens.length) {
+        const portion = readPortion(tokens, index);
+        const match = FOOD_ALIAS_INDEX.find(({ alias }) => {
+            const words = alias.split(/\s+/);
+            return words.every((word, offset) => tokens[portion.index + offset] === word);
+        });
+
+        if (match) {
+            flushLeftover();
+            foods.push(createFoodPortion(match.food, portion.quantity, portion.unit));
+            index = portion.index + match.alias.split(/\s+/).length;
+        } else {
+            leftover.push(tokens[index]);
+            index++;
+        }
+    }
+    flushLeftover();
+
+    return { foods, unrecognized };
+}
+
+// Turns a free-text description into { foods, nutrition, unrecognized }
+function parseMealDescription(description) {
+    const foods = [];
+    const unrecognized = [];
+
+    splitDescription(String(description || '')).forEach(item => {
+        const scanned = scanFoodItem(item);
+        foods.push(...scanned.foods);
+        unrecognized.push(...scanned.unrecognized);
+    });
+
+    return {
+        foods,
+        nutrition: sumFoodNutrition(foods),
+        unrecognized
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FOOD_DATABASE,
+        FOOD_NUTRIENTS,
+        findFood,
+        findFoodById,
+        createFoodPortion,
+        sumFoodNutrition,
+        parseFoodItem,
+        parseMealDescription
+    };
+}
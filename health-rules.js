@@ -0,0 +1,297 @@
+// HealthyMealTrack - Health Risk Rules Engine
+// Turns a meal's nutrition and recognized foods plus the user's health profile
+// into healthRisks entries ({ id, condition, severity, message }), including
+// the medication-food interactions from medications.js and the allergen
+// matches from allergens.js.
+//
+// Profile shape used by the rules:
+//   conditions: ['diabetes', 'bp', ...]     (form.html condition ids)
+//   labValues:  { systolic, diastolic, bloodSugar, cholesterol, potassium,
+//                 creatinine, tsh, hemoglobin }   (numbers, all optional)
+//   medications: free text, parsed by parseMedications()
+//   allergens:  [{ allergen | ingredient, severity }], see allergens.js
+
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+const NUTRIENT_UNITS = {
+    calories: 'kcal',
+    protein: 'g',
+    carbs: 'g',
+    fat: 'g',
+    saturatedFat: 'g',
+    sugar: 'g',
+    fiber: 'g',
+    sodium: 'mg',
+    potassium: 'mg',
+    cholesterol: 'mg'
+};
+
+// Default escalation for nutrient limits: over the limit is a medium risk,
+// more than 50% over it is high
+const DEFAULT_ESCALATION = [
+    { ratio: 1, severity: 'medium' },
+    { ratio: 1.5, severity: 'high' }
+];
+
+// Per-meal rules. "nutrient" rules compare a nutrition value against a limit,
+// optionally tightened ("stricter") by the user's lab values. "food" rules
+// flag recognized foods by allergen/tag or by name keywords.
+const HEALTH_RULES = [
+    // Diabetes
+    {
+        id: 'diabetes-carbs',
+        condition: 'diabetes',
+        type: 'nutrient',
+        nutrient: 'carbs',
+        limit: 60,
+        stricter: [{ lab: 'bloodSugar', min: 180, limit: 45 }],
+        message: 'High in carbs ({value}{unit}, limit {limit}{unit} per meal). Consider a smaller portion for diabetes management.'
+    },
+    {
+        id: 'diabetes-sugar',
+        condition: 'diabetes',
+        type: 'nutrient',
+        nutrient: 'sugar',
+        limit: 15,
+        escalation: [{ ratio: 1, severity: 'medium' }, { ratio: 1.7, severity: 'high' }],
+        message: 'High in sugar ({value}{unit}, limit {limit}{unit}). This may spike your blood sugar.'
+    },
+
+    // High blood pressure
+    {
+        id: 'bp-sodium',
+        condition: 'bp',
+        type: 'nutrient',
+        nutrient: 'sodium',
+        limit: 600,
+        stricter: [
+            { lab: 'systolic', min: 140, limit: 500 },
+            { lab: 'systolic', min: 160, limit: 400 },
+            { lab: 'diastolic', min: 90, limit: 500 },
+            { lab: 'diastolic', min: 100, limit: 400 }
+        ],
+        message: 'High in sodium ({value}{unit}, limit {limit}{unit} per meal). This may raise your blood pressure.'
+    },
+
+    // High cholesterol
+    {
+        id: 'cholesterol-fat',
+        condition: 'cholesterol',
+        type: 'nutrient',
+        nutrient: 'fat',
+        limit: 25,
+        stricter: [{ lab: 'cholesterol', min: 240, limit: 20 }],
+        message: 'High in fat ({value}{unit}, limit {limit}{unit}). Limit fatty foods to manage cholesterol.'
+    },
+    {
+        id: 'cholesterol-saturated-fat',
+        condition: 'cholesterol',
+        type: 'nutrient',
+        nutrient: 'saturatedFat',
+        limit: 7,
+        message: 'High in saturated fat ({value}{unit}, limit {limit}{unit}).'
+    },
+
+    // Heart disease
+    {
+        id: 'heart-sodium',
+        condition: 'heart',
+        type: 'nutrient',
+        nutrient: 'sodium',
+        limit: 700,
+        stricter: [{ lab: 'systolic', min: 140, limit: 500 }],
+        message: 'High in sodium ({value}{unit}, limit {limit}{unit}). Keep sodium low for heart health.'
+    },
+    {
+        id: 'heart-fat',
+        condition: 'heart',
+        type: 'nutrient',
+        nutrient: 'fat',
+        limit: 25,
+        message: 'High in fat ({value}{unit}, limit {limit}{unit}). Limit for heart health.'
+    },
+
+    // Kidney disease
+    {
+        id: 'kidney-potassium',
+        condition: 'kidney',
+        type: 'nutrient',
+        nutrient: 'potassium',
+        limit: 700,
+        stricter: [
+            { lab: 'potassium', min: 5.0, limit: 500 },
+            { lab: 'potassium', min: 5.5, limit: 350 }
+        ],
+        message: 'High in potassium ({value}{unit}, limit {limit}{unit} per meal). Kidney patients should limit potassium.'
+    },
+    {
+        id: 'kidney-sodium',
+        condition: 'kidney',
+        type: 'nutrient',
+        nutrient: 'sodium',
+        limit: 700,
+        message: 'High in sodium ({value}{unit}, limit {limit}{unit}). Excess sodium strains the kidneys.'
+    },
+    {
+        id: 'kidney-protein',
+        condition: 'kidney',
+        type: 'nutrient',
+        nutrient: 'protein',
+        limit: 30,
+        stricter: [{ lab: 'creatinine', min: 2.0, limit: 20 }],
+        message: 'High in protein ({value}{unit}, limit {limit}{unit}). Discuss protein intake with your nephrologist.'
+    },
+
+    // Weight management
+    {
+        id: 'obesity-calories',
+        condition: 'obesity',
+        type: 'nutrient',
+        nutrient: 'calories',
+        limit: 700,
+        message: 'Calorie-dense meal ({value} {unit}, target under {limit} {unit} per meal).'
+    },
+    {
+        id: 'pcos-sugar',
+        condition: 'pcos',
+        type: 'nutrient',
+        nutrient: 'sugar',
+        limit: 15,
+        message: 'High in sugar ({value}{unit}). Added sugar can worsen insulin resistance with PCOS.'
+    },
+
+    // Lactose intolerance and gluten sensitivity are checked by allergens.js
+
+    // Thyroid and anemia
+    {
+        id: 'thyroid-soy',
+        condition: 'thyroid',
+        type: 'food',
+        allergens: ['soy'],
+        keywords: ['soy', 'tofu', 'edamame', 'tempeh'],
+        severity: 'low',
+        message: 'Contains soy ({foods}). Soy can interfere with thyroid medication - take it a few hours apart.'
+    },
+    {
+        id: 'anemia-iron-blockers',
+        condition: 'anemia',
+        type: 'food',
+        keywords: ['tea', 'coffee', 'espresso'],
+        severity: 'low',
+        message: '{foods} with meals can reduce iron absorption. Try having it between meals.'
+    }
+];
+
+function formatRuleMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined ? values[key] : match
+    );
+}
+
+function getMealNutrition(meal) {
+    return meal.nutrition || (meal.aiAnalysis && meal.aiAnalysis.nutrition) || {};
+}
+
+function getMealFoods(meal) {
+    return meal.foods || meal.recognizedFoods ||
+        (meal.aiAnalysis && meal.aiAnalysis.recognizedFoods) || [];
+}
+
+// The strictest limit whose lab threshold the profile meets
+function resolveLimit(rule, labValues = {}) {
+    return (rule.stricter || []).reduce((limit, tier) => {
+        const reading = labValues[tier.lab];
+        return typeof reading === 'number' && reading >= tier.min
+            ? Math.min(limit, tier.limit)
+            : limit;
+    }, rule.limit);
+}
+
+function severityForRatio(ratio, escalation = DEFAULT_ESCALATION) {
+    return escalation.reduce((severity, step) =>
+        (ratio > step.ratio ? step.severity : severity), null);
+}
+
+function evaluateNutrientRule(rule, nutrition, profile) {
+    const value = nutrition[rule.nutrient];
+    if (typeof value !== 'number') return null;
+
+    const limit = resolveLimit(rule, profile.labValues);
+    const severity = severityForRatio(value / limit, rule.escalation);
+    if (!severity) return null;
+
+    const unit = NUTRIENT_UNITS[rule.nutrient] || '';
+    return {
+        id: rule.id,
+        condition: rule.condition,
+        severity,
+        nutrient: rule.nutrient,
+        value: Math.round(value),
+        limit,
+        message: formatRuleMessage(rule.message, { value: Math.round(value), limit, unit })
+    };
+}
+
+function foodMatchesRule(food, rule) {
+    const allergens = [...(food.allergens || []), ...(food.tags || [])]
+        .map(item => String(item).toLowerCase());
+    if ((rule.allergens || []).some(allergen => allergens.includes(allergen))) {
+        return true;
+    }
+
+    const name = String(food.name || '').toLowerCase();
+    return (rule.keywords || []).some(keyword =>
+        new RegExp(`\\b${keyword}`).test(name)
+    );
+}
+
+function evaluateFoodRule(rule, foods) {
+    const matches = foods.filter(food => foodMatchesRule(food, rule));
+    if (matches.length === 0) return null;
+
+    const names = matches.map(food => food.name).join(', ');
+    return {
+        id: rule.id,
+        condition: rule.condition,
+        severity: rule.severity,
+        foods: matches.map(food => food.name),
+        message: formatRuleMessage(rule.message, { foods: names })
+    };
+}
+
+// Returns healthRisks for a meal, most severe first
+function evaluateHealthRisks(meal, profile, rules = HEALTH_RULES) {
+    if (!meal || !profile) return [];
+
+    const conditions = profile.conditions || [];
+    const nutrition = getMealNutrition(meal);
+    const foods = getMealFoods(meal);
+
+    // Interaction rules replace condition advice they cover, e.g. the
+    // levothyroxine timing rule instead of the general thyroid note on soy
+    const medications = parseMedications(profile.medications).map(medication => medication.id);
+    const superseded = new Set(MEDICATION_RULES
+        .filter(rule => rule.medications.some(id => medications.includes(id)))
+        .flatMap(rule => rule.supersedes || []));
+
+    return rules
+        .filter(rule => conditions.includes(rule.condition) && !superseded.has(rule.id))
+        .map(rule => (rule.type === 'food'
+            ? evaluateFoodRule(rule, foods)
+            : evaluateNutrientRule(rule, nutrition, profile)))
+        .filter(Boolean)
+        .concat(evaluateMedicationRisks(meal, profile))
+        .concat(evaluateAllergenRisks(meal, profile))
+        .sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HEALTH_RULES,
+        SEVERITY_ORDER,
+        evaluateHealthRisks,
+        resolveLimit,
+        severityForRatio
+    };
+}
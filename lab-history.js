@@ -0,0 +1,394 @@
+// HealthyMealTrack - Lab History
+// Dated lab readings logged from the dashboard: per-test units, validation
+// and normal ranges, the latest value of each reading for the health rules,
+// and SVG charts that pair each reading with the diet measure most likely to
+// affect it (fasting glucose with the previous day's carbs, BP with sodium).
+
+// fields:  the labValues keys the test records (canonical units, see
+//          PROFILE_RANGES for what is accepted)
+// units:   accepted units and the factor to the canonical unit
+// normal:  normal range per field; ranges keyed by gender where they differ
+// diet:    the nutrient to chart alongside - the average per logged day over
+//          `days` days ending `offset` days from the reading
+const LAB_TESTS = {
+    fastingGlucose: {
+        label: 'Fasting blood sugar',
+        fields: ['bloodSugar'],
+        units: { 'mg/dL': 1, 'mmol/L': 18.016 },
+        normal: { bloodSugar: { min: 70, max: 99 } },
+        diet: { nutrient: 'carbs', days: 1, offset: -1, label: "Previous day's carbs" },
+        condition: 'diabetes'
+    },
+    glucose: {
+        label: 'Blood sugar (non-fasting)',
+        fields: ['bloodSugar'],
+        units: { 'mg/dL': 1, 'mmol/L': 18.016 },
+        normal: { bloodSugar: { min: 70, max: 139 } },
+        diet: { nutrient: 'carbs', days: 1, offset: 0, label: 'Same-day carbs' },
+        condition: 'diabetes'
+    },
+    bloodPressure: {
+        label: 'Blood pressure',
+        fields: ['systolic', 'diastolic'],
+        units: { mmHg: 1 },
+        normal: { systolic: { min: 90, max: 129 }, diastolic: { min: 60, max: 79 } },
+        diet: { nutrient: 'sodium', days: 1, offset: 0, label: 'Same-day sodium' },
+        condition: 'bp'
+    },
+    cholesterol: {
+        label: 'Total cholesterol',
+        fields: ['cholesterol'],
+        units: { 'mg/dL': 1, 'mmol/L': 38.67 },
+        normal: { cholesterol: { max: 199 } },
+        diet: { nutrient: 'saturatedFat', days: 14, offset: 0, label: 'Saturated fat, 14-day average' },
+        condition: 'cholesterol'
+    },
+    potassium: {
+        label: 'Potassium',
+        fields: ['potassium'],
+        units: { 'mmol/L': 1, 'mEq/L': 1 },
+        normal: { potassium: { min: 3.5, max: 5 } },
+        diet: { nutrient: 'potassium', days: 3, offset: 0, label: 'Potassium intake, 3-day average' },
+        condition: 'kidney'
+    },
+    creatinine: {
+        label: 'Creatinine',
+        fields: ['creatinine'],
+        units: { 'mg/dL': 1, 'µmol/L': 1 / 88.42 },
+        normal: { creatinine: { female: { min: 0.5, max: 1.1 }, male: { min: 0.7, max: 1.3 }, other: { min: 0.5, max: 1.3 } } },
+        diet: { nutrient: 'protein', days: 7, offset: 0, label: 'Protein, 7-day average' },
+        condition: 'kidney'
+    },
+    tsh: {
+        label: 'TSH',
+        fields: ['tsh'],
+        units: { 'µIU/mL': 1, 'mIU/L': 1 },
+        normal: { tsh: { min: 0.4, max: 4 } },
+        condition: 'thyroid'
+    },
+    hemoglobin: {
+        label: 'Hemoglobin',
+        fields: ['hemoglobin'],
+        units: { 'g/dL': 1, 'g/L': 0.1 },
+        normal: { hemoglobin: { female: { min: 12, max: 15.5 }, male: { min: 13.5, max: 17.5 }, other: { min: 12, max: 17.5 } } },
+        diet: { nutrient: 'protein', days: 7, offset: 0, label: 'Protein, 7-day average' },
+        condition: 'anemia'
+    }
+};
+
+// Which test a wizard labValues key is shown as when it has no dated reading.
+// The wizard doesn't ask whether blood sugar was fasting.
+const LAB_FIELD_TESTS = {
+    bloodSugar: 'glucose',
+    systolic: 'bloodPressure',
+    diastolic: 'bloodPressure',
+    cholesterol: 'cholesterol',
+    potassium: 'potassium',
+    creatinine: 'creatinine',
+    tsh: 'tsh',
+    hemoglobin: 'hemoglobin'
+};
+
+const LAB_CHART_SIZE = { width: 600, height: 220, top: 20, right: 44, bottom: 30, left: 44 };
+const LAB_CHART_READINGS = 20;
+const LAB_COLORS = { reading: '#2563eb', second: '#8b5cf6', flagged: '#ef4444', diet: '#cbd5e1', band: '#dcfce7' };
+
+function roundLabValue(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function labFieldLabel(field) {
+    return PROFILE_RANGES[field].label;
+}
+
+function labCanonicalUnit(field) {
+    return PROFILE_RANGES[field].unit;
+}
+
+// Validates a reading from the log form and returns { reading, errors }.
+// values are keyed by field (systolic/diastolic for BP, otherwise the test's
+// one field) in `unit`; takenAt defaults to now and can't be in the future.
+function validateLabReading({ test, values = {}, unit, takenAt }, now = new Date()) {
+    const errors = {};
+    const config = LAB_TESTS[test];
+    if (!config) {
+        return { reading: null, errors: { test: 'Choose a test' } };
+    }
+
+    const readingUnit = config.units[unit] ? unit : Object.keys(config.units)[0];
+    const canonical = {};
+    config.fields.forEach(field => {
+        const raw = parseFloat(String(values[field] === undefined ? '' : values[field]).replace(',', '.'));
+        const range = PROFILE_RANGES[field];
+        if (Number.isNaN(raw)) {
+            errors[field] = `Please enter a ${range.label.toLowerCase()} value`;
+            return;
+        }
+
+        const value = roundLabValue(raw * config.units[readingUnit]);
+        if (value < range.min || value > range.max) {
+            errors[field] = `${range.label} should be between ${range.min} and ${range.max} ${range.unit}`;
+        } else {
+            canonical[field] = value;
+        }
+    });
+
+    if (canonical.systolic && canonical.diastolic && canonical.systolic <= canonical.diastolic) {
+        errors.systolic = 'Systolic (first) reading should be higher than diastolic';
+    }
+
+    const date = takenAt ? new Date(takenAt) : now;
+    if (Number.isNaN(date.getTime())) {
+        errors.takenAt = 'Please enter when the reading was taken';
+    } else if (date - now > 60000) {
+        errors.takenAt = 'The reading time is in the future';
+    }
+
+    if (Object.keys(errors).length > 0) return { reading: null, errors };
+
+    return {
+        errors,
+        reading: {
+            id: generateId('lab'),
+            test,
+            values: canonical,
+            unit: readingUnit,
+            takenAt: date.toISOString(),
+            createdAt: now.toISOString()
+        }
+    };
+}
+
+function labNormalRange(test, field, profile) {
+    const range = LAB_TESTS[test].normal[field];
+    if (!range || range.min !== undefined || range.max !== undefined) return range || null;
+    const gender = profile && PROFILE_GENDERS.includes(profile.gender) ? profile.gender : 'other';
+    return range[gender];
+}
+
+// The reading's values outside the normal range:
+// [{ field, label, value, unit, status: 'high' | 'low', range }]
+function labReadingFlags(reading, profile) {
+    return Object.entries(reading.values).map(([field, value]) => {
+        const range = labNormalRange(reading.test, field, profile);
+        if (!range) return null;
+
+        let status = null;
+        if (range.max !== undefined && value > range.max) status = 'high';
+        else if (range.min !== undefined && value < range.min) status = 'low';
+        return status && { field, label: labFieldLabel(field), value, unit: labCanonicalUnit(field), status, range };
+    }).filter(Boolean);
+}
+
+function formatLabRange(range, unit) {
+    if (range.min !== undefined && range.max !== undefined) return `${range.min}–${range.max} ${unit}`;
+    return range.max !== undefined ? `up to ${range.max} ${unit}` : `at least ${range.min} ${unit}`;
+}
+
+// "128/82 mmHg", "5.4 mmol/L"
+function formatLabReading(reading) {
+    const values = reading.values;
+    if (reading.test === 'bloodPressure') return `${values.systolic}/${values.diastolic} mmHg`;
+    const field = LAB_TESTS[reading.test].fields[0];
+    return `${values[field]} ${labCanonicalUnit(field)}`;
+}
+
+// The one-off readings from the profile wizard's conditionDetails, as
+// readings dated when the profile was saved
+function profileLabReadings(profile) {
+    if (!profile || !profile.conditionDetails) return [];
+
+    const { labValues } = parseLabValues(profile.conditionDetails);
+    const byTest = {};
+    Object.entries(labValues).forEach(([field, value]) => {
+        const test = LAB_FIELD_TESTS[field];
+        if (!test) return;
+        byTest[test] = byTest[test] || {};
+        byTest[test][field] = value;
+    });
+
+    return Object.entries(byTest)
+        .filter(([test, values]) => LAB_TESTS[test].fields.every(field => typeof values[field] === 'number'))
+        .map(([test, values]) => ({
+            id: `profile-${test}`,
+            test,
+            values,
+            unit: Object.keys(LAB_TESTS[test].units)[0],
+            takenAt: profile.updatedAt || new Date(0).toISOString(),
+            source: 'profile'
+        }));
+}
+
+// Logged readings and the profile's readings for tests with nothing logged,
+// newest first
+function allLabReadings(readings, profile) {
+    const logged = new Set(readings.map(reading => reading.test));
+    return [
+        ...readings,
+        ...profileLabReadings(profile).filter(reading => !logged.has(reading.test))
+    ].sort((a, b) => new Date(b.takenAt) - new Date(a.takenAt));
+}
+
+// { test: newest reading }
+function latestLabReadings(readings, profile) {
+    const latest = {};
+    allLabReadings(readings, profile).forEach(reading => {
+        if (!latest[reading.test]) latest[reading.test] = reading;
+    });
+    return latest;
+}
+
+// The profile's labValues with each field taken from its newest reading, so
+// the health rules and targets follow the latest results. Logged readings
+// take precedence over the wizard's undated answer.
+function labValuesWithReadings(profile, readings) {
+    const wizard = parseLabValues((profile && profile.conditionDetails) || {}).labValues;
+    const fromReadings = {};
+    [...readings]
+        .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt))
+        .forEach(reading => Object.assign(fromReadings, reading.values));
+
+    return { ...wizard, ...fromReadings };
+}
+
+// Average per logged day of the test's diet nutrient over its window, or
+// null when no meals were logged then
+function labDietValue(test, reading, mealsByDay) {
+    const diet = LAB_TESTS[test].diet;
+    if (!diet) return null;
+
+    const end = new Date(reading.takenAt);
+    end.setHours(12, 0, 0, 0);
+    end.setDate(end.getDate() + diet.offset);
+
+    const days = [];
+    for (let index = 0; index < diet.days; index++) {
+        const date = new Date(end);
+        date.setDate(end.getDate() - index);
+        const meals = mealsByDay[localDateKey(date)];
+        if (meals && meals.length) days.push(sumMealNutrition(meals)[diet.nutrient] || 0);
+    }
+    return days.length ? Math.round(days.reduce((sum, value) => sum + value, 0) / days.length) : null;
+}
+
+// The test's newest readings, oldest first, each with its flags and the diet
+// measure for the chart
+function buildLabSeries(readings, meals, test, profile, { limit = LAB_CHART_READINGS } = {}) {
+    const mealsByDay = groupMealsByDay(meals);
+    return allLabReadings(readings, profile)
+        .filter(reading => reading.test === test)
+        .slice(0, limit)
+        .reverse()
+        .map(reading => {
+            const date = new Date(reading.takenAt);
+            return {
+                reading,
+                label: `${date.getMonth() + 1}/${date.getDate()}`,
+                flags: labReadingFlags(reading, profile),
+                diet: labDietValue(test, reading, mealsByDay)
+            };
+        });
+}
+
+// Readings as a line (two for BP) over the normal range band, with the diet
+// measure as bars on the right-hand axis. Flagged readings are drawn red.
+function renderLabChart(series, test, profile) {
+    const config = LAB_TESTS[test];
+    const { width, height, top, right, bottom, left } = LAB_CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const unit = labCanonicalUnit(config.fields[0]);
+    const parts = [];
+
+    const ranges = config.fields.map(field => labNormalRange(test, field, profile)).filter(Boolean);
+    const values = series.flatMap(point => config.fields.map(field => point.reading.values[field]));
+    const bounds = [...values, ...ranges.flatMap(range => [range.min, range.max]).filter(value => value !== undefined)];
+    const maxValue = Math.max(...bounds) * 1.1;
+    const minValue = Math.max(0, Math.min(...bounds) * 0.8);
+    const y = value => Math.round((top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight) * 10) / 10;
+
+    const dietValues = series.map(point => point.diet).filter(value => value !== null);
+    const dietMax = Math.max(1, ...dietValues) * 1.1;
+    const dietY = value => Math.round((top + plotHeight - (value / dietMax) * plotHeight) * 10) / 10;
+
+    const band = plotWidth / Math.max(1, series.length);
+    const x = index => Math.round((left + index * band + band / 2) * 10) / 10;
+
+    ranges.forEach(range => {
+        const upper = range.max !== undefined ? Math.min(range.max, maxValue) : maxValue;
+        const lower = range.min !== undefined ? Math.max(range.min, minValue) : minValue;
+        parts.push(`<rect class="normal-band" x="${left}" y="${y(upper)}" width="${plotWidth}" height="${roundLabValue(Math.max(0, y(lower) - y(upper)))}" fill="${LAB_COLORS.band}" opacity="0.6"><title>Normal range: ${formatLabRange(range, unit)}</title></rect>`);
+    });
+
+    [0, 0.5, 1].forEach(step => {
+        const value = roundLabValue(minValue + (maxValue / 1.1 - minValue) * step);
+        parts.push(`<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e7eb"/>`);
+        parts.push(`<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#9ca3af">${value}</text>`);
+        if (config.diet && dietValues.length) {
+            const dietValue = Math.round(dietMax / 1.1 * step);
+            parts.push(`<text x="${width - right + 6}" y="${dietY(dietValue) + 4}" font-size="10" fill="#94a3b8">${dietValue}</text>`);
+        }
+    });
+
+    if (config.diet) {
+        const dietUnit = TARGET_LABELS[config.diet.nutrient].unit;
+        series.forEach((point, index) => {
+            if (point.diet === null) return;
+            parts.push(`<rect class="diet-bar" x="${x(index) - band * 0.3}" y="${dietY(point.diet)}" width="${Math.max(1, band * 0.6)}" height="${roundLabValue(top + plotHeight - dietY(point.diet))}" fill="${LAB_COLORS.diet}" rx="2"><title>${point.label}: ${config.diet.label} ${point.diet}${dietUnit}</title></rect>`);
+        });
+    }
+
+    config.fields.forEach((field, position) => {
+        const color = position === 0 ? LAB_COLORS.reading : LAB_COLORS.second;
+        const points = series.map((point, index) => `${x(index)},${y(point.reading.values[field])}`);
+        if (points.length > 1) {
+            parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`);
+        }
+        series.forEach((point, index) => {
+            const flagged = point.flags.some(flag => flag.field === field);
+            const value = point.reading.values[field];
+            parts.push(`<circle class="${flagged ? 'flagged' : ''}" cx="${x(index)}" cy="${y(value)}" r="${flagged ? 5 : 4}" fill="${flagged ? LAB_COLORS.flagged : color}"><title>${point.label}: ${labFieldLabel(field)} ${value} ${unit}${flagged ? ' (outside normal range)' : ''}</title></circle>`);
+        });
+    });
+
+    // Thin out labels so they don't collide on long series
+    series.forEach((point, index) => {
+        if (series.length <= 12 || index % 2 === series.length % 2) {
+            parts.push(`<text x="${x(index)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#6b7280">${point.label}</text>`);
+        }
+    });
+
+    if (series.length === 0) {
+        parts.push(`<text x="${left + plotWidth / 2}" y="${top + plotHeight / 2}" text-anchor="middle" font-size="13" fill="#9ca3af">No readings yet</text>`);
+    }
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${config.label} readings">${parts.join('')}</svg>`;
+}
+
+function renderLabLegend(test) {
+    const config = LAB_TESTS[test];
+    const items = config.fields.map((field, position) => [labFieldLabel(field), position === 0 ? LAB_COLORS.reading : LAB_COLORS.second]);
+    if (config.diet) items.push([config.diet.label, LAB_COLORS.diet]);
+    items.push(['Normal range', LAB_COLORS.band], ['Outside normal range', LAB_COLORS.flagged]);
+
+    return items.map(([label, color]) => `
+        <span class="legend-item"><span class="legend-swatch" style="background: ${color}"></span>${label}</span>
+    `).join('');
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LAB_TESTS,
+        validateLabReading,
+        labReadingFlags,
+        formatLabRange,
+        formatLabReading,
+        allLabReadings,
+        latestLabReadings,
+        labValuesWithReadings,
+        buildLabSeries,
+        renderLabChart,
+        renderLabLegend
+    };
+}
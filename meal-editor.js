@@ -0,0 +1,180 @@
+// HealthyMealTrack - Meal Editor
+// Corrections to a logged meal: add, remove or swap recognized foods, change
+// a portion in grams or servings and recalculate the meal's nutrition.
+// Database foods are recalculated from their per-100g values; foods that only
+// the remote analysis knows are scaled from the portion they were recognized
+// with.
+
+function roundNutrient(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function scaleNutrients(nutrition, factor) {
+    return Object.keys(nutrition).reduce((values, key) => ({
+        ...values,
+        [key]: nutrition[key] * factor
+    }), {});
+}
+
+// What one unit of a food's portion contains. 'gram' when the weight is known
+// (servingGrams is then the weight of one serving), otherwise 'serving', one
+// serving being the quantity and unit the food was recognized with.
+function portionBasis(food) {
+    if (food.basis) return food.basis;
+
+    const databaseFood = food.foodId ? findFoodById(food.foodId) : null;
+    if (databaseFood) {
+        return {
+            per: 'gram',
+            nutrition: scaleNutrients(databaseFood.per100g, 1 / 100),
+            servingGrams: Math.round(databaseFood.units.piece || databaseFood.serving)
+        };
+    }
+
+    const nutrition = { ...(food.nutrition || {}), calories: food.calories || (food.nutrition && food.nutrition.calories) || 0 };
+    const grams = food.grams || (food.unit === 'g' ? food.quantity : null);
+    if (grams) {
+        return { per: 'gram', nutrition: scaleNutrients(nutrition, 1 / grams), servingGrams: grams };
+    }
+    const servings = food.servings || 1;
+    return {
+        per: 'serving',
+        nutrition: scaleNutrients(nutrition, 1 / servings),
+        quantity: (food.quantity || 1) / servings,
+        unit: food.unit || 'serving'
+    };
+}
+
+// { grams, servings, byWeight } for a recognized food; grams is null when
+// the weight isn't known
+function foodPortion(food) {
+    const basis = portionBasis(food);
+    if (basis.per === 'serving') {
+        return { grams: null, servings: food.servings || 1, byWeight: false };
+    }
+
+    const grams = food.grams || (food.unit === 'g' ? food.quantity : basis.servingGrams);
+    return { grams, servings: roundNutrient(grams / basis.servingGrams), byWeight: true };
+}
+
+// Returns a copy of the food resized to `grams` or `servings` (whichever is
+// given), with its calories and nutrition recalculated
+function resizeFood(food, { grams, servings }) {
+    const basis = portionBasis(food);
+    let amount;
+    let portion;
+
+    if (basis.per === 'gram') {
+        const weight = grams !== undefined ? grams : servings * basis.servingGrams;
+        amount = weight;
+        portion = { grams: Math.round(weight), quantity: Math.round(weight), unit: 'g', servings: roundNutrient(weight / basis.servingGrams) };
+    } else {
+        const count = servings !== undefined ? servings : 1;
+        amount = count;
+        portion = { quantity: roundNutrient(basis.quantity * count), unit: basis.unit, servings: count };
+    }
+
+    const nutrition = Object.keys(basis.nutrition).reduce((values, key) => ({
+        ...values,
+        [key]: roundNutrient(basis.nutrition[key] * amount)
+    }), {});
+
+    return {
+        ...food,
+        ...portion,
+        basis,
+        calories: Math.round(nutrition.calories || 0),
+        nutrition
+    };
+}
+
+// Replaces a food with the database food matching `name`, keeping the
+// portion: same weight when known, otherwise the same number of servings.
+// Returns null when nothing in the database matches.
+function swapFood(food, name) {
+    const replacement = findFood(name);
+    if (!replacement) return null;
+
+    const { grams, servings } = foodPortion(food);
+    return grams
+        ? createFoodPortion(replacement, grams, 'g')
+        : createFoodPortion(replacement, servings);
+}
+
+// Adds a food from text such as "150g rice" or "2 eggs", or null when it
+// isn't in the database
+function addFood(text) {
+    return parseFoodItem(String(text || '').trim());
+}
+
+// Sums every nutrient any of the foods has, so nutrients a remote analysis
+// didn't report stay missing rather than becoming 0
+function totalNutrition(foods) {
+    const keys = new Set(foods.flatMap(food => Object.keys(food.nutrition || {})));
+    return [...keys].reduce((totals, key) => ({
+        ...totals,
+        [key]: roundNutrient(foods.reduce((sum, food) => sum + ((food.nutrition || {})[key] || 0), 0))
+    }), {});
+}
+
+// The meal's foods, ready to edit. Some analyses (and the demo meals) only
+// report the meal's total, so foods without nutrition of their own share
+// whatever the other foods don't account for; the total stays the same
+// until something is changed.
+function editableFoods(meal) {
+    const analysis = meal.aiAnalysis || {};
+    const foods = analysis.recognizedFoods || [];
+    const unknown = foods.filter(food => !food.nutrition);
+    if (unknown.length === 0) return [...foods];
+
+    const known = totalNutrition(foods.filter(food => food.nutrition));
+    const total = analysis.nutrition || {};
+    const share = Object.keys(total).reduce((values, key) => ({
+        ...values,
+        [key]: roundNutrient(Math.max(0, total[key] - (known[key] || 0)) / unknown.length)
+    }), {});
+
+    return foods.map(food => (food.nutrition ? food : {
+        ...food,
+        quantity: food.quantity || 1,
+        unit: food.unit || 'serving',
+        calories: Math.round(share.calories || 0),
+        nutrition: share
+    }));
+}
+
+// Applies the edited foods and meal type to a meal. The previous health
+// risks and warnings described the old foods, so they're dropped; the caller
+// re-runs the health rules on the result.
+function recalculateMeal(meal, { foods, mealType = meal.mealType }) {
+    const nutrition = totalNutrition(foods);
+    const aiAnalysis = meal.aiAnalysis || {};
+
+    return {
+        ...meal,
+        mealType,
+        totalCalories: Math.round(nutrition.calories || 0),
+        editedAt: new Date().toISOString(),
+        aiAnalysis: {
+            ...aiAnalysis,
+            analysisStatus: 'completed',
+            recognizedFoods: foods,
+            nutrition,
+            healthRisks: [],
+            warnings: []
+        }
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        editableFoods,
+        foodPortion,
+        resizeFood,
+        swapFood,
+        addFood,
+        totalNutrition,
+        recalculateMeal
+    };
+}
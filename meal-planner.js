@@ -0,0 +1,415 @@
+// HealthyMealTrack - Weekly Meal Planner
+// Builds a 7-day breakfast, lunch, dinner and snack plan from bundled recipes
+// made of food-database.js foods. Portions are scaled to each meal's share of
+// the daily calorie target, dishes are scored against the macro goals and caps
+// from nutrition-targets.js, and dishes that raise an allergen, medication or
+// high-severity health risk for the profile are never planned.
+//
+// Plan shape:
+//   { id, startDate, createdAt, seed, swaps,
+//     days: [{ date: '2024-05-31', meals: { breakfast: dish | null, ... } }] }
+//   dish: { recipeId, name, mealType, portion, plannedAt, foods, nutrition,
+//           risks, locked, loggedMealId? }
+
+const PLAN_DAYS = 7;
+
+const PLAN_MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Share of the day's calories and macros per meal
+const PLAN_MEAL_SHARES = { breakfast: 0.25, lunch: 0.3, dinner: 0.3, snack: 0.15 };
+
+// Usual meal times, so medication rules with dose spacing see a real time
+const PLAN_MEAL_TIMES = { breakfast: [8, 0], lunch: [12, 30], snack: [16, 0], dinner: [19, 0] };
+
+// Portions are scaled in quarter steps within these multiples of the recipe
+const PLAN_PORTION_LIMITS = { min: 0.5, max: 2, step: 0.25 };
+
+// Daily caps spread over the meals. Going over a meal's share costs more
+// than missing a macro goal.
+const PLAN_CAPPED_NUTRIENTS = ['sugar', 'sodium', 'saturatedFat', 'potassium', 'protein'];
+
+// Score added per remaining low or medium risk; medium medication
+// interactions (vitamin K with warfarin, dairy near a levothyroxine dose)
+// are avoided whenever another dish fits. Planning the same dish twice in a
+// week costs more than any other mismatch, so it only happens when nothing
+// else fits the profile.
+const PLAN_RISK_PENALTY = { low: 0.2, medium: 0.75 };
+const PLAN_MEDICATION_PENALTY = 3;
+const PLAN_REPEAT_PENALTY = 10;
+
+// Random tie-breaking, so new plans vary between equally good dishes
+const PLAN_VARIETY = 0.3;
+
+// items: [foodId, grams] for one portion
+const PLAN_RECIPES = [
+    // Breakfast
+    { id: 'oatmeal-berries', name: 'Oatmeal with Berries and Almonds', mealTypes: ['breakfast'], items: [['oatmeal', 250], ['berries', 80], ['almonds', 15]] },
+    { id: 'yogurt-parfait', name: 'Greek Yogurt Parfait', mealTypes: ['breakfast'], items: [['greek-yogurt', 170], ['berries', 80], ['granola', 30]] },
+    { id: 'veggie-omelette', name: 'Spinach and Tomato Omelette with Toast', mealTypes: ['breakfast'], items: [['egg', 100], ['spinach', 30], ['tomato', 60], ['whole-wheat-bread', 32]] },
+    { id: 'avocado-toast', name: 'Avocado Toast with Egg', mealTypes: ['breakfast'], items: [['whole-wheat-bread', 64], ['avocado', 70], ['egg', 50]] },
+    { id: 'peanut-butter-toast', name: 'Peanut Butter and Banana Toast', mealTypes: ['breakfast'], items: [['whole-wheat-bread', 64], ['peanut-butter', 16], ['banana', 118]] },
+    { id: 'tofu-scramble', name: 'Tofu Scramble with Vegetables', mealTypes: ['breakfast'], items: [['tofu', 150], ['mixed-vegetables', 80], ['tomato', 60], ['whole-wheat-bread', 32]] },
+    { id: 'cereal-milk', name: 'Whole-Grain Cereal with Skim Milk and Banana', mealTypes: ['breakfast'], items: [['cereal', 40], ['skim-milk', 245], ['banana', 60]] },
+    { id: 'paneer-bhurji', name: 'Paneer Bhurji with Roti', mealTypes: ['breakfast'], items: [['paneer', 60], ['tomato', 60], ['spinach', 30], ['roti', 80]] },
+    { id: 'soy-porridge', name: 'Oat Porridge with Soy Milk and Apple', mealTypes: ['breakfast'], items: [['oatmeal', 200], ['soy-milk', 120], ['apple', 100]] },
+    { id: 'sweet-potato-hash', name: 'Sweet Potato and Egg Hash', mealTypes: ['breakfast'], items: [['sweet-potato', 150], ['egg', 100], ['spinach', 30]] },
+
+    // Lunch and dinner
+    { id: 'chicken-salad', name: 'Grilled Chicken Salad with Avocado', mealTypes: ['lunch', 'dinner'], items: [['chicken-breast', 120], ['salad', 150], ['tomato', 80], ['avocado', 50]] },
+    { id: 'lentils-brown-rice', name: 'Lentils with Brown Rice and Spinach', mealTypes: ['lunch', 'dinner'], items: [['lentils', 200], ['brown-rice', 150], ['spinach', 60]] },
+    { id: 'chickpea-stew', name: 'Chickpea and Tomato Stew with Roti', mealTypes: ['lunch', 'dinner'], items: [['chickpeas', 160], ['tomato', 120], ['spinach', 40], ['roti', 40]] },
+    { id: 'tuna-sandwich', name: 'Tuna Salad on Whole Wheat', mealTypes: ['lunch'], items: [['whole-wheat-bread', 64], ['tuna', 100], ['salad', 60], ['tomato', 40]] },
+    { id: 'black-bean-bowl', name: 'Black Bean Burrito Bowl', mealTypes: ['lunch', 'dinner'], items: [['black-beans', 170], ['brown-rice', 150], ['tomato', 60], ['avocado', 50]] },
+    { id: 'salmon-sweet-potato', name: 'Salmon with Sweet Potato and Broccoli', mealTypes: ['lunch', 'dinner'], items: [['salmon', 120], ['sweet-potato', 150], ['broccoli', 90]] },
+    { id: 'tofu-stir-fry', name: 'Tofu Stir-Fry with Rice', mealTypes: ['lunch', 'dinner'], items: [['tofu', 150], ['mixed-vegetables', 150], ['white-rice', 150], ['soy-sauce', 10]] },
+    { id: 'pasta-salad', name: 'Pasta with Tomato Sauce and Side Salad', mealTypes: ['lunch', 'dinner'], items: [['pasta-tomato', 300], ['salad', 100]] },
+    { id: 'hummus-wrap', name: 'Hummus and Veggie Wrap', mealTypes: ['lunch'], items: [['roti', 80], ['hummus', 60], ['salad', 60], ['tomato', 60]] },
+    { id: 'soup-cheese-toast', name: 'Vegetable Soup with Cheese Toast', mealTypes: ['lunch'], items: [['soup', 350], ['whole-wheat-bread', 32], ['cheddar', 20]] },
+    { id: 'chicken-rice-broccoli', name: 'Chicken with Brown Rice and Broccoli', mealTypes: ['lunch', 'dinner'], items: [['chicken-breast', 120], ['brown-rice', 150], ['broccoli', 100]] },
+    { id: 'beef-potato', name: 'Lean Beef with Baked Potato and Salad', mealTypes: ['dinner'], items: [['beef', 100], ['potato', 170], ['salad', 100]] },
+    { id: 'dal-rice', name: 'Dal with Rice and Vegetables', mealTypes: ['lunch', 'dinner'], items: [['lentils', 200], ['white-rice', 150], ['mixed-vegetables', 100]] },
+    { id: 'shrimp-rice', name: 'Garlic Shrimp with Rice and Vegetables', mealTypes: ['dinner'], items: [['shrimp', 120], ['white-rice', 150], ['mixed-vegetables', 120]] },
+    { id: 'palak-paneer', name: 'Spinach Paneer with Roti', mealTypes: ['dinner'], items: [['paneer', 80], ['spinach', 150], ['roti', 80]] },
+    { id: 'chicken-pasta', name: 'Chicken Pasta with Tomato and Broccoli', mealTypes: ['dinner'], items: [['pasta', 140], ['chicken-breast', 100], ['tomato', 100], ['broccoli', 60]] },
+    { id: 'potato-black-beans', name: 'Baked Potato with Black Beans', mealTypes: ['lunch', 'dinner'], items: [['potato', 170], ['black-beans', 120], ['salad', 80], ['cheddar', 20]] },
+    { id: 'salmon-kale-bowl', name: 'Salmon Rice Bowl with Kale', mealTypes: ['lunch', 'dinner'], items: [['salmon', 120], ['brown-rice', 150], ['kale', 60]] },
+
+    // Snacks
+    { id: 'apple-peanut-butter', name: 'Apple with Peanut Butter', mealTypes: ['snack'], items: [['apple', 182], ['peanut-butter', 16]] },
+    { id: 'yogurt-berries', name: 'Yogurt with Berries', mealTypes: ['snack'], items: [['yogurt', 150], ['berries', 75]] },
+    { id: 'almonds-orange', name: 'Almonds and an Orange', mealTypes: ['snack'], items: [['almonds', 20], ['orange', 131]] },
+    { id: 'hummus-vegetables', name: 'Hummus with Vegetables', mealTypes: ['snack'], items: [['hummus', 60], ['mixed-vegetables', 100]] },
+    { id: 'banana-almonds', name: 'Banana with Almonds', mealTypes: ['snack'], items: [['banana', 118], ['almonds', 10]] },
+    { id: 'greek-yogurt-honey', name: 'Greek Yogurt with Honey', mealTypes: ['snack'], items: [['greek-yogurt', 170], ['honey', 10]] },
+    { id: 'boiled-eggs', name: 'Boiled Eggs', mealTypes: ['snack'], items: [['egg', 100]] },
+    { id: 'avocado-toast-snack', name: 'Half Avocado on Toast', mealTypes: ['snack'], items: [['whole-wheat-bread', 32], ['avocado', 50]] },
+    { id: 'roasted-chickpeas', name: 'Roasted Chickpeas', mealTypes: ['snack'], items: [['chickpeas', 100]] }
+];
+
+// Small seeded generator (mulberry32), so a plan's seed reproduces it
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Local midnight of a "2024-05-31" key
+function planDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function dishPlannedAt(dateKey, mealType) {
+    const date = planDate(dateKey);
+    const [hours, minutes] = PLAN_MEAL_TIMES[mealType];
+    date.setHours(hours, minutes, 0, 0);
+    return date.toISOString();
+}
+
+function recipeFoods(recipe, portion = 1) {
+    return recipe.items.map(([foodId, grams]) =>
+        createFoodPortion(findFoodById(foodId), Math.round(grams * portion), 'g'));
+}
+
+function recipeCalories(recipe) {
+    return recipe.items.reduce((sum, [foodId, grams]) =>
+        sum + findFoodById(foodId).per100g.calories * grams / 100, 0);
+}
+
+// The portion closest to the calories wanted, in quarter steps
+function portionForCalories(recipe, calories) {
+    const { min, max, step } = PLAN_PORTION_LIMITS;
+    const portion = Math.round(calories / recipeCalories(recipe) / step) * step;
+    return Math.min(max, Math.max(min, portion));
+}
+
+function buildPlannedDish(recipe, mealType, portion, plannedAt) {
+    const foods = recipeFoods(recipe, portion);
+    return {
+        recipeId: recipe.id,
+        name: recipe.name,
+        mealType,
+        portion,
+        plannedAt,
+        foods,
+        nutrition: sumFoodNutrition(foods),
+        risks: [],
+        locked: false
+    };
+}
+
+// The dish as the health rules see a logged meal
+function dishAsMeal(dish) {
+    return {
+        mealType: dish.mealType,
+        loggedAt: dish.plannedAt,
+        totalCalories: Math.round(dish.nutrition.calories),
+        aiAnalysis: { recognizedFoods: dish.foods, nutrition: dish.nutrition }
+    };
+}
+
+// A dish is ruled out by any allergen match and by any high-severity
+// condition or medication risk; lower risks only count against its score
+function evaluateDish(dish, profile) {
+    const risks = evaluateHealthRisks(dishAsMeal(dish), profile || {});
+    const allowed = risks.every(risk => risk.severity !== 'high' && risk.condition !== 'allergen');
+    return { risks, allowed };
+}
+
+function riskPenalty(risk) {
+    if (risk.condition === 'medication' && risk.severity === 'medium') return PLAN_MEDICATION_PENALTY;
+    return PLAN_RISK_PENALTY[risk.severity] || 0;
+}
+
+// Each meal's share of the daily goals and caps
+function mealTargets(targets, mealType) {
+    const share = PLAN_MEAL_SHARES[mealType];
+    const { daily, perMeal } = targets;
+    const caps = {};
+
+    PLAN_CAPPED_NUTRIENTS.forEach(nutrient => {
+        if (daily[nutrient] && daily[nutrient].max !== undefined) {
+            caps[nutrient] = daily[nutrient].max * share;
+        }
+    });
+    Object.entries(perMeal).forEach(([nutrient, target]) => {
+        caps[nutrient] = Math.min(caps[nutrient] !== undefined ? caps[nutrient] : Infinity, target.max);
+    });
+
+    return {
+        calories: daily.calories.goal * share,
+        carbs: daily.carbs.goal * share,
+        protein: daily.protein.goal * share,
+        fat: daily.fat.goal * share,
+        caps
+    };
+}
+
+// Lower is better: relative distance from the meal's calorie and macro
+// goals, twice the relative excess over any cap, plus the remaining risks
+function scoreDish(dish, goals, risks) {
+    const nutrition = dish.nutrition;
+    const distance = nutrient => Math.abs((nutrition[nutrient] || 0) - goals[nutrient]) / goals[nutrient];
+    const excess = Object.entries(goals.caps).reduce((sum, [nutrient, max]) =>
+        sum + 2 * Math.max(0, (nutrition[nutrient] || 0) - max) / max, 0);
+
+    return distance('calories') + distance('carbs') + distance('protein') + distance('fat') +
+        excess + risks.reduce((sum, risk) => sum + riskPenalty(risk), 0);
+}
+
+// The recipe at the portion closest to the meal's calories that the profile
+// allows, trying smaller portions when a per-meal limit rules it out
+function fitRecipe(recipe, mealType, goals, plannedAt, profile) {
+    const { min, step } = PLAN_PORTION_LIMITS;
+    for (let portion = portionForCalories(recipe, goals.calories); portion >= min; portion -= step) {
+        const dish = buildPlannedDish(recipe, mealType, portion, plannedAt);
+        const { risks, allowed } = evaluateDish(dish, profile);
+        if (allowed) return { ...dish, risks };
+    }
+    return null;
+}
+
+// Best dish for one meal slot, or null when no recipe fits the profile.
+// used counts how often each recipe is already in the plan; exclude lists
+// recipes not to pick at all.
+function pickDish(mealType, dateKey, { profile, targets, used, random, exclude = [] }) {
+    const goals = mealTargets(targets, mealType);
+    const plannedAt = dishPlannedAt(dateKey, mealType);
+
+    const candidates = PLAN_RECIPES
+        .filter(recipe => recipe.mealTypes.includes(mealType) && !exclude.includes(recipe.id))
+        .map(recipe => fitRecipe(recipe, mealType, goals, plannedAt, profile))
+        .filter(Boolean)
+        .map(dish => ({
+            dish,
+            score: scoreDish(dish, goals, dish.risks) +
+                (used.get(dish.recipeId) || 0) * PLAN_REPEAT_PENALTY +
+                random() * PLAN_VARIETY
+        }))
+        .sort((a, b) => a.score - b.score);
+
+    return candidates.length ? candidates[0].dish : null;
+}
+
+function countPlannedRecipes(days) {
+    const used = new Map();
+    days.forEach(day => Object.values(day.meals).forEach(dish => {
+        if (dish) used.set(dish.recipeId, (used.get(dish.recipeId) || 0) + 1);
+    }));
+    return used;
+}
+
+// New 7-day plan starting on `start`. Locked dishes of `previous` stay on
+// their date and meal.
+function generateMealPlan(profile, { start = new Date(), seed = Date.now(), previous = null } = {}) {
+    const targets = computeDailyTargets(profile || {});
+    const random = createSeededRandom(seed);
+    const lockedDays = new Map(((previous && previous.days) || []).map(day => [day.date, day.meals]));
+
+    const days = Array.from({ length: PLAN_DAYS }, (value, index) => {
+        const date = new Date(start);
+        date.setDate(date.getDate() + index);
+        const dateKey = localDateKey(date);
+        const previousMeals = lockedDays.get(dateKey) || {};
+        const meals = {};
+        PLAN_MEAL_TYPES.forEach(mealType => {
+            const dish = previousMeals[mealType];
+            meals[mealType] = dish && dish.locked ? dish : undefined;
+        });
+        return { date: dateKey, meals };
+    });
+
+    const used = countPlannedRecipes(days);
+    days.forEach(day => {
+        PLAN_MEAL_TYPES.forEach(mealType => {
+            if (day.meals[mealType]) return;
+            const dish = pickDish(mealType, day.date, { profile, targets, used, random });
+            if (dish) used.set(dish.recipeId, (used.get(dish.recipeId) || 0) + 1);
+            day.meals[mealType] = dish;
+        });
+    });
+
+    return {
+        id: generateId('plan'),
+        startDate: days[0].date,
+        createdAt: new Date().toISOString(),
+        seed,
+        swaps: 0,
+        days
+    };
+}
+
+function updatePlanDish(plan, dayIndex, mealType, update) {
+    return {
+        ...plan,
+        days: plan.days.map((day, index) => (index === dayIndex
+            ? { ...day, meals: { ...day.meals, [mealType]: update(day.meals[mealType]) } }
+            : day))
+    };
+}
+
+// Replaces one dish with the best other recipe for that meal, preferring
+// recipes not already in the plan. Returns the plan unchanged when nothing
+// else fits.
+function swapPlannedDish(plan, dayIndex, mealType, profile) {
+    const day = plan.days[dayIndex];
+    const current = day && day.meals[mealType];
+    const swaps = (plan.swaps || 0) + 1;
+    const others = {
+        ...plan,
+        days: plan.days.map((item, index) => (index === dayIndex
+            ? { ...item, meals: { ...item.meals, [mealType]: null } }
+            : item))
+    };
+
+    const dish = pickDish(mealType, day.date, {
+        profile,
+        targets: computeDailyTargets(profile || {}),
+        used: countPlannedRecipes(others.days),
+        random: createSeededRandom(plan.seed + swaps),
+        exclude: current ? [current.recipeId] : []
+    });
+    if (!dish) return plan;
+
+    return { ...updatePlanDish(plan, dayIndex, mealType, () => dish), swaps };
+}
+
+function togglePlannedDishLock(plan, dayIndex, mealType) {
+    return updatePlanDish(plan, dayIndex, mealType, dish => (dish ? { ...dish, locked: !dish.locked } : dish));
+}
+
+function markPlannedDishLogged(plan, dayIndex, mealType, mealId) {
+    return updatePlanDish(plan, dayIndex, mealType, dish => (dish ? { ...dish, loggedMealId: mealId } : dish));
+}
+
+// Re-checks the planned dishes against the current profile, e.g. after a new
+// allergen or medication was added. Returns [{ dayIndex, mealType, dish, risks }]
+// for dishes that would no longer be planned.
+function findPlanConflicts(plan, profile) {
+    return plan.days.flatMap((day, dayIndex) => PLAN_MEAL_TYPES
+        .map(mealType => {
+            const dish = day.meals[mealType];
+            if (!dish) return null;
+            const { risks, allowed } = evaluateDish(dish, profile);
+            return allowed ? null : { dayIndex, mealType, dish, risks };
+        })
+        .filter(Boolean));
+}
+
+// Planned totals for one day measured against the targets
+function measurePlanDay(day, targets) {
+    const dishes = PLAN_MEAL_TYPES.map(mealType => day.meals[mealType]).filter(Boolean);
+    return measureDay(dishes.map(dishAsMeal), targets, { complete: true });
+}
+
+// Everything needed for the dishes not logged yet, summed per food and sorted
+// by name: [{ foodId, name, grams, pieces? }]
+function buildShoppingList(plan, isLogged = dish => Boolean(dish.loggedMealId)) {
+    const totals = new Map();
+    plan.days.forEach(day => PLAN_MEAL_TYPES.forEach(mealType => {
+        const dish = day.meals[mealType];
+        if (!dish || isLogged(dish)) return;
+        dish.foods.forEach(food => {
+            totals.set(food.foodId, (totals.get(food.foodId) || 0) + food.grams);
+        });
+    }));
+
+    return [...totals.entries()]
+        .map(([foodId, grams]) => {
+            const food = findFoodById(foodId);
+            const item = { foodId, name: food.name, grams: Math.ceil(grams / 10) * 10 };
+            if (food.units.piece) item.pieces = Math.ceil(grams / food.units.piece);
+            return item;
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function formatShoppingAmount(item) {
+    const weight = item.grams >= 1000 ? `${Math.round(item.grams / 100) / 10} kg` : `${item.grams} g`;
+    return item.pieces ? `${weight} (about ${item.pieces})` : weight;
+}
+
+// Meal record for logging a planned dish
+function plannedMealRecord(dish, { id, loggedAt, planId }) {
+    return {
+        id,
+        mealType: dish.mealType,
+        description: dish.name,
+        loggedAt,
+        plannedMeal: { planId, recipeId: dish.recipeId, portion: dish.portion },
+        totalCalories: Math.round(dish.nutrition.calories || 0),
+        aiAnalysis: {
+            analysisStatus: 'completed',
+            source: 'plan',
+            recognizedFoods: dish.foods,
+            nutrition: { ...dish.nutrition },
+            healthRisks: [],
+            warnings: [],
+            recommendations: []
+        }
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PLAN_MEAL_TYPES,
+        PLAN_RECIPES,
+        planDate,
+        evaluateDish,
+        generateMealPlan,
+        swapPlannedDish,
+        togglePlannedDishLock,
+        markPlannedDishLogged,
+        findPlanConflicts,
+        measurePlanDay,
+        buildShoppingList,
+        formatShoppingAmount,
+        plannedMealRecord
+    };
+}
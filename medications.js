@@ -0,0 +1,237 @@
+// HealthyMealTrack - Medication Interactions
+// Recognizes medications in the profile's free-text list and checks meals
+// against a bundled table of medication-food interactions. Matches become
+// healthRisks entries (condition 'medication') alongside the condition rules
+// in health-rules.js.
+
+// Drug classes with the generic and brand names that identify them. Names
+// are matched as whole words, patterns as regular expressions.
+const MEDICATION_CLASSES = {
+    warfarin: {
+        label: 'Warfarin',
+        names: ['warfarin', 'coumadin', 'jantoven']
+    },
+    maoi: {
+        label: 'MAO inhibitor',
+        names: ['phenelzine', 'nardil', 'tranylcypromine', 'parnate', 'isocarboxazid', 'marplan', 'selegiline', 'emsam', 'rasagiline', 'azilect', 'moclobemide', 'linezolid']
+    },
+    statin: {
+        label: 'Statin',
+        // Atorvastatin less so, but it is still advised against
+        names: ['simvastatin', 'zocor', 'lovastatin', 'mevacor', 'altoprev', 'atorvastatin', 'lipitor']
+    },
+    calciumChannelBlocker: {
+        label: 'Calcium channel blocker',
+        // The ones grapefruit raises the most; amlodipine is barely affected
+        names: ['felodipine', 'plendil', 'nifedipine', 'adalat', 'procardia', 'nisoldipine', 'sular', 'nimodipine']
+    },
+    levothyroxine: {
+        label: 'Thyroid hormone',
+        names: ['levothyroxine', 'synthroid', 'levoxyl', 'euthyrox', 'eltroxin', 'tirosint', 'unithroid', 'thyroxine', 'liothyronine', 'cytomel']
+    },
+    aceInhibitor: {
+        label: 'ACE inhibitor',
+        names: ['zestril', 'prinivil', 'vasotec', 'altace', 'lotensin', 'accupril'],
+        // \w{3,} so "April" isn't taken for one
+        patterns: [/\b\w{3,}pril\b/]
+    },
+    arb: {
+        label: 'Angiotensin receptor blocker',
+        names: ['cozaar', 'diovan', 'avapro', 'atacand', 'benicar', 'micardis'],
+        // \w{2,} so losartan matches
+        patterns: [/\b\w{2,}sartan\b/]
+    },
+    potassiumSparing: {
+        label: 'Potassium-sparing diuretic',
+        names: ['spironolactone', 'aldactone', 'eplerenone', 'inspra', 'amiloride', 'triamterene']
+    },
+    chelatingAntibiotic: {
+        label: 'Quinolone or tetracycline antibiotic',
+        names: ['ciprofloxacin', 'cipro', 'levofloxacin', 'moxifloxacin', 'ofloxacin', 'doxycycline', 'tetracycline', 'minocycline']
+    }
+};
+
+const DAIRY_KEYWORDS = ['milk', 'cheese', 'yogurt', 'yoghurt', 'paneer', 'latte', 'ice cream', 'calcium'];
+
+// Interaction rules, shaped like HEALTH_RULES but keyed by the drug classes
+// they apply to. {drug} is the medication as the user wrote it ({Drug} to
+// start a sentence). Rules with spacingHours only apply to meals within that
+// many hours of a dose when the dose time is known ("levothyroxine at 7am");
+// timedMessage is used then. supersedes lists condition rules whose advice
+// this one replaces.
+const MEDICATION_RULES = [
+    {
+        id: 'warfarin-vitamin-k',
+        medications: ['warfarin'],
+        type: 'food',
+        keywords: ['kale', 'spinach', 'collard', 'chard', 'turnip green', 'mustard green', 'broccoli', 'brussels sprout', 'parsley', 'cabbage', 'green salad', 'lettuce', 'asparagus', 'natto'],
+        severity: 'medium',
+        message: 'Rich in vitamin K ({foods}), which works against {drug}. Keep your vitamin K intake about the same from day to day.'
+    },
+    {
+        id: 'maoi-tyramine',
+        medications: ['maoi'],
+        type: 'food',
+        keywords: ['cheddar', 'parmesan', 'blue cheese', 'gorgonzola', 'stilton', 'brie', 'camembert', 'gouda', 'swiss cheese', 'salami', 'pepperoni', 'chorizo', 'soy sauce', 'miso', 'sauerkraut', 'kimchi', 'fava', 'broad bean', 'marmite', 'vegemite', 'yeast extract', 'beer', 'wine'],
+        severity: 'high',
+        message: 'Contains tyramine ({foods}). With {drug} this can cause a dangerous rise in blood pressure.'
+    },
+    {
+        id: 'grapefruit',
+        medications: ['statin', 'calciumChannelBlocker'],
+        type: 'food',
+        keywords: ['grapefruit', 'pomelo', 'seville orange', 'tangelo'],
+        severity: 'high',
+        message: '{foods} raises the level of {drug} in your blood and the risk of side effects. Avoid it while taking {drug}.'
+    },
+    {
+        id: 'levothyroxine-absorption',
+        medications: ['levothyroxine'],
+        type: 'food',
+        allergens: ['soy', 'milk'],
+        keywords: ['soy', 'tofu', 'edamame', 'tempeh', ...DAIRY_KEYWORDS],
+        severity: 'medium',
+        spacingHours: 4,
+        supersedes: ['thyroid-soy'],
+        message: 'Soy and calcium ({foods}) can block absorption of {drug}. Take it at least 4 hours apart from them.',
+        timedMessage: 'Within 4 hours of your {time} {drug} dose: {foods} can block its absorption.'
+    },
+    {
+        id: 'antibiotic-calcium',
+        medications: ['chelatingAntibiotic'],
+        type: 'food',
+        allergens: ['milk'],
+        keywords: DAIRY_KEYWORDS,
+        severity: 'medium',
+        spacingHours: 2,
+        message: 'Dairy and calcium ({foods}) can stop {drug} from being absorbed. Take it 2 hours before or 6 hours after them.',
+        timedMessage: 'Within 2 hours of your {time} {drug} dose: {foods} can stop it from being absorbed.'
+    },
+    {
+        id: 'potassium-raising-medication',
+        medications: ['aceInhibitor', 'arb', 'potassiumSparing'],
+        type: 'nutrient',
+        nutrient: 'potassium',
+        limit: 800,
+        message: 'High in potassium ({value}{unit}, limit {limit}{unit} per meal). {Drug} raises blood potassium, so avoid large amounts of high-potassium foods.'
+    }
+];
+
+// "7am", "7:30 pm", "19:00" -> minutes after midnight
+function parseDoseTimes(text) {
+    const times = [];
+    const twelveHour = /\b(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/gi;
+    const twentyFourHour = /\b([01]?\d|2[0-3]):([0-5]\d)\b(?!\s*(?:am|pm))/gi;
+    let match;
+
+    while ((match = twelveHour.exec(text))) {
+        const hours = parseInt(match[1], 10) % 12 + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+        if (hours < 24) times.push(hours * 60 + parseInt(match[2] || '0', 10));
+    }
+    while ((match = twentyFourHour.exec(text))) {
+        times.push(parseInt(match[1], 10) * 60 + parseInt(match[2], 10));
+    }
+    return times;
+}
+
+function formatDoseTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function matchMedicationClass(text) {
+    const lower = text.toLowerCase();
+    for (const [id, medication] of Object.entries(MEDICATION_CLASSES)) {
+        const name = medication.names.find(candidate => new RegExp(`\\b${candidate}\\b`).test(lower));
+        if (name) return { id, name };
+
+        const pattern = (medication.patterns || []).map(regex => regex.exec(lower)).find(Boolean);
+        if (pattern) return { id, name: pattern[0] };
+    }
+    return null;
+}
+
+// Parses the free-text medications answer, one medication per line or
+// separated by commas/semicolons: [{ id, label, name, doseTimes }], one
+// entry per drug class. Unrecognized medications are left out.
+function parseMedications(text) {
+    const found = new Map();
+    String(text || '')
+        .split(/[\n,;]+/)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const match = matchMedicationClass(entry);
+            if (!match || found.has(match.id)) return;
+            found.set(match.id, {
+                id: match.id,
+                label: MEDICATION_CLASSES[match.id].label,
+                name: match.name,
+                doseTimes: parseDoseTimes(entry)
+            });
+        });
+    return [...found.values()];
+}
+
+// Minutes between two times of day, going round midnight
+function minutesApart(a, b) {
+    const difference = Math.abs(a - b) % 1440;
+    return Math.min(difference, 1440 - difference);
+}
+
+// The dose a meal was eaten close to, or undefined when the dose times are
+// known and none is close. null when there are no dose times to check.
+function nearbyDose(rule, medication, meal) {
+    if (!rule.spacingHours || medication.doseTimes.length === 0) return null;
+
+    const eatenAt = new Date(meal.loggedAt || meal.createdAt || Date.now());
+    const minutes = eatenAt.getHours() * 60 + eatenAt.getMinutes();
+    return medication.doseTimes.find(dose => minutesApart(dose, minutes) < rule.spacingHours * 60);
+}
+
+// Returns the medication-food interactions for a meal, most severe first
+function evaluateMedicationRisks(meal, profile, rules = MEDICATION_RULES) {
+    if (!meal || !profile) return [];
+
+    const medications = parseMedications(profile.medications);
+    if (medications.length === 0) return [];
+
+    const nutrition = getMealNutrition(meal);
+    const foods = getMealFoods(meal);
+
+    return rules.map(rule => {
+        const medication = medications.find(item => rule.medications.includes(item.id));
+        if (!medication) return null;
+
+        const dose = nearbyDose(rule, medication, meal);
+        if (dose === undefined) return null;
+
+        const risk = rule.type === 'food'
+            ? evaluateFoodRule({ ...rule, message: dose === null ? rule.message : rule.timedMessage }, foods)
+            : evaluateNutrientRule(rule, nutrition, profile);
+        if (!risk) return null;
+
+        return {
+            ...risk,
+            condition: 'medication',
+            medication: medication.id,
+            message: formatRuleMessage(risk.message, {
+                drug: medication.name,
+                Drug: medication.name.charAt(0).toUpperCase() + medication.name.slice(1),
+                time: dose === null ? '' : formatDoseTime(dose)
+            })
+        };
+    })
+        .filter(Boolean)
+        .sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MEDICATION_CLASSES,
+        MEDICATION_RULES,
+        parseMedications,
+        evaluateMedicationRisks
+    };
+}
@@ -0,0 +1,224 @@
+// HealthyMealTrack - Daily Nutrient Targets
+// Computes personalized daily targets from the health profile (Mifflin-St Jeor
+// energy needs, macro split, condition-specific caps) and measures each day's
+// logged meals against them.
+
+const ACTIVITY_FACTORS = {
+    sedentary: 1.2,
+    light: 1.375,
+    moderate: 1.55,
+    active: 1.725,
+    veryActive: 1.9
+};
+
+const DEFAULT_ACTIVITY_LEVEL = 'light';
+
+// Share of calories from carbs, protein and fat
+const MACRO_SPLITS = {
+    default: { carbs: 0.5, protein: 0.2, fat: 0.3 },
+    diabetes: { carbs: 0.4, protein: 0.25, fat: 0.35 },
+    obesity: { carbs: 0.4, protein: 0.3, fat: 0.3 }
+};
+
+const KCAL_PER_GRAM = { carbs: 4, protein: 4, fat: 9 };
+
+const TARGET_LABELS = {
+    calories: { label: 'Calories', unit: 'kcal' },
+    protein: { label: 'Protein', unit: 'g' },
+    carbs: { label: 'Carbs', unit: 'g' },
+    fat: { label: 'Fat', unit: 'g' },
+    saturatedFat: { label: 'Saturated fat', unit: 'g' },
+    fiber: { label: 'Fiber', unit: 'g' },
+    sugar: { label: 'Sugar', unit: 'g' },
+    sodium: { label: 'Sodium', unit: 'mg' },
+    potassium: { label: 'Potassium', unit: 'mg' }
+};
+
+// Local calendar day ("2024-05-31") of a date in the user's timezone
+function localDateKey(date) {
+    const d = new Date(date);
+    const pad = value => String(value).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Resting energy expenditure (kcal/day), Mifflin-St Jeor
+function calculateBMR({ weight, height, age, gender }) {
+    if (!weight || !height || !age) return null;
+
+    const base = 10 * weight + 6.25 * height - 5 * age;
+    const offsets = { male: 5, female: -161 };
+    // No sex-specific constant for "other": use the midpoint
+    return Math.round(base + (offsets[gender] !== undefined ? offsets[gender] : -78));
+}
+
+function ruleLimit(ruleId, labValues) {
+    const rule = HEALTH_RULES.find(item => item.id === ruleId);
+    return rule ? resolveLimit(rule, labValues) : null;
+}
+
+// Returns { nutrient: { goal?, min?, max?, reason } } plus perMeal caps
+function computeDailyTargets(profile) {
+    if (!profile) return null;
+
+    const conditions = profile.conditions || [];
+    const labs = profile.labValues || {};
+    const has = condition => conditions.includes(condition);
+
+    const bmr = calculateBMR(profile);
+    const activityFactor = ACTIVITY_FACTORS[profile.activityLevel] || ACTIVITY_FACTORS[DEFAULT_ACTIVITY_LEVEL];
+    let calories = bmr ? Math.round(bmr * activityFactor) : 2000;
+    let calorieReason = bmr ? 'Mifflin-St Jeor energy needs adjusted for activity' : 'Standard 2,000 kcal reference';
+
+    if (has('obesity') || (profile.bmi && profile.bmi >= 30)) {
+        const floor = profile.gender === 'male' ? 1500 : 1200;
+        calories = Math.max(floor, calories - 500);
+        calorieReason = '500 kcal/day deficit for gradual weight loss';
+    }
+
+    const split = has('diabetes') ? MACRO_SPLITS.diabetes
+        : has('obesity') ? MACRO_SPLITS.obesity
+            : MACRO_SPLITS.default;
+    const macroGrams = macro => Math.round(calories * split[macro] / KCAL_PER_GRAM[macro]);
+
+    const targets = {
+        calories: { goal: calories, max: Math.round(calories * 1.1), reason: calorieReason },
+        carbs: { goal: macroGrams('carbs'), max: Math.round(macroGrams('carbs') * 1.15), reason: `${Math.round(split.carbs * 100)}% of calories` },
+        protein: { goal: macroGrams('protein'), min: Math.round((profile.weight || 70) * 0.8), reason: `${Math.round(split.protein * 100)}% of calories` },
+        fat: { goal: macroGrams('fat'), max: Math.round(macroGrams('fat') * 1.15), reason: `${Math.round(split.fat * 100)}% of calories` },
+        fiber: { min: Math.round(calories / 1000 * 14), reason: '14g per 1,000 kcal' },
+        sugar: { max: Math.round(calories * 0.1 / 4), reason: 'Under 10% of calories from sugar' },
+        sodium: { max: 2300, reason: 'General adult limit' }
+    };
+    const perMeal = {};
+
+    if (has('bp') || has('heart')) {
+        targets.sodium = { max: 1500, reason: has('bp') ? 'Low-sodium diet for high blood pressure' : 'Low-sodium diet for heart disease' };
+    }
+    if (has('cholesterol') || has('heart')) {
+        targets.saturatedFat = { max: Math.round(calories * 0.06 / 9), reason: 'Under 6% of calories for cholesterol and heart health' };
+    }
+    if (has('diabetes') || has('pcos')) {
+        targets.sugar = { max: 25, reason: has('diabetes') ? 'Limit sugar for blood sugar control' : 'Limit sugar for insulin resistance (PCOS)' };
+    }
+    if (has('diabetes')) {
+        perMeal.carbs = { max: ruleLimit('diabetes-carbs', labs), reason: 'Consistent carbs per meal for diabetes' };
+    }
+    if (has('kidney')) {
+        const proteinPerKg = labs.creatinine >= 2 ? 0.6 : 0.8;
+        const proteinCap = Math.round((profile.weight || 70) * proteinPerKg);
+        targets.protein = { goal: Math.min(targets.protein.goal, proteinCap), max: proteinCap, reason: `Up to ${proteinPerKg} g/kg protein for kidney disease` };
+        targets.potassium = { max: labs.potassium >= 5 ? 1500 : 2000, reason: 'Potassium limit for kidney disease' };
+        targets.sodium = { max: Math.min(targets.sodium.max, 2000), reason: targets.sodium.max < 2000 ? targets.sodium.reason : 'Sodium limit for kidney disease' };
+        perMeal.potassium = { max: ruleLimit('kidney-potassium', labs), reason: 'Spread potassium across meals' };
+    }
+
+    return { daily: targets, perMeal, bmr, activityFactor };
+}
+
+function mealNutrition(meal) {
+    const nutrition = (meal.aiAnalysis && meal.aiAnalysis.nutrition) || meal.nutrition || {};
+    return { ...nutrition, calories: nutrition.calories !== undefined ? nutrition.calories : (meal.totalCalories || 0) };
+}
+
+function sumMealNutrition(meals) {
+    return meals.reduce((totals, meal) => {
+        Object.entries(mealNutrition(meal)).forEach(([key, value]) => {
+            if (typeof value === 'number') {
+                totals[key] = (totals[key] || 0) + value;
+            }
+        });
+        return totals;
+    }, {});
+}
+
+function groupMealsByDay(meals) {
+    return meals.reduce((days, meal) => {
+        const key = localDateKey(meal.loggedAt || meal.createdAt);
+        (days[key] = days[key] || []).push(meal);
+        return days;
+    }, {});
+}
+
+// Measures one day's meals against the targets. Caps (max) are checked for
+// every day; minimums only once the day is over (complete = true).
+function measureDay(meals, targets, { complete = false } = {}) {
+    const totals = sumMealNutrition(meals);
+    const progress = {};
+    const checks = [];
+
+    Object.entries(targets.daily).forEach(([nutrient, target]) => {
+        const value = Math.round(totals[nutrient] || 0);
+        const limit = target.max !== undefined ? target.max : target.goal;
+        const entry = {
+            nutrient,
+            ...TARGET_LABELS[nutrient],
+            ...target,
+            value,
+            remaining: limit !== undefined ? Math.round(limit - value) : null,
+            percent: target.goal || target.max ? Math.round(value / (target.goal || target.max) * 100) : null,
+            status: 'ok'
+        };
+
+        if (target.max !== undefined) {
+            const passed = value <= target.max;
+            checks.push({ nutrient, passed, reason: target.reason });
+            if (!passed) entry.status = 'over';
+        }
+        if (target.min !== undefined && complete) {
+            const passed = value >= target.min;
+            checks.push({ nutrient, passed, reason: target.reason });
+            if (!passed) entry.status = 'under';
+        }
+
+        progress[nutrient] = entry;
+    });
+
+    Object.entries(targets.perMeal).forEach(([nutrient, target]) => {
+        meals.forEach(meal => {
+            const value = mealNutrition(meal)[nutrient];
+            if (typeof value !== 'number') return;
+            checks.push({ nutrient, passed: value <= target.max, perMeal: true, mealId: meal.id, reason: target.reason });
+        });
+    });
+
+    const passed = checks.filter(check => check.passed).length;
+    return {
+        totals,
+        progress,
+        checks,
+        compliance: checks.length ? Math.round(passed / checks.length * 100) : null
+    };
+}
+
+// Average compliance over the last `days` days that have meals
+function complianceOverDays(meals, targets, days = 7, now = new Date()) {
+    const byDay = groupMealsByDay(meals);
+    const today = localDateKey(now);
+    const scores = [];
+
+    for (let offset = 0; offset < days; offset++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - offset);
+        const key = localDateKey(date);
+        if (!byDay[key]) continue;
+
+        const day = measureDay(byDay[key], targets, { complete: key !== today });
+        if (day.compliance !== null) scores.push(day.compliance);
+    }
+
+    return scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACTIVITY_FACTORS,
+        localDateKey,
+        calculateBMR,
+        computeDailyTargets,
+        sumMealNutrition,
+        groupMealsByDay,
+        measureDay,
+        complianceOverDays
+    };
+}
@@ -0,0 +1,140 @@
+// HealthyMealTrack - Offline Support
+// Registers the service worker (service-worker.js) that makes the pages load
+// offline, and describes the meal outbox: photo meals logged while the
+// backend can't be reached are stored with their photo, description and meal
+// type, shown as "pending sync" cards and uploaded later. Background Sync
+// wakes an open page to replay them; browsers without it replay when they
+// come back online or the dashboard is opened.
+
+const SERVICE_WORKER_URL = 'service-worker.js';
+
+// Background Sync tag, and the messages the service worker and the page
+// exchange to replay the outbox
+const OUTBOX_SYNC_TAG = 'meal-outbox';
+const OUTBOX_MESSAGES = { sync: 'outbox-sync' };
+
+// Uploads the server keeps rejecting (not network failures) are given up
+// after this many attempts and left for the user to retry or delete
+const OUTBOX_MAX_ATTEMPTS = 3;
+
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// Failures worth keeping a meal for: no connection, or a network or server
+// error that a later retry may get past
+function isOfflineError(error) {
+    if (!error || error.name === 'AbortError') return false;
+    return isOffline() || isTransientError(error);
+}
+
+// Only over http(s): file:// pages can't have a service worker
+async function registerServiceWorker(url = SERVICE_WORKER_URL) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+    if (typeof location === 'undefined' || !location.protocol.startsWith('http')) return null;
+
+    try {
+        return await navigator.serviceWorker.register(url);
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+// Removes everything the service worker cached, for signing out. The pages
+// are cached again as they load.
+async function clearOfflineCaches() {
+    if (typeof caches === 'undefined') return;
+
+    try {
+        const keys = await caches.keys();
+        await Promise.all(keys.map(key => caches.delete(key)));
+    } catch (error) {
+        console.warn('Failed to clear cached files:', error);
+    }
+}
+
+// Asks the service worker for a Background Sync. Resolves false when the
+// browser has no Background Sync, so the caller relies on the online event.
+async function requestOutboxSync(tag = OUTBOX_SYNC_TAG) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+    try {
+        // getRegistration() rather than ready: ready never settles without a worker
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.sync) return false;
+        await registration.sync.register(tag);
+        return true;
+    } catch (error) {
+        console.warn('Background sync unavailable:', error);
+        return false;
+    }
+}
+
+// Calls replay() whenever the service worker asks for the outbox, and
+// answers on the message port with { done } so the sync can be retried
+function listenForOutboxSync(replay) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (!event.data || event.data.type !== OUTBOX_MESSAGES.sync) return;
+        const port = event.ports && event.ports[0];
+        Promise.resolve()
+            .then(replay)
+            .then(done => port && port.postMessage({ done: Boolean(done) }))
+            .catch(error => port && port.postMessage({ done: false, error: error.message }));
+    });
+}
+
+// Runs replay() while no other tab is replaying, so two open dashboards
+// don't upload the same meal (Web Locks where available)
+function withOutboxLock(replay) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+        return navigator.locks.request(OUTBOX_SYNC_TAG, replay);
+    }
+    return replay();
+}
+
+// An outbox entry for a meal logged offline. id is the local meal's id, so
+// the pending card and the entry can be matched up.
+function createOutboxEntry({ id, photo, mealType, description = '', loggedAt }) {
+    return {
+        id,
+        createdAt: new Date().toISOString(),
+        mealType,
+        description,
+        loggedAt,
+        photo,
+        photoName: photo.name || 'meal.jpg',
+        attempts: 0
+    };
+}
+
+// The entry after a failed replay; failedAt marks it as given up
+function recordOutboxFailure(entry, error) {
+    const attempts = (entry.attempts || 0) + 1;
+    return {
+        ...entry,
+        attempts,
+        lastError: error.userMessage || error.message || 'Upload failed',
+        failedAt: attempts >= OUTBOX_MAX_ATTEMPTS ? new Date().toISOString() : undefined
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OUTBOX_SYNC_TAG,
+        OUTBOX_MESSAGES,
+        OUTBOX_MAX_ATTEMPTS,
+        isOffline,
+        isOfflineError,
+        registerServiceWorker,
+        clearOfflineCaches,
+        requestOutboxSync,
+        listenForOutboxSync,
+        withOutboxLock,
+        createOutboxEntry,
+        recordOutboxFailure
+    };
+}
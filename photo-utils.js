@@ -0,0 +1,218 @@
+// HealthyMealTrack - Meal Photo Preparation
+// Reads the capture time from a photo's EXIF data, then downscales and
+// re-encodes it in the browser before upload. Re-encoding through a canvas
+// drops all EXIF metadata, including GPS location; when the browser can't
+// decode the image, the metadata segments are cut out of the JPEG bytes
+// instead. Other formats that can't be re-encoded (often HEIC, which
+// carries GPS) are refused rather than uploaded as they are.
+
+const PHOTO_MAX_DIMENSION = 1600;
+const PHOTO_QUALITY = 0.82;
+
+// EXIF is in the first APP1 segment, well within the first 128 KB
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+const EXIF_TAGS = {
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTime: 0x0132,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011
+};
+
+function isJpeg(bytes) {
+    return bytes.length > 3 && bytes[0] === 0xFF && bytes[1] === 0xD8;
+}
+
+// Yields { marker, start, length } for each segment before the image data
+function* jpegSegments(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        // Start of scan: compressed image data follows
+        if (marker === 0xDA) return;
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        yield { marker, start: offset, length: length + 2 };
+        offset += length + 2;
+    }
+}
+
+// APP1 (EXIF and XMP, both of which can hold GPS) and APP13 (IPTC)
+function isMetadataSegment(segment) {
+    return segment.marker === 0xE1 || segment.marker === 0xED;
+}
+
+function isExifSegment(bytes, segment) {
+    const header = segment.start + 4;
+    return segment.marker === 0xE1 &&
+        String.fromCharCode(...bytes.subarray(header, header + 4)) === 'Exif';
+}
+
+function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+    const entries = {};
+    const start = tiffStart + ifdOffset;
+    if (start + 2 > view.byteLength) return entries;
+
+    const count = view.getUint16(start, littleEndian);
+    for (let index = 0; index < count; index++) {
+        const entry = start + 2 + index * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const length = view.getUint32(entry + 4, littleEndian);
+
+        if (type === 2) {
+            // ASCII: stored inline when 4 bytes or less, else at an offset
+            const valueStart = length > 4 ? tiffStart + view.getUint32(entry + 8, littleEndian) : entry + 8;
+            let text = '';
+            for (let i = 0; i < length - 1 && valueStart + i < view.byteLength; i++) {
+                text += String.fromCharCode(view.getUint8(valueStart + i));
+            }
+            entries[tag] = text;
+        } else if (type === 4) {
+            entries[tag] = view.getUint32(entry + 8, littleEndian);
+        }
+    }
+    return entries;
+}
+
+// "2024:05:31 08:14:09" (camera local time) plus an optional "+02:00" offset
+function parseExifDate(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    if (year < 1990) return null;
+
+    if (offset && /^[+-]\d{2}:\d{2}$/.test(offset)) {
+        const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${offset}`;
+        const date = new Date(iso);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+// Returns { capturedAt: Date|null, hasGps } from JPEG bytes
+function parseExif(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const result = { capturedAt: null, hasGps: false };
+    if (!isJpeg(bytes)) return result;
+
+    for (const segment of jpegSegments(bytes)) {
+        if (!isExifSegment(bytes, segment)) continue;
+
+        const tiffStart = segment.start + 10;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, Math.min(bytes.length, segment.start + segment.length));
+        if (tiffStart + 8 > view.byteLength) return result;
+
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+        const exif = ifd0[EXIF_TAGS.exifIfd] ? readIfd(view, tiffStart, ifd0[EXIF_TAGS.exifIfd], littleEndian) : {};
+
+        result.hasGps = Boolean(ifd0[EXIF_TAGS.gpsIfd]);
+        result.capturedAt = parseExifDate(exif[EXIF_TAGS.dateTimeOriginal], exif[EXIF_TAGS.offsetTimeOriginal]) ||
+            parseExifDate(ifd0[EXIF_TAGS.dateTime]);
+        return result;
+    }
+    return result;
+}
+
+// Copy of the JPEG without its EXIF, XMP and IPTC segments
+function stripExif(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!isJpeg(bytes)) return bytes;
+
+    const keep = [bytes.subarray(0, 2)];
+    let end = 2;
+    for (const segment of jpegSegments(bytes)) {
+        if (!isMetadataSegment(segment)) {
+            keep.push(bytes.subarray(segment.start, segment.start + segment.length));
+        }
+        end = segment.start + segment.length;
+    }
+    keep.push(bytes.subarray(end));
+
+    const output = new Uint8Array(keep.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    keep.forEach(part => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+async function readPhotoMetadata(file) {
+    try {
+        const head = await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer();
+        const metadata = parseExif(head);
+        // Ignore clocks set in the future
+        if (metadata.capturedAt && metadata.capturedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+            metadata.capturedAt = null;
+        }
+        return metadata;
+    } catch (error) {
+        return { capturedAt: null, hasGps: false };
+    }
+}
+
+// Downscales to fit maxDimension and re-encodes as JPEG. Returns null when the
+// browser can't decode the image.
+async function compressImage(file, { maxDimension = PHOTO_MAX_DIMENSION, quality = PHOTO_QUALITY } = {}) {
+    if (typeof createImageBitmap !== 'function' || typeof document === 'undefined') return null;
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        return null;
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; keep transparent PNG areas white
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    if (bitmap.close) bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (!blob) return null;
+
+    const name = (file.name || 'meal').replace(/\.[^.]+$/, '') + '.jpg';
+    return new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified });
+}
+
+// Returns { file, capturedAt, hasGps, originalSize } with a file that is safe
+// to upload: downscaled when possible, and never carrying EXIF/GPS data
+async function prepareMealPhoto(file) {
+    const metadata = await readPhotoMetadata(file);
+    let prepared = await compressImage(file);
+
+    if (!prepared) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (!isJpeg(bytes)) {
+            const error = new Error('Photo metadata could not be removed');
+            error.userMessage = "This browser can't read this photo's format, so its location data can't be removed. Please upload it as a JPEG (or a screenshot of it).";
+            throw error;
+        }
+        prepared = new File([stripExif(bytes)], file.name, { type: 'image/jpeg', lastModified: file.lastModified });
+    }
+
+    return { file: prepared, ...metadata, originalSize: file.size };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseExif,
+        stripExif,
+        readPhotoMetadata,
+        compressImage,
+        prepareMealPhoto
+    };
+}
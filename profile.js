@@ -0,0 +1,290 @@
+// HealthyMealTrack - Health Profile
+// Builds and validates the structured health profile from the form.html
+// wizard: unit conversion (kg/lb, cm/ft-in), BMI, parsing of the free-text
+// lab readings ("130/85 mmHg", "120 mg/dL") into labValues for the rules, and
+// the allergen list (see allergens.js).
+
+const PROFILE_GENDERS = ['male', 'female', 'other'];
+
+const PROFILE_ACTIVITY_LEVELS = ['sedentary', 'light', 'moderate', 'active', 'veryActive'];
+
+// Display names for the wizard's condition ids
+const PROFILE_CONDITION_LABELS = {
+    diabetes: 'Diabetes',
+    bp: 'High Blood Pressure',
+    cholesterol: 'High Cholesterol',
+    kidney: 'Kidney Disease',
+    heart: 'Heart Disease',
+    thyroid: 'Thyroid Disorders',
+    obesity: 'Obesity',
+    pcos: 'PCOS / PCOD',
+    lactose: 'Lactose Intolerance',
+    gluten: 'Gluten Sensitivity',
+    anemia: 'Anemia',
+    // Not wizard conditions: the healthRisks from medications.js and
+    // allergens.js
+    medication: 'Medication Interaction',
+    allergen: 'Allergen'
+};
+
+const LB_PER_KG = 2.20462;
+const CM_PER_INCH = 2.54;
+
+// Accepted ranges for validation (canonical units)
+const PROFILE_RANGES = {
+    age: { min: 1, max: 120, label: 'Age' },
+    weight: { min: 20, max: 300, label: 'Weight', unit: 'kg' },
+    height: { min: 100, max: 250, label: 'Height', unit: 'cm' },
+    systolic: { min: 70, max: 250, label: 'Systolic pressure', unit: 'mmHg' },
+    diastolic: { min: 40, max: 150, label: 'Diastolic pressure', unit: 'mmHg' },
+    bloodSugar: { min: 20, max: 600, label: 'Blood sugar', unit: 'mg/dL' },
+    cholesterol: { min: 50, max: 500, label: 'Cholesterol', unit: 'mg/dL' },
+    potassium: { min: 1.5, max: 9, label: 'Potassium', unit: 'mmol/L' },
+    creatinine: { min: 0.1, max: 20, label: 'Creatinine', unit: 'mg/dL' },
+    tsh: { min: 0.01, max: 100, label: 'TSH', unit: 'µIU/mL' },
+    hemoglobin: { min: 3, max: 25, label: 'Hemoglobin', unit: 'g/dL' },
+    bmi: { min: 10, max: 80, label: 'BMI' }
+};
+
+function parseNumber(text) {
+    const match = /-?\d+(?:\.\d+)?/.exec(String(text || '').replace(',', '.'));
+    return match ? parseFloat(match[0]) : null;
+}
+
+function roundTo(value, decimals = 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// "130/85", "130 / 85 mmHg", "130 over 85"
+function parseBloodPressure(text) {
+    const match = /(\d{2,3})\s*(?:\/|over)\s*(\d{2,3})/i.exec(String(text || ''));
+    if (!match) return null;
+    return { systolic: parseInt(match[1], 10), diastolic: parseInt(match[2], 10) };
+}
+
+function toKilograms(value, unit = 'kg') {
+    return unit === 'lb' ? value / LB_PER_KG : value;
+}
+
+function toCentimeters({ cm, feet, inches }, unit = 'cm') {
+    if (unit === 'ft') {
+        return ((feet || 0) * 12 + (inches || 0)) * CM_PER_INCH;
+    }
+    return cm;
+}
+
+function fromCentimeters(cm) {
+    const totalInches = Math.round(cm / CM_PER_INCH);
+    return { feet: Math.floor(totalInches / 12), inches: totalInches % 12 };
+}
+
+function calculateBMI(weightKg, heightCm) {
+    if (!weightKg || !heightCm) return null;
+    const meters = heightCm / 100;
+    return roundTo(weightKg / (meters * meters));
+}
+
+function bmiCategory(bmi) {
+    if (bmi === null || bmi === undefined) return null;
+    if (bmi < 18.5) return 'underweight';
+    if (bmi < 25) return 'normal';
+    if (bmi < 30) return 'overweight';
+    return 'obese';
+}
+
+// Parses the free-text conditionDetails answer for one condition into lab
+// values. Conditions without a numeric reading keep only the text.
+const LAB_PARSERS = {
+    diabetes: text => ({ bloodSugar: parseNumber(text) }),
+    bp: text => parseBloodPressure(text) || {},
+    cholesterol: text => ({ cholesterol: parseNumber(text) }),
+    kidney: text => {
+        const value = parseNumber(text);
+        // Creatinine is usually below 2.5 mg/dL, serum potassium 3.5-5.5 mmol/L
+        return /creat/i.test(text) || (value !== null && value < 2.5)
+            ? { creatinine: value }
+            : { potassium: value };
+    },
+    thyroid: text => ({ tsh: parseNumber(text) }),
+    anemia: text => ({ hemoglobin: parseNumber(text) }),
+    obesity: text => {
+        const waist = /(\d+(?:\.\d+)?)\s*(in|inch|inches|cm)\b/i.exec(text);
+        const bmi = /bmi\s*(?:of|is|:)?\s*(\d+(?:\.\d+)?)/i.exec(text);
+        return {
+            ...(waist && { waistCm: roundTo(waist[2].toLowerCase() === 'cm' ? parseFloat(waist[1]) : parseFloat(waist[1]) * CM_PER_INCH) }),
+            ...(bmi && { reportedBmi: parseFloat(bmi[1]) })
+        };
+    }
+};
+
+function parseLabValues(conditionDetails = {}) {
+    const labValues = {};
+    const errors = {};
+
+    Object.entries(conditionDetails).forEach(([condition, text]) => {
+        if (!text || !String(text).trim() || !LAB_PARSERS[condition]) return;
+
+        const values = LAB_PARSERS[condition](String(text));
+        const numeric = Object.entries(values).filter(([, value]) => value !== null && value !== undefined);
+        if (numeric.length === 0) {
+            errors[condition] = condition === 'bp'
+                ? 'Enter blood pressure as systolic/diastolic, e.g. 130/85'
+                : 'Enter a number, e.g. ' + (condition === 'kidney' ? '4.0' : '120');
+            return;
+        }
+
+        numeric.forEach(([key, value]) => {
+            const range = PROFILE_RANGES[key];
+            if (range && (value < range.min || value > range.max)) {
+                errors[condition] = `${range.label} should be between ${range.min} and ${range.max}${range.unit ? ' ' + range.unit : ''}`;
+            } else {
+                labValues[key] = value;
+            }
+        });
+
+        if (labValues.systolic && labValues.diastolic && labValues.systolic <= labValues.diastolic) {
+            errors.bp = 'Systolic (first) reading should be higher than diastolic';
+            delete labValues.systolic;
+            delete labValues.diastolic;
+        }
+    });
+
+    return { labValues, errors };
+}
+
+function checkRange(field, value, errors) {
+    const range = PROFILE_RANGES[field];
+    if (value === null || Number.isNaN(value)) {
+        errors[field] = `Please enter a valid ${range.label.toLowerCase()}`;
+    } else if (value < range.min || value > range.max) {
+        errors[field] = `${range.label} should be between ${range.min} and ${range.max}${range.unit ? ' ' + range.unit : ''}`;
+    }
+}
+
+// Validates raw wizard values and returns { profile, errors }. errors is keyed
+// by form field (name, age, gender, weight, height) or condition id.
+function buildHealthProfile(values) {
+    const errors = {};
+    const name = String(values.name || '').trim();
+    const age = parseNumber(values.age);
+    const gender = values.gender;
+    const weightUnit = values.weightUnit === 'lb' ? 'lb' : 'kg';
+    const heightUnit = values.heightUnit === 'ft' ? 'ft' : 'cm';
+
+    const rawWeight = parseNumber(values.weight);
+    const weight = rawWeight === null ? null : roundTo(toKilograms(rawWeight, weightUnit));
+    const rawHeight = toCentimeters({
+        cm: parseNumber(values.height),
+        feet: parseNumber(values.heightFeet),
+        inches: parseNumber(values.heightInches)
+    }, heightUnit);
+    const height = rawHeight ? roundTo(rawHeight) : null;
+
+    if (!name) errors.name = 'Please enter your full name';
+    checkRange('age', age, errors);
+    if (!PROFILE_GENDERS.includes(gender)) errors.gender = 'Please select your gender';
+    checkRange('weight', weight, errors);
+    checkRange('height', height, errors);
+
+    const conditions = (values.conditions || []).filter(condition => condition !== 'none');
+    const conditionDetails = {};
+    conditions.forEach(condition => {
+        const text = values.conditionDetails && values.conditionDetails[condition];
+        if (text && String(text).trim()) {
+            conditionDetails[condition] = String(text).trim();
+        }
+    });
+
+    const labs = parseLabValues(conditionDetails);
+    Object.assign(errors, labs.errors);
+
+    // Lactose intolerance and gluten sensitivity are checked as allergens
+    const allergenEntries = [
+        ...conditions
+            .filter(condition => condition === 'lactose' || condition === 'gluten')
+            .map(allergen => ({ allergen, severity: 'intolerance' })),
+        ...(values.allergens || [])
+    ];
+    const allergens = validateAllergens(allergenEntries);
+    if (allergens.errors.length) errors.allergens = allergens.errors.join('. ');
+
+    const bmi = errors.weight || errors.height ? null : calculateBMI(weight, height);
+
+    return {
+        errors,
+        profile: {
+            name,
+            age: age === null ? null : Math.round(age),
+            gender,
+            weight,
+            height,
+            units: { weight: weightUnit, height: heightUnit },
+            activityLevel: PROFILE_ACTIVITY_LEVELS.includes(values.activityLevel) ? values.activityLevel : 'light',
+            bmi,
+            bmiCategory: bmiCategory(bmi),
+            conditions,
+            conditionDetails,
+            labValues: labs.labValues,
+            customCondition: String(values.customCondition || '').trim(),
+            medications: String(values.medications || '').trim(),
+            allergens: allergens.allergens,
+            updatedAt: new Date().toISOString()
+        }
+    };
+}
+
+// Converts a saved profile back into wizard values for editing
+function profileToFormValues(profile) {
+    if (!profile) return null;
+
+    const units = profile.units || {};
+    const values = {
+        name: profile.name || '',
+        age: profile.age || '',
+        gender: profile.gender || '',
+        weightUnit: units.weight || 'kg',
+        heightUnit: units.height || 'cm',
+        activityLevel: profile.activityLevel || 'light',
+        weight: '',
+        height: '',
+        heightFeet: '',
+        heightInches: '',
+        conditions: profile.conditions && profile.conditions.length ? profile.conditions : (profile.name ? ['none'] : []),
+        conditionDetails: { ...profile.conditionDetails },
+        customCondition: profile.customCondition || '',
+        medications: profile.medications || '',
+        allergens: profileAllergens(profile)
+    };
+
+    if (profile.weight) {
+        values.weight = values.weightUnit === 'lb' ? roundTo(profile.weight * LB_PER_KG) : profile.weight;
+    }
+    if (profile.height) {
+        if (values.heightUnit === 'ft') {
+            const { feet, inches } = fromCentimeters(profile.height);
+            values.heightFeet = feet;
+            values.heightInches = inches;
+        } else {
+            values.height = profile.height;
+        }
+    }
+
+    return values;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROFILE_CONDITION_LABELS,
+        PROFILE_RANGES,
+        parseBloodPressure,
+        parseLabValues,
+        toKilograms,
+        toCentimeters,
+        calculateBMI,
+        bmiCategory,
+        buildHealthProfile,
+        profileToFormValues
+    };
+}
@@ -0,0 +1,177 @@
+// HealthyMealTrack - Progress Charts
+// Summarizes logged meals into daily, weekly or monthly buckets and renders
+// them as inline SVG bar charts with target lines and warning markers. No
+// chart library: the output is a plain SVG string.
+
+const PROGRESS_RANGES = {
+    daily: { bucket: 'day', count: 14, label: 'Last 14 days' },
+    weekly: { bucket: 'week', count: 12, label: 'Last 12 weeks' },
+    monthly: { bucket: 'month', count: 6, label: 'Last 6 months' }
+};
+
+const PROGRESS_METRICS = {
+    calories: { label: 'Calories', unit: 'kcal', nutrients: ['calories'] },
+    macros: { label: 'Macros', unit: 'g', nutrients: ['protein', 'carbs', 'fat'] },
+    sodium: { label: 'Sodium', unit: 'mg', nutrients: ['sodium'] },
+    sugar: { label: 'Sugar', unit: 'g', nutrients: ['sugar'] }
+};
+
+const PROGRESS_COLORS = {
+    calories: '#2563eb',
+    protein: '#10b981',
+    carbs: '#f59e0b',
+    fat: '#8b5cf6',
+    sodium: '#0ea5e9',
+    sugar: '#ec4899'
+};
+
+const CHART_SIZE = { width: 600, height: 220, top: 20, right: 16, bottom: 30, left: 44 };
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Monday of the date's week, local time
+function startOfWeek(date) {
+    const start = new Date(date);
+    start.setHours(12, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+function bucketKey(date, bucket) {
+    const d = new Date(date);
+    if (bucket === 'week') return localDateKey(startOfWeek(d));
+    if (bucket === 'month') return localDateKey(d).slice(0, 7);
+    return localDateKey(d);
+}
+
+function progressBuckets(range, now) {
+    const buckets = [];
+    for (let offset = range.count - 1; offset >= 0; offset--) {
+        let date;
+        let label;
+        if (range.bucket === 'month') {
+            date = new Date(now.getFullYear(), now.getMonth() - offset, 1, 12);
+            label = MONTH_NAMES[date.getMonth()];
+        } else {
+            date = range.bucket === 'week' ? startOfWeek(now) : new Date(now);
+            date.setDate(date.getDate() - offset * (range.bucket === 'week' ? 7 : 1));
+            label = `${date.getMonth() + 1}/${date.getDate()}`;
+        }
+        buckets.push({ key: bucketKey(date, range.bucket), label, meals: [] });
+    }
+    return buckets;
+}
+
+// Returns the buckets for a range with per-day averages of each nutrient, so
+// weekly and monthly values stay comparable with daily targets
+function buildProgressSeries(meals, { range = 'daily', mealType = 'all', now = new Date() } = {}) {
+    const config = PROGRESS_RANGES[range] || PROGRESS_RANGES.daily;
+    const buckets = progressBuckets(config, now);
+    const byKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+
+    meals
+        .filter(meal => mealType === 'all' || meal.mealType === mealType)
+        .forEach(meal => {
+            const bucket = byKey.get(bucketKey(meal.loggedAt || meal.createdAt, config.bucket));
+            if (bucket) bucket.meals.push(meal);
+        });
+
+    return buckets.map(bucket => {
+        const days = Object.keys(groupMealsByDay(bucket.meals));
+        const totals = sumMealNutrition(bucket.meals);
+        const averages = {};
+        Object.keys(totals).forEach(nutrient => {
+            averages[nutrient] = days.length ? Math.round(totals[nutrient] / days.length) : 0;
+        });
+
+        return {
+            key: bucket.key,
+            label: bucket.label,
+            mealCount: bucket.meals.length,
+            loggedDays: days.length,
+            values: averages,
+            warningDays: Object.entries(groupMealsByDay(bucket.meals))
+                .filter(([, dayMeals]) => dayMeals.some(mealHasWarnings))
+                .length
+        };
+    });
+}
+
+// The daily goal, or the limit for nutrients that only have a cap
+function targetLineValue(targets, nutrient) {
+    const target = targets && targets.daily[nutrient];
+    if (!target) return null;
+    const value = target.goal !== undefined ? target.goal : target.max;
+    return value === undefined ? null : { value, kind: target.goal !== undefined ? 'Goal' : 'Limit' };
+}
+
+function renderProgressChart(series, metricId, targets) {
+    const metric = PROGRESS_METRICS[metricId];
+    const { width, height, top, right, bottom, left } = CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+
+    const lines = metric.nutrients
+        .map(nutrient => ({ nutrient, ...targetLineValue(targets, nutrient) }))
+        .filter(line => line.value);
+    const values = series.flatMap(bucket => metric.nutrients.map(nutrient => bucket.values[nutrient] || 0));
+    const maxValue = Math.max(1, ...values, ...lines.map(line => line.value)) * 1.1;
+    const y = value => Math.round((top + plotHeight - (value / maxValue) * plotHeight) * 10) / 10;
+
+    const band = plotWidth / series.length;
+    const barWidth = (band * 0.7) / metric.nutrients.length;
+    const parts = [];
+
+    [0, 0.5, 1].forEach(step => {
+        const value = Math.round(maxValue / 1.1 * step);
+        parts.push(`<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e7eb"/>`);
+        parts.push(`<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#9ca3af">${value}</text>`);
+    });
+
+    series.forEach((bucket, index) => {
+        const x0 = left + index * band + band * 0.15;
+        metric.nutrients.forEach((nutrient, position) => {
+            const value = bucket.values[nutrient] || 0;
+            const label = (TARGET_LABELS[nutrient] || {}).label || nutrient;
+            parts.push(`<rect x="${x0 + position * barWidth}" y="${y(value)}" width="${Math.max(1, barWidth - 1)}" height="${top + plotHeight - y(value)}" fill="${PROGRESS_COLORS[nutrient]}" rx="2"><title>${bucket.label}: ${label} ${value}${metric.unit}/day</title></rect>`);
+        });
+
+        if (bucket.warningDays > 0) {
+            parts.push(`<circle class="warning-marker" cx="${left + index * band + band / 2}" cy="${top - 8}" r="4" fill="#ef4444"><title>${bucket.warningDays} day${bucket.warningDays === 1 ? '' : 's'} with health warnings</title></circle>`);
+        }
+
+        // Thin out labels so they don't collide on 14-day charts
+        if (series.length <= 12 || index % 2 === series.length % 2) {
+            parts.push(`<text x="${left + index * band + band / 2}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#6b7280">${bucket.label}</text>`);
+        }
+    });
+
+    lines.forEach(line => {
+        const label = metric.nutrients.length > 1 ? `${TARGET_LABELS[line.nutrient].label} ${line.kind.toLowerCase()}` : line.kind;
+        parts.push(`<line class="target-line" x1="${left}" x2="${width - right}" y1="${y(line.value)}" y2="${y(line.value)}" stroke="${PROGRESS_COLORS[line.nutrient]}" stroke-dasharray="6 4" stroke-width="1.5"><title>${label}: ${line.value}${metric.unit}/day</title></line>`);
+        parts.push(`<text x="${width - right}" y="${y(line.value) - 4}" text-anchor="end" font-size="10" fill="${PROGRESS_COLORS[line.nutrient]}">${label} ${line.value}${metric.unit}</text>`);
+    });
+
+    if (series.every(bucket => bucket.mealCount === 0)) {
+        parts.push(`<text x="${left + plotWidth / 2}" y="${top + plotHeight / 2}" text-anchor="middle" font-size="13" fill="#9ca3af">No meals logged in this period</text>`);
+    }
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${metric.label} per day">${parts.join('')}</svg>`;
+}
+
+function renderProgressLegend(metricId) {
+    return PROGRESS_METRICS[metricId].nutrients.map(nutrient => `
+        <span class="legend-item"><span class="legend-swatch" style="background: ${PROGRESS_COLORS[nutrient]}"></span>${(TARGET_LABELS[nutrient] || {}).label || nutrient}</span>
+    `).join('');
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROGRESS_RANGES,
+        PROGRESS_METRICS,
+        buildProgressSeries,
+        renderProgressChart,
+        renderProgressLegend
+    };
+}
@@ -0,0 +1,308 @@
+// HealthyMealTrack - Reminders
+// Meal logging nudges (nothing logged for a meal type by a set time) and
+// medication reminders at the dose times written in the profile ("metformin
+// at 8am, 8pm"). The schedule is part of the health profile
+// (profile.reminders); which reminders were shown or snoozed today is kept
+// on the device. Times are wall-clock times, so reminders follow the device
+// into a new timezone. Nothing is shown during quiet hours; a reminder held
+// back by them is shown when they end, as long as it still applies.
+
+const REMINDER_MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const DEFAULT_REMINDER_SETTINGS = {
+    enabled: false,
+    meals: {
+        breakfast: { enabled: true, time: '10:00' },
+        lunch: { enabled: true, time: '14:00' },
+        dinner: { enabled: true, time: '20:00' },
+        snack: { enabled: false, time: '16:00' }
+    },
+    medications: true,
+    quietHours: { enabled: true, start: '22:00', end: '07:00' },
+    snoozeMinutes: 30,
+    // The timezone the schedule was last used in, to notice a change
+    timeZone: null
+};
+
+const REMINDER_SNOOZE_OPTIONS = [10, 30, 60];
+
+// A medication reminder held back by quiet hours or a closed app is still
+// shown this long after the dose time. A meal nudge lasts until the next
+// meal's reminder, or this long for the day's last one, so a missed morning
+// doesn't bring every nudge at once in the evening.
+const MEDICATION_REMINDER_WINDOW_MINUTES = 180;
+const MEAL_REMINDER_WINDOW_MINUTES = 180;
+
+// Message from the service worker when a notification's Snooze is clicked
+const REMINDER_MESSAGES = { snooze: 'reminder-snooze' };
+
+// "14:00" -> minutes after midnight, or null
+function parseClockTime(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function formatClockTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+function currentTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Fills in defaults and drops invalid times, so older profiles without
+// reminders and hand-edited imports both work
+function normalizeReminderSettings(settings = {}) {
+    settings = settings || {};
+    const time = (value, fallback) => (parseClockTime(value) === null ? fallback : formatClockTime(parseClockTime(value)));
+    const meals = {};
+    REMINDER_MEAL_TYPES.forEach(mealType => {
+        const defaults = DEFAULT_REMINDER_SETTINGS.meals[mealType];
+        const meal = (settings.meals || {})[mealType] || {};
+        meals[mealType] = {
+            enabled: meal.enabled === undefined ? defaults.enabled : Boolean(meal.enabled),
+            time: time(meal.time, defaults.time)
+        };
+    });
+
+    const quietHours = { ...DEFAULT_REMINDER_SETTINGS.quietHours, ...settings.quietHours };
+    const snoozeMinutes = parseInt(settings.snoozeMinutes, 10);
+    return {
+        enabled: Boolean(settings.enabled),
+        meals,
+        medications: settings.medications === undefined ? DEFAULT_REMINDER_SETTINGS.medications : Boolean(settings.medications),
+        quietHours: {
+            enabled: Boolean(quietHours.enabled),
+            start: time(quietHours.start, DEFAULT_REMINDER_SETTINGS.quietHours.start),
+            end: time(quietHours.end, DEFAULT_REMINDER_SETTINGS.quietHours.end)
+        },
+        snoozeMinutes: snoozeMinutes > 0 ? snoozeMinutes : DEFAULT_REMINDER_SETTINGS.snoozeMinutes,
+        timeZone: settings.timeZone || null
+    };
+}
+
+// Quiet hours may run past midnight (22:00 to 07:00)
+function isQuietTime(minutes, quietHours) {
+    if (!quietHours || !quietHours.enabled) return false;
+    const start = parseClockTime(quietHours.start);
+    const end = parseClockTime(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+// Every medication in the profile with a dose time, including ones without
+// known food interactions: [{ name, doseTimes }]
+function parseMedicationSchedule(text) {
+    return String(text || '')
+        .split(/[\n;]+|,(?!\s*\d)/)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => ({
+            name: entry
+                .replace(/\b\d{1,2}(?::[0-5]\d)?\s*(?:am|pm)\b|\b(?:[01]?\d|2[0-3]):[0-5]\d\b/gi, ' ')
+                .replace(/(?:\b(?:at|and)\b|[,&@])/gi, ' ')
+                .replace(/\s+/g, ' ')
+                .trim(),
+            doseTimes: [...new Set(parseDoseTimes(entry))].sort((a, b) => a - b)
+        }))
+        .filter(medication => medication.name && medication.doseTimes.length);
+}
+
+// The day's reminders, earliest first:
+// [{ id, kind: 'meal' | 'medication', minutes, until, mealType?, medication? }]
+function buildReminderSchedule(settings, profile) {
+    settings = normalizeReminderSettings(settings);
+    const schedule = [];
+
+    const mealTimes = REMINDER_MEAL_TYPES
+        .filter(mealType => settings.meals[mealType].enabled)
+        .map(mealType => ({ mealType, minutes: parseClockTime(settings.meals[mealType].time) }));
+    mealTimes.forEach(({ mealType, minutes }) => {
+        const next = Math.min(...mealTimes.map(meal => meal.minutes).filter(time => time > minutes));
+        schedule.push({
+            id: `meal-${mealType}`,
+            kind: 'meal',
+            mealType,
+            minutes,
+            until: Math.min(24 * 60, Number.isFinite(next) ? next : minutes + MEAL_REMINDER_WINDOW_MINUTES)
+        });
+    });
+
+    if (settings.medications && profile) {
+        parseMedicationSchedule(profile.medications).forEach(medication => {
+            medication.doseTimes.forEach(minutes => schedule.push({
+                id: `medication-${medication.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${minutes}`,
+                kind: 'medication',
+                medication: medication.name,
+                minutes,
+                until: Math.min(24 * 60, minutes + MEDICATION_REMINDER_WINDOW_MINUTES)
+            }));
+        });
+    }
+
+    return schedule.sort((a, b) => a.minutes - b.minutes);
+}
+
+// Today's state: { date, shown: { id: true }, snoozedUntil: { id: iso } },
+// started over on a new day
+function reminderStateFor(state, now = new Date()) {
+    const date = localDateKey(now);
+    return state && state.date === date
+        ? { date, shown: { ...state.shown }, snoozedUntil: { ...state.snoozedUntil } }
+        : { date, shown: {}, snoozedUntil: {} };
+}
+
+// Reminders to show now. A meal nudge only applies while nothing of that
+// meal type has been logged today.
+function dueReminders({ settings, profile, meals = [], state, now = new Date() }) {
+    settings = normalizeReminderSettings(settings);
+    if (!settings.enabled) return [];
+
+    const minutes = minutesOfDay(now);
+    if (isQuietTime(minutes, settings.quietHours)) return [];
+
+    state = reminderStateFor(state, now);
+    const today = state.date;
+    const loggedToday = new Set(meals
+        .filter(meal => localDateKey(meal.loggedAt || meal.createdAt) === today)
+        .map(meal => meal.mealType));
+
+    return buildReminderSchedule(settings, profile).filter(reminder => {
+        if (reminder.kind === 'meal' && loggedToday.has(reminder.mealType)) return false;
+
+        const snoozedUntil = state.snoozedUntil[reminder.id];
+        if (snoozedUntil) return now >= new Date(snoozedUntil);
+        return !state.shown[reminder.id] && minutes >= reminder.minutes && minutes < reminder.until;
+    });
+}
+
+function withRemindersShown(state, reminders, now = new Date()) {
+    const next = reminderStateFor(state, now);
+    reminders.forEach(reminder => {
+        next.shown[reminder.id] = true;
+        delete next.snoozedUntil[reminder.id];
+    });
+    return next;
+}
+
+function withReminderSnoozed(state, reminderId, minutes, now = new Date()) {
+    const next = reminderStateFor(state, now);
+    next.snoozedUntil[reminderId] = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+    return next;
+}
+
+// Notification text and the page a click opens
+function describeReminder(reminder) {
+    if (reminder.kind === 'medication') {
+        return {
+            title: `Time for ${reminder.medication}`,
+            body: `Your ${formatDoseTime(reminder.minutes)} dose of ${reminder.medication}.`,
+            url: 'dashboard.html#/dashboard'
+        };
+    }
+
+    const mealType = reminder.mealType.charAt(0).toUpperCase() + reminder.mealType.slice(1);
+    return {
+        title: `${mealType} not logged yet`,
+        body: `Nothing logged for ${reminder.mealType} today. Add a photo or a description to keep your streak going.`,
+        url: 'dashboard.html#/upload'
+    };
+}
+
+// Runs check() while no other tab is checking, so each reminder is shown
+// once however many dashboards are open (Web Locks where available)
+function withReminderLock(check) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+        return navigator.locks.request('meal-reminders', check);
+    }
+    return check();
+}
+
+function canShowSystemNotifications() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+// Asks for notification permission if it hasn't been answered; call it from
+// a click. Resolves whether system notifications can be shown.
+async function requestReminderPermission() {
+    if (typeof Notification === 'undefined') return false;
+    if (Notification.permission === 'default') {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+        }
+    }
+    return canShowSystemNotifications();
+}
+
+// Shows the reminder as a system notification through the service worker.
+// Resolves false when that isn't possible, so the page shows it instead.
+async function showReminderNotification(reminder, { snoozeMinutes = DEFAULT_REMINDER_SETTINGS.snoozeMinutes } = {}) {
+    if (!canShowSystemNotifications() || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) return false;
+
+        const { title, body, url } = describeReminder(reminder);
+        await registration.showNotification(title, {
+            body,
+            tag: reminder.id,
+            icon: 'icon.svg',
+            data: { reminderId: reminder.id, url, snoozeMinutes },
+            actions: [{ action: 'snooze', title: `Snooze ${snoozeMinutes} min` }]
+        });
+        return true;
+    } catch (error) {
+        console.warn('Reminder notification failed:', error);
+        return false;
+    }
+}
+
+// Calls onSnooze(reminderId, minutes) when Snooze is clicked on a system
+// notification
+function listenForReminderSnooze(onSnooze) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (!event.data || event.data.type !== REMINDER_MESSAGES.snooze) return;
+        onSnooze(event.data.reminderId, event.data.minutes);
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REMINDER_MEAL_TYPES,
+        DEFAULT_REMINDER_SETTINGS,
+        REMINDER_SNOOZE_OPTIONS,
+        REMINDER_MESSAGES,
+        parseClockTime,
+        formatClockTime,
+        currentTimeZone,
+        normalizeReminderSettings,
+        isQuietTime,
+        parseMedicationSchedule,
+        buildReminderSchedule,
+        reminderStateFor,
+        dueReminders,
+        withRemindersShown,
+        withReminderSnoozed,
+        describeReminder,
+        withReminderLock,
+        requestReminderPermission,
+        showReminderNotification,
+        listenForReminderSnooze
+    };
+}
@@ -0,0 +1,73 @@
+// HealthyMealTrack - Hash Router
+// Maps "#/path" URLs to route objects so dashboard sections can be linked to
+// and the back/forward buttons work. The router only resolves routes and runs
+// guards; showing views is left to the onNavigate callback.
+
+class HashRouter {
+    // routes:      [{ path: '/progress', requires: ['profile'], ... }]
+    // defaultPath: used for an empty or unknown hash
+    // canActivate: (requirement) => boolean, checked for each route requirement
+    // onDenied:    (route, requirement) => void, called instead of navigating
+    // onNavigate:  (route, previousRoute) => void
+    constructor({ routes, defaultPath, canActivate = () => true, onDenied = () => {}, onNavigate = () => {} }) {
+        this.routes = routes;
+        this.defaultPath = defaultPath;
+        this.canActivate = canActivate;
+        this.onDenied = onDenied;
+        this.onNavigate = onNavigate;
+        this.current = null;
+        this.handleHashChange = () => this.resolve();
+    }
+
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.resolve();
+    }
+
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    currentPath() {
+        return window.location.hash.replace(/^#/, '') || '';
+    }
+
+    findRoute(path) {
+        return this.routes.find(route => route.path === path) || null;
+    }
+
+    // Pushes a history entry unless replace is set
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            history.replaceState(history.state, '', `#${path}`);
+            this.resolve();
+        } else if (this.currentPath() === path) {
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    }
+
+    resolve() {
+        const route = this.findRoute(this.currentPath());
+        if (!route) {
+            this.navigate(this.defaultPath, { replace: true });
+            return;
+        }
+
+        const missing = (route.requires || []).find(requirement => !this.canActivate(requirement));
+        if (missing) {
+            this.onDenied(route, missing);
+            return;
+        }
+
+        const previous = this.current;
+        this.current = route;
+        this.onNavigate(route, previous);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+}
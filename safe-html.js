@@ -0,0 +1,110 @@
+// HealthyMealTrack - Safe HTML
+// Escape-by-default templating for everything rendered through innerHTML.
+// html`...` escapes every interpolated value unless it is itself html`...`
+// (or an array of them), safeImageUrl() lets through only http(s), blob and
+// data:image URLs, and renderChatMarkup() turns assistant replies into a
+// small, fixed set of tags.
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Raster formats only: an SVG data URL can carry script
+const SAFE_IMAGE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp|avif|bmp);base64,[a-z0-9+/=\s]+$/i;
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:', 'blob:'];
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function htmlValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(htmlValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+// html`<p>${text}</p>` - values are escaped, nested html`` is kept as is
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + htmlValue(values[index - 1]) + string));
+}
+
+// Markup generated by the app's own renderers from numbers and fixed labels,
+// such as the SVG charts. Never pass text that came from the user or the
+// server.
+function trustedHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// The only way markup should reach the page: plain strings are escaped
+function setHtml(element, content) {
+    element.innerHTML = htmlValue(content);
+}
+
+// The URL when it is safe as an image source, otherwise ''. Relative URLs
+// are resolved against the page.
+function safeImageUrl(url) {
+    const text = String(url || '').trim();
+    if (!text) return '';
+    if (/^data:/i.test(text)) return SAFE_IMAGE_DATA_URL.test(text) ? text : '';
+
+    try {
+        const base = typeof location !== 'undefined' ? location.href : undefined;
+        return SAFE_IMAGE_PROTOCOLS.includes(new URL(text, base).protocol) ? text : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// **bold**, *italic*, `code` and [label](https://...) links within a line.
+// The text is escaped first, so the patterns only ever wrap escaped text.
+function renderInlineMarkup(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => (/^https?:\/\//i.test(url)
+            ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : label));
+}
+
+// Assistant replies: paragraphs separated by blank lines, line breaks,
+// "- item" and "1. item" lists, and the inline markup above. Anything else,
+// including HTML, shows as text.
+function renderChatMarkup(text) {
+    const blocks = String(text || '').replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+    const bullet = /^\s*[-*•]\s+/;
+    const numbered = /^\s*\d+[.)]\s+/;
+
+    return new SafeHtml(blocks.map(block => {
+        const lines = block.split('\n').filter(line => line.trim());
+        if (lines.length && lines.every(line => bullet.test(line))) {
+            return `<ul>${lines.map(line => `<li>${renderInlineMarkup(line.replace(bullet, ''))}</li>`).join('')}</ul>`;
+        }
+        if (lines.length && lines.every(line => numbered.test(line))) {
+            return `<ol>${lines.map(line => `<li>${renderInlineMarkup(line.replace(numbered, ''))}</li>`).join('')}</ol>`;
+        }
+        return `<p>${lines.map(renderInlineMarkup).join('<br>')}</p>`;
+    }).join(''));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SafeHtml,
+        escapeHtml,
+        html,
+        trustedHtml,
+        setHtml,
+        safeImageUrl,
+        renderChatMarkup
+    };
+}
@@ -1,29 +1,79 @@
 // HealthyMealTrack - Main JavaScript File
 // Handles all functionality for the AI-powered health meal tracking platform
 
-// API Configuration (Frontend Demo - No Backend)
-const API_BASE_URL = '#';
-let authToken = null;
+// API Configuration
+// Set window.HMT_API_BASE_URL before loading this script to use another
+// backend. When the pages are served over http (e.g. by the local dev server,
+// `node server/index.js`) the API is expected under /api; opened from disk the
+// app runs in demo mode.
+const API_BASE_URL = (typeof window !== 'undefined' && window.HMT_API_BASE_URL) ||
+  (typeof location !== 'undefined' && location.protocol.startsWith('http') ? '/api' : '#');
+// AuthSession from session.js, created by HealthyMealTrack. currentUser mirrors
+// the session's user.
+let authSession = null;
 let currentUser = null;
 
+// Assistant messages kept between visits
+const CHAT_HISTORY_LIMIT = 50;
+
+// How long a deleted meal can be restored before the server is told
+const MEAL_UNDO_MS = 6000;
+
+// How often the dashboard looks for due reminders
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Dashboard sections reachable through the hash router. Each route shows one
+// [data-view-panel]; modal and focus open the upload modal or the chat input
+// on top of it. requires lists what must exist before the route can open.
+const DASHBOARD_ROUTES = [
+  { path: '/dashboard', view: 'dashboard', title: 'Dashboard' },
+  { path: '/upload', view: 'dashboard', title: 'Upload Meals', modal: 'uploadModal', requires: ['profile'] },
+  { path: '/progress', view: 'progress', title: 'Progress', requires: ['profile'] },
+  { path: '/plan', view: 'plan', title: 'Meal Plan', requires: ['profile'] },
+  { path: '/labs', view: 'labs', title: 'Lab Results' },
+  { path: '/assistant', view: 'dashboard', title: 'AI Assistant', focus: 'chatInput' },
+  { path: '/achievements', view: 'achievements', title: 'Achievements' },
+  { path: '/settings', view: 'settings', title: 'Settings', requires: ['profile'] }
+];
+
 // API Helper Functions
-async function apiRequest(endpoint, options = {}) {
+function authHeaders() {
+  return authSession ? authSession.authorizationHeader() : {};
+}
+
+// Requests refresh the session first when its token is about to expire, and
+// retry once after a single shared refresh when the server answers 401.
+// skipAuthRefresh is for the refresh request itself.
+async function apiRequest(endpoint, { skipAuthRefresh = false, ...options } = {}, retried = false) {
   const url = `${API_BASE_URL}${endpoint}`;
-  const config = {
-    headers: {
-      'Content-Type': 'application/json',
-      ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
-      ...options.headers
-    },
-    ...options
-  };
+  const canRefresh = !skipAuthRefresh && authSession && authSession.token;
 
   try {
+    if (canRefresh) {
+      await authSession.ensureFresh();
+    }
+
+    const config = {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...options.headers
+      }
+    };
     const response = await fetch(url, config);
+
+    if (response.status === 401 && canRefresh && !retried) {
+      await authSession.refresh();
+      return apiRequest(endpoint, options, true);
+    }
+
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.message || 'API request failed');
+      const error = new Error(data.message || 'API request failed');
+      error.status = response.status;
+      throw error;
     }
     
     return data;
@@ -34,25 +84,36 @@ async function apiRequest(endpoint, options = {}) {
 }
 
 // File upload helper
-async function uploadFile(file, endpoint) {
+// Pass onProgress(fraction) for upload progress (uses XMLHttpRequest, since
+// fetch can't report it) and signal to cancel the request.
+async function uploadFile(file, endpoint, fields = {}, { signal, onProgress } = {}) {
   const formData = new FormData();
   formData.append('image', file);
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(name, value);
+    }
+  });
   
   const url = `${API_BASE_URL}${endpoint}`;
-  const config = {
-    method: 'POST',
-    headers: {
-      ...(authToken && { 'Authorization': `Bearer ${authToken}` })
-    },
-    body: formData
-  };
 
   try {
-    const response = await fetch(url, config);
+    if (authSession && authSession.token) {
+      await authSession.ensureFresh();
+    }
+    const headers = authHeaders();
+
+    if (onProgress && typeof XMLHttpRequest !== 'undefined') {
+      return await uploadWithProgress(url, headers, formData, { signal, onProgress });
+    }
+
+    const response = await fetch(url, { method: 'POST', headers, body: formData, signal });
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.message || 'Upload failed');
+      const error = new Error(data.message || 'Upload failed');
+      error.status = response.status;
+      throw error;
     }
     
     return data;
@@ -62,6 +123,45 @@ async function uploadFile(file, endpoint) {
   }
 }
 
+function uploadWithProgress(url, headers, body, { signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    });
+    xhr.addEventListener('load', () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (error) {
+        // Non-JSON error pages fall through to the generic message
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        const error = new Error(data.message || 'Upload failed');
+        error.status = xhr.status;
+        reject(error);
+      }
+    });
+    // Like fetch, a request that never got a response rejects with a TypeError
+    xhr.addEventListener('error', () => reject(new TypeError('Upload failed')));
+    xhr.addEventListener('abort', () => reject(new DOMException('Upload cancelled', 'AbortError')));
+
+    if (signal) {
+      if (signal.aborted) {
+        reject(new DOMException('Upload cancelled', 'AbortError'));
+        return;
+      }
+      signal.addEventListener('abort', () => xhr.abort(), { once: true });
+    }
+    xhr.send(body);
+  });
+}
+
 class HealthyMealTrack {
     constructor() {
         this.userProfile = null;
@@ -69,113 +169,294 @@ class HealthyMealTrack {
         this.healthAlerts = [];
         this.points = 0;
         this.streak = 0;
+        this.longestStreak = 0;
+        this.streakSettings = { ...DEFAULT_STREAK_SETTINGS };
+        this.streakSummary = null;
+        this.unlockedAchievements = new Map();
+        this.achievementProgress = [];
+        this.notificationQueue = [];
+        this.allergenReviewQueue = [];
+        this.progressOptions = { range: 'daily', mealType: 'all' };
+        this.chatHistory = [];
+        this.labReadings = [];
+        this.mealPlan = null;
+        // Object URLs for the photos of meals waiting in the outbox
+        this.outboxPreviews = new Map();
+        this.outboxSync = null;
+        this.reminderTimer = null;
+        this.analysisControllers = new Map();
+        this.analysisStream = null;
+        this.mealEdit = null;
+        this.pendingDeletes = new Map();
+        this.pendingImport = null;
+        this.uploadQueue = new UploadQueue({
+            concurrency: 2,
+            process: (item, context) => this.processUpload(item, context),
+            onChange: item => this.renderUploadItem(item)
+        });
+        this.store = new MealTrackStore();
+        authSession = new AuthSession({
+            store: this.store,
+            refresh: token => apiRequest('/auth/refresh', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` },
+                skipAuthRefresh: true
+            }),
+            onChange: session => {
+                currentUser = session.user;
+            },
+            onExpired: () => this.redirectToLogin({ expired: true })
+        });
         this.init();
     }
 
     init() {
-        this.checkAuth();
         this.setupEventListeners();
-        this.loadUserData();
+        this.setupOfflineSupport();
+        this.ready = this.restoreLocalState()
+            .then(() => this.checkAuth())
+            .then(allowed => {
+                if (!allowed) return;
+                if (this.router) this.router.start();
+                this.startReminders();
+                return this.loadUserData().then(() => {
+                    // Meals logged offline during an earlier visit
+                    this.syncOutbox();
+                });
+            });
         console.log('HealthyMealTrack initialized');
     }
 
-    // Authentication Management
-    async checkAuth() {
-        // Demo mode - no real authentication check
-        if (!authToken) {
-            // Skip authentication for demo
-            return;
+    // Local Persistence
+    async restoreLocalState() {
+        try {
+            const [, profile, stats, meals, achievements, streakSettings, chatHistory, labReadings, mealPlan, outbox, owner] = await Promise.all([
+                authSession.restore(),
+                this.store.getProfile(),
+                this.store.getStats(),
+                this.store.getMeals(),
+                this.store.getUnlockedAchievements(),
+                this.store.getStreakSettings(),
+                this.store.getChatHistory(),
+                this.store.getLabReadings(),
+                this.store.getMealPlan(),
+                this.store.getOutbox(),
+                this.store.getDataOwner()
+            ]);
+            // Data stored before owners were recorded belongs to the session it was stored under
+            if (!owner && authSession.user && !authSession.user.demo) {
+                await this.store.saveDataOwner(sessionUserKey(authSession.user));
+            }
+
+            this.userProfile = profile || currentUser;
+            this.points = stats.points;
+            this.streak = stats.streak;
+            this.longestStreak = stats.longestStreak;
+            this.streakSettings = { ...DEFAULT_STREAK_SETTINGS, ...streakSettings };
+            this.meals = meals;
+            this.labReadings = labReadings;
+            this.mealPlan = mealPlan;
+            outbox.forEach(entry => this.addOutboxPreview(entry));
+            achievements.forEach(achievement => {
+                this.unlockedAchievements.set(achievement.id, achievement);
+            });
+
+            this.onMealsChanged();
+            this.updatePointsDisplay();
+            this.renderUserHeader();
+            this.fillStreakSettingsForm();
+            this.chatHistory = chatHistory;
+            this.renderChatHistory();
+
+            if (this.meals.length === 0 && new URLSearchParams(window.location.search).has('demo')) {
+                await this.loadDemoMeals();
+            }
+        } catch (error) {
+            console.error('Failed to restore local data:', error);
         }
+    }
 
-        // Demo mode - skip real API calls
+    async persistStats() {
         try {
-            // Simulate user data for demo
-            currentUser = { name: 'Demo User', points: 150, streak: 5 };
-            this.userProfile = currentUser;
-            this.updateUIForAuthenticatedUser();
+            await this.store.saveStats({
+                points: this.points,
+                streak: this.streak,
+                longestStreak: this.longestStreak
+            });
         } catch (error) {
-            console.error('Demo auth check:', error);
+            console.error('Failed to save stats:', error);
         }
     }
 
-    async login(email, password) {
-        // Demo mode - simulate login
-        try {
-            // Simulate successful login
-            const demoResponse = {
-                token: 'demo-token',
-                user: { name: 'Demo User', email: email, points: 150, streak: 5 }
-            };
+    // Authentication Management
+    // Pages marked with data-auth-guard need a session. An expired token gets
+    // one refresh attempt; if the server rejects it, the user signs in again.
+    // Offline, the stored session keeps the local data usable. Returns false
+    // when redirecting away.
+    async checkAuth() {
+        if (authSession.token && !authSession.isActive()) {
+            try {
+                await authSession.refresh();
+            } catch (error) {
+                console.warn('Session refresh failed:', error.message);
+            }
+        }
 
-            authToken = demoResponse.token;
-            currentUser = demoResponse.user;
-            this.userProfile = demoResponse.user;
+        if (!authSession.token) {
+            if (this.requiresAuth()) {
+                this.redirectToLogin();
+                return false;
+            }
+            return true;
+        }
+
+        this.userProfile = this.userProfile || currentUser;
+        this.updateUIForAuthenticatedUser();
+        return true;
+    }
 
-            // localStorage operations removed for demo
+    requiresAuth() {
+        return document.body.hasAttribute('data-auth-guard');
+    }
 
-            this.updateUIForAuthenticatedUser();
-            return demoResponse;
+    // Falls back to a local demo session only when the backend can't be
+    // reached; rejected credentials are reported to the caller
+    async login(email, password) {
+        try {
+            const response = await apiRequest('/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ email, password })
+            });
+            return this.startSession(response);
         } catch (error) {
-            throw error;
+            if (error.status !== undefined) throw error;
+            console.warn('Login API unavailable, using demo mode:', error);
         }
+
+        // Demo mode - simulate login
+        return this.startSession({
+            token: 'demo-token',
+            user: { name: 'Demo User', email: email, points: 150, streak: 5, demo: true }
+        });
     }
 
     async register(userData) {
-        // Demo mode - simulate registration
         try {
-            // Simulate successful registration
-            const demoResponse = {
-                token: 'demo-token',
-                user: { 
-                    name: userData.name || 'Demo User', 
-                    email: userData.email, 
-                    points: 0, 
-                    streak: 0 
-                }
-            };
+            const response = await apiRequest('/auth/register', {
+                method: 'POST',
+                body: JSON.stringify(userData)
+            });
+            return this.startSession(response);
+        } catch (error) {
+            if (error.status !== undefined) throw error;
+            console.warn('Registration API unavailable, using demo mode:', error);
+        }
 
-            authToken = demoResponse.token;
-            currentUser = demoResponse.user;
-            this.userProfile = demoResponse.user;
+        // Demo mode - simulate registration
+        return this.startSession({
+            token: 'demo-token',
+            user: { 
+                name: userData.name || 'Demo User', 
+                email: userData.email, 
+                points: 0, 
+                streak: 0,
+                demo: true
+            }
+        });
+    }
+
+    // The local data of anyone else who used this device, including meals
+    // still waiting in the outbox, is removed before the session starts
+    async startSession(response) {
+        const owner = sessionUserKey(response.user);
+        const storedOwner = await this.store.getDataOwner();
+        if (isDifferentDataOwner(storedOwner, response.user)) {
+            await this.clearLocalData();
+        }
+        if (owner && !response.user.demo && owner !== storedOwner) {
+            await this.store.saveDataOwner(owner);
+        }
+        await authSession.start(response);
+        this.userProfile = { ...this.userProfile, ...response.user };
 
-            // localStorage operations removed for demo
+        this.updateUIForAuthenticatedUser();
+        return response;
+    }
+
+    // Signs out and removes everything stored for the user on this device:
+    // meals, profile, stats, achievements, settings and cached files
+    async logout() {
+        await this.flushMealDeletes();
+        await authSession.clear();
+        await this.clearLocalData();
+        this.redirectToLogin();
+    }
 
-            this.updateUIForAuthenticatedUser();
-            return demoResponse;
+    async clearLocalData() {
+        this.uploadQueue.items.forEach(item => this.uploadQueue.cancel(item.id));
+        this.cancelAllAnalyses();
+        // Deletes not sent yet are dropped with the rest
+        this.pendingDeletes.forEach(pending => clearTimeout(pending.timer));
+        this.pendingDeletes.clear();
+        try {
+            await this.store.clearAll();
         } catch (error) {
-            throw error;
+            console.error('Failed to clear local data:', error);
         }
-    }
 
-    logout() {
-        authToken = null;
-        currentUser = null;
         this.userProfile = null;
-        // localStorage operations removed for demo
-        this.redirectToLogin();
+        this.meals = [];
+        this.points = 0;
+        this.streak = 0;
+        this.longestStreak = 0;
+        this.streakSettings = { ...DEFAULT_STREAK_SETTINGS };
+        this.unlockedAchievements.clear();
+        this.chatHistory = [];
+        this.labReadings = [];
+        this.mealPlan = null;
+        this.stopReminders();
+        [...this.outboxPreviews.keys()].forEach(id => this.releaseOutboxPreview(id));
+        await clearOfflineCaches();
     }
 
-    redirectToLogin() {
+    // Sends the user to sign in and back to this page afterwards
+    redirectToLogin({ expired = false } = {}) {
+        const page = window.location.pathname.split('/').pop() || 'dashboard.html';
+        const params = new URLSearchParams({ next: page + window.location.hash });
+        if (expired) params.set('expired', '1');
+        window.location.href = `login.html?${params}`;
+    }
+
+    redirectToProfileSetup() {
         window.location.href = 'form.html';
     }
 
     updateUIForAuthenticatedUser() {
         if (currentUser) {
-            // Update user info in dashboard
-            const userNameElement = document.querySelector('.user-name');
-            if (userNameElement) {
-                userNameElement.textContent = currentUser.name;
-            }
+            this.renderUserHeader();
+            this.updatePointsDisplay();
+            this.updateStreakDisplay();
+        }
+    }
 
-            const userPointsElement = document.querySelector('.user-points');
-            if (userPointsElement) {
-                userPointsElement.textContent = currentUser.points || 0;
-            }
+    // Header greeting, avatar initials and name from the profile or session
+    renderUserHeader() {
+        const name = (this.userProfile && this.userProfile.name) || (currentUser && currentUser.name) || '';
 
-            const userStreakElement = document.querySelector('.user-streak');
-            if (userStreakElement) {
-                userStreakElement.textContent = currentUser.streak || 0;
-            }
+        const title = document.querySelector('.welcome-title');
+        if (title) {
+            title.textContent = name ? `Welcome back, ${name.split(' ')[0]}!` : 'Welcome!';
+        }
+
+        const userNameElement = document.querySelector('.user-name');
+        if (userNameElement) {
+            userNameElement.textContent = name;
+        }
+
+        const avatar = document.querySelector('.user-avatar');
+        if (avatar && name) {
+            avatar.textContent = name.split(/\s+/).filter(Boolean).slice(0, 2)
+                .map(part => part[0].toUpperCase()).join('');
         }
     }
 
@@ -184,10 +465,17 @@ class HealthyMealTrack {
         if (!currentUser) return;
 
         try {
-            // Load user meals
+            // Load user meals, keeping a local copy for offline use
             const mealsResponse = await apiRequest('/meals');
-            this.meals = mealsResponse.meals || [];
-            this.updateMealsDisplay();
+            const remoteMeals = await Promise.all(
+                (mealsResponse.meals || []).map(meal => this.store.saveMeal(this.applyHealthRules(meal)))
+            );
+            const remoteIds = new Set(remoteMeals.map(meal => meal.id));
+            this.meals = [
+                ...remoteMeals,
+                ...this.meals.filter(meal => !remoteIds.has(meal.id))
+            ];
+            this.onMealsChanged();
 
             // Load health stats
             await this.loadHealthStats();
@@ -197,32 +485,84 @@ class HealthyMealTrack {
     }
 
     async saveUserProfile(profile) {
+        // Logged lab readings override the wizard's one-off values
+        profile = { ...profile, labValues: labValuesWithReadings({ ...this.userProfile, ...profile }, this.labReadings) };
+
+        // Save locally first so the profile survives without a backend
+        this.userProfile = { ...this.userProfile, ...profile };
+        await this.store.saveProfile(this.userProfile);
+        this.renderUserHeader();
+
         try {
             const response = await apiRequest('/auth/profile', {
                 method: 'PUT',
                 body: JSON.stringify(profile)
             });
 
-            this.userProfile = response.user;
-            currentUser = response.user;
-            // localStorage operations removed for demo
+            this.userProfile = { ...this.userProfile, ...response.user };
+            await this.store.saveProfile(this.userProfile);
+            await authSession.setUser(response.user);
 
             return response;
         } catch (error) {
-            throw error;
+            console.warn('Profile saved locally only:', error);
+            return { user: this.userProfile, offline: true };
+        } finally {
+            await this.reassessMeals();
         }
     }
 
+    // Health Risk Rules
+    // Adds the profile-driven risks from health-rules.js to a meal. For any
+    // condition the rules cover, they replace the server's generic risks.
+    applyHealthRules(meal) {
+        const aiAnalysis = meal.aiAnalysis || {};
+        const ruleRisks = evaluateHealthRisks(meal, this.userProfile);
+        const ruleConditions = new Set(ruleRisks.map(risk => risk.condition));
+        const serverRisks = (aiAnalysis.healthRisks || []).filter(risk =>
+            risk.source !== 'rules' && !ruleConditions.has(risk.condition)
+        );
+
+        return {
+            ...meal,
+            aiAnalysis: {
+                ...aiAnalysis,
+                healthRisks: [
+                    ...ruleRisks.map(risk => ({ ...risk, source: 'rules' })),
+                    ...serverRisks
+                ]
+            }
+        };
+    }
+
+    // Re-runs the rules on every meal, e.g. after the profile changed
+    async reassessMeals() {
+        this.meals = this.meals.map(meal => this.applyHealthRules(meal));
+        try {
+            await Promise.all(this.meals.map(meal => this.store.saveMeal(meal)));
+        } catch (error) {
+            console.error('Failed to save reassessed meals:', error);
+        }
+        this.onMealsChanged();
+    }
+
     // Demo Analysis (Frontend Only)
-    async analyzeMeal(mealData) {
+    async analyzeMeal(mealData, { signal, onProgress, onStage } = {}) {
         console.log('Starting real AI analysis for meal:', mealData);
         
         try {
             // Upload image and start analysis
-            const uploadResponse = await uploadFile(mealData.file, '/analysis/meal');
+            const uploadResponse = await uploadFile(mealData.file, '/analysis/meal', {
+                mealType: mealData.mealType,
+                description: mealData.description
+            }, { signal, onProgress });
             
             // Poll for analysis results
-            const analysisResults = await this.pollAnalysisResults(uploadResponse.mealId);
+            const analysisResults = await this.pollAnalysisResults(uploadResponse.mealId, {
+                signal,
+                onStage,
+                events: uploadResponse.events
+            });
             
             return {
                 mealId: uploadResponse.mealId,
@@ -235,39 +575,79 @@ class HealthyMealTrack {
         }
     }
 
-    async pollAnalysisResults(mealId) {
-        const maxAttempts = 30; // 30 seconds max
-        let attempts = 0;
+    // Offline analysis of a free-text description using food-database.js
+    analyzeDescription(description) {
+        const parsed = parseMealDescription(description);
+        if (parsed.foods.length === 0) {
+            const error = new Error('No known foods in description');
+            error.userMessage = description.trim()
+                ? 'Could not recognize any foods in the description. Try something like "2 eggs and a slice of toast".'
+                : 'Add a photo or describe what you ate.';
+            throw error;
+        }
 
-        while (attempts < maxAttempts) {
-            try {
-                const response = await apiRequest(`/analysis/meal/${mealId}`);
-                const meal = response.meal;
-
-                if (meal.aiAnalysis.analysisStatus === 'completed') {
-                    return {
-                        foods: meal.aiAnalysis.recognizedFoods || [],
-                        nutrition: meal.aiAnalysis.nutrition || {},
-                        healthAnalysis: {
-                            risks: meal.aiAnalysis.healthRisks || [],
-                            warnings: meal.aiAnalysis.warnings || []
-                        },
-                        recommendations: meal.aiAnalysis.recommendations || []
-                    };
-                } else if (meal.aiAnalysis.analysisStatus === 'failed') {
-                    throw new Error(meal.aiAnalysis.analysisError || 'Analysis failed');
-                }
+        const recommendations = parsed.unrecognized.length
+            ? [`Not in the food database: ${parsed.unrecognized.join(', ')}`]
+            : [];
 
-                // Wait 1 second before next poll
-                await this.delay(1000);
-                attempts++;
-            } catch (error) {
-                console.error('Polling error:', error);
-                throw error;
-            }
+        return {
+            source: 'description',
+            foods: parsed.foods,
+            nutrition: parsed.nutrition,
+            healthAnalysis: { risks: [], warnings: [] },
+            recommendations
+        };
+    }
+
+    // Waits for the server's analysis, over its event stream when the upload
+    // response advertises one (events) and by polling otherwise
+    async pollAnalysisResults(mealId, { signal, onStage, events } = {}) {
+        const meal = await watchAnalysis(mealId, {
+            fetchMeal: (id, options) => apiRequest(`/analysis/meal/${id}`, options).then(response => response.meal),
+            stream: events ? this.getAnalysisStream(events) : null,
+            signal,
+            onStage
+        });
+
+        return {
+            foods: meal.aiAnalysis.recognizedFoods || [],
+            nutrition: meal.aiAnalysis.nutrition || {},
+            healthAnalysis: {
+                risks: meal.aiAnalysis.healthRisks || [],
+                warnings: meal.aiAnalysis.warnings || []
+            },
+            recommendations: meal.aiAnalysis.recommendations || []
+        };
+    }
+
+    // One shared stream for all uploads in progress
+    getAnalysisStream(path) {
+        if (!AnalysisEventStream.isSupported()) return null;
+
+        const url = `${API_BASE_URL}${path}`;
+        if (!this.analysisStream || this.analysisStream.url !== url) {
+            this.analysisStream = new AnalysisEventStream({
+                url,
+                headers: authHeaders
+            });
         }
+        return this.analysisStream;
+    }
 
-        throw new Error('Analysis timeout');
+    // Stops the upload or analysis behind a pending meal card
+    cancelAnalysis(mealId) {
+        const controller = this.analysisControllers.get(mealId);
+        if (controller) controller.abort();
+    }
+
+    cancelAllAnalyses() {
+        this.analysisControllers.forEach(controller => controller.abort());
+    }
+
+    // Shows the analysis stage on a pending meal card
+    updatePendingStage(mealId, label) {
+        const status = document.querySelector(`[data-meal-id="${mealId}"] .analysis-stage`);
+        if (status) status.textContent = label;
     }
 
     async loadHealthStats() {
@@ -296,145 +676,1461 @@ class HealthyMealTrack {
         });
     }
 
+    // Daily Targets
+    getDailyTargets() {
+        return computeDailyTargets(this.userProfile || {});
+    }
+
+    getMealsForDay(date = new Date()) {
+        const key = localDateKey(date);
+        return this.meals.filter(meal => localDateKey(meal.loggedAt || meal.createdAt) === key);
+    }
+
+    // Refreshes everything derived from this.meals. Call after any meal is
+    // added, edited or deleted.
+    onMealsChanged() {
+        this.updateMealsDisplay();
+        this.updateDailyProgress();
+        this.refreshStreak();
+        this.checkAchievements();
+        this.renderProgress();
+        this.renderLabs();
+        this.renderMealPlan();
+    }
+
+    // Measures today's meals against the profile's targets and updates the
+    // compliance, warnings and remaining budget displays
+    updateDailyProgress() {
+        const targets = this.getDailyTargets();
+        const todaysMeals = this.getMealsForDay();
+        const today = measureDay(todaysMeals, targets);
+        const compliance = complianceOverDays(this.meals, targets, 7);
+        const warnings = todaysMeals.reduce((count, meal) =>
+            count + (meal.aiAnalysis?.healthRisks || []).filter(risk => risk.severity !== 'low' && !isClearedAllergenRisk(meal, risk)).length
+        , 0);
+
+        const statsElements = {
+            'compliance': compliance === null ? '--' : `${compliance}%`,
+            'warnings': warnings
+        };
+
+        Object.keys(statsElements).forEach(key => {
+            const element = document.querySelector(`[data-stat="${key}"]`);
+            if (element) {
+                element.textContent = statsElements[key];
+            }
+        });
+
+        this.renderDailyTargets(today);
+        return today;
+    }
+
+    // Draws the Progress view charts for the selected range and meal type
+    renderProgress() {
+        const charts = document.querySelectorAll('.progress-chart[data-metric]');
+        if (charts.length === 0) return;
+
+        const targets = this.getDailyTargets();
+        const series = buildProgressSeries(this.meals, this.progressOptions);
+
+        charts.forEach(chart => {
+            setHtml(chart, trustedHtml(renderProgressChart(series, chart.dataset.metric, targets)));
+        });
+        document.querySelectorAll('.progress-legend[data-legend]').forEach(legend => {
+            setHtml(legend, trustedHtml(renderProgressLegend(legend.dataset.legend)));
+        });
+        document.querySelectorAll('.progress-range [data-range]').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === this.progressOptions.range);
+        });
+    }
+
+    renderDailyTargets(day) {
+        const container = document.querySelector('.daily-targets');
+        if (!container) return;
+
+        setHtml(container, Object.values(day.progress).map(entry => {
+            const limit = entry.max !== undefined ? entry.max : (entry.goal || entry.min);
+            const percent = limit ? Math.min(100, Math.round(entry.value / limit * 100)) : 0;
+            let remainingText;
+            if (entry.max === undefined && entry.goal === undefined) {
+                remainingText = entry.value >= entry.min ? 'goal met' : `${entry.min - entry.value}${entry.unit} to go`;
+            } else if (entry.remaining < 0) {
+                remainingText = `${-entry.remaining}${entry.unit} over`;
+            } else {
+                remainingText = `${entry.remaining}${entry.unit} left`;
+            }
+
+            return html`
+                <div class="target-row ${entry.status}" title="${entry.reason}">
+                    <div class="target-header">
+                        <span class="target-label">${entry.label}</span>
+                        <span class="target-value">${entry.value} / ${limit}${entry.unit} · ${remainingText}</span>
+                    </div>
+                    <div class="target-bar"><div class="target-fill" style="width: ${percent}%"></div></div>
+                </div>
+            `;
+        }));
+    }
+
+    // Renders today's meals into the dashboard's meal cards
     updateMealsDisplay() {
-        const mealsContainer = document.querySelector('.meals-container');
+        const mealsContainer = document.getElementById('mealCards');
         if (!mealsContainer) return;
 
-        mealsContainer.innerHTML = '';
+        mealsContainer.textContent = '';
 
-        this.meals.forEach(meal => {
-            const mealCard = this.createMealCard(meal);
-            mealsContainer.appendChild(mealCard);
+        const todaysMeals = this.getMealsForDay();
+        todaysMeals.forEach(meal => {
+            mealsContainer.appendChild(this.createMealCard(meal));
         });
+
+        if (todaysMeals.length === 0) {
+            mealsContainer.appendChild(this.createEmptyMealsState());
+        }
+    }
+
+    createEmptyMealsState() {
+        const empty = document.createElement('div');
+        empty.className = 'meals-empty';
+        setHtml(empty, this.meals.length === 0
+            ? html`<p>No meals logged yet. Upload a photo or describe a meal to get started.</p><button type="button" class="load-demo-meals">Try demo meals</button>`
+            : html`<p>No meals logged today.</p>`);
+
+        const demoButton = empty.querySelector('.load-demo-meals');
+        if (demoButton) {
+            demoButton.addEventListener('click', () => this.loadDemoMeals());
+        }
+        return empty;
     }
 
     createMealCard(meal) {
+        const analysis = meal.aiAnalysis || {};
+        const pending = analysis.analysisStatus === 'processing';
+        // Logged offline; unanalyzed unless its description gave nutrition
+        const unsynced = Boolean(meal.syncStatus);
+        const unknown = pending || analysis.analysisStatus === 'pending-sync';
+        const nutrition = analysis.nutrition || {};
+        const foods = (analysis.recognizedFoods || []).map(food => food.name).filter(Boolean);
+        // Once edited, the foods describe the meal better than the original text
+        const title = pending ? 'Analyzing...' : ((meal.editedAt && foods.join(', ')) || meal.description || foods.join(', ') || 'Meal');
+        const value = amount => (unknown ? '--' : Math.round(amount || 0));
+        const imageUrl = safeImageUrl(unsynced ? this.outboxPreviews.get(meal.id) : meal.imageUrl);
+
         const card = document.createElement('div');
-        card.className = 'meal-card';
-        card.innerHTML = `
+        card.className = `meal-card fade-in-up${pending ? ' pending' : ''}${unsynced ? ` sync-${meal.syncStatus}` : ''}`;
+        card.dataset.mealId = meal.id;
+        setHtml(card, html`
+            <div class="meal-actions">
+                ${pending || unsynced ? '' : html`<button type="button" data-meal-action="edit" title="Edit meal" aria-label="Edit meal"><i class="fas fa-pen"></i></button>`}
+                <button type="button" data-meal-action="delete" title="${pending ? 'Cancel' : 'Delete meal'}" aria-label="${pending ? 'Cancel' : 'Delete meal'}"><i class="fas fa-trash"></i></button>
+            </div>
             <div class="meal-image">
-                <img src="${meal.imageUrl}" alt="Meal">
+                ${imageUrl ? html`<img src="${imageUrl}" alt="${title}">` : html`<i class="fas fa-utensils"></i>`}
             </div>
-            <div class="meal-info">
-                <h3>${meal.mealType}</h3>
-                <p class="meal-description">${meal.description || 'No description'}</p>
+            <div class="meal-content">
+                <div class="meal-title">${title}</div>
+                <div class="meal-time">${this.formatMealType(meal.mealType)} • ${this.formatTime(meal.loggedAt || meal.createdAt)}</div>
                 <div class="nutrition-info">
-                    <span class="calories">${meal.totalCalories || 0} cal</span>
-                    <span class="protein">${meal.aiAnalysis?.nutrition?.protein || 0}g protein</span>
-                    <span class="carbs">${meal.aiAnalysis?.nutrition?.carbs || 0}g carbs</span>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${unknown ? '--' : meal.totalCalories || 0}</div>
+                        <div class="nutrition-label">Calories</div>
+                    </div>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${value(nutrition.protein)}g</div>
+                        <div class="nutrition-label">Protein</div>
+                    </div>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${value(nutrition.carbs)}g</div>
+                        <div class="nutrition-label">Carbs</div>
+                    </div>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${value(nutrition.fat)}g</div>
+                        <div class="nutrition-label">Fat</div>
+                    </div>
                 </div>
-                ${this.renderHealthRisks(meal.aiAnalysis?.healthRisks || [])}
+                ${meal.syncStatus === 'pending'
+                    ? html`<div class="health-alert info sync-notice"><i class="fas fa-cloud-upload-alt"></i> <span class="analysis-stage">Pending sync: the photo will be analyzed when you're back online</span></div>`
+                    : ''}
+                ${meal.syncStatus === 'failed'
+                    ? html`
+                        <div class="health-alert sync-notice">
+                            <i class="fas fa-exclamation-circle"></i>
+                            <span>Couldn't sync this meal${meal.syncError ? `: ${meal.syncError}` : ''}</span>
+                        </div>
+                        <button type="button" class="sync-retry-btn" data-meal-action="retry-sync"><i class="fas fa-redo"></i> Retry sync</button>
+                    `
+                    : ''}
+                ${pending
+                    ? html`<div class="health-alert info"><i class="fas fa-info-circle"></i> <span class="analysis-stage">AI is analyzing your meal...</span></div>`
+                    : analysis.analysisStatus === 'pending-sync' ? '' : this.renderHealthRisks((analysis.healthRisks || []).filter(risk => !isClearedAllergenRisk(meal, risk)))}
+                ${!pending && pendingAllergenRisks(meal).length
+                    ? html`<button type="button" class="allergen-review-btn" data-meal-action="review-allergens"><i class="fas fa-clipboard-check"></i> Confirm allergens</button>`
+                    : ''}
             </div>
-        `;
+        `);
         return card;
     }
 
+    // Replaces a rendered card in place, e.g. when its analysis finishes
+    updateMealCard(meal) {
+        const card = document.querySelector(`[data-meal-id="${CSS.escape(String(meal.id))}"]`);
+        if (card) {
+            card.replaceWith(this.createMealCard(meal));
+        }
+    }
+
+    showPendingMeal(meal) {
+        const mealsContainer = document.getElementById('mealCards');
+        if (!mealsContainer) return;
+
+        const empty = mealsContainer.querySelector('.meals-empty');
+        if (empty) empty.remove();
+        mealsContainer.insertBefore(this.createMealCard(meal), mealsContainer.firstChild);
+    }
+
     renderHealthRisks(risks) {
-        if (risks.length === 0) return '';
+        if (risks.length === 0) {
+            return html`
+                <div class="health-alert success">
+                    <i class="fas fa-check-circle"></i>
+                    No health warnings for your profile.
+                </div>
+            `;
+        }
 
-        const riskHtml = risks.map(risk => `
-            <div class="health-risk ${risk.severity}">
+        const alertClass = { high: '', medium: 'warning', low: 'info' };
+        return html`${risks.map(risk => html`
+            <div class="health-alert ${alertClass[risk.severity] || ''}">
                 <i class="fas fa-exclamation-triangle"></i>
                 ${risk.message}
             </div>
-        `).join('');
+        `)}`;
+    }
+
+    // Meal Editing
+    // Opens a logged meal in the edit modal. Changes are kept in
+    // this.mealEdit and only shown in the preview until they are saved.
+    openMealEditor(mealId) {
+        const meal = this.meals.find(item => item.id === mealId);
+        const modal = document.getElementById('editMealModal');
+        if (!meal || !modal) return;
+
+        this.mealEdit = {
+            meal,
+            mealType: meal.mealType || 'lunch',
+            foods: editableFoods(meal)
+        };
+        document.getElementById('editMealType').value = this.mealEdit.mealType;
+        document.getElementById('editAddFood').value = '';
+        this.renderMealEditor();
+        modal.style.display = 'flex';
+    }
+
+    closeMealEditor() {
+        const modal = document.getElementById('editMealModal');
+        if (modal) modal.style.display = 'none';
+        this.mealEdit = null;
+    }
+
+    // The meal being edited with its nutrition and health risks recalculated
+    previewMealEdit() {
+        const { meal, foods, mealType } = this.mealEdit;
+        return this.applyHealthRules(recalculateMeal(meal, { foods, mealType }));
+    }
+
+    renderMealEditor() {
+        const list = document.querySelector('.edit-food-list');
+        if (!list || !this.mealEdit) return;
+
+        list.textContent = '';
+        this.mealEdit.foods.forEach((food, index) => {
+            const { grams, servings, byWeight } = foodPortion(food);
+            const row = document.createElement('div');
+            row.className = 'edit-food-row';
+            row.dataset.foodIndex = index;
+            setHtml(row, html`
+                <input type="text" class="edit-food-name" list="foodNames" aria-label="Food">
+                <label><input type="number" class="edit-food-grams" min="1" step="1" aria-label="Grams"> g</label>
+                <label><input type="number" class="edit-food-servings" min="0.1" step="0.1" aria-label="Servings"> servings</label>
+                <button type="button" class="edit-food-remove" title="Remove food" aria-label="Remove food"><i class="fas fa-times"></i></button>
+            `);
+            row.querySelector('.edit-food-name').value = food.name;
+            // Foods recognized without a weight can only be scaled by servings
+            const gramsInput = row.querySelector('.edit-food-grams');
+            gramsInput.value = grams || '';
+            gramsInput.disabled = !byWeight;
+            row.querySelector('.edit-food-servings').value = servings;
+            list.appendChild(row);
+        });
+
+        if (this.mealEdit.foods.length === 0) {
+            setHtml(list, html`<p class="edit-food-empty">No foods left. Add one below or delete the meal.</p>`);
+        }
+        this.renderMealEditPreview();
+    }
 
-        return `<div class="health-risks">${riskHtml}</div>`;
+    // Live totals and health risks for the edit in progress
+    renderMealEditPreview() {
+        const preview = this.previewMealEdit();
+        const nutrition = preview.aiAnalysis.nutrition;
+
+        const totals = document.querySelector('.edit-meal-totals');
+        if (totals) {
+            setHtml(totals, [
+                ['Calories', preview.totalCalories, ''],
+                ['Protein', nutrition.protein, 'g'],
+                ['Carbs', nutrition.carbs, 'g'],
+                ['Fat', nutrition.fat, 'g'],
+                ['Sugar', nutrition.sugar, 'g'],
+                ['Sodium', nutrition.sodium, 'mg']
+            ].map(([label, value, unit]) => html`
+                <div class="nutrition-item">
+                    <div class="nutrition-value">${Math.round(value || 0)}${unit}</div>
+                    <div class="nutrition-label">${label}</div>
+                </div>
+            `));
+        }
+
+        const risks = document.querySelector('.edit-meal-risks');
+        if (risks) {
+            setHtml(risks, this.renderHealthRisks(preview.aiAnalysis.healthRisks));
+        }
+        return preview;
+    }
+
+    // Portions recalculate as they are typed; the other amount in the row
+    // follows (grams <-> servings)
+    resizeEditedFood(input) {
+        const row = input.closest('.edit-food-row');
+        const amount = parseFloat(input.value);
+        if (!row || !this.mealEdit || !(amount > 0)) return;
+
+        const index = Number(row.dataset.foodIndex);
+        const byGrams = input.classList.contains('edit-food-grams');
+        const food = resizeFood(this.mealEdit.foods[index], byGrams ? { grams: amount } : { servings: amount });
+        this.mealEdit.foods[index] = food;
+
+        if (byGrams) {
+            row.querySelector('.edit-food-servings').value = food.servings;
+        } else if (food.grams) {
+            row.querySelector('.edit-food-grams').value = food.grams;
+        }
+        this.renderMealEditPreview();
+    }
+
+    swapEditedFood(input) {
+        const row = input.closest('.edit-food-row');
+        if (!row || !this.mealEdit) return;
+
+        const index = Number(row.dataset.foodIndex);
+        const food = this.mealEdit.foods[index];
+        const name = input.value.trim();
+        if (!name || name === food.name) {
+            input.value = food.name;
+            return;
+        }
+
+        const swapped = swapFood(food, name);
+        if (!swapped) {
+            this.showErrorMessage(`"${name}" is not in the food database.`);
+            input.value = food.name;
+            return;
+        }
+        this.mealEdit.foods[index] = swapped;
+        this.renderMealEditor();
     }
 
+    addEditedFood() {
+        const input = document.getElementById('editAddFood');
+        if (!input || !this.mealEdit || !input.value.trim()) return;
+
+        const food = addFood(input.value);
+        if (!food) {
+            this.showErrorMessage('Could not find that food. Try something like "150g rice" or "2 eggs".');
+            return;
+        }
+        this.mealEdit.foods.push(food);
+        input.value = '';
+        this.renderMealEditor();
+    }
+
+    async saveMealEdit() {
+        if (!this.mealEdit) return;
+        if (this.mealEdit.foods.length === 0) {
+            this.showErrorMessage('Add at least one food, or delete the meal instead.');
+            return;
+        }
+
+        const meal = this.previewMealEdit();
+        this.closeMealEditor();
+        try {
+            await this.store.saveMeal(meal);
+        } catch (error) {
+            console.error('Failed to save edited meal:', error);
+        }
+
+        this.meals = this.meals.map(item => (item.id === meal.id ? meal : item));
+        this.onMealsChanged();
+        this.alertHealthRisks(meal);
+        this.showSuccessMessage('Meal updated');
+
+        this.syncMeal(meal);
+        return meal;
+    }
+
+    // Removes a meal right away but only tells the server after MEAL_UNDO_MS,
+    // so the notification's Undo can bring it back. On a card that is still
+    // uploading or analyzing, cancels instead.
+    async deleteMeal(mealId) {
+        if (this.analysisControllers.has(mealId)) {
+            this.cancelAnalysis(mealId);
+            return;
+        }
+
+        const meal = this.meals.find(item => item.id === mealId);
+        if (!meal) return;
+
+        this.meals = this.meals.filter(item => item !== meal);
+        try {
+            await this.store.deleteMeal(mealId);
+        } catch (error) {
+            console.error('Failed to delete meal:', error);
+        }
+        this.onMealsChanged();
+
+        this.pendingDeletes.set(mealId, {
+            meal,
+            timer: setTimeout(() => this.sendMealDelete(mealId), MEAL_UNDO_MS)
+        });
+        this.showNotification('Meal deleted', 'info', {
+            action: { label: 'Undo', onClick: () => this.undoMealDelete(mealId) },
+            duration: MEAL_UNDO_MS
+        });
+    }
+
+    async undoMealDelete(mealId) {
+        const pending = this.pendingDeletes.get(mealId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingDeletes.delete(mealId);
+        try {
+            await this.store.saveMeal(pending.meal);
+        } catch (error) {
+            console.error('Failed to restore meal:', error);
+        }
+
+        this.meals = [pending.meal, ...this.meals]
+            .sort((a, b) => new Date(b.loggedAt || b.createdAt) - new Date(a.loggedAt || a.createdAt));
+        this.onMealsChanged();
+    }
+
+    // Meals only this device knows (demo meals, signed out) stay local. Sync
+    // failures leave the local change in place.
+    async syncMeal(meal) {
+        if (meal.demo || !authSession.token) return;
+
+        try {
+            await apiRequest(`/meals/${encodeURIComponent(meal.id)}`, {
+                method: 'PUT',
+                body: JSON.stringify(meal)
+            });
+            await this.loadHealthStats();
+        } catch (error) {
+            console.warn('Meal change saved on this device only:', error);
+        }
+    }
+
+    async sendMealDelete(mealId, { keepalive = false } = {}) {
+        const pending = this.pendingDeletes.get(mealId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingDeletes.delete(mealId);
+        if (pending.meal.syncStatus) {
+            // Never reached the server
+            try {
+                await this.store.deleteOutboxEntry(mealId);
+            } catch (error) {
+                console.error('Failed to remove the meal from the outbox:', error);
+            }
+            this.releaseOutboxPreview(mealId);
+            return;
+        }
+        if (pending.meal.demo || !authSession.token) return;
+
+        try {
+            await apiRequest(`/meals/${encodeURIComponent(mealId)}`, { method: 'DELETE', keepalive });
+            if (!keepalive) await this.loadHealthStats();
+        } catch (error) {
+            // 404: the server never had it (e.g. logged offline)
+            if (error.status !== 404) console.warn('Meal deleted on this device only:', error);
+        }
+    }
+
+    // Sends the deletes still waiting for undo, e.g. when leaving the page
+    flushMealDeletes() {
+        return Promise.all([...this.pendingDeletes.keys()].map(mealId =>
+            this.sendMealDelete(mealId, { keepalive: true })
+        ));
+    }
+
+    // Offline Outbox
+    // Photo meals logged while the backend is unreachable are saved with
+    // syncStatus 'pending' and their photo goes to the outbox (offline.js).
+    // They are uploaded and analyzed on the next sync, and the analyzed meal
+    // replaces the pending one.
+    setupOfflineSupport() {
+        registerServiceWorker();
+        listenForOutboxSync(() => this.syncOutbox());
+        // Manual fallback for browsers without Background Sync
+        window.addEventListener('online', () => this.syncOutbox());
+    }
+
+    // Only with a backend and a signed-in session; demo mode never uploads
+    canQueueOffline() {
+        return API_BASE_URL !== '#' && Boolean(authSession.token);
+    }
+
+    addOutboxPreview(entry) {
+        if (!this.outboxPreviews.has(entry.id) && entry.photo && typeof URL !== 'undefined' && URL.createObjectURL) {
+            this.outboxPreviews.set(entry.id, URL.createObjectURL(entry.photo));
+        }
+    }
+
+    releaseOutboxPreview(entryId) {
+        const url = this.outboxPreviews.get(entryId);
+        if (url) URL.revokeObjectURL(url);
+        this.outboxPreviews.delete(entryId);
+    }
+
+    // Saves the meal as pending sync. A description, when it names known
+    // foods, gives the meal nutrition until the photo is analyzed.
+    async queueOfflineMeal({ id, photo, mealType, description, loggedAt }) {
+        const entry = createOutboxEntry({ id, photo, mealType, description, loggedAt });
+        let interim = null;
+        try {
+            interim = description.trim() ? this.analyzeDescription(description) : null;
+        } catch (error) {
+            interim = null;
+        }
+
+        const meal = interim
+            ? this.buildAnalyzedMeal({ id, mealType, description, loggedAt, createdAt: entry.createdAt }, interim)
+            : {
+                id,
+                mealType,
+                description,
+                loggedAt,
+                createdAt: entry.createdAt,
+                totalCalories: 0,
+                aiAnalysis: { analysisStatus: 'pending-sync', recognizedFoods: [], nutrition: {}, healthRisks: [] }
+            };
+
+        await this.store.saveOutboxEntry(entry);
+        const saved = await this.store.saveMeal(this.applyHealthRules({ ...meal, syncStatus: 'pending' }));
+        this.addOutboxPreview(entry);
+        this.meals.unshift(saved);
+        this.onMealsChanged();
+        this.alertHealthRisks(saved);
+
+        this.showNotification("You're offline. The meal is saved and its photo will be analyzed once you're back online.", 'info', { duration: 5000 });
+        requestOutboxSync();
+        return saved;
+    }
+
+    // One replay at a time per tab, and across tabs through a lock. Resolves
+    // true when nothing is left to sync.
+    syncOutbox() {
+        if (!this.outboxSync) {
+            this.outboxSync = withOutboxLock(() => this.replayOutbox())
+                .catch(error => {
+                    console.error('Outbox sync failed:', error);
+                    return false;
+                })
+                .finally(() => {
+                    this.outboxSync = null;
+                });
+        }
+        return this.outboxSync;
+    }
+
+    // Oldest first. Stops at the first network failure; other failures count
+    // against the entry until it is given up.
+    async replayOutbox() {
+        if (!this.canQueueOffline() || isOffline()) return false;
+
+        const entries = await this.store.getOutbox();
+        for (const entry of entries) {
+            if (entry.failedAt || this.pendingDeletes.has(entry.id)) continue;
+            // The pending meal was deleted
+            if (!this.meals.some(meal => meal.id === entry.id)) {
+                await this.store.deleteOutboxEntry(entry.id);
+                this.releaseOutboxPreview(entry.id);
+                continue;
+            }
+
+            try {
+                await this.replayOutboxEntry(entry);
+            } catch (error) {
+                if (isOfflineError(error)) return false;
+                console.warn('Outbox upload failed:', error);
+                await this.markOutboxFailure(entry, error);
+            }
+        }
+        return (await this.store.getOutbox()).every(entry => entry.failedAt);
+    }
+
+    // Uploads the photo (once: the server's meal id is kept for a later
+    // retry of the analysis) and waits for the analysis
+    async replayOutboxEntry(entry) {
+        const onStage = (stage, label) => this.updatePendingStage(entry.id, label);
+        let { remoteMealId, imageUrl, events } = entry;
+
+        if (!remoteMealId) {
+            onStage('uploading', 'Uploading photo');
+            const photo = typeof File !== 'undefined' && !(entry.photo instanceof File)
+                ? new File([entry.photo], entry.photoName, { type: entry.photo.type })
+                : entry.photo;
+            const upload = await uploadFile(photo, '/analysis/meal', {
+                mealType: entry.mealType,
+                description: entry.description
+            });
+            ({ mealId: remoteMealId, imageUrl, events } = upload);
+            await this.store.saveOutboxEntry({ ...entry, remoteMealId, imageUrl, events });
+        }
+
+        const analysis = await this.pollAnalysisResults(remoteMealId, { events, onStage });
+        const pending = this.meals.find(meal => meal.id === entry.id);
+        const meal = await this.store.saveMeal(this.applyHealthRules(this.buildAnalyzedMeal({
+            id: remoteMealId,
+            // The meal type may have been changed while it waited
+            mealType: pending ? pending.mealType : entry.mealType,
+            description: entry.description,
+            loggedAt: entry.loggedAt,
+            createdAt: entry.createdAt
+        }, { ...analysis, imageUrl })));
+
+        if (remoteMealId !== entry.id) await this.store.deleteMeal(entry.id);
+        await this.store.deleteOutboxEntry(entry.id);
+        this.releaseOutboxPreview(entry.id);
+        this.meals = this.meals.map(item => (item.id === entry.id ? meal : item));
+        this.onMealsChanged();
+        this.alertHealthRisks(meal);
+        return meal;
+    }
+
+    // Marks the pending meal as failed once the entry is given up
+    async markOutboxFailure(entry, error) {
+        const updated = recordOutboxFailure(entry, error);
+        await this.store.saveOutboxEntry(updated);
+        if (!updated.failedAt) return;
+
+        this.meals = await Promise.all(this.meals.map(meal => (meal.id === entry.id
+            ? this.store.saveMeal({ ...meal, syncStatus: 'failed', syncError: updated.lastError })
+            : meal)));
+        this.onMealsChanged();
+    }
+
+    // Gives a failed entry a fresh set of attempts
+    async retryOutboxEntry(mealId) {
+        const entry = (await this.store.getOutbox()).find(item => item.id === mealId);
+        if (!entry) return;
+
+        await this.store.saveOutboxEntry({ ...entry, attempts: 0, failedAt: undefined, lastError: undefined });
+        this.meals = await Promise.all(this.meals.map(meal => (meal.id === mealId
+            ? this.store.saveMeal({ ...meal, syncStatus: 'pending', syncError: undefined })
+            : meal)));
+        this.onMealsChanged();
+        this.syncOutbox();
+    }
+
+    // Data Export and Import
+    // kind: 'meals-csv', 'profile-csv', 'json' (re-importable) or 'fhir'
+    exportData(kind) {
+        const date = localDateKey(new Date());
+        const exports = {
+            'meals-csv': () => [`healthymealtrack-meals-${date}.csv`, mealsToCsv(this.meals), 'text/csv'],
+            'profile-csv': () => [`healthymealtrack-profile-${date}.csv`, profileToCsv(this.userProfile || {}), 'text/csv'],
+            'json': () => [
+                `healthymealtrack-${date}.json`,
+                JSON.stringify(buildExport({ meals: this.meals, profile: this.userProfile }), null, 2),
+                'application/json'
+            ],
+            'fhir': () => [
+                `healthymealtrack-fhir-${date}.json`,
+                JSON.stringify(buildFhirBundle({ meals: this.meals, profile: this.userProfile }), null, 2),
+                'application/fhir+json'
+            ]
+        };
+        if (!exports[kind]) return;
+
+        const [filename, content, type] = exports[kind]();
+        this.downloadFile(filename, content, type);
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Validates a JSON export and shows what importing it would change;
+    // nothing is saved until confirmImport()
+    async readImportFile(file) {
+        const parsed = parseImport(await file.text());
+        if (parsed.errors.length) {
+            this.showErrorMessage(parsed.errors[0]);
+            return null;
+        }
+
+        this.pendingImport = { ...parsed, ...previewImport(parsed.meals, this.meals) };
+        this.renderImportPreview();
+        return this.pendingImport;
+    }
+
+    renderImportPreview() {
+        const preview = document.querySelector('.import-preview');
+        if (!preview) return;
+
+        const pending = this.pendingImport;
+        preview.hidden = !pending;
+        preview.textContent = '';
+        if (!pending) return;
+
+        const changed = pending.duplicates.filter(duplicate => !duplicate.identical).length;
+        setHtml(preview, html`
+            <p class="import-summary"></p>
+            <ul class="import-skipped"></ul>
+            <label ${changed ? '' : 'hidden'}><input type="checkbox" name="replaceDuplicates"> Replace ${changed} changed duplicate${changed === 1 ? '' : 's'} with the imported version</label>
+            <label ${pending.profile ? '' : 'hidden'}><input type="checkbox" name="includeProfile"> Replace my health profile with the imported one</label>
+            <div class="import-actions">
+                <button type="button" data-import-action="cancel">Cancel</button>
+                <button type="button" data-import-action="confirm" class="btn-primary">Import</button>
+            </div>
+        `);
+        preview.querySelector('.import-summary').textContent =
+            `${pending.added.length} new meal${pending.added.length === 1 ? '' : 's'}, ` +
+            `${pending.duplicates.length} already logged (${pending.duplicates.length - changed} identical, ${changed} changed)` +
+            (pending.profile ? ', and a health profile.' : '.');
+
+        const skipped = preview.querySelector('.import-skipped');
+        pending.skipped.forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = `Skipped ${reason}`;
+            skipped.appendChild(item);
+        });
+    }
+
+    cancelImport() {
+        this.pendingImport = null;
+        this.renderImportPreview();
+    }
+
+    // Saves the previewed import. Duplicates are kept as they are unless
+    // replaceDuplicates is set; the profile is only replaced on request.
+    async confirmImport({ replaceDuplicates = false, includeProfile = false } = {}) {
+        const pending = this.pendingImport;
+        if (!pending) return;
+
+        this.pendingImport = null;
+        this.renderImportPreview();
+
+        const meals = mealsToMerge(pending, { replaceDuplicates });
+        try {
+            const saved = await Promise.all(meals.map(meal => this.store.saveMeal(this.applyHealthRules(meal))));
+            const savedIds = new Set(saved.map(meal => meal.id));
+            this.meals = [...saved, ...this.meals.filter(meal => !savedIds.has(meal.id))]
+                .sort((a, b) => new Date(b.loggedAt || b.createdAt) - new Date(a.loggedAt || a.createdAt));
+        } catch (error) {
+            console.error('Failed to import meals:', error);
+            this.showErrorMessage('Import failed. Your existing data was not changed.');
+            return;
+        }
+
+        // Saving the profile re-runs the health rules on every meal
+        if (includeProfile && pending.profile) {
+            await this.saveUserProfile(pending.profile);
+        } else {
+            this.onMealsChanged();
+        }
+        this.renderSettings();
+        this.showSuccessMessage(`Imported ${meals.length} meal${meals.length === 1 ? '' : 's'}`);
+    }
+
+    // Lab Results
+    // Readings are kept on this device. The newest value of each reading goes
+    // into the profile's labValues, so the health rules and targets follow it.
+    async logLabReading(values) {
+        const { reading, errors } = validateLabReading(values);
+        if (!reading) return { errors };
+
+        try {
+            await this.store.saveLabReading(reading);
+        } catch (error) {
+            console.error('Failed to save lab reading:', error);
+            return { errors: { form: 'Could not save the reading. Please try again.' } };
+        }
+        this.labReadings = [reading, ...this.labReadings]
+            .sort((a, b) => new Date(b.takenAt) - new Date(a.takenAt));
+        await this.refreshLabValues();
+
+        const flags = labReadingFlags(reading, this.userProfile);
+        if (flags.length) {
+            this.showNotification(
+                `${LAB_TESTS[reading.test].label} ${formatLabReading(reading)} is outside the normal range (${flags.map(flag => `${flag.label.toLowerCase()} ${flag.status}`).join(', ')})`,
+                'warning',
+                { duration: 6000 }
+            );
+        } else {
+            this.showSuccessMessage('Reading saved');
+        }
+        return { reading, errors };
+    }
+
+    async deleteLabReading(readingId) {
+        try {
+            await this.store.deleteLabReading(readingId);
+        } catch (error) {
+            console.error('Failed to delete lab reading:', error);
+            this.showErrorMessage('Could not delete the reading.');
+            return;
+        }
+        this.labReadings = this.labReadings.filter(reading => reading.id !== readingId);
+        await this.refreshLabValues();
+    }
+
+    // Saves the profile when the latest readings changed its labValues;
+    // saving re-runs the health rules on every meal
+    async refreshLabValues() {
+        if (this.userProfile && this.userProfile.name) {
+            const labValues = labValuesWithReadings(this.userProfile, this.labReadings);
+            if (JSON.stringify(labValues) !== JSON.stringify(this.userProfile.labValues || {})) {
+                await this.saveUserProfile({ labValues });
+            }
+        }
+        this.renderLabs();
+        this.renderSettings();
+    }
+
+    // Draws the Lab Results view: latest reading per test, a chart per test
+    // and the reading history
+    renderLabs() {
+        const charts = document.querySelector('.lab-charts');
+        if (!charts) return;
+
+        const profile = this.userProfile;
+        const readings = allLabReadings(this.labReadings, profile);
+        const tests = Object.keys(LAB_TESTS).filter(test => readings.some(reading => reading.test === test));
+        const flagText = reading => labReadingFlags(reading, profile)
+            .map(flag => (LAB_TESTS[reading.test].fields.length > 1 ? `${flag.label} ${flag.status}` : flag.status))
+            .join(', ');
+
+        const latest = document.querySelector('.lab-latest');
+        if (latest) {
+            setHtml(latest, Object.values(latestLabReadings(this.labReadings, profile)).map(reading => html`
+                <div class="lab-latest-item ${flagText(reading) ? 'flagged' : ''}">
+                    <span class="lab-latest-label">${LAB_TESTS[reading.test].label}</span>
+                    <strong>${formatLabReading(reading)}</strong>
+                    <span class="lab-latest-meta">${new Date(reading.takenAt).toLocaleDateString()}${flagText(reading) ? ` · ${flagText(reading)}` : ''}</span>
+                </div>
+            `));
+        }
+
+        setHtml(charts, tests.length === 0
+            ? html`<p class="lab-empty">No readings yet. Log one above to start a chart.</p>`
+            : tests.map(test => html`
+                <div class="progress-card">
+                    <h4>${LAB_TESTS[test].label}</h4>
+                    <div class="progress-legend">${trustedHtml(renderLabLegend(test))}</div>
+                    <div class="progress-chart">${trustedHtml(renderLabChart(buildLabSeries(this.labReadings, this.meals, test, profile), test, profile))}</div>
+                </div>
+            `));
+
+        const history = document.querySelector('.lab-history tbody');
+        if (history) {
+            setHtml(history, readings.map(reading => html`
+                <tr class="${flagText(reading) ? 'flagged' : ''}">
+                    <td>${this.formatDate(reading.takenAt)}</td>
+                    <td>${LAB_TESTS[reading.test].label}</td>
+                    <td>${formatLabReading(reading)}</td>
+                    <td>${flagText(reading) || 'normal'}</td>
+                    <td>${reading.source === 'profile'
+                        ? html`<span class="lab-source">From health profile</span>`
+                        : html`<button type="button" class="lab-delete" data-lab-delete="${reading.id}" title="Delete reading"><i class="fas fa-trash"></i></button>`}</td>
+                </tr>
+            `));
+        }
+    }
+
+    // Shows the value inputs and units for the selected test
+    updateLabForm(form) {
+        const config = LAB_TESTS[form.elements.test.value];
+        const pressure = config.fields.length > 1;
+        form.querySelectorAll('[data-lab-field]').forEach(field => {
+            field.hidden = (field.dataset.labField === 'value') === pressure;
+        });
+        setHtml(form.elements.unit, Object.keys(config.units)
+            .map(unit => html`<option value="${unit}">${unit}</option>`));
+    }
+
+    setupLabForm() {
+        const form = document.getElementById('labReadingForm');
+        if (!form) return;
+
+        setHtml(form.elements.test, Object.entries(LAB_TESTS)
+            .map(([test, config]) => html`<option value="${test}">${config.label}</option>`));
+        this.updateLabForm(form);
+        form.elements.test.addEventListener('change', () => this.updateLabForm(form));
+
+        const error = form.querySelector('.lab-form-error');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const test = form.elements.test.value;
+            const config = LAB_TESTS[test];
+            const values = config.fields.length > 1
+                ? { systolic: form.elements.systolic.value, diastolic: form.elements.diastolic.value }
+                : { [config.fields[0]]: form.elements.value.value };
+
+            const { errors } = await this.logLabReading({
+                test,
+                values,
+                unit: form.elements.unit.value,
+                takenAt: form.elements.takenAt.value || undefined
+            });
+            const messages = Object.values(errors);
+            error.hidden = messages.length === 0;
+            error.textContent = messages.join(' ');
+            if (messages.length === 0) {
+                form.elements.value.value = '';
+                form.elements.systolic.value = '';
+                form.elements.diastolic.value = '';
+                form.elements.takenAt.value = '';
+            }
+        });
+
+        const history = document.querySelector('.lab-history');
+        if (history) {
+            history.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-lab-delete]');
+                if (button && confirm('Delete this reading?')) {
+                    this.deleteLabReading(button.dataset.labDelete);
+                }
+            });
+        }
+    }
+
+    // Meal Plan
+    // A 7-day plan from meal-planner.js. A new one is made when the saved plan
+    // has ended; locked dishes carry over to the days they were planned for.
+    async ensureMealPlan() {
+        const today = localDateKey(new Date());
+        const plan = this.mealPlan;
+        if (!plan || plan.days[plan.days.length - 1].date < today) {
+            await this.createMealPlan();
+        } else {
+            this.renderMealPlan();
+        }
+    }
+
+    async createMealPlan() {
+        await this.saveMealPlan(generateMealPlan(this.userProfile, { previous: this.mealPlan }));
+    }
+
+    async saveMealPlan(plan) {
+        this.mealPlan = plan;
+        try {
+            await this.store.saveMealPlan(plan);
+        } catch (error) {
+            console.error('Failed to save meal plan:', error);
+        }
+        this.renderMealPlan();
+    }
+
+    // Only counts as logged while the meal is still in the log
+    isPlannedDishLogged(dish) {
+        return Boolean(dish.loggedMealId) && this.meals.some(meal => meal.id === dish.loggedMealId);
+    }
+
+    // Logs a planned dish as eaten now, or at its planned time for a day that
+    // has passed
+    async logPlannedMeal(dayIndex, mealType) {
+        const plan = this.mealPlan;
+        const dish = plan && plan.days[dayIndex] && plan.days[dayIndex].meals[mealType];
+        if (!dish) return null;
+
+        const dayPassed = plan.days[dayIndex].date < localDateKey(new Date());
+        try {
+            const meal = await this.store.saveMeal(this.applyHealthRules(plannedMealRecord(dish, {
+                id: generateId('meal'),
+                loggedAt: dayPassed ? dish.plannedAt : new Date().toISOString(),
+                planId: plan.id
+            })));
+            this.meals.unshift(meal);
+            await this.saveMealPlan(markPlannedDishLogged(plan, dayIndex, mealType, meal.id));
+            this.onMealsChanged();
+            this.alertHealthRisks(meal);
+            this.syncMeal(meal);
+            this.showSuccessMessage(`${dish.name} logged`);
+            return meal;
+        } catch (error) {
+            console.error('Failed to log planned meal:', error);
+            this.showErrorMessage('Failed to log the meal. Please try again.');
+            return null;
+        }
+    }
+
+    renderPlannedDish(dish, dayIndex, mealType, conflict) {
+        const label = mealType.charAt(0).toUpperCase() + mealType.slice(1);
+        if (!dish) {
+            return html`
+                <div class="plan-dish empty">
+                    <span class="plan-dish-type">${label}</span>
+                    <span class="plan-dish-note">No dish fits your profile</span>
+                </div>
+            `;
+        }
+
+        const logged = this.isPlannedDishLogged(dish);
+        const notes = conflict
+            ? [html`<span class="plan-dish-note warning">No longer fits your profile: ${conflict.risks[0].message}</span>`]
+            : dish.risks.map(risk => html`<span class="plan-dish-note">${risk.message}</span>`);
+        return html`
+            <div class="plan-dish ${dish.locked ? 'locked' : ''} ${logged ? 'logged' : ''} ${conflict ? 'conflict' : ''}" data-plan-day="${dayIndex}" data-plan-meal="${mealType}">
+                <span class="plan-dish-type">${label}</span>
+                <span class="plan-dish-name">${dish.name}</span>
+                <span class="plan-dish-meta">${Math.round(dish.nutrition.calories)} kcal · ${dish.portion}× portion</span>
+                ${notes}
+                <div class="plan-dish-actions">
+                    <button type="button" data-plan-action="lock" aria-pressed="${dish.locked ? 'true' : 'false'}" title="${dish.locked ? 'Unlock dish' : 'Keep this dish in new plans'}" aria-label="${dish.locked ? 'Unlock dish' : 'Lock dish'}"><i class="fas ${dish.locked ? 'fa-lock' : 'fa-lock-open'}"></i></button>
+                    <button type="button" data-plan-action="swap" title="Swap dish" aria-label="Swap dish" ${dish.locked ? 'disabled' : ''}><i class="fas fa-random"></i></button>
+                    <button type="button" data-plan-action="log" ${logged ? 'disabled' : ''}>${logged ? html`<i class="fas fa-check"></i> Logged` : 'Log'}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderMealPlan() {
+        const container = document.querySelector('.plan-days');
+        if (!container || !this.mealPlan) return;
+
+        const plan = this.mealPlan;
+        const targets = this.getDailyTargets();
+        const conflicts = findPlanConflicts(plan, this.userProfile || {});
+        const conflictFor = (dayIndex, mealType) =>
+            conflicts.find(conflict => conflict.dayIndex === dayIndex && conflict.mealType === mealType);
+
+        const summary = document.querySelector('.plan-summary');
+        if (summary) {
+            const first = planDate(plan.startDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            summary.textContent = `Week from ${first}, portions sized for about ${targets.daily.calories.goal} kcal a day. ` +
+                'Locked dishes stay when you make a new plan.';
+        }
+
+        const notice = document.querySelector('.plan-conflicts');
+        if (notice) {
+            notice.hidden = conflicts.length === 0;
+            notice.textContent = conflicts.length
+                ? `${conflicts.length} planned dish${conflicts.length === 1 ? ' no longer fits' : 'es no longer fit'} your health profile. Swap ${conflicts.length === 1 ? 'it' : 'them'} or make a new plan.`
+                : '';
+        }
+
+        setHtml(container, plan.days.map((day, dayIndex) => {
+            const measured = measurePlanDay(day, targets);
+            const over = Object.values(measured.progress).filter(entry => entry.status === 'over');
+            return html`
+                <div class="plan-day">
+                    <div class="plan-day-header">
+                        <h4>${planDate(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</h4>
+                        <span class="plan-day-total">${Math.round(measured.totals.calories || 0)} / ${targets.daily.calories.goal} kcal</span>
+                        ${over.length ? html`<span class="plan-day-over">Over: ${over.map(entry => entry.label).join(', ')}</span>` : ''}
+                    </div>
+                    ${PLAN_MEAL_TYPES.map(mealType => this.renderPlannedDish(day.meals[mealType], dayIndex, mealType, conflictFor(dayIndex, mealType)))}
+                </div>
+            `;
+        }));
+
+        const shopping = document.querySelector('.plan-shopping-list');
+        if (shopping) {
+            const items = buildShoppingList(plan, dish => this.isPlannedDishLogged(dish));
+            setHtml(shopping, items.length
+                ? items.map(item => html`<li><span>${item.name}</span><span>${formatShoppingAmount(item)}</span></li>`)
+                : html`<li class="plan-shopping-empty">Every planned meal is logged.</li>`);
+        }
+    }
+
+    setupMealPlan() {
+        const view = document.querySelector('[data-view-panel="plan"]');
+        if (!view) return;
+
+        view.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-plan-action]');
+            if (!button || button.disabled) return;
+
+            const action = button.dataset.planAction;
+            if (action === 'generate') {
+                this.createMealPlan();
+                return;
+            }
+
+            const dish = button.closest('[data-plan-day]');
+            if (!dish || !this.mealPlan) return;
+            const dayIndex = Number(dish.dataset.planDay);
+            const mealType = dish.dataset.planMeal;
+
+            if (action === 'lock') {
+                this.saveMealPlan(togglePlannedDishLock(this.mealPlan, dayIndex, mealType));
+            } else if (action === 'swap') {
+                const swapped = swapPlannedDish(this.mealPlan, dayIndex, mealType, this.userProfile);
+                if (swapped === this.mealPlan) {
+                    this.showErrorMessage('No other dish fits your profile for this meal.');
+                } else {
+                    this.saveMealPlan(swapped);
+                }
+            } else if (action === 'log') {
+                this.logPlannedMeal(dayIndex, mealType);
+            }
+        });
+    }
+
+    // Adds the optional demo dataset (demo-data.js) as today's meals
+    async loadDemoMeals() {
+        if (typeof buildDemoMeals !== 'function') return;
+
+        const existing = new Set(this.meals.map(meal => meal.id));
+        const demoMeals = buildDemoMeals().filter(meal => !existing.has(meal.id));
+        try {
+            const saved = await Promise.all(demoMeals.map(meal => this.store.saveMeal(this.applyHealthRules(meal))));
+            this.meals = [...saved, ...this.meals]
+                .sort((a, b) => new Date(b.loggedAt || b.createdAt) - new Date(a.loggedAt || a.createdAt));
+        } catch (error) {
+            console.error('Failed to load demo meals:', error);
+        }
+        this.onMealsChanged();
+    }
+
+    // Answers from local data first (assistant.js). Questions it can't answer
+    // go to the remote assistant when a backend is available.
     async processChatMessage(message) {
+        const local = answerHealthQuestion(message, {
+            profile: this.userProfile && this.userProfile.conditions ? this.userProfile : null,
+            meals: this.meals,
+            targets: this.userProfile ? this.getDailyTargets() : null,
+            now: new Date()
+        });
+        if (local) return local;
+
         try {
             const response = await apiRequest('/health/chat', {
                 method: 'POST',
                 body: JSON.stringify({ message })
             });
 
-            return response.response;
+            return { text: response.response, sources: [{ type: 'remote', label: 'HealthyMealTrack online assistant' }] };
         } catch (error) {
-            console.error('Chat processing failed:', error);
-            return 'Sorry, I encountered an error. Please try again.';
+            console.warn('Remote assistant unavailable:', error);
+            return { text: `Sorry, I don't know that one yet. ${ASSISTANT_HELP}`, sources: [] };
+        }
+    }
+
+    addPoints(amount) {
+        this.points += amount;
+        this.updatePointsDisplay();
+        this.persistStats();
+    }
+
+    updatePointsDisplay() {
+        const pointsElement = document.querySelector('.user-points');
+        if (pointsElement) {
+            pointsElement.textContent = this.points;
+        }
+    }
+
+    // Recalculates the streak from meal dates, so edited or deleted meals
+    // are reflected. The longest streak is kept even if its meals are gone.
+    refreshStreak() {
+        this.streakSummary = calculateStreaks(this.meals, this.streakSettings);
+        this.streak = this.streakSummary.current;
+        this.longestStreak = Math.max(this.longestStreak || 0, this.streakSummary.longest);
+        this.updateStreakDisplay();
+        this.persistStats();
+        return this.streakSummary;
+    }
+
+    async saveStreakSettings(settings) {
+        this.streakSettings = { ...DEFAULT_STREAK_SETTINGS, ...settings };
+        try {
+            await this.store.saveStreakSettings(this.streakSettings);
+        } catch (error) {
+            console.error('Failed to save streak settings:', error);
+        }
+
+        // A new rule can make the old record unreachable, so start it over
+        this.longestStreak = 0;
+        this.refreshStreak();
+        this.checkAchievements();
+    }
+
+    // Reminders
+    // The dashboard checks once a minute whether a reminder is due and shows
+    // it through the service worker, or in the page when notifications are
+    // blocked or unsupported. The schedule lives in the profile.
+    reminderSettings() {
+        return normalizeReminderSettings(this.userProfile && this.userProfile.reminders);
+    }
+
+    startReminders() {
+        if (this.reminderTimer || !document.querySelector('[data-view-panel]')) return;
+
+        listenForReminderSnooze((reminderId, minutes) => this.snoozeReminder(reminderId, minutes));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.checkReminders();
+        });
+        this.reminderTimer = setInterval(() => this.checkReminders(), REMINDER_CHECK_INTERVAL_MS);
+        this.checkReminders();
+    }
+
+    stopReminders() {
+        clearInterval(this.reminderTimer);
+        this.reminderTimer = null;
+    }
+
+    async checkReminders(now = new Date()) {
+        const settings = this.reminderSettings();
+        if (!this.userProfile || !settings.enabled) return [];
+
+        // Times are wall-clock times and follow the device; remember the new
+        // timezone and say so once
+        const timeZone = currentTimeZone();
+        if (timeZone && settings.timeZone !== timeZone) {
+            await this.saveUserProfile({ reminders: { ...settings, timeZone } });
+            if (settings.timeZone) {
+                this.showNotification(`Reminders now follow your local time (${timeZone.replace(/_/g, ' ')})`, 'info');
+            }
+        }
+
+        try {
+            return await withReminderLock(async () => {
+                // Re-read: another tab may have shown some already
+                const state = await this.store.getReminderState();
+                const due = dueReminders({ settings, profile: this.userProfile, meals: this.meals, state, now });
+                if (due.length === 0) return due;
+
+                await this.store.saveReminderState(withRemindersShown(state, due, now));
+                await Promise.all(due.map(reminder => this.deliverReminder(reminder, settings)));
+                return due;
+            });
+        } catch (error) {
+            console.error('Failed to check reminders:', error);
+            return [];
+        }
+    }
+
+    async deliverReminder(reminder, settings) {
+        if (await showReminderNotification(reminder, { snoozeMinutes: settings.snoozeMinutes })) return;
+
+        const { title, body } = describeReminder(reminder);
+        this.showNotification(`${title}. ${body}`, 'info', {
+            duration: 15000,
+            action: { label: `Snooze ${settings.snoozeMinutes} min`, onClick: () => this.snoozeReminder(reminder.id) }
+        });
+    }
+
+    async snoozeReminder(reminderId, minutes = this.reminderSettings().snoozeMinutes) {
+        try {
+            const state = await this.store.getReminderState();
+            await this.store.saveReminderState(withReminderSnoozed(state, reminderId, minutes));
+        } catch (error) {
+            console.error('Failed to snooze reminder:', error);
+        }
+    }
+
+    async saveReminderSettings(settings) {
+        settings = normalizeReminderSettings({ ...settings, timeZone: currentTimeZone() });
+        // Asked here, from the Save click, as browsers require
+        if (settings.enabled && !(await requestReminderPermission())) {
+            this.showNotification('Notifications are off for this site, so reminders will show in the app while it is open.', 'info', { duration: 6000 });
+        }
+        await this.saveUserProfile({ reminders: settings });
+        this.fillReminderSettingsForm();
+        this.checkReminders();
+    }
+
+    fillReminderSettingsForm() {
+        const form = document.getElementById('reminderSettingsForm');
+        if (!form) return;
+
+        const settings = this.reminderSettings();
+        form.elements.enabled.checked = settings.enabled;
+        REMINDER_MEAL_TYPES.forEach(mealType => {
+            form.elements[`${mealType}Enabled`].checked = settings.meals[mealType].enabled;
+            form.elements[`${mealType}Time`].value = settings.meals[mealType].time;
+        });
+        form.elements.medications.checked = settings.medications;
+        form.elements.quietEnabled.checked = settings.quietHours.enabled;
+        form.elements.quietStart.value = settings.quietHours.start;
+        form.elements.quietEnd.value = settings.quietHours.end;
+        form.elements.snoozeMinutes.value = String(settings.snoozeMinutes);
+
+        const medications = form.querySelector('.reminder-medications');
+        if (medications) {
+            const schedule = parseMedicationSchedule(this.userProfile && this.userProfile.medications);
+            medications.textContent = schedule.length
+                ? schedule.map(medication => `${medication.name} at ${medication.doseTimes.map(formatDoseTime).join(', ')}`).join('; ')
+                : 'No dose times in your profile. Add them to your medications, e.g. "metformin at 8am, 8pm".';
         }
     }
 
-    addPoints(amount) {
-        this.points += amount;
-        this.updatePointsDisplay();
+    setupReminderSettings() {
+        const form = document.getElementById('reminderSettingsForm');
+        if (!form) return;
+
+        setHtml(form.elements.snoozeMinutes, REMINDER_SNOOZE_OPTIONS.map(minutes => html`<option value="${minutes}">${minutes} minutes</option>`));
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const meals = {};
+            REMINDER_MEAL_TYPES.forEach(mealType => {
+                meals[mealType] = {
+                    enabled: form.elements[`${mealType}Enabled`].checked,
+                    time: form.elements[`${mealType}Time`].value
+                };
+            });
+            await this.saveReminderSettings({
+                enabled: form.elements.enabled.checked,
+                meals,
+                medications: form.elements.medications.checked,
+                quietHours: {
+                    enabled: form.elements.quietEnabled.checked,
+                    start: form.elements.quietStart.value,
+                    end: form.elements.quietEnd.value
+                },
+                snoozeMinutes: form.elements.snoozeMinutes.value
+            });
+            this.showSuccessMessage('Reminders saved');
+        });
     }
 
-    updatePointsDisplay() {
-        const pointsElement = document.querySelector('.user-points');
-        if (pointsElement) {
-            pointsElement.textContent = this.points;
-        }
+    updateStreakDisplay() {
+        const summary = this.streakSummary;
+        const values = {
+            '.user-streak': this.streak,
+            '.longest-streak': this.longestStreak,
+            '.streak-rule': summary ? summary.rule : '',
+            '[data-stat="healthy-days"]': summary ? summary.healthyDays : 0
+        };
+
+        Object.keys(values).forEach(selector => {
+            const element = document.querySelector(selector);
+            if (element) {
+                element.textContent = values[selector];
+            }
+        });
     }
 
-    updateStreak() {
-        this.streak++;
-        this.updateStreakDisplay();
+    fillStreakSettingsForm() {
+        const form = document.getElementById('streakSettingsForm');
+        if (!form) return;
+
+        form.elements.rule.value = this.streakSettings.rule;
+        form.elements.minMeals.value = this.streakSettings.minMeals;
+        form.elements.mealType.value = this.streakSettings.mealType;
+        form.elements.graceDays.value = String(this.streakSettings.graceDays);
+        this.toggleStreakRuleOptions(form);
     }
 
-    updateStreakDisplay() {
-        const streakElement = document.querySelector('.user-streak');
-        if (streakElement) {
-            streakElement.textContent = this.streak;
-        }
+    toggleStreakRuleOptions(form) {
+        form.querySelectorAll('[data-rule-option]').forEach(option => {
+            option.style.display = option.dataset.ruleOption === form.elements.rule.value ? '' : 'none';
+        });
     }
 
+    // Evaluates the achievements registry and unlocks every newly reached
+    // goal or tier. Safe to call repeatedly: unlocked ids are never re-notified.
     checkAchievements() {
-        const achievements = [
-            {
-                id: 'first_meal',
-                condition: () => this.meals.length === 1,
-                title: 'First Meal',
-                description: 'Uploaded your first meal',
-                points: 50
-            },
-            {
-                id: 'week_streak',
-                condition: () => this.streak >= 7,
-                title: 'Week Warrior',
-                description: '7-day meal logging streak',
-                points: 200
-            }
-        ];
-
-        achievements.forEach(achievement => {
-            if (achievement.condition() && !this.isAchievementUnlocked(achievement.id)) {
-                this.unlockAchievement(achievement);
-            }
+        const context = buildAchievementContext({
+            meals: this.meals,
+            profile: this.userProfile,
+            streaks: this.streakSummary,
+            longestStreak: this.longestStreak
         });
+        this.achievementProgress = evaluateAchievements(context);
+
+        this.achievementProgress
+            .filter(achievement => achievement.relevant)
+            .forEach(achievement => {
+                achievement.tiers
+                    .filter(tier => tier.complete && !this.isAchievementUnlocked(tier.unlockId))
+                    .forEach(tier => this.unlockAchievement({
+                        id: tier.unlockId,
+                        title: tier.title,
+                        description: tier.description,
+                        icon: achievement.icon,
+                        points: tier.points
+                    }));
+            });
+
+        this.renderAchievements();
+        return this.achievementProgress;
     }
 
     unlockAchievement(achievement) {
+        if (this.isAchievementUnlocked(achievement.id)) return;
+
+        const record = {
+            id: achievement.id,
+            title: achievement.title,
+            description: achievement.description,
+            points: achievement.points,
+            unlockedAt: new Date().toISOString()
+        };
+        this.unlockedAchievements.set(achievement.id, record);
+        this.store.unlockAchievement(achievement.id, record)
+            .then(saved => this.unlockedAchievements.set(achievement.id, saved))
+            .catch(error => {
+                console.error('Failed to save achievement:', error);
+            });
+
         this.addPoints(achievement.points);
         this.showAchievementNotification(achievement);
-        // localStorage operations removed for demo
     }
 
     isAchievementUnlocked(achievementId) {
-        // localStorage operations removed for demo
-        return false;
+        return this.unlockedAchievements.has(achievementId);
     }
 
     getHealthyMealsCount() {
-        return this.meals.filter(meal => 
-            meal.aiAnalysis?.healthRisks?.length === 0
-        ).length;
+        return this.meals.filter(meal => isHealthyMeal(meal)).length;
     }
 
+    // Notifications are shown one at a time so several unlocks don't overlap
     showAchievementNotification(achievement) {
+        this.notificationQueue.push(achievement);
+        if (this.notificationQueue.length === 1) {
+            this.showNextAchievementNotification();
+        }
+    }
+
+    showNextAchievementNotification() {
+        const achievement = this.notificationQueue[0];
+        if (!achievement) return;
+
         const notification = document.createElement('div');
         notification.className = 'achievement-notification';
-        notification.innerHTML = `
+        setHtml(notification, html`
             <div class="achievement-content">
-                <i class="fas fa-trophy"></i>
+                <i class="fas ${achievement.icon || 'fa-trophy'}"></i>
                 <div>
                     <h4>${achievement.title}</h4>
                     <p>${achievement.description}</p>
                     <span class="points">+${achievement.points} points</span>
                 </div>
             </div>
-        `;
+        `);
 
         document.body.appendChild(notification);
 
@@ -446,21 +2142,146 @@ class HealthyMealTrack {
             notification.classList.remove('show');
             setTimeout(() => {
                 document.body.removeChild(notification);
+                this.notificationQueue.shift();
+                this.showNextAchievementNotification();
             }, 300);
         }, 3000);
     }
 
+    // Fills the Achievements view with locked and unlocked badges. Badges for
+    // conditions the user doesn't have are hidden unless already earned.
+    renderAchievements() {
+        const grid = document.querySelector('.achievements-grid');
+        if (!grid) return;
+
+        const visible = this.achievementProgress.filter(achievement =>
+            achievement.relevant || achievement.tiers.some(tier => this.isAchievementUnlocked(tier.unlockId))
+        );
+        const badges = visible.flatMap(achievement => achievement.tiers);
+        const unlockedCount = badges.filter(tier => this.isAchievementUnlocked(tier.unlockId)).length;
+
+        const summary = document.querySelector('.achievements-summary');
+        if (summary) {
+            summary.textContent = `${unlockedCount} of ${badges.length} badges unlocked`;
+        }
+
+        setHtml(grid, visible.map(achievement => {
+            const unlocked = achievement.tiers.filter(tier => this.isAchievementUnlocked(tier.unlockId));
+            const latest = unlocked.map(tier => this.unlockedAchievements.get(tier.unlockId))
+                .sort((a, b) => String(b.unlockedAt).localeCompare(String(a.unlockedAt)))[0];
+            const tierBadges = achievement.tiers.length > 1 ? html`
+                <div class="achievement-tiers">
+                    ${achievement.tiers.map(tier => html`
+                        <span class="achievement-tier ${tier.level} ${this.isAchievementUnlocked(tier.unlockId) ? 'unlocked' : ''}" title="${tier.description}">
+                            ${ACHIEVEMENT_TIER_LABELS[tier.level] || tier.level}
+                        </span>
+                    `)}
+                </div>
+            ` : '';
+
+            return html`
+                <div class="achievement-card ${unlocked.length ? 'unlocked' : 'locked'}" data-achievement-id="${achievement.id}">
+                    <div class="achievement-icon"><i class="fas ${achievement.icon}"></i></div>
+                    <h4>${achievement.title}</h4>
+                    <p>${achievement.description}</p>
+                    ${tierBadges}
+                    <div class="achievement-progress">
+                        <div class="achievement-progress-fill" style="width: ${achievement.percent}%"></div>
+                    </div>
+                    <div class="achievement-status">
+                        ${achievement.complete ? 'Complete' : `${Math.min(achievement.value, achievement.goal)} / ${achievement.goal}`}
+                        ${latest ? ` · Unlocked ${new Date(latest.unlockedAt).toLocaleDateString()}` : ''}
+                    </div>
+                </div>
+            `;
+        }));
+    }
+
+    // Pops up a meal's high risks and every medication interaction, and asks
+    // about any allergens it matched
+    alertHealthRisks(meal) {
+        (meal.aiAnalysis.healthRisks || [])
+            .filter(risk => risk.severity === 'high' || risk.condition === 'medication')
+            .forEach(risk => this.showHealthAlert(risk));
+        this.queueAllergenReview(meal);
+    }
+
+    // Allergen Review
+    // A meal that matched an allergen doesn't count as healthy until the user
+    // answers whether it really contained it. The dialog has no close button;
+    // meals are asked about one at a time.
+    queueAllergenReview(meal) {
+        if (!meal || pendingAllergenRisks(meal).length === 0 || this.allergenReviewQueue.includes(meal.id)) return;
+
+        this.allergenReviewQueue.push(meal.id);
+        if (this.allergenReviewQueue.length === 1) {
+            this.showAllergenReview();
+        }
+    }
+
+    showAllergenReview() {
+        const modal = document.getElementById('allergenReviewModal');
+        if (!modal) {
+            this.allergenReviewQueue = [];
+            return;
+        }
+
+        while (this.allergenReviewQueue.length) {
+            const meal = this.meals.find(item => item.id === this.allergenReviewQueue[0]);
+            const risks = meal ? pendingAllergenRisks(meal) : [];
+            if (risks.length) {
+                const foods = (meal.aiAnalysis.recognizedFoods || []).map(food => food.name).filter(Boolean);
+                modal.querySelector('.allergen-review-meal').textContent =
+                    `${this.formatMealType(meal.mealType)} at ${this.formatTime(meal.loggedAt || meal.createdAt)}: ${foods.join(', ') || meal.description || 'Meal'}`;
+                setHtml(modal.querySelector('.allergen-review-risks'), this.renderHealthRisks(risks));
+                modal.style.display = 'flex';
+                return;
+            }
+            // Deleted, or answered from another card in the meantime
+            this.allergenReviewQueue.shift();
+        }
+    }
+
+    async answerAllergenReview(cleared) {
+        document.getElementById('allergenReviewModal').style.display = 'none';
+        const mealId = this.allergenReviewQueue.shift();
+        const current = this.meals.find(item => item.id === mealId);
+
+        if (current) {
+            const meal = reviewAllergens(current, cleared);
+            try {
+                await this.store.saveMeal(meal);
+            } catch (error) {
+                console.error('Failed to save allergen review:', error);
+            }
+            this.meals = this.meals.map(item => (item.id === meal.id ? meal : item));
+            this.onMealsChanged();
+            this.syncMeal(meal);
+        }
+        this.showAllergenReview();
+    }
+
+    setupAllergenReview() {
+        const modal = document.getElementById('allergenReviewModal');
+        if (!modal) return;
+
+        modal.querySelectorAll('[data-allergen-answer]').forEach(button => {
+            button.addEventListener('click', () => this.answerAllergenReview(button.dataset.allergenAnswer === 'cleared'));
+        });
+    }
+
     showHealthAlert(alert) {
         const alertContainer = document.querySelector('.health-alerts');
         if (!alertContainer) return;
 
         const alertElement = document.createElement('div');
         alertElement.className = `health-alert ${alert.severity}`;
-        alertElement.innerHTML = `
+        setHtml(alertElement, html`
             <i class="fas fa-exclamation-triangle"></i>
             <span>${alert.message}</span>
             <button class="close-alert">&times;</button>
-        `;
+        `);
+        alertElement.querySelector('.close-alert').addEventListener('click', () => alertElement.remove());
 
         alertContainer.appendChild(alertElement);
 
@@ -476,6 +2297,24 @@ class HealthyMealTrack {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    formatTime(date) {
+        return new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatMealType(mealType) {
+        const text = String(mealType || 'meal');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Breakfast before 10:30, lunch until 15:00, dinner until 21:00
+    mealTypeForTime(date = new Date()) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        if (minutes >= 5 * 60 && minutes < 10 * 60 + 30) return 'breakfast';
+        if (minutes >= 11 * 60 && minutes < 15 * 60) return 'lunch';
+        if (minutes >= 17 * 60 && minutes < 21 * 60) return 'dinner';
+        return 'snack';
+    }
+
     formatDate(date) {
         return new Date(date).toLocaleDateString('en-US', {
             year: 'numeric',
@@ -489,6 +2328,15 @@ class HealthyMealTrack {
     setupEventListeners() {
         // File upload
         this.setupFileUpload();
+        this.setupUploadModal();
+
+        // Meal card edit and delete buttons
+        this.setupMealCards();
+        this.setupMealEditor();
+        this.setupAllergenReview();
+
+        // Mobile sidebar
+        this.setupSidebar();
         
         // Chatbot
         this.setupChatbot();
@@ -496,22 +2344,203 @@ class HealthyMealTrack {
         // Logout button
         const logoutBtn = document.querySelector('.logout-btn');
         if (logoutBtn) {
-            logoutBtn.addEventListener('click', () => this.logout());
+            logoutBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (confirm('Log out? Your meals and settings will be removed from this device.')) {
+                    this.logout();
+                }
+            });
+        }
+
+        // Dashboard views
+        this.setupRouter();
+
+        // Leaving the page: stop uploads, close the analysis stream and send
+        // deletes that were still waiting for undo
+        window.addEventListener('pagehide', () => {
+            this.cancelAllAnalyses();
+            this.flushMealDeletes();
+        });
+
+        // Progress filters
+        document.querySelectorAll('.progress-range [data-range]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.progressOptions.range = button.dataset.range;
+                this.renderProgress();
+            });
+        });
+        const mealTypeFilter = document.getElementById('progressMealType');
+        if (mealTypeFilter) {
+            mealTypeFilter.addEventListener('change', () => {
+                this.progressOptions.mealType = mealTypeFilter.value;
+                this.renderProgress();
+            });
+        }
+
+        // Data export and import
+        this.setupDataTransfer();
+
+        // Lab readings
+        this.setupLabForm();
+
+        // Weekly meal plan
+        this.setupMealPlan();
+
+        // Meal and medication reminders
+        this.setupReminderSettings();
+
+        // Streak rule
+        const streakForm = document.getElementById('streakSettingsForm');
+        if (streakForm) {
+            streakForm.elements.rule.addEventListener('change', () => this.toggleStreakRuleOptions(streakForm));
+            streakForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveStreakSettings({
+                    rule: streakForm.elements.rule.value,
+                    minMeals: Math.max(1, parseInt(streakForm.elements.minMeals.value, 10) || 1),
+                    mealType: streakForm.elements.mealType.value,
+                    graceDays: parseInt(streakForm.elements.graceDays.value, 10) || 0
+                });
+                this.showSuccessMessage('Streak rule saved');
+            });
         }
     }
 
-    setupFileUpload() {
-        const fileInput = document.getElementById('mealImage');
-        const uploadArea = document.querySelector('.upload-area');
-        const uploadBtn = document.querySelector('.upload-btn');
+    // Only pages with view panels (dashboard.html) get a router; it starts
+    // once local state is restored so the guards see the saved profile
+    setupRouter() {
+        if (!document.querySelector('[data-view-panel]')) return;
+
+        this.router = new HashRouter({
+            routes: DASHBOARD_ROUTES,
+            defaultPath: '/dashboard',
+            canActivate: requirement => this.hasRequirement(requirement),
+            onDenied: (route, requirement) => (requirement === 'session'
+                ? this.redirectToLogin()
+                : this.redirectToProfileSetup()),
+            onNavigate: (route, previous) => this.showRoute(route, previous)
+        });
+    }
+
+    hasRequirement(requirement) {
+        if (requirement === 'session') return authSession.isActive();
+        if (requirement === 'profile') return Boolean(this.userProfile && this.userProfile.name);
+        return true;
+    }
+
+    showRoute(route, previous) {
+        if (previous && previous.modal && previous.modal !== route.modal) {
+            const modal = document.getElementById(previous.modal);
+            if (modal) modal.style.display = 'none';
+        }
+
+        document.querySelectorAll('[data-view-panel]').forEach(panel => {
+            panel.hidden = panel.dataset.viewPanel !== route.view;
+        });
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.classList.toggle('active', item.getAttribute('href') === `#${route.path}`);
+        });
+        document.title = `${route.title} | HealthyMealTrack`;
+
+        if (route.modal) {
+            const modal = document.getElementById(route.modal);
+            if (modal) modal.style.display = 'flex';
+        }
+        if (route.focus) {
+            const element = document.getElementById(route.focus);
+            if (element) {
+                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                element.focus();
+            }
+        }
+        if (route.view === 'settings') {
+            this.renderSettings();
+        }
+        if (route.view === 'labs') {
+            this.renderLabs();
+        }
+        if (route.view === 'plan') {
+            this.ensureMealPlan();
+        }
+    }
+
+    renderSettings() {
+        const summary = document.querySelector('.profile-summary');
+        if (!summary || !this.userProfile) return;
+
+        const profile = this.userProfile;
+        const rows = [
+            ['Name', profile.name],
+            ['Age', profile.age],
+            ['Weight', profile.weight && `${profile.weight} kg`],
+            ['Height', profile.height && `${profile.height} cm`],
+            ['BMI', profile.bmi && `${profile.bmi}${profile.bmiCategory ? ` (${profile.bmiCategory})` : ''}`],
+            ['Activity', profile.activityLevel],
+            ['Conditions', (profile.conditions || []).map(condition => PROFILE_CONDITION_LABELS[condition] || condition).join(', ') || 'None'],
+            ['Allergies', formatAllergens(profileAllergens(profile)) || 'None'],
+            ['Medications', profile.medications && (parseMedications(profile.medications)
+                .map(medication => `${medication.name} (${medication.label})`).join(', ') || 'None with known food interactions')],
+            ...Object.values(latestLabReadings(this.labReadings, profile)).map(reading => [
+                LAB_TESTS[reading.test].label,
+                `${formatLabReading(reading)} (${new Date(reading.takenAt).toLocaleDateString()}${labReadingFlags(reading, profile).length ? ', outside normal range' : ''})`
+            ]),
+            ['Updated', profile.updatedAt && new Date(profile.updatedAt).toLocaleDateString()]
+        ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+        setHtml(summary, rows.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`));
+        this.fillStreakSettingsForm();
+        this.fillReminderSettingsForm();
+    }
+
+    setupDataTransfer() {
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportData(button.dataset.export));
+        });
+
+        const importInput = document.getElementById('importFile');
+        if (importInput) {
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (file) await this.readImportFile(file);
+            });
+        }
 
-        if (fileInput) {
-            fileInput.addEventListener('change', (e) => {
-                this.handleFileUpload(e.target.files);
+        const preview = document.querySelector('.import-preview');
+        if (preview) {
+            preview.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-import-action]');
+                if (!button) return;
+
+                if (button.dataset.importAction === 'confirm') {
+                    this.confirmImport({
+                        replaceDuplicates: preview.querySelector('[name="replaceDuplicates"]').checked,
+                        includeProfile: preview.querySelector('[name="includeProfile"]').checked
+                    });
+                } else {
+                    this.cancelImport();
+                }
             });
         }
+    }
+
+    setupFileUpload() {
+        const fileInput = document.getElementById('fileInput');
+        const uploadArea = document.getElementById('uploadArea');
+
+        // Pages without the meal upload area have nothing to bind
+        if (!fileInput) return;
+
+        fileInput.addEventListener('change', (e) => {
+            this.handleFileUpload(e.target.files);
+            fileInput.value = '';
+        });
 
         if (uploadArea) {
+            uploadArea.addEventListener('click', (e) => {
+                if (e.target !== fileInput) fileInput.click();
+            });
+
             uploadArea.addEventListener('dragover', (e) => {
                 e.preventDefault();
                 uploadArea.classList.add('dragover');
@@ -527,14 +2556,151 @@ class HealthyMealTrack {
                 this.handleFileUpload(e.dataTransfer.files);
             });
         }
+    }
 
-        if (uploadBtn) {
-            uploadBtn.addEventListener('click', () => {
-                fileInput?.click();
-            });
+    // The upload modal is opened by the #/upload route; closing it returns
+    // to the dashboard route so the back button stays consistent
+    setupUploadModal() {
+        const modal = document.getElementById('uploadModal');
+        if (!modal) return;
+
+        modal.querySelectorAll('[data-close-modal]').forEach(button => {
+            button.addEventListener('click', () => this.closeUploadModal());
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeUploadModal();
+        });
+
+        const submitBtn = document.getElementById('submitMealBtn');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', () => this.submitUploadModal());
+        }
+    }
+
+    async submitUploadModal() {
+        const photoInput = document.getElementById('mealPhoto');
+        const descriptionInput = document.getElementById('mealDescription');
+        const file = photoInput.files[0] || null;
+        const description = descriptionInput.value.trim();
+
+        if (!file && !description) {
+            this.showErrorMessage('Add a photo or describe what you ate.');
+            return;
+        }
+
+        this.closeUploadModal();
+        const meal = await this.logMeal({
+            file,
+            mealType: document.getElementById('mealType').value,
+            description
+        });
+        if (meal) {
+            photoInput.value = '';
+            descriptionInput.value = '';
+        }
+    }
+
+    // Edit, delete, allergen review and sync retry buttons on meal cards. Cards are re-rendered often, so
+    // the listener sits on the container.
+    setupMealCards() {
+        const mealsContainer = document.getElementById('mealCards');
+        if (!mealsContainer) return;
+
+        mealsContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-meal-action]');
+            if (!button) return;
+
+            const mealId = button.closest('[data-meal-id]').dataset.mealId;
+            if (button.dataset.mealAction === 'edit') {
+                this.openMealEditor(mealId);
+            } else if (button.dataset.mealAction === 'review-allergens') {
+                this.queueAllergenReview(this.meals.find(meal => meal.id === mealId));
+            } else if (button.dataset.mealAction === 'retry-sync') {
+                this.retryOutboxEntry(mealId);
+            } else {
+                this.deleteMeal(mealId);
+            }
+        });
+    }
+
+    setupMealEditor() {
+        const modal = document.getElementById('editMealModal');
+        if (!modal) return;
+
+        const foodNames = document.getElementById('foodNames');
+        if (foodNames) {
+            setHtml(foodNames, FOOD_DATABASE.map(food => html`<option value="${food.name}">`));
+        }
+
+        modal.querySelectorAll('[data-close-modal]').forEach(button => {
+            button.addEventListener('click', () => this.closeMealEditor());
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeMealEditor();
+        });
+
+        const list = modal.querySelector('.edit-food-list');
+        list.addEventListener('input', (e) => {
+            if (e.target.matches('.edit-food-grams, .edit-food-servings')) this.resizeEditedFood(e.target);
+        });
+        list.addEventListener('change', (e) => {
+            if (e.target.matches('.edit-food-name')) this.swapEditedFood(e.target);
+        });
+        list.addEventListener('click', (e) => {
+            const remove = e.target.closest('.edit-food-remove');
+            if (!remove || !this.mealEdit) return;
+            this.mealEdit.foods.splice(Number(remove.closest('.edit-food-row').dataset.foodIndex), 1);
+            this.renderMealEditor();
+        });
+
+        document.getElementById('editMealType').addEventListener('change', (e) => {
+            if (this.mealEdit) this.mealEdit.mealType = e.target.value;
+        });
+        document.getElementById('editAddFoodBtn').addEventListener('click', () => this.addEditedFood());
+        document.getElementById('editAddFood').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addEditedFood();
+            }
+        });
+
+        document.getElementById('saveMealEditBtn').addEventListener('click', () => this.saveMealEdit());
+        document.getElementById('deleteMealBtn').addEventListener('click', () => {
+            if (!this.mealEdit) return;
+            const mealId = this.mealEdit.meal.id;
+            this.closeMealEditor();
+            this.deleteMeal(mealId);
+        });
+    }
+
+    closeUploadModal() {
+        const modal = document.getElementById('uploadModal');
+        if (modal) modal.style.display = 'none';
+
+        if (this.router && this.router.currentPath() === '/upload') {
+            this.router.navigate('/dashboard');
         }
     }
 
+    setupSidebar() {
+        const sidebar = document.getElementById('sidebar');
+        const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
+        if (!sidebar || !mobileMenuBtn) return;
+
+        mobileMenuBtn.addEventListener('click', () => {
+            sidebar.classList.toggle('open');
+        });
+
+        // Close sidebar when clicking outside it or following a link on mobile
+        document.addEventListener('click', (e) => {
+            if (window.innerWidth <= 1024 &&
+                (!sidebar.contains(e.target) || e.target.closest('.nav-item')) &&
+                !mobileMenuBtn.contains(e.target)) {
+                sidebar.classList.remove('open');
+            }
+        });
+    }
+
     setupChatbot() {
         const chatInput = document.getElementById('chatInput');
         const sendBtn = document.querySelector('.send-btn');
@@ -554,45 +2720,239 @@ class HealthyMealTrack {
         }
     }
 
+    // Photos dropped or picked on the upload area go through the upload
+    // queue. Meal time and type are pre-filled from the photo's capture time.
     async handleFileUpload(files) {
-        if (!files.length) return;
+        const images = Array.from(files || []).filter(file => file.type.startsWith('image/'));
+        if (images.length === 0) return [];
+
+        const entries = await Promise.all(images.map(async file => {
+            const { capturedAt } = await readPhotoMetadata(file);
+            const mealTime = capturedAt || new Date();
+            return {
+                file,
+                loggedAt: capturedAt ? capturedAt.toISOString() : undefined,
+                mealType: this.mealTypeForTime(mealTime),
+                fromPhotoTime: Boolean(capturedAt)
+            };
+        }));
+
+        return this.uploadQueue.add(entries);
+    }
+
+    processUpload(item, { signal, report }) {
+        const { file, mealType, loggedAt } = item.data;
+        return this.recordMeal({
+            file,
+            mealType,
+            loggedAt,
+            signal,
+            onProgress: report
+        });
+    }
+
+    renderUploadItem(item) {
+        const list = document.querySelector('.upload-queue');
+        if (!list) return;
 
-        const file = files[0];
-        const mealType = document.getElementById('mealType')?.value || 'lunch';
-        const description = document.getElementById('mealDescription')?.value || '';
+        let row = list.querySelector(`[data-upload-id="${item.id}"]`);
+        if (item.status === 'removed') {
+            if (row) row.remove();
+            return;
+        }
+        if (!row) {
+            row = document.createElement('div');
+            row.className = 'upload-item';
+            row.dataset.uploadId = item.id;
+            setHtml(row, html`
+                <div class="upload-item-header">
+                    <span class="upload-item-name"></span>
+                    <select class="upload-item-type">
+                        <option value="breakfast">Breakfast</option>
+                        <option value="lunch">Lunch</option>
+                        <option value="dinner">Dinner</option>
+                        <option value="snack">Snack</option>
+                    </select>
+                </div>
+                <div class="upload-item-bar"><div class="upload-item-fill"></div></div>
+                <div class="upload-item-footer">
+                    <span class="upload-item-stage"></span>
+                    <span class="upload-item-actions">
+                        <button type="button" data-upload-action="cancel">Cancel</button>
+                        <button type="button" data-upload-action="retry">Retry</button>
+                        <button type="button" data-upload-action="remove">Dismiss</button>
+                    </span>
+                </div>
+            `);
+            row.querySelector('.upload-item-type').addEventListener('change', (e) => {
+                item.data.mealType = e.target.value;
+            });
+            row.querySelectorAll('[data-upload-action]').forEach(button => {
+                button.addEventListener('click', () => this.uploadQueue[button.dataset.uploadAction](item.id));
+            });
+            list.appendChild(row);
+        }
+
+        const time = item.data.loggedAt ? ` · ${this.formatTime(item.data.loggedAt)} (from photo)` : '';
+        row.className = `upload-item ${item.status}`;
+        row.querySelector('.upload-item-name').textContent = `${item.data.file.name}${time}`;
+        const typeSelect = row.querySelector('.upload-item-type');
+        typeSelect.value = item.data.mealType;
+        // The meal type is sent with the upload, so it can only change while queued
+        typeSelect.disabled = item.status !== 'queued';
+        row.querySelector('.upload-item-fill').style.width = `${Math.round(item.progress * 100)}%`;
+        row.querySelector('.upload-item-stage').textContent = item.status === 'failed'
+            ? (item.error && item.error.userMessage) || 'Upload failed'
+            : item.stage;
+
+        const actions = {
+            cancel: ['queued', 'running'].includes(item.status),
+            retry: ['failed', 'cancelled'].includes(item.status),
+            remove: ['done', 'failed', 'cancelled'].includes(item.status)
+        };
+        row.querySelectorAll('[data-upload-action]').forEach(button => {
+            button.hidden = !actions[button.dataset.uploadAction];
+        });
+
+        if (item.status === 'done') {
+            setTimeout(() => this.uploadQueue.remove(item.id), 4000);
+        }
+    }
+
+    // Logs a meal from a photo, a description or both, and reports failures
+    // to the user. Returns the saved meal, or null.
+    async logMeal(options) {
+        try {
+            return await this.recordMeal(options);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showErrorMessage(error.userMessage || 'Failed to analyze meal. Please try again.');
+            }
+            return null;
+        }
+    }
+
+    // Nutrition comes from the remote analysis when it succeeds, otherwise
+    // from the description. Photos are downscaled and stripped of EXIF data
+    // first. onProgress(stage, fraction) reports progress; signal cancels.
+    async recordMeal({ file = null, mealType = 'lunch', description = '', loggedAt, signal, onProgress = () => {} }) {
+        const pendingId = generateId('meal');
+        // Cancellable from the caller's signal or through cancelAnalysis()
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            else signal.addEventListener('abort', forwardAbort, { once: true });
+        }
+        this.analysisControllers.set(pendingId, controller);
+        const previewUrl = file && typeof URL !== 'undefined' && URL.createObjectURL ? URL.createObjectURL(file) : null;
 
         try {
             // Show loading state
             this.showLoadingState();
-
-            // Create meal data
-            const mealData = {
-                file,
+            this.showPendingMeal({
+                id: pendingId,
                 mealType,
-                description
-            };
+                description,
+                imageUrl: previewUrl,
+                createdAt: new Date().toISOString(),
+                loggedAt,
+                aiAnalysis: { analysisStatus: 'processing' }
+            });
 
             // Analyze meal
-            const analysis = await this.analyzeMeal(mealData);
+            let analysis = null;
+            if (file) {
+                onProgress('Preparing photo', 0.05);
+                const photo = await prepareMealPhoto(file);
+                loggedAt = loggedAt || (photo.capturedAt ? photo.capturedAt.toISOString() : undefined);
+
+                try {
+                    analysis = await this.analyzeMeal({ file: photo.file, mealType, description }, {
+                        signal: controller.signal,
+                        onProgress: fraction => onProgress(fraction < 1 ? 'Uploading' : 'Analyzing', 0.1 + fraction * 0.5),
+                        onStage: (stage, label) => {
+                            const stages = Object.keys(ANALYSIS_STAGES);
+                            onProgress(label, 0.6 + 0.25 * (stages.indexOf(stage) + 1) / stages.length);
+                            this.updatePendingStage(pendingId, label);
+                        }
+                    });
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    // Keep the photo for later instead of losing it
+                    if (this.canQueueOffline() && isOfflineError(error)) {
+                        onProgress('Saved to sync later', 1);
+                        return await this.queueOfflineMeal({ id: pendingId, photo: photo.file, mealType, description, loggedAt });
+                    }
+                    if (!description.trim()) throw error;
+                    console.warn('Photo analysis failed, using the meal description:', error);
+                }
+            }
+            if (controller.signal.aborted) {
+                throw new DOMException('Upload cancelled', 'AbortError');
+            }
+            if (!analysis) {
+                analysis = this.analyzeDescription(description);
+            }
 
-            // Add meal to list
-            this.meals.unshift(analysis);
-            this.updateMealsDisplay();
+            // Check the meal against the user's health profile
+            onProgress('Saving', 0.9);
+            const meal = await this.store.saveMeal(this.applyHealthRules(this.buildAnalyzedMeal({
+                id: analysis.mealId || pendingId,
+                mealType,
+                description,
+                loggedAt
+            }, analysis)));
 
-            // Check achievements
-            this.checkAchievements();
+            // Save and add meal to list
+            this.meals.unshift(meal);
+            this.onMealsChanged();
+            this.alertHealthRisks(meal);
+            // A remote analysis already created the meal on the server
+            if (analysis.source === 'description') this.syncMeal(meal);
 
             // Show success message
-            this.showSuccessMessage('Meal analyzed successfully!');
+            this.showSuccessMessage(analysis.source === 'description'
+                ? 'Meal logged from your description!'
+                : 'Meal analyzed successfully!');
 
+            return meal;
         } catch (error) {
-            console.error('File upload failed:', error);
-            this.showErrorMessage('Failed to analyze meal. Please try again.');
+            if (error.name !== 'AbortError') {
+                console.error('Meal logging failed:', error);
+            }
+            this.updateMealsDisplay();
+            throw error;
         } finally {
             this.hideLoadingState();
+            this.analysisControllers.delete(pendingId);
+            if (signal) signal.removeEventListener('abort', forwardAbort);
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
         }
     }
 
+    // The meal record for a finished analysis, remote or from the description
+    buildAnalyzedMeal({ id, mealType, description, loggedAt, createdAt }, analysis) {
+        return {
+            id,
+            mealType,
+            description,
+            loggedAt,
+            createdAt,
+            imageUrl: analysis.imageUrl,
+            totalCalories: Math.round(analysis.nutrition.calories || 0),
+            aiAnalysis: {
+                analysisStatus: 'completed',
+                source: analysis.source || 'remote',
+                recognizedFoods: analysis.foods,
+                nutrition: analysis.nutrition,
+                healthRisks: analysis.healthAnalysis.risks,
+                warnings: analysis.healthAnalysis.warnings,
+                recommendations: analysis.recommendations
+            }
+        };
+    }
+
     async handleChatMessage() {
         const chatInput = document.getElementById('chatInput');
         const message = chatInput?.value.trim();
@@ -600,35 +2960,69 @@ class HealthyMealTrack {
         if (!message) return;
 
         // Add user message
-        this.addChatMessage(message, 'user');
+        this.addChatMessage({ sender: 'user', text: message });
         chatInput.value = '';
 
         try {
-            // Get AI response
-            const response = await this.processChatMessage(message);
-            this.addChatMessage(response, 'ai');
+            const reply = await this.processChatMessage(message);
+            this.addChatMessage({ sender: 'ai', text: reply.text, sources: reply.sources });
         } catch (error) {
-            this.addChatMessage('Sorry, I encountered an error. Please try again.', 'ai');
+            console.error('Chat processing failed:', error);
+            this.addChatMessage({ sender: 'ai', text: 'Sorry, I encountered an error. Please try again.' });
         }
     }
 
-    addChatMessage(message, sender) {
+    addChatMessage({ sender, text, sources = [], time = new Date().toISOString() }, { persist = true } = {}) {
+        const entry = { sender, text, sources, time };
+        if (persist) {
+            this.chatHistory = [...this.chatHistory, entry].slice(-CHAT_HISTORY_LIMIT);
+            this.store.saveChatHistory(this.chatHistory)
+                .catch(error => console.error('Failed to save chat history:', error));
+        }
+
         const chatContainer = document.querySelector('.chat-messages');
         if (!chatContainer) return;
 
         const messageElement = document.createElement('div');
         messageElement.className = `chat-message ${sender}`;
-        messageElement.innerHTML = `
+        setHtml(messageElement, html`
             <div class="message-content">
-                <span class="message-text">${message}</span>
-                <span class="message-time">${this.formatDate(new Date())}</span>
+                <div class="message-text"></div>
+                <ul class="message-sources"></ul>
+                <span class="message-time"></span>
             </div>
-        `;
+        `);
+        // Replies may use a little markup (bold, lists, links); what the user
+        // typed is always shown as typed
+        const messageText = messageElement.querySelector('.message-text');
+        if (sender === 'ai') {
+            setHtml(messageText, renderChatMarkup(text));
+        } else {
+            messageText.textContent = text;
+        }
+        messageElement.querySelector('.message-time').textContent = this.formatDate(time);
+
+        const sourceList = messageElement.querySelector('.message-sources');
+        sources.forEach(source => {
+            const item = document.createElement('li');
+            item.className = `message-source ${source.type}`;
+            item.textContent = source.label;
+            sourceList.appendChild(item);
+        });
+        if (sources.length === 0) sourceList.remove();
 
         chatContainer.appendChild(messageElement);
         chatContainer.scrollTop = chatContainer.scrollHeight;
     }
 
+    renderChatHistory() {
+        const chatContainer = document.querySelector('.chat-messages');
+        if (!chatContainer) return;
+
+        chatContainer.textContent = '';
+        this.chatHistory.forEach(entry => this.addChatMessage(entry, { persist: false }));
+    }
+
     showLoadingState() {
         const loadingElement = document.querySelector('.loading-overlay');
         if (loadingElement) {
@@ -651,23 +3045,42 @@ class HealthyMealTrack {
         this.showNotification(message, 'error');
     }
 
-    showNotification(message, type) {
+    // action: { label, onClick } adds a button such as Undo, which also
+    // dismisses the notification
+    showNotification(message, type, { action = null, duration = 3000 } = {}) {
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.textContent = message;
 
+        let dismissed = false;
+        const dismiss = () => {
+            if (dismissed) return;
+            dismissed = true;
+            notification.classList.remove('show');
+            setTimeout(() => {
+                document.body.removeChild(notification);
+            }, 300);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                dismiss();
+            });
+            notification.appendChild(button);
+        }
+
         document.body.appendChild(notification);
 
         setTimeout(() => {
             notification.classList.add('show');
         }, 100);
 
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => {
-                document.body.removeChild(notification);
-            }, 300);
-        }, 3000);
+        setTimeout(dismiss, duration);
     }
 }
 
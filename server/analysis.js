@@ -0,0 +1,124 @@
+// HealthyMealTrack - Local Dev Server Fake Analysis
+// Stands in for Google Vision, Nutritionix and the health model. Results are
+// derived from a hash of the image bytes, so the same photo always yields the
+// same foods, nutrition and risks.
+
+const crypto = require('crypto');
+
+// Per-serving values
+const FAKE_FOODS = [
+    { name: 'Grilled Chicken Breast', quantity: 150, unit: 'g', calories: 248, protein: 46, carbs: 0, fat: 5, fiber: 0, sugar: 0, sodium: 110 },
+    { name: 'Brown Rice', quantity: 1, unit: 'cup', calories: 216, protein: 5, carbs: 45, fat: 2, fiber: 4, sugar: 1, sodium: 10 },
+    { name: 'Mixed Green Salad', quantity: 1, unit: 'bowl', calories: 35, protein: 2, carbs: 7, fat: 0, fiber: 3, sugar: 3, sodium: 40 },
+    { name: 'Pasta with Tomato Sauce', quantity: 1, unit: 'plate', calories: 420, protein: 12, carbs: 70, fat: 9, fiber: 5, sugar: 9, sodium: 780 },
+    { name: 'Pepperoni Pizza', quantity: 2, unit: 'slices', calories: 600, protein: 24, carbs: 66, fat: 26, fiber: 4, sugar: 7, sodium: 1360 },
+    { name: 'French Fries', quantity: 1, unit: 'medium', calories: 365, protein: 4, carbs: 48, fat: 17, fiber: 4, sugar: 0, sodium: 246 },
+    { name: 'Banana', quantity: 1, unit: 'medium', calories: 105, protein: 1, carbs: 27, fat: 0, fiber: 3, sugar: 14, sodium: 1 },
+    { name: 'Scrambled Eggs', quantity: 2, unit: 'eggs', calories: 182, protein: 12, carbs: 2, fat: 14, fiber: 0, sugar: 1, sodium: 340 },
+    { name: 'Salmon Fillet', quantity: 150, unit: 'g', calories: 312, protein: 34, carbs: 0, fat: 19, fiber: 0, sugar: 0, sodium: 90 },
+    { name: 'Chocolate Cake', quantity: 1, unit: 'slice', calories: 352, protein: 5, carbs: 51, fat: 16, fiber: 2, sugar: 36, sodium: 299 },
+    { name: 'Lentil Soup', quantity: 1, unit: 'bowl', calories: 230, protein: 18, carbs: 40, fat: 1, fiber: 16, sugar: 4, sodium: 840 },
+    { name: 'Greek Yogurt', quantity: 1, unit: 'cup', calories: 146, protein: 20, carbs: 8, fat: 4, fiber: 0, sugar: 7, sodium: 81 }
+];
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+function hashBytes(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+function pickFoods(hash) {
+    const count = 1 + (hash[0] % 3);
+    const picked = [];
+
+    for (let i = 1; picked.length < count; i++) {
+        const food = FAKE_FOODS[hash[i] % FAKE_FOODS.length];
+        if (!picked.includes(food)) {
+            picked.push(food);
+        }
+    }
+
+    return picked.map((food, index) => ({
+        name: food.name,
+        confidence: Math.round((0.75 + (hash[10 + index] % 25) / 100) * 100) / 100,
+        quantity: food.quantity,
+        unit: food.unit,
+        calories: food.calories,
+        nutrition: NUTRIENTS.reduce((values, key) => ({ ...values, [key]: food[key] }), {})
+    }));
+}
+
+function sumNutrition(foods) {
+    return NUTRIENTS.reduce((totals, key) => ({
+        ...totals,
+        [key]: foods.reduce((sum, food) => sum + food.nutrition[key], 0)
+    }), {});
+}
+
+function assessRisks(nutrition, conditions = []) {
+    const risks = [];
+    const has = condition => conditions.includes(condition);
+
+    if (has('bp') && nutrition.sodium > 600) {
+        risks.push({ condition: 'bp', severity: 'high', message: `High in sodium (${nutrition.sodium}mg) - may raise blood pressure.` });
+    }
+    if (has('diabetes') && nutrition.carbs > 60) {
+        risks.push({ condition: 'diabetes', severity: 'medium', message: `High in carbs (${nutrition.carbs}g) - consider a smaller portion for diabetes management.` });
+    }
+    if (has('diabetes') && nutrition.sugar > 25) {
+        risks.push({ condition: 'diabetes', severity: 'high', message: `High in sugar (${nutrition.sugar}g) - may spike blood sugar.` });
+    }
+    if ((has('cholesterol') || has('heart')) && nutrition.fat > 25) {
+        risks.push({ condition: has('heart') ? 'heart' : 'cholesterol', severity: 'medium', message: `High in fat (${nutrition.fat}g) - limit for heart health.` });
+    }
+    if (has('obesity') && nutrition.calories > 700) {
+        risks.push({ condition: 'obesity', severity: 'medium', message: `Calorie-dense meal (${nutrition.calories} kcal).` });
+    }
+
+    return risks;
+}
+
+function recommendationsFor(nutrition, risks) {
+    const recommendations = [];
+
+    if (nutrition.fiber < 5) {
+        recommendations.push('Add vegetables or whole grains for more fiber.');
+    }
+    if (nutrition.protein < 15) {
+        recommendations.push('Include a lean protein source to stay full longer.');
+    }
+    if (risks.length === 0) {
+        recommendations.push('Great choice! This meal fits your health profile.');
+    }
+
+    return recommendations;
+}
+
+// Returns the aiAnalysis fields for a completed (or failed) analysis
+function analyzeImage(data, profile = {}) {
+    if (!data || data.length === 0) {
+        return {
+            analysisStatus: 'failed',
+            analysisError: 'Image is empty or unreadable'
+        };
+    }
+
+    const recognizedFoods = pickFoods(hashBytes(data));
+    const nutrition = sumNutrition(recognizedFoods);
+    const healthRisks = assessRisks(nutrition, profile.conditions);
+
+    return {
+        analysisStatus: 'completed',
+        recognizedFoods,
+        nutrition,
+        healthRisks,
+        warnings: healthRisks.filter(risk => risk.severity === 'high').map(risk => risk.message),
+        recommendations: recommendationsFor(nutrition, healthRisks),
+        completedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    analyzeImage,
+    FAKE_FOODS
+};
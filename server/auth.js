@@ -0,0 +1,71 @@
+// HealthyMealTrack - Local Dev Server Authentication
+// Minimal HS256 JSON Web Tokens and scrypt password hashing using only
+// Node's crypto module.
+
+const crypto = require('crypto');
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function decodeBase64url(input) {
+    return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function hmac(data, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function signToken(payload, secret, expiresInSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSeconds }));
+    return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+// Returns the token payload, or throws with a message suitable for a 401.
+// graceSeconds accepts tokens that expired at most that long ago.
+function verifyToken(token, secret, { graceSeconds = 0 } = {}) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    const [header, body, signature] = parts;
+    const expected = hmac(`${header}.${body}`, secret);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid token signature');
+    }
+
+    const payload = JSON.parse(decodeBase64url(body));
+    if (payload.exp && payload.exp + graceSeconds < Math.floor(Date.now() / 1000)) {
+        throw new Error('Token expired');
+    }
+
+    return payload;
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const candidate = crypto.scryptSync(password, salt, 64);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    hashPassword,
+    checkPassword
+};
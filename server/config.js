@@ -0,0 +1,75 @@
+// HealthyMealTrack - Local Dev Server Configuration
+// Reads settings from the repository's .env file (see .env.example) and the
+// process environment, which takes precedence.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+function parseEnvFile(contents) {
+    const values = {};
+
+    contents.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const separator = trimmed.indexOf('=');
+        if (separator === -1) return;
+
+        const key = trimmed.slice(0, separator).trim();
+        let value = trimmed.slice(separator + 1).trim();
+        if (/^(['"]).*\1$/.test(value)) {
+            value = value.slice(1, -1);
+        }
+        values[key] = value;
+    });
+
+    return values;
+}
+
+function loadEnv(file = path.join(ROOT_DIR, '.env')) {
+    if (!fs.existsSync(file)) return {};
+    return parseEnvFile(fs.readFileSync(file, 'utf8'));
+}
+
+// Converts "15m", "7d", "3600" or "3600s" into seconds
+function parseDuration(value, fallback) {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value || '').trim());
+    if (!match) return fallback;
+
+    const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    return parseInt(match[1], 10) * units[match[2]];
+}
+
+function toInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function loadConfig(env = { ...loadEnv(), ...process.env }) {
+    if (!env.JWT_SECRET) {
+        console.warn('JWT_SECRET is not set - using an insecure development secret');
+    }
+
+    return {
+        port: toInt(env.PORT, 5000),
+        apiPrefix: env.API_PREFIX || '/api',
+        corsOrigin: env.CORS_ORIGIN || '*',
+        jwtSecret: env.JWT_SECRET || 'healthymealtrack-dev-secret',
+        jwtExpiresIn: parseDuration(env.JWT_EXPIRES_IN, 7 * 86400),
+        jwtRefreshGrace: parseDuration(env.JWT_REFRESH_GRACE, 86400),
+        rateLimitWindowMs: toInt(env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+        rateLimitMaxRequests: toInt(env.RATE_LIMIT_MAX_REQUESTS, 100),
+        analysisDelayMs: toInt(env.ANALYSIS_DELAY_MS, 3000),
+        maxUploadBytes: toInt(env.MAX_UPLOAD_BYTES, 10 * 1024 * 1024),
+        dataFile: env.DATA_FILE ? path.resolve(ROOT_DIR, env.DATA_FILE) : null,
+        staticDir: ROOT_DIR
+    };
+}
+
+module.exports = {
+    loadConfig,
+    parseEnvFile,
+    parseDuration
+};
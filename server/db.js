@@ -0,0 +1,139 @@
+// HealthyMealTrack - Local Dev Server Data
+// In-memory users, meals and images, optionally saved to a JSON file
+// (DATA_FILE) so data survives restarts.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+class Database {
+    constructor(dataFile = null) {
+        this.dataFile = dataFile;
+        this.users = [];
+        this.meals = [];
+        this.images = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+            this.users = data.users || [];
+            this.meals = data.meals || [];
+            Object.entries(data.images || {}).forEach(([id, image]) => {
+                this.images.set(id, { ...image, data: Buffer.from(image.data, 'base64') });
+            });
+        } catch (error) {
+            console.error(`Could not read ${this.dataFile}, starting empty:`, error.message);
+        }
+    }
+
+    save() {
+        if (!this.dataFile) return;
+
+        const images = {};
+        this.images.forEach((image, id) => {
+            images[id] = { ...image, data: image.data.toString('base64') };
+        });
+
+        fs.writeFileSync(this.dataFile, JSON.stringify({
+            users: this.users,
+            meals: this.meals,
+            images
+        }));
+    }
+
+    createId() {
+        return crypto.randomBytes(12).toString('hex');
+    }
+
+    // Users
+    findUserByEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return this.users.find(user => user.email === normalized) || null;
+    }
+
+    findUserById(id) {
+        return this.users.find(user => user._id === id) || null;
+    }
+
+    createUser({ name, email, passwordHash }) {
+        const user = {
+            _id: this.createId(),
+            name,
+            email: String(email).trim().toLowerCase(),
+            passwordHash,
+            points: 0,
+            streak: 0,
+            healthProfile: {},
+            createdAt: new Date().toISOString()
+        };
+        this.users.push(user);
+        this.save();
+        return user;
+    }
+
+    updateUser(id, changes) {
+        const user = this.findUserById(id);
+        if (!user) return null;
+
+        Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        return user;
+    }
+
+    // Meals
+    createMeal(meal) {
+        const record = {
+            _id: this.createId(),
+            createdAt: new Date().toISOString(),
+            ...meal
+        };
+        this.meals.push(record);
+        this.save();
+        return record;
+    }
+
+    findMeal(id, userId) {
+        return this.meals.find(meal => meal._id === id && meal.userId === userId) || null;
+    }
+
+    updateMeal(id, changes) {
+        const meal = this.meals.find(item => item._id === id);
+        if (!meal) return null;
+
+        Object.assign(meal, changes);
+        this.save();
+        return meal;
+    }
+
+    mealIdTaken(id) {
+        return this.meals.some(meal => meal._id === id);
+    }
+
+    deleteMeal(id) {
+        this.meals = this.meals.filter(meal => meal._id !== id);
+        this.save();
+    }
+
+    mealsForUser(userId) {
+        return this.meals
+            .filter(meal => meal.userId === userId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Images
+    saveImage({ data, contentType }) {
+        const id = this.createId();
+        this.images.set(id, { data, contentType });
+        this.save();
+        return id;
+    }
+
+    getImage(id) {
+        return this.images.get(id) || null;
+    }
+}
+
+module.exports = Database;
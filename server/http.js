@@ -0,0 +1,182 @@
+// HealthyMealTrack - Local Dev Server HTTP Helpers
+// Body parsing, JSON responses, CORS, rate limiting and static files on top
+// of Node's http module.
+
+const fs = require('fs');
+const path = require('path');
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Every route expects an object, so any other JSON value (null, an array, a
+// string) is rejected like invalid JSON
+async function readJson(req, limit) {
+    const body = await readBody(req, limit);
+    if (body.length === 0) return {};
+
+    let data;
+    try {
+        data = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON body');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new HttpError(400, 'Expected a JSON object');
+    }
+    return data;
+}
+
+// Parses multipart/form-data into { fields, files }
+async function readMultipart(req, limit) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+    if (!match) {
+        throw new HttpError(400, 'Expected multipart/form-data');
+    }
+
+    const body = await readBody(req, limit);
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+    const fields = {};
+    const files = {};
+
+    let start = body.indexOf(boundary);
+    while (start !== -1) {
+        const next = body.indexOf(boundary, start + boundary.length);
+        if (next === -1) break;
+
+        // Each part is: CRLF headers CRLF CRLF content CRLF
+        const part = body.slice(start + boundary.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString('utf8');
+            const content = part.slice(headerEnd + 4);
+            const name = /name="([^"]*)"/i.exec(headers);
+            const filename = /filename="([^"]*)"/i.exec(headers);
+            const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+
+            if (name && filename) {
+                files[name[1]] = {
+                    filename: filename[1],
+                    contentType: type ? type[1].trim() : 'application/octet-stream',
+                    data: content
+                };
+            } else if (name) {
+                fields[name[1]] = content.toString('utf8');
+            }
+        }
+
+        start = next;
+    }
+
+    return { fields, files };
+}
+
+function corsHeaders(origin) {
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+    };
+}
+
+// Fixed-window limiter keyed by client address (RATE_LIMIT_WINDOW_MS,
+// RATE_LIMIT_MAX_REQUESTS)
+function createRateLimiter({ windowMs, max }) {
+    const clients = new Map();
+
+    return function rateLimit(key) {
+        const now = Date.now();
+        let entry = clients.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            clients.set(key, entry);
+        }
+        entry.count++;
+
+        const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+        const headers = {
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        };
+
+        if (entry.count > max) {
+            headers['Retry-After'] = String(resetSeconds);
+            return { allowed: false, headers };
+        }
+        return { allowed: true, headers };
+    };
+}
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Serves the frontend files; the server directory and dotfiles are never exposed.
+// Throws a 400 HttpError for a path that isn't valid percent-encoding.
+function serveStatic(res, rootDir, urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath === '/' ? '/index.html' : urlPath);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+    const relative = path.normalize(decoded).replace(/^([/\\])+/, '');
+    const file = path.join(rootDir, relative);
+    const type = STATIC_TYPES[path.extname(file).toLowerCase()];
+    const hidden = relative.split(path.sep).some(segment => segment.startsWith('.') || segment === 'server' || segment === 'node_modules');
+
+    if (!type || hidden || !file.startsWith(rootDir) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        return false;
+    }
+
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(res);
+    return true;
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    readJson,
+    readMultipart,
+    corsHeaders,
+    createRateLimiter,
+    serveStatic
+};
@@ -0,0 +1,115 @@
+// HealthyMealTrack - Local Dev Server
+// Stand-in backend for development and testing. Serves the frontend and the
+// API that script.js calls, with fake deterministic meal analysis instead of
+// Google Vision, Nutritionix and Cloudinary.
+//
+// Usage: node server/index.js   (configure through .env, see .env.example)
+
+const http = require('http');
+const { loadConfig } = require('./config');
+const Database = require('./db');
+const { createRoutes, matchRoute, authenticate } = require('./routes');
+const {
+    HttpError,
+    sendJson,
+    corsHeaders,
+    createRateLimiter,
+    serveStatic
+} = require('./http');
+
+function createServer(config = loadConfig(), db = new Database(config.dataFile)) {
+    const routes = createRoutes(config, db);
+    const rateLimit = createRateLimiter({
+        windowMs: config.rateLimitWindowMs,
+        max: config.rateLimitMaxRequests
+    });
+    const cors = corsHeaders(config.corsOrigin);
+
+    return http.createServer(async (req, res) => {
+        Object.entries(cors).forEach(([name, value]) => res.setHeader(name, value));
+
+        // A request target such as "//" isn't a valid path
+        let pathname;
+        try {
+            ({ pathname } = new URL(req.url, 'http://localhost'));
+        } catch (error) {
+            sendJson(res, 400, { message: 'Malformed URL' });
+            return;
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        // Uploaded meal images
+        const upload = /^\/uploads\/([a-f0-9]+)$/.exec(pathname);
+        if (upload && req.method === 'GET') {
+            const image = db.getImage(upload[1]);
+            if (!image) {
+                sendJson(res, 404, { message: 'Image not found' });
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': image.contentType });
+            res.end(image.data);
+            return;
+        }
+
+        if (!pathname.startsWith(`${config.apiPrefix}/`)) {
+            try {
+                if (req.method !== 'GET' || !serveStatic(res, config.staticDir, pathname)) {
+                    sendJson(res, 404, { message: 'Not found' });
+                }
+            } catch (error) {
+                if (error instanceof HttpError) {
+                    sendJson(res, error.status, { message: error.message });
+                } else {
+                    console.error('Static file failed:', error);
+                    sendJson(res, 500, { message: 'Internal server error' });
+                }
+            }
+            return;
+        }
+
+        const limit = rateLimit(req.socket.remoteAddress);
+        Object.entries(limit.headers).forEach(([name, value]) => res.setHeader(name, value));
+        if (!limit.allowed) {
+            sendJson(res, 429, { message: 'Too many requests, please try again later' });
+            return;
+        }
+
+        const matched = matchRoute(routes, req.method, pathname.slice(config.apiPrefix.length));
+        if (!matched) {
+            sendJson(res, 404, { message: `No route for ${req.method} ${pathname}` });
+            return;
+        }
+
+        try {
+            const { route, params } = matched;
+            const user = route.public ? null : authenticate(req, config, db);
+            if (route.stream) {
+                await route.handler({ req, res, user, params });
+                return;
+            }
+            const [status, data] = await route.handler({ req, user, params });
+            sendJson(res, status, data);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { message: error.message });
+            } else {
+                console.error('Request failed:', error);
+                sendJson(res, 500, { message: 'Internal server error' });
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    const config = loadConfig();
+    createServer(config).listen(config.port, () => {
+        console.log(`HealthyMealTrack dev server running at http://localhost:${config.port}`);
+        console.log(`API available under http://localhost:${config.port}${config.apiPrefix}`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,323 @@
+// HealthyMealTrack - Local Dev Server Routes
+// Implements the API contract script.js calls (paths relative to API_PREFIX):
+//   POST /auth/register, POST /auth/login, POST /auth/refresh
+//   GET  /auth/me, PUT /auth/profile
+//   GET  /meals, PUT /meals/:id, DELETE /meals/:id
+//   POST /analysis/meal          (multipart, field "image")
+//   GET  /analysis/meal/:id
+//   GET  /analysis/events        (Server-Sent Events, analysis progress)
+//   GET  /health/stats
+//   POST /health/chat
+
+const { EventEmitter } = require('events');
+const { HttpError, readJson, readMultipart } = require('./http');
+const { signToken, verifyToken, hashPassword, checkPassword } = require('./auth');
+const { analyzeImage } = require('./analysis');
+
+const JSON_LIMIT = 1024 * 1024;
+// Meal fields the client may change; ownership and timestamps stay server-side
+const EDITABLE_MEAL_FIELDS = ['mealType', 'description', 'loggedAt', 'imageUrl', 'totalCalories', 'aiAnalysis', 'editedAt'];
+
+// aiAnalysis.stage values reported while an analysis is processing
+const ANALYSIS_STAGES = ['recognizing', 'nutrition', 'health'];
+const STREAM_PING_MS = 25 * 1000;
+
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function authenticate(req, config, db, { graceSeconds = 0 } = {}) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) {
+        throw new HttpError(401, 'Authentication required');
+    }
+
+    let payload;
+    try {
+        payload = verifyToken(token, config.jwtSecret, { graceSeconds });
+    } catch (error) {
+        throw new HttpError(401, error.message);
+    }
+
+    const user = db.findUserById(payload.sub);
+    if (!user) {
+        throw new HttpError(401, 'User no longer exists');
+    }
+    return user;
+}
+
+// Throws a 400 for any of the fields that was sent but isn't a string
+function requireStrings(body, fields) {
+    const invalid = fields.filter(field => body[field] !== undefined && typeof body[field] !== 'string');
+    if (invalid.length > 0) {
+        throw new HttpError(400, `${invalid.join(', ')} must be a string`);
+    }
+}
+
+function issueSession(user, config) {
+    return {
+        token: signToken({ sub: user._id, email: user.email }, config.jwtSecret, config.jwtExpiresIn),
+        expiresIn: config.jwtExpiresIn,
+        user: publicUser(user)
+    };
+}
+
+function baseUrl(req) {
+    return `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`;
+}
+
+function chatReply(message, user) {
+    const text = message.toLowerCase();
+    const conditions = (user.healthProfile && user.healthProfile.conditions) || [];
+
+    if (/sodium|salt/.test(text)) {
+        return conditions.includes('bp')
+            ? 'With high blood pressure, aim for under 1,500mg of sodium a day. Watch soups, sauces and processed meats.'
+            : 'Most adults should stay under 2,300mg of sodium a day.';
+    }
+    if (/sugar|carb|diabet/.test(text)) {
+        return 'Pair carbohydrates with protein or fiber and prefer whole grains to keep blood sugar steady.';
+    }
+    if (/can i eat|is it safe|should i eat/.test(text)) {
+        return conditions.length
+            ? `Based on your profile (${conditions.join(', ')}), enjoy it in a small portion and balance the rest of the day.`
+            : 'Yes, in moderation as part of a balanced diet.';
+    }
+    return 'I can help with questions about sodium, sugar, carbs and whether a food suits your health profile.';
+}
+
+// Moves a meal through the analysis stages over ANALYSIS_DELAY_MS, emitting
+// an "analysis" event on every change
+function runAnalysis(meal, image, user, config, db, events) {
+    const stepMs = config.analysisDelayMs / (ANALYSIS_STAGES.length + 1);
+    const publish = changes => {
+        const updated = db.updateMeal(meal._id, changes);
+        if (updated) events.emit('analysis', { userId: user._id, meal: updated });
+    };
+
+    ANALYSIS_STAGES.forEach((stage, index) => {
+        setTimeout(() => publish({ aiAnalysis: { analysisStatus: 'processing', stage } }), stepMs * index);
+    });
+    setTimeout(() => {
+        const aiAnalysis = analyzeImage(image.data, user.healthProfile);
+        publish({
+            aiAnalysis,
+            totalCalories: aiAnalysis.nutrition ? aiAnalysis.nutrition.calories : 0
+        });
+    }, config.analysisDelayMs);
+}
+
+function createRoutes(config, db, events = new EventEmitter()) {
+    const routes = [
+        {
+            method: 'POST', path: '/auth/register', public: true,
+            handler: async ({ req }) => {
+                const body = await readJson(req, JSON_LIMIT);
+                requireStrings(body, ['name', 'email', 'password']);
+                const { name, email, password } = body;
+                if (!email || !password || password.length < 6) {
+                    throw new HttpError(400, 'Email and a password of at least 6 characters are required');
+                }
+                if (db.findUserByEmail(email)) {
+                    throw new HttpError(409, 'An account with this email already exists');
+                }
+
+                const user = db.createUser({ name: name || email, email, passwordHash: hashPassword(password) });
+                return [201, issueSession(user, config)];
+            }
+        },
+        {
+            method: 'POST', path: '/auth/login', public: true,
+            handler: async ({ req }) => {
+                const body = await readJson(req, JSON_LIMIT);
+                requireStrings(body, ['email', 'password']);
+                const { email, password } = body;
+                const user = db.findUserByEmail(email);
+                if (!user || !checkPassword(String(password || ''), user.passwordHash)) {
+                    throw new HttpError(401, 'Invalid email or password');
+                }
+                return [200, issueSession(user, config)];
+            }
+        },
+        {
+            // Exchanges a valid or recently expired token (JWT_REFRESH_GRACE)
+            // for a new one
+            method: 'POST', path: '/auth/refresh', public: true,
+            handler: async ({ req }) => {
+                const user = authenticate(req, config, db, { graceSeconds: config.jwtRefreshGrace });
+                return [200, issueSession(user, config)];
+            }
+        },
+        {
+            method: 'GET', path: '/auth/me',
+            handler: async ({ user }) => [200, { user: publicUser(user) }]
+        },
+        {
+            method: 'PUT', path: '/auth/profile',
+            handler: async ({ req, user }) => {
+                const body = await readJson(req, JSON_LIMIT);
+                requireStrings(body, ['name', 'email', 'password']);
+                const { name, email, password, passwordHash, _id, ...profile } = body;
+                const updated = db.updateUser(user._id, {
+                    ...(name && { name }),
+                    healthProfile: { ...user.healthProfile, ...profile }
+                });
+                return [200, { user: publicUser(updated) }];
+            }
+        },
+        {
+            method: 'GET', path: '/meals',
+            handler: async ({ user }) => [200, { meals: db.mealsForUser(user._id) }]
+        },
+        {
+            // Saves an edited meal. Meals logged on the device without an
+            // upload (e.g. from a description) are created under their id.
+            method: 'PUT', path: '/meals/:id',
+            handler: async ({ req, user, params }) => {
+                const body = await readJson(req, JSON_LIMIT);
+                const changes = EDITABLE_MEAL_FIELDS
+                    .filter(field => body[field] !== undefined)
+                    .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+                const meal = db.findMeal(params.id, user._id);
+                if (meal) {
+                    return [200, { meal: db.updateMeal(meal._id, changes) }];
+                }
+                if (db.mealIdTaken(params.id)) {
+                    throw new HttpError(403, 'Not your meal');
+                }
+                return [201, { meal: db.createMeal({
+                    mealType: 'lunch',
+                    totalCalories: 0,
+                    aiAnalysis: { analysisStatus: 'completed', healthRisks: [] },
+                    ...changes,
+                    _id: params.id,
+                    userId: user._id
+                }) }];
+            }
+        },
+        {
+            method: 'DELETE', path: '/meals/:id',
+            handler: async ({ user, params }) => {
+                if (!db.findMeal(params.id, user._id)) {
+                    throw new HttpError(404, 'Meal not found');
+                }
+                db.deleteMeal(params.id);
+                return [200, { message: 'Meal deleted' }];
+            }
+        },
+        {
+            method: 'POST', path: '/analysis/meal',
+            handler: async ({ req, user }) => {
+                const { fields, files } = await readMultipart(req, config.maxUploadBytes);
+                const image = files.image;
+                if (!image) {
+                    throw new HttpError(400, 'No image uploaded (expected field "image")');
+                }
+                if (!image.contentType.startsWith('image/')) {
+                    throw new HttpError(415, 'Only image uploads are supported');
+                }
+
+                const imageId = db.saveImage(image);
+                const imageUrl = `${baseUrl(req)}/uploads/${imageId}`;
+                const meal = db.createMeal({
+                    userId: user._id,
+                    mealType: fields.mealType || 'lunch',
+                    description: fields.description || '',
+                    imageUrl,
+                    totalCalories: 0,
+                    aiAnalysis: { analysisStatus: 'processing' }
+                });
+
+                runAnalysis(meal, image, user, config, db, events);
+
+                return [202, { message: 'Analysis started', mealId: meal._id, imageUrl, events: '/analysis/events' }];
+            }
+        },
+        {
+            method: 'GET', path: '/analysis/meal/:id',
+            handler: async ({ user, params }) => {
+                const meal = db.findMeal(params.id, user._id);
+                if (!meal) {
+                    throw new HttpError(404, 'Meal not found');
+                }
+                return [200, { meal }];
+            }
+        },
+        {
+            // Streams { mealId, meal } for each of the user's analysis updates.
+            // Stream routes write the response themselves.
+            method: 'GET', path: '/analysis/events', stream: true,
+            handler: async ({ req, res, user }) => {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+                res.write(': connected\n\n');
+
+                const onAnalysis = ({ userId, meal }) => {
+                    if (userId !== user._id) return;
+                    res.write(`event: analysis\ndata: ${JSON.stringify({ mealId: meal._id, meal })}\n\n`);
+                };
+                const ping = setInterval(() => res.write(': ping\n\n'), STREAM_PING_MS);
+
+                events.on('analysis', onAnalysis);
+                req.on('close', () => {
+                    clearInterval(ping);
+                    events.off('analysis', onAnalysis);
+                });
+            }
+        },
+        {
+            method: 'GET', path: '/health/stats',
+            handler: async ({ user }) => {
+                const meals = db.mealsForUser(user._id)
+                    .filter(meal => meal.aiAnalysis && meal.aiAnalysis.analysisStatus === 'completed');
+                const totalCalories = meals.reduce((sum, meal) => sum + (meal.totalCalories || 0), 0);
+
+                return [200, {
+                    stats: {
+                        totalCalories,
+                        averageCalories: meals.length ? Math.round(totalCalories / meals.length) : 0,
+                        healthyMeals: meals.filter(meal => (meal.aiAnalysis.healthRisks || []).length === 0).length,
+                        totalMeals: meals.length
+                    }
+                }];
+            }
+        },
+        {
+            method: 'POST', path: '/health/chat',
+            handler: async ({ req, user }) => {
+                const { message } = await readJson(req, JSON_LIMIT);
+                if (!message || !String(message).trim()) {
+                    throw new HttpError(400, 'Message is required');
+                }
+                return [200, { response: chatReply(String(message), user) }];
+            }
+        }
+    ];
+
+    return routes.map(route => ({
+        ...route,
+        pattern: new RegExp(`^${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`)
+    }));
+}
+
+function matchRoute(routes, method, path) {
+    for (const route of routes) {
+        const match = route.pattern.exec(path);
+        if (match && route.method === method) {
+            return { route, params: match.groups || {} };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    createRoutes,
+    matchRoute,
+    authenticate
+};
@@ -0,0 +1,171 @@
+// HealthyMealTrack - Service Worker
+// Caches the pages and scripts so the app opens offline, and turns Background
+// Sync events into an outbox replay by an open page (see offline.js). Also
+// shows meal and medication reminders (reminders.js) and handles clicks on
+// them. API requests and meal photos always go to the network.
+
+importScripts('offline.js', 'reminders.js');
+
+// Same-origin files are fetched network first, so new versions show up
+// without a cache bump. Change CACHE_VERSION when APP_SHELL changes.
+const CACHE_VERSION = 'hmt-v3';
+const APP_CACHE = `${CACHE_VERSION}-app`;
+const RUNTIME_CACHE = `${CACHE_VERSION}-runtime`;
+
+const APP_PAGES = ['index.html', 'login.html', 'dashboard.html', 'form.html', 'report.html'];
+
+// Pages that run script.js and can replay the outbox
+const REPLAY_PAGES = APP_PAGES.filter(name => name !== 'index.html');
+
+const APP_SHELL = [
+    './',
+    ...APP_PAGES,
+    'manifest.webmanifest',
+    'icon.svg',
+    'safe-html.js',
+    'storage.js',
+    'food-database.js',
+    'medications.js',
+    'allergens.js',
+    'health-rules.js',
+    'meal-editor.js',
+    'data-export.js',
+    'nutrition-targets.js',
+    'streaks.js',
+    'achievements.js',
+    'progress-charts.js',
+    'profile.js',
+    'lab-history.js',
+    'meal-planner.js',
+    'router.js',
+    'demo-data.js',
+    'photo-utils.js',
+    'upload-queue.js',
+    'analysis-watcher.js',
+    'session.js',
+    'offline.js',
+    'reminders.js',
+    'assistant.js',
+    'clinician-report.js',
+    'script.js'
+];
+
+// How long a sync waits for the page to finish replaying the outbox
+const OUTBOX_REPLY_TIMEOUT_MS = 4 * 60 * 1000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => !key.startsWith(`${CACHE_VERSION}-`))
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(APP_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // dashboard.html?demo is cached as dashboard.html
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const dashboard = await caches.match('dashboard.html');
+            if (dashboard) return dashboard;
+        }
+        throw error;
+    }
+}
+
+// Third-party styles and fonts (Font Awesome) don't change for a given URL
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        // Meals, analysis results, the event stream and meal photos are
+        // never cached
+        if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/uploads/')) return;
+        event.respondWith(networkFirst(request));
+    } else if (['style', 'font'].includes(request.destination)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Uploads need the page's session and analysis code, so a sync asks one open
+// app page to replay the outbox. The sync fails, and the browser retries it
+// later, when no page is open or the replay didn't finish.
+async function askPageToReplayOutbox() {
+    const pages = (await self.clients.matchAll({ type: 'window' }))
+        .filter(page => REPLAY_PAGES.some(name => new URL(page.url).pathname.endsWith(`/${name}`)));
+    const page = pages.find(item => item.focused) || pages[0];
+    if (!page) throw new Error('No open page to replay the outbox');
+
+    const reply = await new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => reject(new Error('Outbox replay timed out')), OUTBOX_REPLY_TIMEOUT_MS);
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data || {});
+        };
+        page.postMessage({ type: OUTBOX_MESSAGES.sync }, [channel.port2]);
+    });
+    if (!reply.done) throw new Error(reply.error || 'Outbox not fully replayed');
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(askPageToReplayOutbox());
+    }
+});
+
+// Snooze is handled by the open pages, which keep the reminder state; any
+// other click opens the page the reminder points to
+self.addEventListener('notificationclick', (event) => {
+    const data = event.notification.data || {};
+    if (!data.reminderId) return;
+    event.notification.close();
+
+    event.waitUntil((async () => {
+        const pages = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (event.action === 'snooze') {
+            pages.forEach(page => page.postMessage({
+                type: REMINDER_MESSAGES.snooze,
+                reminderId: data.reminderId,
+                minutes: data.snoozeMinutes
+            }));
+            return;
+        }
+
+        const url = new URL(data.url || 'dashboard.html', self.registration.scope).href;
+        const page = pages.find(item => item.url.split('#')[0] === url.split('#')[0]);
+        if (page) {
+            await page.focus();
+            // Only pages this worker controls can be navigated
+            if (page.navigate) await page.navigate(url).catch(() => {});
+        } else {
+            await self.clients.openWindow(url);
+        }
+    })());
+});
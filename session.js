@@ -0,0 +1,214 @@
+// HealthyMealTrack - Auth Session
+// Keeps the signed-in user's token and profile in the local store, reads the
+// expiry from the JWT and refreshes it shortly before it runs out. Parallel
+// callers that need a refresh (e.g. several requests hitting a 401 at once)
+// share a single refresh request.
+
+// Refresh this long before the token expires (at most half its lifetime)
+const SESSION_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_MS = 2147483647;
+
+function decodeBase64url(input) {
+    const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Returns the JWT payload without verifying it, or null for anything that
+// isn't a JWT (such as the demo token)
+function decodeJwt(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+        return JSON.parse(decodeBase64url(parts[1]));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Expiry as epoch milliseconds: the token's exp claim, else expiresIn
+// (seconds) from the login response, else null for tokens that don't expire
+function tokenExpiresAt(token, expiresIn, now = Date.now()) {
+    const payload = decodeJwt(token);
+    if (payload && typeof payload.exp === 'number') return payload.exp * 1000;
+    if (typeof expiresIn === 'number' && expiresIn > 0) return now + expiresIn * 1000;
+    return null;
+}
+
+// Identifies a signed-in user across sessions. Demo sessions have no account
+// id, so the normalized email is the one key both kinds of session share.
+function sessionUserKey(user) {
+    if (!user || !user.email) return null;
+    return String(user.email).trim().toLowerCase() || null;
+}
+
+// Whether signing in as user means the local data belongs to someone else.
+// Data with no recorded owner is kept, and a demo session (the offline
+// fallback) never proves who is signing in, so neither clears anything.
+function isDifferentDataOwner(storedOwner, user) {
+    const owner = sessionUserKey(user);
+    return Boolean(storedOwner && owner && !user.demo && owner !== storedOwner);
+}
+
+class AuthSession {
+    // store:     MealTrackStore used to persist { token, user, expiresAt }
+    // refresh:   (token) => Promise<{ token, user?, expiresIn? }>
+    // onChange:  (session) => void after sign-in, refresh or sign-out
+    // onExpired: () => void when the session ran out and couldn't be refreshed
+    constructor({ store, refresh, onChange = () => {}, onExpired = () => {}, refreshMarginMs = SESSION_REFRESH_MARGIN_MS }) {
+        this.store = store;
+        this.refreshToken = refresh;
+        this.onChange = onChange;
+        this.onExpired = onExpired;
+        this.refreshMarginMs = refreshMarginMs;
+        this.token = null;
+        this.user = null;
+        this.expiresAt = null;
+        this.refreshAt = null;
+        this.refreshing = null;
+        this.timer = null;
+    }
+
+    // Loads the stored session; an expired one is kept only long enough for
+    // a refresh attempt, since the server may still accept it
+    async restore() {
+        const stored = await this.store.getSession();
+        if (!stored || !stored.token) return false;
+
+        this.apply({
+            token: stored.token,
+            user: stored.user,
+            expiresAt: stored.expiresAt || tokenExpiresAt(stored.token)
+        });
+        this.scheduleRefresh();
+        return true;
+    }
+
+    // Starts a session from a login, register or refresh response
+    async start({ token, user, expiresIn }) {
+        this.apply({
+            token,
+            user: user || this.user,
+            expiresAt: tokenExpiresAt(token, expiresIn)
+        });
+        await this.persist();
+        this.scheduleRefresh();
+    }
+
+    apply({ token, user, expiresAt }) {
+        this.token = token;
+        this.user = user || null;
+        this.expiresAt = expiresAt || null;
+        this.refreshAt = null;
+        if (this.expiresAt) {
+            // Short-lived tokens would otherwise be refreshed continuously
+            const payload = decodeJwt(token);
+            const issuedAt = payload && typeof payload.iat === 'number' ? payload.iat * 1000 : Date.now();
+            this.refreshAt = this.expiresAt - Math.min(this.refreshMarginMs, (this.expiresAt - issuedAt) / 2);
+        }
+        this.onChange(this);
+    }
+
+    async persist() {
+        try {
+            await this.store.saveSession({ token: this.token, user: this.user, expiresAt: this.expiresAt });
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    }
+
+    async setUser(user) {
+        this.user = user;
+        this.onChange(this);
+        await this.persist();
+    }
+
+    isExpired(now = Date.now()) {
+        return this.expiresAt !== null && now >= this.expiresAt;
+    }
+
+    isActive(now = Date.now()) {
+        return Boolean(this.token) && !this.isExpired(now);
+    }
+
+    needsRefresh(now = Date.now()) {
+        return Boolean(this.token) && this.refreshAt !== null && now >= this.refreshAt;
+    }
+
+    authorizationHeader() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    }
+
+    // Refreshes when the token is about to expire; timers are unreliable in
+    // background tabs, so requests call this too
+    async ensureFresh() {
+        if (this.needsRefresh()) {
+            await this.refresh();
+        }
+    }
+
+    // Single-flight: concurrent callers get the same promise. Rejects (after
+    // ending the session and calling onExpired) when the refresh fails with
+    // 401/403; network errors leave the session alone.
+    refresh() {
+        if (!this.token) {
+            return Promise.reject(new Error('Not signed in'));
+        }
+        if (!this.refreshing) {
+            this.refreshing = this.refreshToken(this.token)
+                .then(response => this.start(response))
+                .catch(async error => {
+                    if (error.status === 401 || error.status === 403) {
+                        await this.clear();
+                        this.onExpired();
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.token || this.expiresAt === null) return;
+
+        const wait = Math.max(0, this.refreshAt - Date.now());
+        if (wait > MAX_TIMER_MS) {
+            this.timer = setTimeout(() => this.scheduleRefresh(), MAX_TIMER_MS);
+            return;
+        }
+        this.timer = setTimeout(() => {
+            this.refresh().catch(error => console.warn('Silent session refresh failed:', error.message));
+        }, wait);
+    }
+
+    async clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.apply({ token: null, user: null, expiresAt: null });
+        try {
+            await this.store.clearSession();
+        } catch (error) {
+            console.error('Failed to clear session:', error);
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AuthSession,
+        sessionUserKey,
+        isDifferentDataOwner,
+        decodeJwt,
+        tokenExpiresAt
+    };
+}
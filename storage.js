@@ -0,0 +1,485 @@
+// HealthyMealTrack - Local Data Store
+// Persists meals, the health profile, lab readings, the offline outbox, the
+// auth session, points, streak and achievements in IndexedDB, falling back to localStorage (or
+// memory) when IndexedDB is not available.
+
+const STORE_DB_NAME = 'healthymealtrack';
+
+// Schema history. Each entry creates the stores it lists and may transform
+// existing records of a store. Never edit a released entry - append a new
+// version instead so existing users are migrated forward.
+const STORE_MIGRATIONS = [
+    {
+        version: 1,
+        stores: {
+            meals: { keyPath: 'id', indexes: ['createdAt'] },
+            achievements: { keyPath: 'id' },
+            settings: {}
+        }
+    },
+    {
+        version: 2,
+        stores: {
+            labReadings: { keyPath: 'id', indexes: ['takenAt'] }
+        }
+    },
+    {
+        version: 3,
+        stores: {
+            outbox: { keyPath: 'id', indexes: ['createdAt'] }
+        }
+    }
+];
+
+const STORE_SCHEMA_VERSION = STORE_MIGRATIONS[STORE_MIGRATIONS.length - 1].version;
+
+// Keys used in the key-value "settings" store
+const SETTINGS_KEYS = {
+    profile: 'profile',
+    session: 'session',
+    stats: 'stats',
+    streakSettings: 'streakSettings',
+    chatHistory: 'chatHistory',
+    mealPlan: 'mealPlan',
+    reminderState: 'reminderState',
+    owner: 'owner'
+};
+
+function getStoreSchema(version = STORE_SCHEMA_VERSION) {
+    const schema = {};
+    STORE_MIGRATIONS
+        .filter(migration => migration.version <= version)
+        .forEach(migration => Object.assign(schema, migration.stores || {}));
+    return schema;
+}
+
+function pendingMigrations(fromVersion) {
+    return STORE_MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
+
+function generateId(prefix = 'id') {
+    const random = Math.random().toString(36).slice(2, 10);
+    return `${prefix}_${Date.now().toString(36)}${random}`;
+}
+
+// Outbox photos for stores that only hold JSON
+async function blobEntryToDataUrl({ photo, ...entry }) {
+    const photoDataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(photo);
+    });
+    return { ...entry, photoDataUrl };
+}
+
+function dataUrlEntryToBlob({ photoDataUrl, ...entry }) {
+    const [header, data] = photoDataUrl.split(',');
+    const type = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return { ...entry, photo: new Blob([bytes], { type }) };
+}
+
+// Wraps an IDBRequest in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class IndexedDBBackend {
+    constructor(dbName) {
+        this.dbName = dbName;
+        this.db = null;
+        this.name = 'indexeddb';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, STORE_SCHEMA_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+                pendingMigrations(event.oldVersion).forEach(migration => {
+                    this.applyMigration(db, transaction, migration);
+                });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema - let it proceed
+                this.db.onversionchange = () => this.db.close();
+                resolve(this);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    }
+
+    applyMigration(db, transaction, migration) {
+        Object.entries(migration.stores || {}).forEach(([name, options]) => {
+            if (db.objectStoreNames.contains(name)) return;
+
+            const store = options.keyPath
+                ? db.createObjectStore(name, { keyPath: options.keyPath })
+                : db.createObjectStore(name);
+
+            (options.indexes || []).forEach(index => {
+                store.createIndex(index, index, { unique: false });
+            });
+        });
+
+        Object.entries(migration.transform || {}).forEach(([name, transform]) => {
+            const cursorRequest = transaction.objectStore(name).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                cursor.update(transform(cursor.value));
+                cursor.continue();
+            };
+        });
+    }
+
+    async run(storeName, mode, operation) {
+        const transaction = this.db.transaction(storeName, mode);
+        const result = await idbRequest(operation(transaction.objectStore(storeName)));
+        return result;
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    put(storeName, value, key) {
+        const { keyPath } = getStoreSchema()[storeName];
+        return this.run(storeName, 'readwrite', store =>
+            keyPath ? store.put(value) : store.put(value, key)
+        );
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+// Keeps each store as one JSON object (key -> record) in a Storage-like
+// object. Used with localStorage, or with an in-memory map when even
+// localStorage is unavailable (private mode, Node).
+class KeyValueBackend {
+    constructor(dbName, storage) {
+        this.prefix = `${dbName}:`;
+        this.storage = storage;
+        this.name = storage === createMemoryStorage.shared ? 'memory' : 'localstorage';
+    }
+
+    async open() {
+        const versionKey = `${this.prefix}schemaVersion`;
+        const currentVersion = parseInt(this.storage.getItem(versionKey), 10) || 0;
+
+        pendingMigrations(currentVersion).forEach(migration => {
+            Object.entries(migration.transform || {}).forEach(([name, transform]) => {
+                const records = this.read(name);
+                Object.keys(records).forEach(key => {
+                    records[key] = transform(records[key]);
+                });
+                this.write(name, records);
+            });
+        });
+
+        this.storage.setItem(versionKey, String(STORE_SCHEMA_VERSION));
+        return this;
+    }
+
+    read(storeName) {
+        try {
+            return JSON.parse(this.storage.getItem(this.prefix + storeName)) || {};
+        } catch (error) {
+            console.error(`Corrupt local store "${storeName}", resetting:`, error);
+            return {};
+        }
+    }
+
+    write(storeName, records) {
+        this.storage.setItem(this.prefix + storeName, JSON.stringify(records));
+    }
+
+    async get(storeName, key) {
+        return this.read(storeName)[key];
+    }
+
+    async getAll(storeName) {
+        return Object.values(this.read(storeName));
+    }
+
+    async put(storeName, value, key) {
+        const { keyPath } = getStoreSchema()[storeName];
+        const records = this.read(storeName);
+        records[keyPath ? value[keyPath] : key] = value;
+        this.write(storeName, records);
+    }
+
+    async delete(storeName, key) {
+        const records = this.read(storeName);
+        delete records[key];
+        this.write(storeName, records);
+    }
+
+    async clear(storeName) {
+        this.storage.removeItem(this.prefix + storeName);
+    }
+}
+
+function createMemoryStorage() {
+    if (!createMemoryStorage.shared) {
+        const data = new Map();
+        createMemoryStorage.shared = {
+            getItem: key => (data.has(key) ? data.get(key) : null),
+            setItem: (key, value) => data.set(key, String(value)),
+            removeItem: key => data.delete(key)
+        };
+    }
+    return createMemoryStorage.shared;
+}
+
+function getLocalStorage() {
+    try {
+        const testKey = '__hmt_storage_test__';
+        window.localStorage.setItem(testKey, testKey);
+        window.localStorage.removeItem(testKey);
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+class MealTrackStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || STORE_DB_NAME;
+        this.backend = null;
+        this.ready = this.open(options.preferredBackend);
+    }
+
+    async open(preferredBackend) {
+        if (preferredBackend !== 'localstorage' && typeof indexedDB !== 'undefined') {
+            try {
+                this.backend = await new IndexedDBBackend(this.dbName).open();
+                return this.backend;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            }
+        }
+
+        const storage = (typeof window !== 'undefined' && getLocalStorage()) || createMemoryStorage();
+        this.backend = await new KeyValueBackend(this.dbName, storage).open();
+        return this.backend;
+    }
+
+    async get(storeName, key) {
+        await this.ready;
+        return this.backend.get(storeName, key);
+    }
+
+    async getAll(storeName) {
+        await this.ready;
+        return this.backend.getAll(storeName);
+    }
+
+    async put(storeName, value, key) {
+        await this.ready;
+        return this.backend.put(storeName, value, key);
+    }
+
+    async delete(storeName, key) {
+        await this.ready;
+        return this.backend.delete(storeName, key);
+    }
+
+    async clear(storeName) {
+        await this.ready;
+        return this.backend.clear(storeName);
+    }
+
+    // Meals
+    async getMeals() {
+        const meals = await this.getAll('meals');
+        return meals.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async saveMeal(meal) {
+        const record = {
+            ...meal,
+            id: meal.id || meal.mealId || meal._id || generateId('meal'),
+            createdAt: meal.createdAt || new Date().toISOString()
+        };
+        await this.put('meals', record);
+        return record;
+    }
+
+    deleteMeal(mealId) {
+        return this.delete('meals', mealId);
+    }
+
+    // Health profile
+    async getProfile() {
+        return (await this.get('settings', SETTINGS_KEYS.profile)) || null;
+    }
+
+    saveProfile(profile) {
+        return this.put('settings', profile, SETTINGS_KEYS.profile);
+    }
+
+    // Auth session
+    async getSession() {
+        return (await this.get('settings', SETTINGS_KEYS.session)) || null;
+    }
+
+    saveSession(session) {
+        return this.put('settings', session, SETTINGS_KEYS.session);
+    }
+
+    clearSession() {
+        return this.delete('settings', SETTINGS_KEYS.session);
+    }
+
+    // Which user the stored data belongs to (sessionUserKey() in session.js),
+    // so another user signing in on this device starts from an empty store
+    async getDataOwner() {
+        return (await this.get('settings', SETTINGS_KEYS.owner)) || null;
+    }
+
+    saveDataOwner(owner) {
+        return this.put('settings', owner, SETTINGS_KEYS.owner);
+    }
+
+    // Points and streak
+    async getStats() {
+        const stats = await this.get('settings', SETTINGS_KEYS.stats);
+        return { points: 0, streak: 0, longestStreak: 0, ...stats };
+    }
+
+    saveStats(stats) {
+        return this.put('settings', stats, SETTINGS_KEYS.stats);
+    }
+
+    async getStreakSettings() {
+        return (await this.get('settings', SETTINGS_KEYS.streakSettings)) || null;
+    }
+
+    saveStreakSettings(settings) {
+        return this.put('settings', settings, SETTINGS_KEYS.streakSettings);
+    }
+
+    // Lab readings, newest first
+    async getLabReadings() {
+        const readings = await this.getAll('labReadings');
+        return readings.sort((a, b) => new Date(b.takenAt) - new Date(a.takenAt));
+    }
+
+    saveLabReading(reading) {
+        return this.put('labReadings', reading);
+    }
+
+    deleteLabReading(readingId) {
+        return this.delete('labReadings', readingId);
+    }
+
+    // Assistant conversation, oldest message first
+    async getChatHistory() {
+        return (await this.get('settings', SETTINGS_KEYS.chatHistory)) || [];
+    }
+
+    saveChatHistory(messages) {
+        return this.put('settings', messages, SETTINGS_KEYS.chatHistory);
+    }
+
+    // Meals logged offline and waiting to be uploaded (offline.js), oldest
+    // first. IndexedDB keeps the photo Blob as it is; the key-value fallback
+    // can only hold JSON, so the photo is kept there as a data URL.
+    async getOutbox() {
+        const entries = await this.getAll('outbox');
+        return entries
+            .map(entry => (entry.photoDataUrl ? dataUrlEntryToBlob(entry) : entry))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async saveOutboxEntry(entry) {
+        await this.ready;
+        const record = this.backend.name === 'indexeddb' || !entry.photo
+            ? entry
+            : await blobEntryToDataUrl(entry);
+        await this.put('outbox', record);
+        return entry;
+    }
+
+    deleteOutboxEntry(entryId) {
+        return this.delete('outbox', entryId);
+    }
+
+    // Weekly meal plan (meal-planner.js)
+    async getMealPlan() {
+        return (await this.get('settings', SETTINGS_KEYS.mealPlan)) || null;
+    }
+
+    saveMealPlan(plan) {
+        return this.put('settings', plan, SETTINGS_KEYS.mealPlan);
+    }
+
+    // Reminders shown or snoozed today on this device; the schedule itself
+    // is part of the profile
+    async getReminderState() {
+        return (await this.get('settings', SETTINGS_KEYS.reminderState)) || null;
+    }
+
+    saveReminderState(state) {
+        return this.put('settings', state, SETTINGS_KEYS.reminderState);
+    }
+
+    // Achievements
+    getUnlockedAchievements() {
+        return this.getAll('achievements');
+    }
+
+    // Keeps the first unlock: returns the stored record if it already exists
+    async unlockAchievement(achievementId, details = {}) {
+        const existing = await this.get('achievements', achievementId);
+        if (existing) return existing;
+
+        const record = {
+            ...details,
+            id: achievementId,
+            unlockedAt: details.unlockedAt || new Date().toISOString()
+        };
+        await this.put('achievements', record);
+        return record;
+    }
+
+    // Removes everything belonging to the current user
+    async clearAll() {
+        await this.ready;
+        await Promise.all(Object.keys(getStoreSchema()).map(name => this.backend.clear(name)));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MealTrackStore,
+        STORE_MIGRATIONS,
+        STORE_SCHEMA_VERSION,
+        getStoreSchema,
+        generateId
+    };
+}
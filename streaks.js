@@ -0,0 +1,120 @@
+// HealthyMealTrack - Logging Streaks
+// Calculates streaks from meal timestamps in the user's local timezone. A day
+// counts when it meets the chosen rule (at least N meals, or a logged meal of
+// a given type); up to graceDays missed days in a row don't break a streak.
+
+const STREAK_RULES = {
+    'min-meals': {
+        label: settings => `At least ${settings.minMeals} meal${settings.minMeals === 1 ? '' : 's'} a day`,
+        qualifies: (meals, settings) => meals.length >= settings.minMeals
+    },
+    'meal-type': {
+        label: settings => `Logged ${settings.mealType} every day`,
+        qualifies: (meals, settings) => meals.some(meal => meal.mealType === settings.mealType)
+    }
+};
+
+const DEFAULT_STREAK_SETTINGS = {
+    rule: 'min-meals',
+    minMeals: 1,
+    mealType: 'breakfast',
+    graceDays: 0
+};
+
+// Noon avoids DST jumps when stepping through calendar days
+function dateFromKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+}
+
+function addDays(key, amount) {
+    const date = dateFromKey(key);
+    date.setDate(date.getDate() + amount);
+    return localDateKey(date);
+}
+
+function mealHasWarnings(meal) {
+    return ((meal.aiAnalysis && meal.aiAnalysis.healthRisks) || [])
+        .some(risk => risk.severity !== 'low' && !isClearedAllergenRisk(meal, risk));
+}
+
+// Longest run of consecutive calendar days among YYYY-MM-DD keys
+function longestConsecutiveDays(keys) {
+    const sorted = [...new Set(keys)].sort();
+    let longest = 0;
+    let length = 0;
+    sorted.forEach((key, index) => {
+        length = index > 0 && addDays(sorted[index - 1], 1) === key ? length + 1 : 1;
+        longest = Math.max(longest, length);
+    });
+    return longest;
+}
+
+// Returns { current, longest, runs, qualifyingDays, healthyDays, rule }
+function calculateStreaks(meals, settings = {}, now = new Date(), { healthyWindowDays = 30 } = {}) {
+    const options = { ...DEFAULT_STREAK_SETTINGS, ...settings };
+    const rule = STREAK_RULES[options.rule] || STREAK_RULES[DEFAULT_STREAK_SETTINGS.rule];
+    const byDay = groupMealsByDay(meals);
+    const today = localDateKey(now);
+
+    const qualifyingDays = Object.keys(byDay)
+        .filter(key => key <= today && rule.qualifies(byDay[key], options))
+        .sort();
+
+    const runs = [];
+    let run = null;
+    let missed = 0;
+
+    if (qualifyingDays.length > 0) {
+        const qualifying = new Set(qualifyingDays);
+        for (let key = qualifyingDays[0]; key <= today; key = addDays(key, 1)) {
+            if (qualifying.has(key)) {
+                if (!run) {
+                    run = { start: key, end: key, length: 0 };
+                    runs.push(run);
+                }
+                run.end = key;
+                run.length++;
+                missed = 0;
+            } else if (key !== today && run) {
+                // Today still has time to qualify, so it never breaks a streak
+                missed++;
+                if (missed > options.graceDays) {
+                    run = null;
+                }
+            }
+        }
+    }
+
+    // The last run is current if it reached yesterday or today (plus grace)
+    const lastRun = runs[runs.length - 1];
+    const current = lastRun && run === lastRun ? lastRun.length : 0;
+    const longestRun = runs.reduce((best, item) => (!best || item.length > best.length ? item : best), null);
+
+    const windowStart = addDays(today, -(healthyWindowDays - 1));
+    const healthyDays = qualifyingDays
+        .filter(key => key >= windowStart)
+        .filter(key => !byDay[key].some(mealHasWarnings))
+        .length;
+
+    return {
+        current,
+        longest: longestRun ? longestRun.length : 0,
+        longestRun,
+        runs,
+        qualifyingDays,
+        healthyDays,
+        rule: rule.label(options)
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STREAK_RULES,
+        DEFAULT_STREAK_SETTINGS,
+        calculateStreaks,
+        longestConsecutiveDays,
+        mealHasWarnings
+    };
+}
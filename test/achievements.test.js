@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    buildAchievementContext,
+    evaluateAchievements
+} = loadScripts('allergens', 'health-rules', 'nutrition-targets', 'streaks', 'achievements');
+
+const now = new Date(2026, 2, 20, 18);
+const meal = (daysAgo, nutrition = {}, healthRisks = []) => ({
+    mealType: 'lunch',
+    loggedAt: new Date(2026, 2, 20 - daysAgo, 12).toISOString(),
+    aiAnalysis: { nutrition: { calories: 600, ...nutrition }, healthRisks }
+});
+const progress = (meals, profile = null, extra = {}) => {
+    const entries = evaluateAchievements(buildAchievementContext({ meals, profile, now, ...extra }));
+    return Object.fromEntries(entries.map(entry => [entry.id, entry]));
+};
+
+test('single-goal achievements unlock at their goal', () => {
+    assert.strictEqual(progress([]).first_meal.complete, false);
+
+    const firstMeal = progress([meal(0)]).first_meal;
+    assert.strictEqual(firstMeal.complete, true);
+    assert.strictEqual(firstMeal.percent, 100);
+    assert.deepStrictEqual(firstMeal.tiers.map(tier => tier.unlockId), ['first_meal']);
+});
+
+test('tiered achievements report the next tier to reach', () => {
+    const meals = Array.from({ length: 12 }, (value, index) => meal(index % 4));
+    const logger = progress(meals).meal_logger;
+
+    assert.strictEqual(logger.value, 12);
+    assert.deepStrictEqual(logger.tiers.filter(tier => tier.complete).map(tier => tier.unlockId), ['meal_logger:bronze']);
+    assert.strictEqual(logger.nextTier.unlockId, 'meal_logger:silver');
+    assert.strictEqual(logger.goal, 50);
+    assert.strictEqual(logger.description, 'Log 50 meals');
+    assert.strictEqual(logger.percent, 24);
+});
+
+test('meals with medium or high warnings are not counted as healthy', () => {
+    const meals = [meal(0), meal(1, {}, [{ severity: 'high' }]), meal(2, {}, [{ severity: 'low' }])];
+    assert.strictEqual(progress(meals).healthy_meals.value, 2);
+});
+
+test('streak achievements use the longest streak seen', () => {
+    assert.strictEqual(progress([], null, { longestStreak: 8 }).week_streak.complete, true);
+    assert.strictEqual(progress([], null, { streaks: { longest: 3 }, longestStreak: 2 }).week_streak.value, 3);
+});
+
+test('condition achievements are only relevant with the condition', () => {
+    assert.strictEqual(progress([]).low_sodium_days.relevant, false);
+    assert.strictEqual(progress([], { conditions: ['bp'] }).low_sodium_days.relevant, true);
+    assert.strictEqual(progress([]).first_meal.relevant, true);
+});
+
+test('day goals only count finished days within the limit', () => {
+    const profile = { conditions: ['bp'] };
+    const meals = [meal(0, { sodium: 400 }), meal(1, { sodium: 400 }), meal(2, { sodium: 2400 }), meal(3, { sodium: 900 })];
+    assert.strictEqual(progress(meals, profile).low_sodium_days.value, 2);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    validateAllergens,
+    profileAllergens,
+    evaluateAllergenRisks,
+    pendingAllergenRisks,
+    reviewAllergens,
+    isHealthyMeal
+} = loadScripts('food-database', 'medications', 'allergens', 'health-rules');
+
+const meal = (...names) => ({ aiAnalysis: { recognizedFoods: names.map(name => ({ name, confidence: 90 })) } });
+
+test('validateAllergens drops unknown entries with an error', () => {
+    const { allergens, errors } = validateAllergens([
+        { allergen: 'peanuts', severity: 'anaphylaxis' },
+        { allergen: 'moonbeams', severity: 'allergy' },
+        { ingredient: '  ', severity: 'allergy' },
+        { ingredient: 'Mango', severity: 'sneezing' },
+        { ingredient: 'Mango', severity: 'allergy' }
+    ]);
+    assert.deepStrictEqual(allergens, [
+        { allergen: 'peanuts', severity: 'anaphylaxis' },
+        { ingredient: 'Mango', severity: 'allergy' }
+    ]);
+    assert.strictEqual(errors.length, 3);
+});
+
+test('older profiles are read from the free-text allergies and conditions', () => {
+    assert.deepStrictEqual(profileAllergens({ conditions: ['lactose'], allergies: 'peanut butter, kiwi' }), [
+        { allergen: 'lactose', severity: 'intolerance' },
+        { allergen: 'peanuts', severity: 'allergy' },
+        { ingredient: 'kiwi', severity: 'allergy' }
+    ]);
+});
+
+test('hidden sources are found through the likely ingredients', () => {
+    const profile = { allergens: [{ allergen: 'sesame', severity: 'allergy' }, { allergen: 'milk', severity: 'anaphylaxis' }] };
+    const risks = evaluateAllergenRisks(meal('Cheeseburger'), profile);
+    assert.deepStrictEqual(risks.map(risk => risk.allergen), ['sesame', 'milk']);
+    assert.match(risks[0].message, /^May contain sesame \(Cheeseburger: likely sesame seeds\)/);
+    assert.match(risks[1].message, /^May contain milk \(Cheeseburger: likely whey\)/);
+    assert.match(evaluateAllergenRisks(meal('Cheddar Cheese'), profile)[0].message, /^Contains milk \(Cheddar Cheese\)/);
+});
+
+test('look-alike names are not matches', () => {
+    const profile = { allergens: [{ allergen: 'milk', severity: 'allergy' }, { allergen: 'egg', severity: 'allergy' }] };
+    assert.deepStrictEqual(evaluateAllergenRisks(meal('Almond Milk', 'Grilled Eggplant'), profile), []);
+});
+
+test('a meal cleared of its allergens counts as healthy', () => {
+    const profile = { allergens: [{ allergen: 'lactose', severity: 'intolerance' }] };
+    const logged = meal('Latte');
+    logged.aiAnalysis.healthRisks = evaluateAllergenRisks(logged, profile);
+    assert.strictEqual(pendingAllergenRisks(logged).length, 1);
+    assert.strictEqual(isHealthyMeal(logged), false);
+
+    const cleared = reviewAllergens(logged, true);
+    assert.deepStrictEqual(pendingAllergenRisks(cleared), []);
+    assert.strictEqual(isHealthyMeal(cleared), true);
+    assert.strictEqual(isHealthyMeal(reviewAllergens(logged, false)), false);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { backoffDelay, isTransientError, watchAnalysis } = loadScripts('analysis-watcher');
+
+const processing = stage => ({ aiAnalysis: { analysisStatus: 'processing', stage } });
+const completed = { aiAnalysis: { analysisStatus: 'completed', nutrition: { calories: 420 } } };
+const noWait = { initialMs: 0, maxMs: 0, factor: 1, jitter: 0 };
+
+// Answers polls from the list, repeating the last answer
+function fakeFetchMeal(answers) {
+    const fetchMeal = async () => {
+        fetchMeal.calls++;
+        const answer = answers[Math.min(fetchMeal.calls, answers.length) - 1];
+        if (answer instanceof Error) throw answer;
+        return answer;
+    };
+    fetchMeal.calls = 0;
+    return fetchMeal;
+}
+
+function withoutWarnings(run) {
+    return async () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            await run();
+        } finally {
+            console.warn = warn;
+        }
+    };
+}
+
+test('poll delays grow by the factor up to the maximum, within the jitter', () => {
+    const middle = () => 0.5;
+    assert.deepStrictEqual([0, 1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, undefined, middle)), [1000, 1600, 2560, 4096, 6554, 8000]);
+
+    assert.strictEqual(backoffDelay(0, undefined, () => 0), 700);
+    assert.strictEqual(backoffDelay(0, undefined, () => 1), 1300);
+    assert.strictEqual(backoffDelay(10, undefined, () => 1), 10400);
+});
+
+test('network failures, rate limits and server errors are retried; other errors are not', () => {
+    const withStatus = status => Object.assign(new Error('Request failed'), { status });
+
+    assert.ok(isTransientError(new TypeError('Failed to fetch')));
+    [408, 429, 500, 503].forEach(status => assert.ok(isTransientError(withStatus(status)), status));
+
+    [400, 401, 404].forEach(status => assert.ok(!isTransientError(withStatus(status)), status));
+    assert.ok(!isTransientError(new DOMException('Analysis cancelled', 'AbortError')));
+    assert.ok(!isTransientError(new Error('Analysis failed')));
+    assert.ok(!isTransientError(null));
+});
+
+test('polling reports each stage once and retries transient failures', withoutWarnings(async () => {
+    const stages = [];
+    const fetchMeal = fakeFetchMeal([
+        processing('recognizing'),
+        new TypeError('Failed to fetch'),
+        processing('recognizing'),
+        processing('health'),
+        completed
+    ]);
+
+    const meal = await watchAnalysis('meal-1', { fetchMeal, backoff: noWait, onStage: (stage, label) => stages.push(label) });
+    assert.strictEqual(meal, completed);
+    assert.strictEqual(fetchMeal.calls, 5);
+    assert.deepStrictEqual(stages, ['Recognizing foods', 'Checking health rules']);
+}));
+
+test('polling stops at the first error that is not transient', async () => {
+    const notFound = Object.assign(new Error('Meal not found'), { status: 404 });
+    const fetchMeal = fakeFetchMeal([processing('recognizing'), notFound]);
+
+    await assert.rejects(watchAnalysis('meal-1', { fetchMeal, backoff: noWait }), /Meal not found/);
+    assert.strictEqual(fetchMeal.calls, 2);
+});
+
+test('a stream that cannot connect falls back to polling', withoutWarnings(async () => {
+    const stream = { subscribe: async () => { throw new Error('Analysis stream unavailable (502)'); } };
+    const fetchMeal = fakeFetchMeal([processing('nutrition'), completed]);
+
+    const meal = await watchAnalysis('meal-1', { fetchMeal, stream, backoff: noWait });
+    assert.strictEqual(meal, completed);
+    assert.strictEqual(fetchMeal.calls, 2);
+}));
+
+test('a stream that drops while waiting falls back to polling', withoutWarnings(async () => {
+    let listener = null;
+    let subscribed = 0;
+    const stream = {
+        subscribe: async (mealId, onMessage) => {
+            listener = onMessage;
+            subscribed++;
+            return () => { subscribed--; };
+        }
+    };
+    const fetchMeal = fakeFetchMeal([processing('recognizing'), completed]);
+
+    const watching = watchAnalysis('meal-1', { fetchMeal, stream, backoff: noWait });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(fetchMeal.calls, 1);
+
+    listener({ type: 'error', error: new Error('Analysis stream closed') });
+    assert.strictEqual(await watching, completed);
+    assert.strictEqual(fetchMeal.calls, 2);
+    assert.strictEqual(subscribed, 0);
+}));
+
+test('a stream event with the completed meal ends the wait without polling', async () => {
+    let listener = null;
+    const stream = {
+        subscribe: async (mealId, onMessage) => {
+            listener = onMessage;
+            return () => {};
+        }
+    };
+    const fetchMeal = fakeFetchMeal([processing('recognizing')]);
+
+    const watching = watchAnalysis('meal-1', { fetchMeal, stream });
+    await new Promise(resolve => setImmediate(resolve));
+
+    listener({ type: 'event', data: { mealId: 'meal-1', meal: completed } });
+    assert.strictEqual(await watching, completed);
+    assert.strictEqual(fetchMeal.calls, 1);
+});
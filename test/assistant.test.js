@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    answerHealthQuestion,
+    computeDailyTargets
+} = loadScripts('food-database', 'medications', 'allergens', 'health-rules', 'nutrition-targets', 'profile', 'assistant');
+
+const profile = { age: 45, gender: 'female', weight: 70, height: 165, conditions: ['diabetes'] };
+
+test('daily limits are answered for a profile without conditions', () => {
+    // The dashboard passes no profile to the assistant until conditions are set
+    const reply = answerHealthQuestion('what are my daily limits?', {
+        profile: null,
+        meals: [],
+        targets: computeDailyTargets({ age: 30, gender: 'male', weight: 80, height: 180 }),
+        now: new Date()
+    });
+    assert.strictEqual(reply.intent, 'targets');
+    assert.match(reply.text, /^Your daily targets: /);
+    assert.ok(reply.sources.every(source => source.type === 'target'));
+});
+
+test('daily limits cite the health profile conditions', () => {
+    const reply = answerHealthQuestion('what are my daily limits?', {
+        profile,
+        meals: [],
+        targets: computeDailyTargets(profile),
+        now: new Date()
+    });
+    assert.ok(reply.sources.some(source => source.type === 'profile'));
+});
+
+test('questions without a profile ask for one', () => {
+    const reply = answerHealthQuestion('what are my daily limits?', { profile: null, meals: [], targets: null, now: new Date() });
+    assert.match(reply.text, /health profile/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    SafeHtml,
+    defaultReportRange,
+    buildClinicianReport,
+    renderClinicianReport
+} = loadScripts('safe-html', 'food-database', 'medications', 'allergens', 'health-rules', 'profile', 'lab-history', 'nutrition-targets', 'clinician-report');
+
+const range = { from: '2026-01-01', to: '2026-01-07' };
+const meal = (day, hour, nutrition, healthRisks = []) => ({
+    mealType: 'lunch',
+    loggedAt: new Date(2026, 0, day, hour).toISOString(),
+    aiAnalysis: {
+        nutrition,
+        recognizedFoods: [{ name: 'Ramen', nutrition }],
+        healthRisks
+    }
+});
+
+test('the default range is the last 30 days up to today', () => {
+    assert.deepStrictEqual(defaultReportRange(new Date(2026, 2, 10, 9)), { from: '2026-02-09', to: '2026-03-10' });
+});
+
+test('only meals logged within the range count, by local date', () => {
+    const meals = [
+        meal(1, 0, { calories: 400 }),
+        meal(3, 12, { calories: 600 }),
+        meal(3, 19, { calories: 1000 }),
+        meal(7, 23, { calories: 800 }),
+        // Outside the range on either side
+        meal(8, 0, { calories: 5000 }),
+        { ...meal(1, 12, { calories: 5000 }), loggedAt: new Date(2025, 11, 31, 23, 59).toISOString() }
+    ];
+    const report = buildClinicianReport({ meals, profile: null, ...range, now: new Date(2026, 0, 20) });
+
+    assert.strictEqual(report.dayCount, 7);
+    assert.strictEqual(report.mealCount, 4);
+    assert.strictEqual(report.loggedDays, 3);
+    // Averaged over the days with meals, not the whole range
+    assert.strictEqual(report.intake.find(entry => entry.nutrient === 'calories').average, 933);
+});
+
+test('warnings are counted by severity, condition and food', () => {
+    const salty = { id: 'bp-sodium', condition: 'bp', severity: 'high', nutrient: 'sodium' };
+    const meals = [
+        meal(2, 12, { calories: 500, sodium: 1800 }, [salty]),
+        meal(4, 12, { calories: 500, sodium: 900 }, [{ ...salty, severity: 'medium' }])
+    ];
+    const { risks } = buildClinicianReport({ meals, profile: { conditions: ['bp'] }, ...range, now: new Date(2026, 0, 20) });
+
+    assert.deepStrictEqual(risks.bySeverity, { high: 1, medium: 1, low: 0 });
+    assert.deepStrictEqual(risks.byCondition, [{ condition: 'bp', high: 1, medium: 1, low: 0 }]);
+    assert.deepStrictEqual(risks.triggerFoods, [{ name: 'Ramen', count: 2, high: 1, conditions: ['bp'] }]);
+});
+
+test('lab values are read from the profile answers', () => {
+    const profile = { conditions: ['bp'], conditionDetails: { bp: '135/88' } };
+    const { labs } = buildClinicianReport({ meals: [], profile, ...range });
+    assert.deepStrictEqual(labs[0].readings.map(reading => [reading.key, reading.value]), [['systolic', 135], ['diastolic', 88]]);
+});
+
+test('the report escapes what the user entered', () => {
+    const profile = {
+        name: 'Ann <img src=x onerror=alert(1)>',
+        medications: '<script>alert(1)</script>',
+        conditions: ['diabetes', '<b>custom</b>']
+    };
+    const meals = [{
+        mealType: 'lunch',
+        loggedAt: '2026-01-03T12:00:00',
+        aiAnalysis: {
+            nutrition: { calories: 500, carbs: 90, sugar: 40 },
+            recognizedFoods: [{ name: '<i>cake</i>', confidence: 90 }]
+        }
+    }];
+
+    const markup = renderClinicianReport(buildClinicianReport({ meals, profile, ...range }));
+    assert.ok(markup instanceof SafeHtml);
+    assert.doesNotMatch(String(markup), /<img|<script|<b>|<i>/);
+    assert.match(String(markup), /Ann &lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+test('an empty period renders without a profile', () => {
+    const markup = String(renderClinicianReport(buildClinicianReport({ meals: [], profile: null, ...range })));
+    assert.match(markup, /No meals were logged in this period/);
+    assert.match(markup, /No lab values entered/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    mealsToCsv,
+    buildExport,
+    parseImport,
+    previewImport,
+    mealsToMerge
+} = loadScripts('storage', 'food-database', 'medications', 'allergens', 'health-rules', 'profile', 'lab-history', 'nutrition-targets', 'data-export');
+
+const meal = (id, overrides = {}) => ({
+    id,
+    mealType: 'lunch',
+    description: 'Rice and beans',
+    loggedAt: '2026-03-10T12:00:00.000Z',
+    totalCalories: 450,
+    aiAnalysis: { nutrition: { calories: 450, protein: 15 }, recognizedFoods: [{ name: 'Rice', grams: 150 }] },
+    ...overrides
+});
+
+test('CSV cells are quoted and formulas are defused', () => {
+    const csv = mealsToCsv([meal('a', { description: '=HYPERLINK("http://x"), "quoted"' })]);
+    const [header, row] = csv.split('\r\n');
+    assert.match(header, /^Date,Time,Meal type,Description,Foods,/);
+    assert.ok(row.includes(`"'=HYPERLINK(""http://x""), ""quoted"""`));
+});
+
+test('an export imports back with the same meals', () => {
+    const meals = [meal('a'), meal('b', { mealType: 'dinner', loggedAt: '2026-03-10T19:00:00.000Z' })];
+    const imported = parseImport(JSON.stringify(buildExport({ meals, profile: null })));
+    assert.deepStrictEqual(imported.errors, []);
+    assert.deepStrictEqual(imported.skipped, []);
+    assert.deepStrictEqual(imported.meals.map(item => item.id), ['a', 'b']);
+    assert.strictEqual(imported.meals[0].aiAnalysis.nutrition.protein, 15);
+});
+
+test('invalid files and meals are reported', () => {
+    assert.deepStrictEqual(parseImport('{').errors, ['The file is not valid JSON.']);
+    assert.deepStrictEqual(parseImport('{"format":"other"}').errors, ['This is not a HealthyMealTrack export.']);
+
+    const data = buildExport({ meals: [meal('a'), meal('a'), meal('c', { mealType: 'brunch' }), meal('d', { totalCalories: -5 })], profile: null });
+    assert.deepStrictEqual(parseImport(JSON.stringify(data)).skipped, [
+        'Meal 2: repeats id a',
+        'Meal 3: unknown meal type "brunch"',
+        'Meal 4: invalid calories'
+    ]);
+});
+
+test('imported analysis keeps only known fields and well-formed risks', () => {
+    const risk = { id: 'sodium', condition: 'hypertension', severity: 'high', message: 'Very salty' };
+    const analysis = {
+        nutrition: { calories: 450 },
+        healthRisks: [null, risk, { severity: 'high' }, 'salty'],
+        warnings: ['Check sodium', { text: 'x' }],
+        injected: '<img src=x onerror=alert(1)>'
+    };
+    const exported = buildExport({ meals: [meal('a', { aiAnalysis: analysis })], profile: null });
+    const [imported] = parseImport(JSON.stringify(exported)).meals;
+
+    assert.deepStrictEqual(imported.aiAnalysis.healthRisks, [risk]);
+    assert.deepStrictEqual(imported.aiAnalysis.warnings, ['Check sodium']);
+    assert.strictEqual(imported.aiAnalysis.injected, undefined);
+    assert.strictEqual(imported.aiAnalysis.analysisStatus, 'completed');
+});
+
+test('duplicates are found by id or by time and calories, and only replaced on request', () => {
+    const existing = [meal('a'), meal('x', { mealType: 'snack' })];
+    const incoming = [
+        meal('a'),
+        meal('other-device', { loggedAt: '2026-03-10T12:00:30.000Z', aiAnalysis: { nutrition: { calories: 450 }, recognizedFoods: [] } }),
+        meal('new', { loggedAt: '2026-03-11T12:00:00.000Z' })
+    ];
+    const preview = previewImport(incoming, existing);
+    assert.deepStrictEqual(preview.added.map(item => item.id), ['new']);
+    assert.deepStrictEqual(preview.duplicates.map(item => item.identical), [true, false]);
+
+    assert.deepStrictEqual(mealsToMerge(preview).map(item => item.id), ['new']);
+    // A replacement keeps the id of the meal it replaces
+    assert.deepStrictEqual(mealsToMerge(preview, { replaceDuplicates: true }).map(item => item.id), ['new', 'a']);
+});
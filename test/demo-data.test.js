@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    DEMO_MEALS,
+    buildDemoMeals,
+    sumMealNutrition
+} = loadScripts('health-rules', 'nutrition-targets', 'demo-data');
+
+test('demo meals are dated today at their meal times', () => {
+    const now = new Date(2026, 2, 10, 21);
+    const meals = buildDemoMeals(now);
+
+    assert.deepStrictEqual(meals.map(meal => meal.mealType), ['breakfast', 'lunch', 'dinner']);
+    assert.deepStrictEqual(meals.map(meal => meal.id), ['demo-2026-03-10-0', 'demo-2026-03-10-1', 'demo-2026-03-10-2']);
+    assert.strictEqual(new Date(meals[2].loggedAt).getTime(), new Date(2026, 2, 10, 19, 45).getTime());
+    assert.ok(meals.every(meal => meal.demo && meal.loggedAt === meal.createdAt));
+});
+
+test('meal times still ahead are left out, except breakfast', () => {
+    assert.deepStrictEqual(buildDemoMeals(new Date(2026, 2, 10, 13)).map(meal => meal.mealType), ['breakfast', 'lunch']);
+    assert.deepStrictEqual(buildDemoMeals(new Date(2026, 2, 10, 6)).map(meal => meal.mealType), ['breakfast']);
+});
+
+test('demo meals are complete analysed meal records', () => {
+    const meals = buildDemoMeals(new Date(2026, 2, 10, 21));
+    meals.forEach((meal, index) => {
+        assert.strictEqual(meal.totalCalories, DEMO_MEALS[index].nutrition.calories);
+        assert.strictEqual(meal.aiAnalysis.analysisStatus, 'completed');
+        assert.deepStrictEqual(meal.aiAnalysis.recognizedFoods.map(food => food.name), DEMO_MEALS[index].foods);
+    });
+    // Copies, so editing a logged demo meal can't change the samples
+    meals[0].aiAnalysis.nutrition.calories = 0;
+    assert.strictEqual(DEMO_MEALS[0].nutrition.calories, 390);
+    assert.strictEqual(sumMealNutrition(buildDemoMeals(new Date(2026, 2, 10, 21))).calories, 1160);
+});
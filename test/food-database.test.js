@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { parseMealDescription, parseFoodItem } = loadScripts('food-database');
+
+const names = parsed => parsed.foods.map(food => food.name);
+
+test('parseMealDescription reads quantities and units per item', () => {
+    const parsed = parseMealDescription('2 eggs, a slice of whole wheat toast and 200ml milk');
+
+    assert.deepStrictEqual(names(parsed), ['Egg', 'Whole Wheat Bread', 'Milk']);
+    assert.deepStrictEqual(parsed.foods.map(food => [food.quantity, food.unit]), [[2, 'piece'], [1, 'slice'], [200, 'ml']]);
+    assert.deepStrictEqual(parsed.unrecognized, []);
+    assert.ok(parsed.nutrition.calories > 0);
+});
+
+test('parseMealDescription finds every food in an item', () => {
+    assert.deepStrictEqual(names(parseMealDescription('2 eggs bacon')), ['Egg', 'Bacon']);
+    assert.strictEqual(parseMealDescription('2 eggs bacon').foods[1].quantity, 1);
+    assert.deepStrictEqual(names(parseMealDescription('peanut butter toast')), ['Peanut Butter', 'White Bread']);
+});
+
+test('parseMealDescription reports the words it does not know', () => {
+    const parsed = parseMealDescription('rice chicken curry');
+
+    assert.deepStrictEqual(names(parsed), ['White Rice', 'Chicken Breast']);
+    assert.deepStrictEqual(parsed.unrecognized, ['curry']);
+    assert.deepStrictEqual(parseMealDescription('I had a bowl of pho').unrecognized, ['a bowl of pho']);
+});
+
+test('parseMealDescription keeps food names that contain a conjunction', () => {
+    assert.deepStrictEqual(names(parseMealDescription('spaghetti with tomato sauce')), ['Pasta with Tomato Sauce']);
+    assert.deepStrictEqual(names(parseMealDescription('mac and cheese with an apple')), ['Macaroni and Cheese', 'Apple']);
+});
+
+test('parseMealDescription reads fractions and decimals', () => {
+    assert.strictEqual(parseMealDescription('1/2 cup rice').foods[0].quantity, 0.5);
+    assert.strictEqual(parseMealDescription('1.5 cups of rice.').foods[0].quantity, 1.5);
+});
+
+test('parseFoodItem parses a single portion', () => {
+    const food = parseFoodItem('half a cup of rice');
+    assert.strictEqual(food.name, 'White Rice');
+    assert.strictEqual(food.quantity, 0.5);
+    assert.strictEqual(parseFoodItem('pho'), null);
+});
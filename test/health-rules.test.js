@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    HEALTH_RULES,
+    evaluateHealthRisks,
+    resolveLimit,
+    severityForRatio
+} = loadScripts('food-database', 'medications', 'allergens', 'health-rules');
+
+const rule = id => HEALTH_RULES.find(item => item.id === id);
+const meal = (nutrition, recognizedFoods = []) => ({ aiAnalysis: { nutrition, recognizedFoods } });
+
+test('resolveLimit keeps the base limit without lab values', () => {
+    assert.strictEqual(resolveLimit(rule('bp-sodium')), 600);
+    assert.strictEqual(resolveLimit(rule('bp-sodium'), { systolic: 120 }), 600);
+});
+
+test('resolveLimit uses the strictest tier the lab values reach', () => {
+    assert.strictEqual(resolveLimit(rule('bp-sodium'), { systolic: 145 }), 500);
+    assert.strictEqual(resolveLimit(rule('bp-sodium'), { systolic: 145, diastolic: 105 }), 400);
+    assert.strictEqual(resolveLimit(rule('diabetes-carbs'), { bloodSugar: 180 }), 45);
+});
+
+test('severityForRatio escalates with the ratio over the limit', () => {
+    assert.strictEqual(severityForRatio(0.9), null);
+    assert.strictEqual(severityForRatio(1), null);
+    assert.strictEqual(severityForRatio(1.2), 'medium');
+    assert.strictEqual(severityForRatio(1.6), 'high');
+    assert.strictEqual(severityForRatio(1.6, rule('diabetes-sugar').escalation), 'medium');
+});
+
+test('evaluateHealthRisks returns nothing without a meal or profile', () => {
+    assert.deepStrictEqual(evaluateHealthRisks(null, { conditions: ['bp'] }), []);
+    assert.deepStrictEqual(evaluateHealthRisks(meal({ sodium: 2000 }), null), []);
+});
+
+test('evaluateHealthRisks only applies the profile\'s conditions', () => {
+    const salty = meal({ sodium: 800, carbs: 100 });
+    const risks = evaluateHealthRisks(salty, { conditions: ['bp'] });
+
+    assert.deepStrictEqual(risks.map(risk => risk.id), ['bp-sodium']);
+    assert.strictEqual(risks[0].severity, 'medium');
+    assert.strictEqual(risks[0].limit, 600);
+    assert.match(risks[0].message, /800mg, limit 600mg/);
+});
+
+test('evaluateHealthRisks tightens limits from lab values and sorts by severity', () => {
+    const risks = evaluateHealthRisks(meal({ sodium: 800, carbs: 70 }), {
+        conditions: ['bp', 'diabetes'],
+        labValues: { systolic: 165 }
+    });
+
+    assert.deepStrictEqual(risks.map(risk => [risk.id, risk.severity]), [
+        ['bp-sodium', 'high'],
+        ['diabetes-carbs', 'medium']
+    ]);
+});
+
+test('evaluateHealthRisks adds allergen risks for matching foods', () => {
+    const risks = evaluateHealthRisks(meal({}, [{ name: 'Peanut Butter', allergens: ['peanuts'] }]), {
+        conditions: [],
+        allergens: [{ allergen: 'peanuts', severity: 'anaphylaxis' }]
+    });
+
+    assert.strictEqual(risks.length, 1);
+    assert.strictEqual(risks[0].severity, 'high');
+});
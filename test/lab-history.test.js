@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    validateLabReading,
+    labReadingFlags,
+    latestLabReadings,
+    labValuesWithReadings
+} = loadScripts('storage', 'food-database', 'medications', 'allergens', 'health-rules', 'profile', 'nutrition-targets', 'lab-history');
+
+const now = new Date('2026-03-10T12:00:00.000Z');
+const reading = (test, values, takenAt = '2026-03-01T08:00:00.000Z') => ({ id: `${test}-${takenAt}`, test, values, unit: 'mg/dL', takenAt });
+
+test('a valid reading is stored in canonical units', () => {
+    const { reading: saved, errors } = validateLabReading({
+        test: 'fastingGlucose',
+        values: { bloodSugar: '5,5' },
+        unit: 'mmol/L',
+        takenAt: '2026-03-10T07:30:00.000Z'
+    }, now);
+
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(saved.values, { bloodSugar: 99.1 });
+    assert.strictEqual(saved.unit, 'mmol/L');
+    assert.strictEqual(saved.createdAt, now.toISOString());
+    assert.match(saved.id, /^lab/);
+});
+
+test('other units convert to the canonical one', () => {
+    const canonical = (test, field, value, unit) => validateLabReading({ test, values: { [field]: value }, unit }, now).reading.values[field];
+
+    assert.strictEqual(canonical('cholesterol', 'cholesterol', 5.2, 'mmol/L'), 201.1);
+    assert.strictEqual(canonical('creatinine', 'creatinine', 88.42, 'µmol/L'), 1);
+    assert.strictEqual(canonical('hemoglobin', 'hemoglobin', 140, 'g/L'), 14);
+    assert.strictEqual(canonical('potassium', 'potassium', 4.2, 'mEq/L'), 4.2);
+    // An unknown unit is read as the test's first unit
+    assert.strictEqual(canonical('glucose', 'bloodSugar', 110, 'g/L'), 110);
+});
+
+test('readings outside the accepted ranges are rejected', () => {
+    const errors = input => validateLabReading(input, now).errors;
+
+    assert.deepStrictEqual(errors({ test: 'x-ray', values: {} }), { test: 'Choose a test' });
+    assert.match(errors({ test: 'glucose', values: { bloodSugar: 700 }, unit: 'mg/dL' }).bloodSugar, /between 20 and 600 mg\/dL/);
+    // 40 mmol/L is 720.6 mg/dL
+    assert.match(errors({ test: 'glucose', values: { bloodSugar: 40 }, unit: 'mmol/L' }).bloodSugar, /between 20 and 600/);
+    assert.match(errors({ test: 'glucose', values: {} }).bloodSugar, /enter a blood sugar value/);
+    assert.match(errors({ test: 'bloodPressure', values: { systolic: 80, diastolic: 90 } }).systolic, /higher than diastolic/);
+    assert.match(errors({ test: 'tsh', values: { tsh: 2 }, takenAt: '2026-03-11T12:00:00.000Z' }).takenAt, /future/);
+    assert.match(errors({ test: 'tsh', values: { tsh: 2 }, takenAt: 'yesterday' }).takenAt, /when the reading was taken/);
+});
+
+test('flags compare each value with its normal range, by gender where it differs', () => {
+    const flags = (value, profile) => labReadingFlags(value, profile).map(flag => `${flag.field}:${flag.status}`);
+
+    assert.deepStrictEqual(flags(reading('bloodPressure', { systolic: 142, diastolic: 78 })), ['systolic:high']);
+    assert.deepStrictEqual(flags(reading('bloodPressure', { systolic: 85, diastolic: 55 })), ['systolic:low', 'diastolic:low']);
+    assert.deepStrictEqual(flags(reading('cholesterol', { cholesterol: 60 })), []);
+
+    const hemoglobin = reading('hemoglobin', { hemoglobin: 13 });
+    assert.deepStrictEqual(flags(hemoglobin, { gender: 'male' }), ['hemoglobin:low']);
+    assert.deepStrictEqual(flags(hemoglobin, { gender: 'female' }), []);
+    assert.deepStrictEqual(flags(reading('creatinine', { creatinine: 1.2 }), null), []);
+
+    const [flag] = labReadingFlags(reading('fastingGlucose', { bloodSugar: 126 }));
+    assert.deepStrictEqual(flag, {
+        field: 'bloodSugar',
+        label: 'Blood sugar',
+        value: 126,
+        unit: 'mg/dL',
+        status: 'high',
+        range: { min: 70, max: 99 }
+    });
+});
+
+test('the newest reading of each field replaces the wizard value', () => {
+    const profile = {
+        conditionDetails: { diabetes: '140', bp: '135/88', cholesterol: '210' },
+        updatedAt: '2026-03-09T09:00:00.000Z'
+    };
+    const readings = [
+        reading('fastingGlucose', { bloodSugar: 95 }, '2026-03-05T07:00:00.000Z'),
+        reading('glucose', { bloodSugar: 118 }, '2026-03-02T13:00:00.000Z'),
+        reading('bloodPressure', { systolic: 128, diastolic: 80 }, '2026-03-01T08:00:00.000Z')
+    ];
+
+    // Logged readings win over the wizard even when the profile was saved later
+    assert.deepStrictEqual(labValuesWithReadings(profile, readings), {
+        bloodSugar: 95,
+        systolic: 128,
+        diastolic: 80,
+        cholesterol: 210
+    });
+    assert.deepStrictEqual(labValuesWithReadings(null, []), {});
+});
+
+test('profile readings only stand in for tests with nothing logged', () => {
+    const profile = { conditionDetails: { diabetes: '140', cholesterol: '210' }, updatedAt: '2026-03-09T09:00:00.000Z' };
+    const logged = reading('glucose', { bloodSugar: 118 }, '2026-03-02T13:00:00.000Z');
+    const latest = latestLabReadings([logged], profile);
+
+    assert.strictEqual(latest.glucose, logged);
+    assert.deepStrictEqual(latest.cholesterol.values, { cholesterol: 210 });
+    assert.strictEqual(latest.cholesterol.source, 'profile');
+    assert.strictEqual(latest.cholesterol.takenAt, profile.updatedAt);
+});
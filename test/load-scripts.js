@@ -0,0 +1,24 @@
+// HealthyMealTrack - Test Helper
+// The app's modules are plain browser scripts that share globals, so tests
+// load them the way the pages do: in order, into one global scope.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// loadScripts('medications', 'health-rules') runs the files in that order and
+// returns their globals. Top-level consts are not properties of globalThis,
+// so names are looked up by evaluating them.
+function loadScripts(...files) {
+    files.forEach(file => {
+        const filename = path.join(ROOT, `${file}.js`);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+    return new Proxy({}, {
+        get: (target, name) => vm.runInThisContext(String(name))
+    });
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    createFoodPortion,
+    findFoodById,
+    editableFoods,
+    resizeFood,
+    swapFood,
+    recalculateMeal
+} = loadScripts('food-database', 'meal-editor');
+
+const rice = createFoodPortion(findFoodById('white-rice'), 100, 'g');
+
+test('a database food is resized by weight or by servings from its per-100g values', () => {
+    const double = resizeFood(rice, { grams: 200 });
+    assert.strictEqual(double.grams, 200);
+    assert.strictEqual(double.unit, 'g');
+    assert.strictEqual(double.servings, 1.3);
+    assert.strictEqual(double.calories, 260);
+    assert.strictEqual(double.nutrition.carbs, 56.4);
+
+    const cup = resizeFood(rice, { servings: 1 });
+    assert.strictEqual(cup.grams, 158);
+    assert.strictEqual(cup.calories, 205);
+
+    assert.deepStrictEqual(resizeFood(double, { grams: 100 }).nutrition, resizeFood(rice, { grams: 100 }).nutrition);
+});
+
+test('a food only the remote analysis knows is scaled from its recognized portion', () => {
+    const stew = { name: 'Beef stew', grams: 250, calories: 300, nutrition: { calories: 300, protein: 20 } };
+    const bigger = resizeFood(stew, { grams: 500 });
+    assert.strictEqual(bigger.calories, 600);
+    assert.deepStrictEqual(bigger.nutrition, { calories: 600, protein: 40 });
+
+    const curry = { name: 'Curry', quantity: 2, unit: 'cup', calories: 400 };
+    const half = resizeFood(curry, { servings: 0.5 });
+    assert.strictEqual(half.quantity, 1);
+    assert.strictEqual(half.unit, 'cup');
+    assert.strictEqual(half.calories, 200);
+    // The basis is kept, so resizing again starts from the original portion
+    assert.strictEqual(resizeFood(half, { servings: 1 }).calories, 400);
+});
+
+test('a swapped food keeps the portion: the weight when known, otherwise the servings', () => {
+    const brown = swapFood(resizeFood(rice, { grams: 200 }), 'brown rice');
+    assert.strictEqual(brown.foodId, 'brown-rice');
+    assert.strictEqual(brown.grams, 200);
+    assert.strictEqual(brown.calories, 246);
+
+    const eggs = swapFood({ name: 'Curry', quantity: 2, unit: 'cup', servings: 2, calories: 400 }, 'eggs');
+    assert.strictEqual(eggs.foodId, 'egg');
+    assert.strictEqual(eggs.quantity, 2);
+    assert.strictEqual(eggs.grams, 100);
+
+    assert.strictEqual(swapFood(rice, 'dragon fruit soufflé'), null);
+});
+
+test('foods without nutrition share what the meal total leaves over', () => {
+    const meal = {
+        aiAnalysis: {
+            nutrition: { calories: 500, protein: 30 },
+            recognizedFoods: [{ name: 'Toast', nutrition: { calories: 200, protein: 6 } }, { name: 'Eggs' }, { name: 'Juice' }]
+        }
+    };
+    const [, eggs, juice] = editableFoods(meal);
+    assert.deepStrictEqual(eggs.nutrition, { calories: 150, protein: 12 });
+    assert.strictEqual(juice.calories, 150);
+    assert.strictEqual(juice.unit, 'serving');
+});
+
+test('a recalculated meal sums its foods and drops the old health results', () => {
+    const meal = {
+        id: 'meal-1',
+        mealType: 'lunch',
+        totalCalories: 900,
+        aiAnalysis: {
+            source: 'remote',
+            analysisStatus: 'completed',
+            recognizedFoods: [],
+            nutrition: { calories: 900 },
+            healthRisks: [{ id: 'sodium', severity: 'high', message: 'Very salty' }],
+            warnings: ['Salty']
+        }
+    };
+    const foods = [
+        resizeFood(rice, { grams: 200 }),
+        { name: 'Soup', calories: 95, nutrition: { calories: 95.4, sodium: 800 } }
+    ];
+    const edited = recalculateMeal(meal, { foods, mealType: 'dinner' });
+
+    assert.strictEqual(edited.mealType, 'dinner');
+    assert.strictEqual(edited.totalCalories, 355);
+    assert.strictEqual(edited.aiAnalysis.nutrition.calories, 355.4);
+    assert.strictEqual(edited.aiAnalysis.nutrition.sodium, 802);
+    assert.deepStrictEqual(edited.aiAnalysis.healthRisks, []);
+    assert.deepStrictEqual(edited.aiAnalysis.warnings, []);
+    assert.strictEqual(edited.aiAnalysis.source, 'remote');
+    assert.ok(!Number.isNaN(Date.parse(edited.editedAt)));
+    assert.strictEqual(meal.aiAnalysis.healthRisks.length, 1);
+
+    // A nutrient none of the foods report stays missing instead of becoming 0
+    assert.ok(!('fiber' in recalculateMeal(meal, { foods: [foods[1]] }).aiAnalysis.nutrition));
+});
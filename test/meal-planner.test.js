@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    PLAN_MEAL_TYPES,
+    generateMealPlan,
+    swapPlannedDish,
+    togglePlannedDishLock,
+    markPlannedDishLogged,
+    findPlanConflicts,
+    buildShoppingList,
+    formatShoppingAmount
+} = loadScripts('storage', 'food-database', 'medications', 'allergens', 'health-rules', 'nutrition-targets', 'meal-planner');
+
+const start = new Date(2026, 9, 19);
+const profile = { weight: 70, height: 175, age: 35, gender: 'male', conditions: [] };
+const dishes = plan => plan.days.flatMap(day => PLAN_MEAL_TYPES.map(mealType => day.meals[mealType]));
+
+test('a plan covers every meal of the week and is reproducible from its seed', () => {
+    const plan = generateMealPlan(profile, { start, seed: 42 });
+    assert.strictEqual(plan.days.length, 7);
+    assert.strictEqual(plan.days[0].date, '2026-10-19');
+    assert.ok(dishes(plan).every(Boolean));
+
+    const again = generateMealPlan(profile, { start, seed: 42 });
+    assert.deepStrictEqual(dishes(again).map(dish => dish.recipeId), dishes(plan).map(dish => dish.recipeId));
+});
+
+test('dishes with an allergen or a high-severity risk are never planned', () => {
+    const restricted = {
+        ...profile,
+        conditions: ['diabetes', 'bp'],
+        allergens: [{ allergen: 'peanuts', severity: 'anaphylaxis' }, { allergen: 'milk', severity: 'allergy' }]
+    };
+    const plan = generateMealPlan(restricted, { start, seed: 42 });
+    assert.deepStrictEqual(findPlanConflicts(plan, restricted), []);
+    dishes(plan).filter(Boolean).forEach(dish => {
+        assert.ok(dish.risks.every(risk => risk.severity !== 'high' && risk.condition !== 'allergen'), dish.name);
+    });
+});
+
+test('swapping picks another recipe and locked dishes survive a new plan', () => {
+    const plan = generateMealPlan(profile, { start, seed: 42 });
+    const swapped = swapPlannedDish(plan, 0, 'lunch', profile);
+    assert.notStrictEqual(swapped.days[0].meals.lunch.recipeId, plan.days[0].meals.lunch.recipeId);
+    assert.strictEqual(swapped.swaps, 1);
+
+    const locked = togglePlannedDishLock(swapped, 1, 'dinner');
+    const regenerated = generateMealPlan(profile, { start, seed: 7, previous: locked });
+    assert.strictEqual(regenerated.days[1].meals.dinner, locked.days[1].meals.dinner);
+});
+
+test('the shopping list leaves out logged dishes', () => {
+    const plan = generateMealPlan(profile, { start, seed: 42 });
+    const grams = list => list.reduce((sum, item) => sum + item.grams, 0);
+    const logged = markPlannedDishLogged(plan, 0, 'breakfast', 'meal_1');
+    assert.ok(grams(buildShoppingList(logged)) < grams(buildShoppingList(plan)));
+
+    assert.strictEqual(formatShoppingAmount({ grams: 1250 }), '1.3 kg');
+    assert.strictEqual(formatShoppingAmount({ grams: 240, pieces: 2 }), '240 g (about 2)');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    parseMedications,
+    evaluateMedicationRisks
+} = loadScripts('food-database', 'medications', 'allergens', 'health-rules');
+
+const meal = (foods, hour = 12, nutrition = {}) => ({
+    loggedAt: new Date(2026, 2, 10, hour).toISOString(),
+    aiAnalysis: { nutrition, recognizedFoods: foods.map(name => ({ name, confidence: 90 })) }
+});
+
+test('parseMedications finds drug classes by brand, generic name or suffix', () => {
+    const medications = parseMedications('Lipitor 20mg; lisinopril\nsynthroid at 7am, metformin');
+    assert.deepStrictEqual(medications.map(item => item.id), ['statin', 'aceInhibitor', 'levothyroxine']);
+    assert.deepStrictEqual(medications[2].doseTimes, [7 * 60]);
+    assert.deepStrictEqual(parseMedications('see you in April'), []);
+});
+
+test('grapefruit is flagged for statins', () => {
+    const risks = evaluateMedicationRisks(meal(['Grapefruit']), { medications: 'simvastatin' });
+    assert.strictEqual(risks.length, 1);
+    assert.strictEqual(risks[0].severity, 'high');
+    assert.strictEqual(risks[0].condition, 'medication');
+    assert.match(risks[0].message, /simvastatin/);
+});
+
+test('spacing rules only apply near a known dose time', () => {
+    const profile = { medications: 'levothyroxine at 7am' };
+    assert.strictEqual(evaluateMedicationRisks(meal(['Greek Yogurt'], 8), profile).length, 1);
+    assert.deepStrictEqual(evaluateMedicationRisks(meal(['Greek Yogurt'], 13), profile), []);
+    // Without a dose time the advice is given for every meal
+    assert.strictEqual(evaluateMedicationRisks(meal(['Greek Yogurt'], 13), { medications: 'levothyroxine' }).length, 1);
+});
+
+test('potassium-raising medications cap potassium per meal', () => {
+    const profile = { medications: 'losartan' };
+    assert.strictEqual(evaluateMedicationRisks(meal([], 12, { potassium: 1200 }), profile).length, 1);
+    assert.deepStrictEqual(evaluateMedicationRisks(meal([], 12, { potassium: 400 }), profile), []);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    calculateBMR,
+    computeDailyTargets,
+    measureDay
+} = loadScripts('food-database', 'medications', 'allergens', 'health-rules', 'nutrition-targets');
+
+const adult = { age: 30, gender: 'male', weight: 80, height: 180 };
+const meal = nutrition => ({ id: 'meal-1', aiAnalysis: { nutrition } });
+
+test('calculateBMR uses Mifflin-St Jeor and needs weight, height and age', () => {
+    assert.strictEqual(calculateBMR(adult), 1780);
+    assert.strictEqual(calculateBMR({ ...adult, gender: 'female' }), 1614);
+    assert.strictEqual(calculateBMR({ weight: 80, height: 180 }), null);
+});
+
+test('calories follow energy needs and activity', () => {
+    assert.strictEqual(computeDailyTargets(adult).daily.calories.goal, 2448);
+    assert.strictEqual(computeDailyTargets({ ...adult, activityLevel: 'sedentary' }).daily.calories.goal, 2136);
+    assert.strictEqual(computeDailyTargets({}).daily.calories.goal, 2000);
+});
+
+test('conditions tighten the limits', () => {
+    const targets = computeDailyTargets({ ...adult, conditions: ['bp', 'diabetes', 'kidney'] });
+    assert.strictEqual(targets.daily.sodium.max, 1500);
+    assert.strictEqual(targets.daily.sugar.max, 25);
+    assert.strictEqual(targets.daily.protein.max, 64);
+    assert.ok(targets.perMeal.carbs.max > 0);
+    assert.ok(targets.perMeal.potassium.max > 0);
+});
+
+test('measureDay checks minimums only once the day is over', () => {
+    const targets = computeDailyTargets(adult);
+    const meals = [meal({ calories: 900, protein: 30, fiber: 5, sodium: 2600 })];
+
+    const today = measureDay(meals, targets);
+    assert.strictEqual(today.progress.sodium.status, 'over');
+    assert.strictEqual(today.progress.fiber.status, 'ok');
+    assert.strictEqual(today.progress.sodium.remaining, -300);
+
+    const finished = measureDay(meals, targets, { complete: true });
+    assert.strictEqual(finished.progress.fiber.status, 'under');
+    assert.ok(finished.compliance < today.compliance);
+});
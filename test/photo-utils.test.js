@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+// File is a global from Node 20; photo-utils.js creates one for a stripped photo
+globalThis.File = globalThis.File || require('node:buffer').File;
+
+const { parseExif, stripExif, prepareMealPhoto } = loadScripts('photo-utils');
+
+// What a file input hands over: a Blob with a name
+const photoFile = (bytes, name, type) => Object.assign(new Blob([bytes], { type }), { name, lastModified: 0 });
+
+function segment(marker, payload) {
+    const length = payload.length + 2;
+    return [0xFF, marker, length >> 8, length & 0xFF, ...payload];
+}
+
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+// JFIF header, EXIF with a GPS IFD pointer, XMP, then the image data
+function jpegWithMetadata() {
+    const tiff = [
+        ...ascii('II'), 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+        0x01, 0x00,
+        0x25, 0x88, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x1A, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00
+    ];
+    return new Uint8Array([
+        0xFF, 0xD8,
+        ...segment(0xE0, [...ascii('JFIF'), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+        ...segment(0xE1, [...ascii('Exif'), 0, 0, ...tiff]),
+        ...segment(0xE1, [...ascii('http://ns.adobe.com/xap/1.0/'), 0, ...ascii('<x:xmpmeta GPSLatitude="1"/>')]),
+        0xFF, 0xDA, 0x00, 0x02, 0x11, 0x22, 0xFF, 0xD9
+    ]);
+}
+
+const hasMarker = (bytes, marker) => bytes.some((byte, index) => byte === 0xFF && bytes[index + 1] === marker);
+
+test('parseExif notices GPS data', () => {
+    assert.strictEqual(parseExif(jpegWithMetadata().buffer).hasGps, true);
+});
+
+test('stripExif removes EXIF and XMP but keeps the image', () => {
+    const stripped = stripExif(jpegWithMetadata());
+
+    assert.strictEqual(hasMarker(stripped, 0xE1), false);
+    assert.strictEqual(hasMarker(stripped, 0xE0), true);
+    assert.deepStrictEqual([...stripped.slice(-4)], [0x11, 0x22, 0xFF, 0xD9]);
+    assert.strictEqual(parseExif(stripped.buffer).hasGps, false);
+});
+
+test('prepareMealPhoto strips a JPEG it cannot re-encode', async () => {
+    const photo = await prepareMealPhoto(photoFile(jpegWithMetadata(), 'meal.jpg', 'image/jpeg'));
+    const bytes = new Uint8Array(await photo.file.arrayBuffer());
+
+    assert.strictEqual(photo.hasGps, true);
+    assert.strictEqual(hasMarker(bytes, 0xE1), false);
+});
+
+test('prepareMealPhoto refuses other formats it cannot re-encode', async () => {
+    const heic = photoFile(new Uint8Array([0, 0, 0, 24, ...ascii('ftypheic')]), 'IMG_0001.HEIC', 'image/heic');
+
+    await assert.rejects(prepareMealPhoto(heic), error => /location data/.test(error.userMessage));
+});
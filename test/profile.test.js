@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    parseBloodPressure,
+    parseLabValues,
+    calculateBMI,
+    bmiCategory,
+    buildHealthProfile,
+    profileToFormValues
+} = loadScripts('allergens', 'profile');
+
+const answers = {
+    name: '  Ann Lee ',
+    age: '52',
+    gender: 'female',
+    weightUnit: 'lb',
+    weight: '172',
+    heightUnit: 'ft',
+    heightFeet: '5',
+    heightInches: '6',
+    conditions: ['diabetes', 'bp'],
+    conditionDetails: { diabetes: '140 mg/dL', bp: '135 over 88', kidney: '4.2' },
+    medications: ' metformin ',
+    allergens: [{ allergen: 'peanuts', severity: 'anaphylaxis' }]
+};
+
+test('parseBloodPressure reads systolic over diastolic', () => {
+    assert.deepStrictEqual(parseBloodPressure('130 / 85 mmHg'), { systolic: 130, diastolic: 85 });
+    assert.deepStrictEqual(parseBloodPressure('135 over 88'), { systolic: 135, diastolic: 88 });
+    assert.strictEqual(parseBloodPressure('high'), null);
+});
+
+test('parseLabValues reports readings out of range or in the wrong order', () => {
+    assert.deepStrictEqual(parseLabValues({ diabetes: '120', kidney: '1.4 creatinine' }), {
+        labValues: { bloodSugar: 120, creatinine: 1.4 },
+        errors: {}
+    });
+    assert.deepStrictEqual(Object.keys(parseLabValues({ diabetes: '900' }).errors), ['diabetes']);
+    assert.deepStrictEqual(parseLabValues({ bp: '80/120' }), {
+        labValues: {},
+        errors: { bp: 'Systolic (first) reading should be higher than diastolic' }
+    });
+});
+
+test('BMI and its category', () => {
+    assert.strictEqual(calculateBMI(70, 175), 22.9);
+    assert.strictEqual(calculateBMI(70, null), null);
+    assert.strictEqual(bmiCategory(22.9), 'normal');
+    assert.strictEqual(bmiCategory(31), 'obese');
+});
+
+test('wizard answers are saved in canonical units with lab values', () => {
+    const { profile, errors } = buildHealthProfile(answers);
+    assert.deepStrictEqual(errors, {});
+    assert.strictEqual(profile.name, 'Ann Lee');
+    assert.strictEqual(profile.weight, 78);
+    assert.strictEqual(profile.height, 167.6);
+    assert.deepStrictEqual(profile.units, { weight: 'lb', height: 'ft' });
+    assert.strictEqual(profile.bmiCategory, 'overweight');
+    // Details of conditions that weren't ticked are dropped
+    assert.deepStrictEqual(profile.labValues, { bloodSugar: 140, systolic: 135, diastolic: 88 });
+    assert.strictEqual(profile.medications, 'metformin');
+    assert.deepStrictEqual(profile.allergens, [{ allergen: 'peanuts', severity: 'anaphylaxis' }]);
+});
+
+test('missing answers are reported per field', () => {
+    const { errors } = buildHealthProfile({ age: '200', weight: 'heavy' });
+    assert.deepStrictEqual(Object.keys(errors).sort(), ['age', 'gender', 'height', 'name', 'weight']);
+});
+
+test('a saved profile loads back into the wizard in the units it was entered in', () => {
+    const { profile } = buildHealthProfile(answers);
+    const values = profileToFormValues(profile);
+    assert.strictEqual(values.weight, 172);
+    assert.strictEqual(values.heightFeet, 5);
+    assert.strictEqual(values.heightInches, 6);
+    assert.deepStrictEqual(values.conditions, ['diabetes', 'bp']);
+
+    const { profile: saved } = buildHealthProfile(values);
+    assert.deepStrictEqual({ ...saved, updatedAt: null }, { ...profile, updatedAt: null });
+});
+
+test('a profile saved without conditions loads with "none" ticked', () => {
+    const { profile } = buildHealthProfile({ ...answers, conditions: ['none'], conditionDetails: {} });
+    assert.deepStrictEqual(profile.conditions, []);
+    assert.deepStrictEqual(profileToFormValues(profile).conditions, ['none']);
+    assert.strictEqual(profileToFormValues(null), null);
+});
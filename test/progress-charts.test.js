@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    buildProgressSeries,
+    renderProgressChart,
+    computeDailyTargets
+} = loadScripts('allergens', 'health-rules', 'nutrition-targets', 'streaks', 'progress-charts');
+
+// A Wednesday
+const now = new Date(2026, 2, 18, 18);
+const meal = (month, day, nutrition, mealType = 'lunch', healthRisks = []) => ({
+    mealType,
+    loggedAt: new Date(2026, month - 1, day, 12).toISOString(),
+    aiAnalysis: { nutrition, healthRisks }
+});
+
+test('daily series cover the last 14 days, oldest first', () => {
+    const series = buildProgressSeries([], { now });
+    assert.strictEqual(series.length, 14);
+    assert.strictEqual(series[0].key, '2026-03-05');
+    assert.strictEqual(series[13].key, '2026-03-18');
+    assert.strictEqual(series[13].label, '3/18');
+});
+
+test('weekly values are per-day averages over the logged days', () => {
+    const meals = [
+        meal(3, 16, { calories: 1000 }),
+        meal(3, 16, { calories: 500 }, 'dinner'),
+        meal(3, 18, { calories: 2500 }),
+        // Before the 12 weeks shown
+        meal(11, 1, { calories: 9000 })
+    ];
+    const series = buildProgressSeries(meals, { range: 'weekly', now });
+    const week = series[series.length - 1];
+
+    assert.strictEqual(series.length, 12);
+    assert.strictEqual(week.key, '2026-03-16');
+    assert.strictEqual(week.mealCount, 3);
+    assert.strictEqual(week.loggedDays, 2);
+    assert.strictEqual(week.values.calories, 2000);
+});
+
+test('series can be limited to one meal type and count warning days', () => {
+    const meals = [
+        meal(3, 18, { calories: 400 }, 'breakfast', [{ severity: 'high' }]),
+        meal(3, 18, { calories: 800 }, 'dinner')
+    ];
+    const today = series => series[series.length - 1];
+    assert.strictEqual(today(buildProgressSeries(meals, { mealType: 'dinner', now })).values.calories, 800);
+    assert.strictEqual(today(buildProgressSeries(meals, { now })).warningDays, 1);
+
+    const months = buildProgressSeries(meals, { range: 'monthly', now });
+    assert.deepStrictEqual(months.map(month => month.label), ['Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar']);
+    assert.strictEqual(months[5].values.calories, 1200);
+});
+
+test('charts draw the target line and say when nothing was logged', () => {
+    const targets = computeDailyTargets({ conditions: ['bp'] });
+    const chart = renderProgressChart(buildProgressSeries([], { now }), 'sodium', targets);
+    assert.match(chart, /class="target-line"/);
+    assert.match(chart, /Limit: 1500mg\/day/);
+    assert.match(chart, /No meals logged in this period/);
+});
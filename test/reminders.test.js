@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    buildReminderSchedule,
+    dueReminders,
+    isQuietTime,
+    withRemindersShown
+} = loadScripts('food-database', 'medications', 'nutrition-targets', 'reminders');
+
+const settings = { enabled: true, quietHours: { enabled: false } };
+const at = time => new Date(`2026-03-10T${time}:00`);
+const dueIds = (now, options = {}) => dueReminders({ settings, meals: [], now, ...options }).map(reminder => reminder.id);
+
+test('a meal nudge lasts until the next meal reminder', () => {
+    const schedule = buildReminderSchedule(settings);
+    const until = id => schedule.find(reminder => reminder.id === id).until;
+    assert.strictEqual(until('meal-breakfast'), 14 * 60);
+    assert.strictEqual(until('meal-lunch'), 20 * 60);
+    assert.strictEqual(until('meal-dinner'), 23 * 60);
+});
+
+test('opening the app late in the day shows only the current meal nudge', () => {
+    assert.deepStrictEqual(dueIds(at('21:00')), ['meal-dinner']);
+    assert.deepStrictEqual(dueIds(at('11:00')), ['meal-breakfast']);
+    assert.deepStrictEqual(dueIds(at('09:00')), []);
+});
+
+test('a meal nudge is not shown once the meal is logged or the nudge was shown', () => {
+    const now = at('15:00');
+    const meals = [{ mealType: 'lunch', loggedAt: at('13:00').toISOString() }];
+    assert.deepStrictEqual(dueIds(now, { meals }), []);
+
+    const state = withRemindersShown(null, dueReminders({ settings, meals: [], now }), now);
+    assert.deepStrictEqual(dueIds(at('15:30'), { state }), []);
+});
+
+test('medication reminders follow the dose times in the profile', () => {
+    const profile = { medications: 'metformin at 8am, 8pm' };
+    const ids = dueIds(at('08:30'), { profile });
+    assert.deepStrictEqual(ids, ['medication-metformin-480']);
+});
+
+test('quiet hours may run past midnight', () => {
+    const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+    assert.strictEqual(isQuietTime(23 * 60, quietHours), true);
+    assert.strictEqual(isQuietTime(6 * 60, quietHours), true);
+    assert.strictEqual(isQuietTime(12 * 60, quietHours), false);
+});
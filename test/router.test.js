@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+// The router reads the hash from window.location and writes it through
+// history; these stand in for the browser's
+const listeners = {};
+global.window = {
+    location: { hash: '' },
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    removeEventListener: type => { delete listeners[type]; }
+};
+global.history = {
+    state: null,
+    replaceState: (state, title, url) => { window.location.hash = url; }
+};
+
+const { HashRouter } = loadScripts('router');
+
+const routes = [
+    { path: '/dashboard' },
+    { path: '/progress', requires: ['profile'] },
+    { path: '/settings' }
+];
+
+function createRouter({ hash = '', hasProfile = true } = {}) {
+    window.location.hash = hash;
+    const visits = [];
+    const denied = [];
+    const router = new HashRouter({
+        routes,
+        defaultPath: '/dashboard',
+        canActivate: requirement => requirement !== 'profile' || hasProfile,
+        onDenied: (route, requirement) => denied.push([route.path, requirement]),
+        onNavigate: (route, previous) => visits.push([route.path, previous && previous.path])
+    });
+    return { router, visits, denied };
+}
+
+test('the hash selects the route on start', () => {
+    const { router, visits } = createRouter({ hash: '#/settings' });
+    router.start();
+    assert.deepStrictEqual(visits, [['/settings', null]]);
+    assert.strictEqual(router.current.path, '/settings');
+    router.stop();
+    assert.strictEqual(listeners.hashchange, undefined);
+});
+
+test('an empty or unknown hash is replaced by the default route', () => {
+    for (const hash of ['', '#/nowhere', '#dashboard']) {
+        const { router, visits } = createRouter({ hash });
+        router.resolve();
+        assert.strictEqual(window.location.hash, '#/dashboard');
+        assert.deepStrictEqual(visits, [['/dashboard', null]]);
+    }
+});
+
+test('hash changes navigate and report the previous route', () => {
+    const { router, visits } = createRouter({ hash: '#/dashboard' });
+    router.start();
+    window.location.hash = '#/settings';
+    listeners.hashchange();
+    assert.deepStrictEqual(visits, [['/dashboard', null], ['/settings', '/dashboard']]);
+    router.stop();
+});
+
+test('navigate sets the hash, or resolves again when it is already current', () => {
+    const { router, visits } = createRouter({ hash: '#/dashboard' });
+    router.resolve();
+    router.navigate('/settings');
+    assert.strictEqual(window.location.hash, '/settings');
+
+    router.navigate('/settings', { replace: true });
+    assert.deepStrictEqual(visits.map(([path]) => path), ['/dashboard', '/settings']);
+});
+
+test('a route whose requirement is missing is denied', () => {
+    const { router, visits, denied } = createRouter({ hash: '#/progress', hasProfile: false });
+    router.resolve();
+    assert.deepStrictEqual(visits, []);
+    assert.deepStrictEqual(denied, [['/progress', 'profile']]);
+    assert.strictEqual(router.current, null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('../server');
+const { loadConfig } = require('../server/config');
+
+function request(base, path, { method = 'GET', token, body } = {}) {
+    return fetch(`${base}/api${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+async function register(base) {
+    const response = await request(base, '/auth/register', {
+        method: 'POST',
+        body: { email: 'ana@example.com', password: 'secret1' }
+    });
+    return (await response.json()).token;
+}
+
+async function withServer(run) {
+    const server = createServer(loadConfig({ JWT_SECRET: 'test-secret' }));
+    await new Promise(resolve => server.listen(0, resolve));
+    try {
+        await run(`http://localhost:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('serves the frontend pages', () => withServer(async (base) => {
+    const response = await fetch(`${base}/login.html`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+}));
+
+test('answers a malformed URL with 400 and keeps running', () => withServer(async (base) => {
+    const malformed = await fetch(`${base}/%E0%A4%A`);
+    assert.strictEqual(malformed.status, 400);
+
+    const next = await fetch(`${base}/index.html`);
+    assert.strictEqual(next.status, 200);
+}));
+
+test('answers a request target that is not a valid URL path with 400', () => withServer(async (base) => {
+    const response = await fetch(`${base}//`);
+    assert.strictEqual(response.status, 400);
+
+    const next = await fetch(`${base}/index.html`);
+    assert.strictEqual(next.status, 200);
+}));
+
+test('rejects auth fields that are not strings', () => withServer(async (base) => {
+    const invalid = [
+        { email: ['ana@example.com'], password: 'secret1' },
+        { email: 'ana@example.com', password: 123456 }
+    ];
+    for (const body of invalid) {
+        const response = await request(base, '/auth/register', { method: 'POST', body });
+        assert.strictEqual(response.status, 400);
+    }
+
+    const token = await register(base);
+    const profile = await request(base, '/auth/profile', { method: 'PUT', token, body: { email: { $ne: null } } });
+    assert.strictEqual(profile.status, 400);
+}));
+
+test('rejects a JSON body that is not an object', () => withServer(async (base) => {
+    const token = await register(base);
+    for (const body of [null, [], 'profile']) {
+        const response = await request(base, '/auth/profile', { method: 'PUT', token, body });
+        assert.strictEqual(response.status, 400);
+    }
+}));
+
+test('counts meals without recorded health risks as healthy', () => withServer(async (base) => {
+    const token = await register(base);
+    await request(base, '/meals/meal-1', {
+        method: 'PUT',
+        token,
+        body: { totalCalories: 500, aiAnalysis: { analysisStatus: 'completed' } }
+    });
+
+    const response = await request(base, '/health/stats', { token });
+    assert.strictEqual(response.status, 200);
+    const { stats } = await response.json();
+    assert.strictEqual(stats.healthyMeals, 1);
+    assert.strictEqual(stats.totalCalories, 500);
+}));
+
+test('does not expose the server directory', () => withServer(async (base) => {
+    const response = await fetch(`${base}/server/config.js`);
+    assert.strictEqual(response.status, 404);
+}));
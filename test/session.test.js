@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    AuthSession,
+    decodeJwt,
+    isDifferentDataOwner,
+    sessionUserKey,
+    tokenExpiresAt
+} = loadScripts('session');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const jwt = payload => `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+
+function fakeStore(session = null) {
+    return {
+        session,
+        async getSession() { return this.session; },
+        async saveSession(value) { this.session = value; },
+        async clearSession() { this.session = null; }
+    };
+}
+
+test('the expiry comes from the JWT exp claim, else from expiresIn', () => {
+    assert.deepStrictEqual(decodeJwt(jwt({ sub: 'u1', exp: 1800000000 })), { sub: 'u1', exp: 1800000000 });
+    assert.strictEqual(decodeJwt('demo-token'), null);
+    assert.strictEqual(decodeJwt('a.%%%.c'), null);
+
+    assert.strictEqual(tokenExpiresAt(jwt({ exp: 1800000000 }), 60), 1800000000 * 1000);
+    assert.strictEqual(tokenExpiresAt('demo-token', 60, 1000), 61000);
+    assert.strictEqual(tokenExpiresAt('demo-token'), null);
+});
+
+test('a token is refreshed before it expires, at most halfway through its lifetime', () => {
+    const session = new AuthSession({ store: fakeStore(), refresh: async () => ({}) });
+    const now = Date.now();
+    const iat = Math.floor(now / 1000);
+
+    session.apply({ token: jwt({ iat, exp: iat + 3600 }), expiresAt: (iat + 3600) * 1000 });
+    assert.strictEqual(session.refreshAt, (iat + 3600) * 1000 - 5 * 60 * 1000);
+    assert.ok(!session.needsRefresh(now));
+
+    session.apply({ token: jwt({ iat, exp: iat + 120 }), expiresAt: (iat + 120) * 1000 });
+    assert.strictEqual(session.refreshAt, (iat + 60) * 1000);
+    assert.ok(session.needsRefresh((iat + 61) * 1000));
+    assert.ok(session.isActive((iat + 61) * 1000));
+    assert.ok(session.isExpired((iat + 120) * 1000));
+});
+
+test('concurrent refreshes share one request', async () => {
+    const store = fakeStore();
+    const sent = [];
+    const session = new AuthSession({
+        store,
+        refresh: async token => {
+            sent.push(token);
+            return { token: `token-${sent.length}` };
+        }
+    });
+    session.apply({ token: 'token-0', user: { email: 'ana@example.com' } });
+
+    await Promise.all([session.refresh(), session.refresh(), session.refresh()]);
+    assert.deepStrictEqual(sent, ['token-0']);
+    assert.strictEqual(session.token, 'token-1');
+    assert.deepStrictEqual(store.session, { token: 'token-1', user: { email: 'ana@example.com' }, expiresAt: null });
+
+    await session.refresh();
+    assert.deepStrictEqual(sent, ['token-0', 'token-1']);
+});
+
+test('a rejected refresh ends the session; a network error keeps it', async () => {
+    for (const status of [401, 403]) {
+        const store = fakeStore({ token: 'old-token' });
+        let expired = 0;
+        const session = new AuthSession({
+            store,
+            refresh: async () => { throw Object.assign(new Error('Rejected'), { status }); },
+            onExpired: () => expired++
+        });
+        await session.restore();
+
+        await assert.rejects(session.refresh(), /Rejected/);
+        assert.strictEqual(session.token, null);
+        assert.strictEqual(store.session, null);
+        assert.strictEqual(expired, 1);
+    }
+
+    const store = fakeStore({ token: 'old-token' });
+    const session = new AuthSession({ store, refresh: async () => { throw new Error('Failed to fetch'); } });
+    await session.restore();
+    await assert.rejects(session.refresh(), /Failed to fetch/);
+    assert.strictEqual(session.token, 'old-token');
+    assert.strictEqual(store.session.token, 'old-token');
+});
+
+test('local data is keyed on the normalized email', () => {
+    assert.strictEqual(sessionUserKey({ _id: 'abc123', email: ' Ana@Example.com ' }), 'ana@example.com');
+    assert.strictEqual(sessionUserKey({ name: 'Demo User', email: 'ana@example.com', demo: true }), 'ana@example.com');
+    assert.strictEqual(sessionUserKey({ _id: 'abc123' }), null);
+    assert.strictEqual(sessionUserKey(null), null);
+});
+
+test('local data is cleared only when a different real account signs in', () => {
+    const ana = { _id: 'abc123', email: 'ana@example.com' };
+    const ben = { _id: 'def456', email: 'ben@example.com' };
+
+    assert.ok(isDifferentDataOwner('ana@example.com', ben));
+    assert.ok(!isDifferentDataOwner('ana@example.com', ana));
+    // Data stored before anyone signed in is kept for whoever signs in first
+    assert.ok(!isDifferentDataOwner(null, ben));
+    // The offline fallback can't tell who is signing in
+    assert.ok(!isDifferentDataOwner('ana@example.com', { email: 'ben@example.com', demo: true }));
+    assert.ok(!isDifferentDataOwner('ana@example.com', { email: 'ana@example.com', demo: true }));
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    MealTrackStore,
+    KeyValueBackend,
+    STORE_SCHEMA_VERSION,
+    getStoreSchema,
+    pendingMigrations
+} = loadScripts('storage');
+
+// A Storage-like object the test can look into
+function fakeStorage(items = {}) {
+    const data = new Map(Object.entries(items));
+    return {
+        data,
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
+
+test('the schema of each version has the stores of every migration up to it', () => {
+    assert.strictEqual(STORE_SCHEMA_VERSION, 3);
+    assert.deepStrictEqual(Object.keys(getStoreSchema(1)), ['meals', 'achievements', 'settings']);
+    assert.deepStrictEqual(Object.keys(getStoreSchema(2)), ['meals', 'achievements', 'settings', 'labReadings']);
+    assert.deepStrictEqual(Object.keys(getStoreSchema()), ['meals', 'achievements', 'settings', 'labReadings', 'outbox']);
+    assert.deepStrictEqual(getStoreSchema().outbox, { keyPath: 'id', indexes: ['createdAt'] });
+});
+
+test('only the migrations after the stored version run', () => {
+    const versions = from => pendingMigrations(from).map(migration => migration.version);
+    assert.deepStrictEqual(versions(0), [1, 2, 3]);
+    assert.deepStrictEqual(versions(1), [2, 3]);
+    assert.deepStrictEqual(versions(3), []);
+});
+
+test('a version 1 key-value store opens at the current version with its data', async () => {
+    const meals = JSON.stringify({ m1: { id: 'm1', createdAt: '2026-03-01T12:00:00.000Z' } });
+    const storage = fakeStorage({ 'hmt:schemaVersion': '1', 'hmt:meals': meals });
+    const backend = await new KeyValueBackend('hmt', storage).open();
+
+    assert.strictEqual(storage.getItem('hmt:schemaVersion'), String(STORE_SCHEMA_VERSION));
+    assert.deepStrictEqual(await backend.getAll('meals'), [{ id: 'm1', createdAt: '2026-03-01T12:00:00.000Z' }]);
+    assert.deepStrictEqual(await backend.getAll('labReadings'), []);
+});
+
+test('records round-trip through the memory backend', async () => {
+    const store = new MealTrackStore({ dbName: 'test-round-trip' });
+    assert.strictEqual((await store.ready).name, 'memory');
+
+    const older = await store.saveMeal({ id: 'm1', mealType: 'lunch', createdAt: '2026-03-01T12:00:00.000Z' });
+    const newer = await store.saveMeal({ _id: 'm2', mealType: 'dinner', createdAt: '2026-03-02T19:00:00.000Z' });
+    assert.strictEqual(newer.id, 'm2');
+    assert.deepStrictEqual(await store.getMeals(), [newer, older]);
+
+    await store.saveMeal({ ...older, mealType: 'snack' });
+    await store.deleteMeal('m2');
+    assert.deepStrictEqual((await store.getMeals()).map(meal => meal.mealType), ['snack']);
+
+    await store.saveProfile({ name: 'Ana', conditions: ['diabetes'] });
+    await store.saveSession({ token: 'abc', user: { email: 'ana@example.com' }, expiresAt: null });
+    await store.saveDataOwner('ana@example.com');
+    await store.saveStats({ points: 40 });
+    await store.saveOutboxEntry({ id: 'o1', mealType: 'lunch', createdAt: '2026-03-02T08:00:00.000Z' });
+
+    assert.deepStrictEqual(await store.getProfile(), { name: 'Ana', conditions: ['diabetes'] });
+    assert.strictEqual((await store.getSession()).token, 'abc');
+    assert.strictEqual(await store.getDataOwner(), 'ana@example.com');
+    assert.deepStrictEqual(await store.getStats(), { points: 40, streak: 0, longestStreak: 0 });
+    assert.deepStrictEqual((await store.getOutbox()).map(entry => entry.id), ['o1']);
+
+    await store.clearSession();
+    assert.strictEqual(await store.getSession(), null);
+    assert.strictEqual(await store.getDataOwner(), 'ana@example.com');
+
+    const first = await store.unlockAchievement('first_meal', { unlockedAt: '2026-03-01T12:00:00.000Z' });
+    assert.deepStrictEqual(await store.unlockAchievement('first_meal'), first);
+
+    await store.clearAll();
+    assert.deepStrictEqual(await store.getMeals(), []);
+    assert.strictEqual(await store.getProfile(), null);
+    assert.strictEqual(await store.getDataOwner(), null);
+    assert.deepStrictEqual(await store.getUnlockedAchievements(), []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    calculateStreaks,
+    longestConsecutiveDays
+} = loadScripts('food-database', 'allergens', 'nutrition-targets', 'streaks');
+
+const now = new Date(2026, 2, 10, 18);
+const meal = (daysAgo, mealType = 'lunch', hour = 12) => ({
+    mealType,
+    loggedAt: new Date(2026, 2, 10 - daysAgo, hour).toISOString()
+});
+
+test('longestConsecutiveDays counts calendar days across a month end', () => {
+    assert.strictEqual(longestConsecutiveDays(['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-03']), 3);
+    assert.strictEqual(longestConsecutiveDays([]), 0);
+});
+
+test('today without a meal yet does not break the streak', () => {
+    const streaks = calculateStreaks([meal(1), meal(2), meal(3), meal(5)], {}, now);
+    assert.strictEqual(streaks.current, 3);
+    assert.strictEqual(streaks.longest, 3);
+});
+
+test('a missed day ends the streak unless grace days cover it', () => {
+    const meals = [meal(0), meal(1), meal(3), meal(4)];
+    assert.strictEqual(calculateStreaks(meals, {}, now).current, 2);
+    assert.strictEqual(calculateStreaks(meals, { graceDays: 1 }, now).current, 4);
+});
+
+test('the meal-type rule only counts days with that meal logged', () => {
+    const meals = [meal(0, 'breakfast', 8), meal(1, 'lunch'), meal(2, 'breakfast', 8)];
+    const streaks = calculateStreaks(meals, { rule: 'meal-type', mealType: 'breakfast' }, now);
+    assert.strictEqual(streaks.current, 1);
+    assert.deepStrictEqual(streaks.qualifyingDays, ['2026-03-08', '2026-03-10']);
+});
+
+test('healthy days leave out days with medium or high warnings', () => {
+    const warned = { ...meal(1), aiAnalysis: { healthRisks: [{ severity: 'high', condition: 'diabetes' }] } };
+    const mild = { ...meal(2), aiAnalysis: { healthRisks: [{ severity: 'low', condition: 'bp' }] } };
+    assert.strictEqual(calculateStreaks([meal(0), warned, mild], {}, now).healthyDays, 2);
+});
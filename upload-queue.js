@@ -0,0 +1,114 @@
+// HealthyMealTrack - Upload Queue
+// Runs meal photo uploads with limited concurrency. Each item tracks its own
+// stage and progress and can be cancelled (through an AbortController) or
+// retried. The actual work is done by the `process` callback.
+
+// Item status: queued -> running -> done | failed | cancelled
+class UploadQueue {
+    // process:  (item, { signal, report(stage, progress) }) => Promise<result>
+    // onChange: (item) => void, called whenever an item changes
+    constructor({ concurrency = 2, process, onChange = () => {} }) {
+        this.concurrency = concurrency;
+        this.process = process;
+        this.onChange = onChange;
+        this.items = [];
+    }
+
+    // Queues one item per entry; entry is whatever `process` needs (item.data)
+    add(entries) {
+        const items = entries.map(data => ({
+            id: generateId('upload'),
+            data,
+            status: 'queued',
+            stage: 'Waiting',
+            progress: 0,
+            error: null,
+            result: null,
+            controller: null
+        }));
+        this.items.push(...items);
+        items.forEach(item => this.onChange(item));
+        this.pump();
+        return items;
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    get activeCount() {
+        return this.items.filter(item => item.status === 'running').length;
+    }
+
+    cancel(id) {
+        const item = this.get(id);
+        if (!item) return;
+
+        if (item.status === 'running') {
+            // run() marks it cancelled once the process call rejects
+            item.controller.abort();
+        } else if (item.status === 'queued') {
+            this.update(item, { status: 'cancelled', stage: 'Cancelled' });
+        }
+    }
+
+    retry(id) {
+        const item = this.get(id);
+        if (!item || !['failed', 'cancelled'].includes(item.status)) return;
+
+        this.update(item, { status: 'queued', stage: 'Waiting', progress: 0, error: null });
+        this.pump();
+    }
+
+    remove(id) {
+        const item = this.get(id);
+        if (!item || item.status === 'running') return;
+
+        this.items = this.items.filter(entry => entry !== item);
+        this.onChange({ ...item, status: 'removed' });
+    }
+
+    update(item, changes) {
+        Object.assign(item, changes);
+        this.onChange(item);
+    }
+
+    pump() {
+        while (this.activeCount < this.concurrency) {
+            const next = this.items.find(item => item.status === 'queued');
+            if (!next) return;
+            this.run(next);
+        }
+    }
+
+    async run(item) {
+        const controller = new AbortController();
+        this.update(item, { status: 'running', stage: 'Starting', controller });
+
+        try {
+            const result = await this.process(item, {
+                signal: controller.signal,
+                report: (stage, progress = item.progress) => {
+                    if (!controller.signal.aborted) {
+                        this.update(item, { stage, progress });
+                    }
+                }
+            });
+            this.update(item, { status: 'done', stage: 'Done', progress: 1, result });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                this.update(item, { status: 'cancelled', stage: 'Cancelled' });
+            } else {
+                this.update(item, { status: 'failed', stage: 'Failed', error });
+            }
+        } finally {
+            item.controller = null;
+            this.pump();
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UploadQueue;
+}